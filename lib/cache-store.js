@@ -0,0 +1,589 @@
+// ============================================================
+// Pluggable API Cache Store
+// ============================================================
+// The API response cache is a two-tier store: an in-memory LRU that is always
+// present, optionally backed by a persistent adapter (on-disk files or a
+// Redis-protocol server) so cached Schoology responses survive restarts and
+// can be shared across serverless instances.
+//
+// Entries are stored as { data, timestamp }. TTLs are applied by the caller
+// at read time (see getCachedData in server.js), adapters only hold entries.
+
+const crypto = require('crypto');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+const DEFAULT_MAX_ENTRIES_PER_USER = 500;
+const DEFAULT_PERSIST_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_PRUNE_INTERVAL_MS = 60 * 60 * 1000; // file backend: sweep expired files hourly
+const DEFAULT_REDIS_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_REDIS_COMMAND_TIMEOUT_MS = 2000;
+
+// Cache keys are built as `${userId}:${endpoint}:${params}` (see getCacheKey)
+function getKeyOwner(key) {
+    const idx = String(key).indexOf(':');
+    return idx === -1 ? '' : String(key).substring(0, idx);
+}
+
+// ------------------------------------------------------------
+// In-memory LRU with global and per-user entry limits
+// ------------------------------------------------------------
+class MemoryLRU {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxEntriesPerUser = DEFAULT_MAX_ENTRIES_PER_USER, onEvict = null } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxEntriesPerUser = maxEntriesPerUser;
+        this.onEvict = onEvict;
+        this.entries = new Map();   // key -> entry, oldest first
+        this.userKeys = new Map();  // userId -> Set of keys, oldest first
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        const owned = this.userKeys.get(getKeyOwner(key));
+        if (owned) {
+            owned.delete(key);
+            owned.add(key);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.delete(key);
+        this.entries.set(key, entry);
+
+        const owner = getKeyOwner(key);
+        if (!this.userKeys.has(owner)) this.userKeys.set(owner, new Set());
+        const owned = this.userKeys.get(owner);
+        owned.add(key);
+
+        while (this.maxEntriesPerUser > 0 && owned.size > this.maxEntriesPerUser) {
+            this.evict(owned.values().next().value, 'user-limit');
+        }
+        while (this.maxEntries > 0 && this.entries.size > this.maxEntries) {
+            this.evict(this.entries.keys().next().value, 'global-limit');
+        }
+    }
+
+    delete(key) {
+        if (!this.entries.has(key)) return false;
+        this.entries.delete(key);
+        const owner = getKeyOwner(key);
+        const owned = this.userKeys.get(owner);
+        if (owned) {
+            owned.delete(key);
+            if (owned.size === 0) this.userKeys.delete(owner);
+        }
+        return true;
+    }
+
+    evict(key, reason) {
+        if (this.delete(key) && this.onEvict) this.onEvict(key, reason);
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// ------------------------------------------------------------
+// On-disk adapter: one JSON file per key, written atomically
+// ------------------------------------------------------------
+// Files are grouped in one directory per user (see getKeyOwner), so
+// deleteMatching only reads the files of the user whose keys are invalidated.
+// Each file records when it expires; expired files are removed when read and
+// by a prune of the whole directory on startup and every pruneIntervalMs.
+class FileCacheAdapter {
+    constructor({ fs, dir, log, persistTTL = DEFAULT_PERSIST_TTL_MS, pruneIntervalMs = DEFAULT_PRUNE_INTERVAL_MS, now = Date.now }) {
+        this.name = 'file';
+        this.fs = fs;
+        this.dir = dir;
+        this.log = log;
+        this.persistTTL = persistTTL;
+        this.now = now;
+        this.index = new Map(); // userId -> Map of key -> file, loaded on first deleteMatching
+        this.fs.mkdirSync(this.dir, { recursive: true });
+
+        this.pruned = this.prune().catch(e => this.log('CACHE', `Could not prune ${this.dir}: ${e.message}`));
+        if (pruneIntervalMs > 0) {
+            this.pruneTimer = setInterval(() => {
+                this.prune().catch(e => this.log('CACHE', `Could not prune ${this.dir}: ${e.message}`));
+            }, pruneIntervalMs);
+            if (this.pruneTimer.unref) this.pruneTimer.unref();
+        }
+    }
+
+    userDir(owner) {
+        return path.join(this.dir, crypto.createHash('sha1').update(owner).digest('hex'));
+    }
+
+    fileFor(key) {
+        return path.join(this.userDir(getKeyOwner(key)), crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    }
+
+    isExpired(stored) {
+        const expiresAt = stored.expiresAt || (stored.timestamp || 0) + this.persistTTL;
+        return expiresAt <= this.now();
+    }
+
+    async get(key) {
+        let stored;
+        try {
+            stored = JSON.parse(await this.fs.promises.readFile(this.fileFor(key), 'utf8'));
+        } catch (e) {
+            return null;
+        }
+        if (stored.key !== key) return null;
+        if (this.isExpired(stored)) {
+            await this.delete(key);
+            return null;
+        }
+        return { data: stored.data, timestamp: stored.timestamp };
+    }
+
+    async set(key, entry) {
+        const file = this.fileFor(key);
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await this.fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await this.fs.promises.writeFile(tmp, JSON.stringify({
+            key,
+            data: entry.data,
+            timestamp: entry.timestamp,
+            expiresAt: this.now() + this.persistTTL
+        }));
+        await this.fs.promises.rename(tmp, file);
+        const keys = this.index.get(getKeyOwner(key));
+        if (keys) keys.set(key, file);
+    }
+
+    async delete(key) {
+        const keys = this.index.get(getKeyOwner(key));
+        if (keys) keys.delete(key);
+        try {
+            await this.fs.promises.unlink(this.fileFor(key));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+
+    // Keys stored for one user, read from their directory the first time
+    async keysFor(owner) {
+        if (this.index.has(owner)) return this.index.get(owner);
+        const keys = new Map();
+        const dir = this.userDir(owner);
+        let files = [];
+        try {
+            files = await this.fs.promises.readdir(dir);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        for (const name of files) {
+            if (!name.endsWith('.json')) continue;
+            const file = path.join(dir, name);
+            try {
+                const stored = JSON.parse(await this.fs.promises.readFile(file, 'utf8'));
+                if (stored.key) keys.set(stored.key, file);
+            } catch (e) {
+                // Unreadable or concurrently removed file - skip it
+            }
+        }
+        this.index.set(owner, keys);
+        return keys;
+    }
+
+    // Patterns start with the owning user id (see invalidateCache in server.js)
+    async deleteMatching(pattern) {
+        let count = 0;
+        const keys = await this.keysFor(getKeyOwner(pattern) || String(pattern));
+        for (const [key, file] of Array.from(keys)) {
+            if (!key.includes(pattern)) continue;
+            keys.delete(key);
+            try {
+                await this.fs.promises.unlink(file);
+                count++;
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        }
+        return count;
+    }
+
+    // Remove expired files (by modification time, without parsing them) and
+    // leftover temporary files
+    async prune() {
+        const cutoff = this.now() - this.persistTTL;
+        let removed = 0;
+        const removeIfOld = async (file) => {
+            try {
+                const stat = await this.fs.promises.stat(file);
+                if (stat.mtimeMs > cutoff) return;
+                await this.fs.promises.unlink(file);
+                removed++;
+            } catch (e) {
+                // Concurrently removed - nothing to do
+            }
+        };
+
+        for (const entry of await this.fs.promises.readdir(this.dir, { withFileTypes: true })) {
+            const entryPath = path.join(this.dir, entry.name);
+            if (!entry.isDirectory()) {
+                await removeIfOld(entryPath); // files from before the per-user layout are never read
+                continue;
+            }
+            let files = [];
+            try {
+                files = await this.fs.promises.readdir(entryPath);
+            } catch (e) {
+                continue;
+            }
+            for (const name of files) await removeIfOld(path.join(entryPath, name));
+        }
+        if (removed > 0) {
+            this.index.clear();
+            this.log('CACHE', `Pruned ${removed} expired file(s) from ${this.dir}`);
+        }
+        return removed;
+    }
+
+    close() {
+        if (this.pruneTimer) clearInterval(this.pruneTimer);
+    }
+}
+
+// ------------------------------------------------------------
+// Redis-protocol adapter (RESP2 over a single TCP/TLS connection)
+// ------------------------------------------------------------
+// Works with Redis, Valkey, KeyDB, Upstash and other RESP-compatible servers.
+function encodeRespCommand(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const str = String(arg);
+        out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+    }
+    return out;
+}
+
+// Parse one RESP value from buf at offset; returns { value, offset } or null if incomplete
+function parseRespValue(buf, offset) {
+    if (offset >= buf.length) return null;
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-': {
+            const err = new Error(line);
+            err.isRedisError = true;
+            return { value: err, offset: next };
+        }
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const len = parseInt(line, 10);
+            if (len === -1) return { value: null, offset: next };
+            if (buf.length < next + len + 2) return null;
+            return { value: buf.toString('utf8', next, next + len), offset: next + len + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, offset: next };
+            const items = [];
+            let cursor = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseRespValue(buf, cursor);
+                if (!item) return null;
+                items.push(item.value);
+                cursor = item.offset;
+            }
+            return { value: items, offset: cursor };
+        }
+        default:
+            throw new Error(`Unexpected RESP type byte: ${type}`);
+    }
+}
+
+function escapeRedisGlob(str) {
+    return String(str).replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// A server that stops answering must not hang cache reads: connecting and each
+// command time out, which drops the connection so CacheStore treats it as a miss.
+class RedisCacheAdapter {
+    constructor({
+        url, prefix = 'spm:cache:', persistTTL = DEFAULT_PERSIST_TTL_MS,
+        connectTimeoutMs = DEFAULT_REDIS_CONNECT_TIMEOUT_MS, commandTimeoutMs = DEFAULT_REDIS_COMMAND_TIMEOUT_MS, log
+    }) {
+        this.name = 'redis';
+        this.url = new URL(url);
+        this.prefix = prefix;
+        this.persistTTL = persistTTL;
+        this.connectTimeoutMs = connectTimeoutMs;
+        this.commandTimeoutMs = commandTimeoutMs;
+        this.log = log;
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    connect() {
+        if (this.socket) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
+            const useTls = this.url.protocol === 'rediss:';
+            const port = parseInt(this.url.port, 10) || 6379;
+            const host = this.url.hostname;
+            const socket = useTls
+                ? tls.connect({ host, port, servername: host })
+                : net.connect({ host, port });
+
+            const timer = setTimeout(() => {
+                const err = new Error(`Redis connection timed out after ${this.connectTimeoutMs}ms`);
+                this.log('CACHE', err.message);
+                socket.destroy();
+                this.reset(err);
+                reject(err);
+            }, this.connectTimeoutMs);
+
+            socket.setNoDelay(true);
+            socket.once(useTls ? 'secureConnect' : 'connect', async () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                this.connecting = null;
+                try {
+                    const password = decodeURIComponent(this.url.password || '');
+                    const username = decodeURIComponent(this.url.username || '');
+                    if (password) {
+                        await this.command(username ? ['AUTH', username, password] : ['AUTH', password]);
+                    }
+                    const db = this.url.pathname.replace('/', '');
+                    if (db) await this.command(['SELECT', db]);
+                    resolve();
+                } catch (e) {
+                    socket.destroy();
+                    reject(e);
+                }
+            });
+            socket.on('data', chunk => this.onData(chunk));
+            socket.on('error', (err) => {
+                clearTimeout(timer);
+                this.log('CACHE', `Redis connection error: ${err.message}`);
+                this.reset(err);
+                reject(err);
+            });
+            socket.on('close', () => this.reset(new Error('Redis connection closed')));
+        });
+        return this.connecting;
+    }
+
+    reset(err) {
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(p => p.reject(err));
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.pending.length > 0) {
+            const parsed = parseRespValue(this.buffer, 0);
+            if (!parsed) break;
+            this.buffer = this.buffer.subarray(parsed.offset);
+            const waiter = this.pending.shift();
+            if (parsed.value instanceof Error) waiter.reject(parsed.value);
+            else waiter.resolve(parsed.value);
+        }
+    }
+
+    // Replies are matched to commands by order, so once one times out the rest
+    // can't be trusted either: the connection is dropped and all of them fail
+    command(args) {
+        return new Promise((resolve, reject) => {
+            const socket = this.socket;
+            if (!socket) return reject(new Error('Redis connection closed'));
+            const timer = setTimeout(() => {
+                const err = new Error(`Redis ${args[0]} timed out after ${this.commandTimeoutMs}ms`);
+                this.log('CACHE', err.message);
+                this.reset(err);
+                socket.destroy();
+            }, this.commandTimeoutMs);
+            this.pending.push({
+                resolve: (value) => { clearTimeout(timer); resolve(value); },
+                reject: (err) => { clearTimeout(timer); reject(err); }
+            });
+            socket.write(encodeRespCommand(args));
+        });
+    }
+
+    async send(args) {
+        await this.connect();
+        return this.command(args);
+    }
+
+    async get(key) {
+        const raw = await this.send(['GET', this.prefix + key]);
+        if (raw === null || raw === undefined) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        await this.send(['SET', this.prefix + key, JSON.stringify(entry), 'PX', this.persistTTL]);
+    }
+
+    async delete(key) {
+        await this.send(['DEL', this.prefix + key]);
+    }
+
+    async deleteMatching(pattern) {
+        const match = `${escapeRedisGlob(this.prefix)}*${escapeRedisGlob(pattern)}*`;
+        let cursor = '0';
+        let count = 0;
+        do {
+            const [nextCursor, keys] = await this.send(['SCAN', cursor, 'MATCH', match, 'COUNT', 200]);
+            cursor = nextCursor;
+            if (keys && keys.length > 0) {
+                count += await this.send(['DEL', ...keys]);
+            }
+        } while (cursor !== '0');
+        return count;
+    }
+}
+
+// ------------------------------------------------------------
+// Tiered store used by getCachedData/setCachedData/invalidateCache
+// ------------------------------------------------------------
+class CacheStore {
+    constructor({ adapter = null, maxEntries, maxEntriesPerUser, log = () => {} } = {}) {
+        this.adapter = adapter;
+        this.log = log;
+        this.backend = adapter ? adapter.name : 'memory';
+        this.revalidations = new Map(); // key -> pending background refresh
+        this.memory = new MemoryLRU({
+            maxEntries,
+            maxEntriesPerUser,
+            onEvict: (key, reason) => {
+                this.log('CACHE', `Evicted ${key} (${reason})`);
+                // Keep the persistent tier within the same limits
+                if (this.adapter) this.runAdapter('delete', key);
+            }
+        });
+    }
+
+    runAdapter(method, ...args) {
+        return this.adapter[method](...args).catch((e) => {
+            this.log('CACHE', `${this.backend} ${method} failed: ${e.message}`);
+            return null;
+        });
+    }
+
+    async get(key) {
+        const entry = this.memory.get(key);
+        if (entry || !this.adapter) return entry;
+
+        const stored = await this.runAdapter('get', key);
+        if (stored && stored.timestamp) {
+            this.memory.set(key, stored);
+            return stored;
+        }
+        return null;
+    }
+
+    set(key, data) {
+        const entry = { data, timestamp: Date.now() };
+        this.memory.set(key, entry);
+        // Persist in the background; pages never wait on the persistent tier for writes
+        if (this.adapter) this.runAdapter('set', key, entry);
+        return entry;
+    }
+
+    delete(key) {
+        this.memory.delete(key);
+        if (this.adapter) this.runAdapter('delete', key);
+    }
+
+    // Run `refresh` for a stale entry unless one is already running for the key.
+    // Returns the pending refresh; failures are logged, not thrown.
+    revalidate(key, refresh) {
+        if (this.revalidations.has(key)) return this.revalidations.get(key);
+        const pending = Promise.resolve()
+            .then(refresh)
+            .catch(e => this.log('CACHE', `Background revalidation failed for ${key}: ${e.message}`))
+            .finally(() => this.revalidations.delete(key));
+        this.revalidations.set(key, pending);
+        return pending;
+    }
+
+    async deleteMatching(pattern) {
+        let count = 0;
+        for (const key of this.memory.keys()) {
+            if (key.includes(pattern)) {
+                this.memory.delete(key);
+                count++;
+            }
+        }
+        if (this.adapter) {
+            const persisted = await this.runAdapter('deleteMatching', pattern);
+            if (persisted) count = Math.max(count, persisted);
+        }
+        return count;
+    }
+}
+
+// Build the cache store selected by environment variables:
+//   CACHE_BACKEND=memory|file|redis (default: memory)
+//   CACHE_DIR=<path>                 (file backend, default: ./.cache)
+//   REDIS_URL=redis://[user:pass@]host:port[/db]  (redis backend, rediss:// for TLS)
+//   CACHE_MAX_ENTRIES, CACHE_MAX_ENTRIES_PER_USER
+//   CACHE_PERSIST_TTL_MS             (how long file and redis entries are kept, default 24 hours)
+function createCacheStore({ env = process.env, fs = null, baseDir = process.cwd(), log = () => {} } = {}) {
+    const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+    const maxEntries = parseInt(env.CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+    const maxEntriesPerUser = parseInt(env.CACHE_MAX_ENTRIES_PER_USER, 10) || DEFAULT_MAX_ENTRIES_PER_USER;
+    const persistTTL = parseInt(env.CACHE_PERSIST_TTL_MS, 10) || DEFAULT_PERSIST_TTL_MS;
+
+    let adapter = null;
+    try {
+        if (backend === 'file') {
+            if (!fs) throw new Error('filesystem is not available in this environment');
+            adapter = new FileCacheAdapter({ fs, dir: path.resolve(baseDir, env.CACHE_DIR || '.cache'), persistTTL, log });
+        } else if (backend === 'redis') {
+            if (!env.REDIS_URL) throw new Error('REDIS_URL is not set');
+            adapter = new RedisCacheAdapter({ url: env.REDIS_URL, prefix: env.CACHE_REDIS_PREFIX || 'spm:cache:', persistTTL, log });
+        } else if (backend !== 'memory') {
+            throw new Error(`unknown CACHE_BACKEND "${backend}"`);
+        }
+    } catch (e) {
+        log('CACHE', `⚠️  Could not use ${backend} cache backend (${e.message}), falling back to memory`);
+        adapter = null;
+    }
+
+    return new CacheStore({ adapter, maxEntries, maxEntriesPerUser, log });
+}
+
+module.exports = {
+    createCacheStore,
+    CacheStore,
+    MemoryLRU,
+    FileCacheAdapter,
+    RedisCacheAdapter
+};
@@ -0,0 +1,50 @@
+// ============================================================
+// CSRF Tokens
+// ============================================================
+// State-changing /api requests must carry a token the page was rendered with,
+// which a cross-site form or fetch can't read. Tokens are stateless so they
+// survive Vercel's per-request sessions:
+//
+//   <nonce>.<HMAC(key, nonce + "." + binding)>     (base64url parts)
+//
+// binding ties a token to one login (server.js uses a hash of the session's
+// access token), so a token an attacker obtains for their own login is useless
+// against someone else's. Keys are derived from the session secrets; the first
+// one signs and all of them verify, following SESSION_SECRET rotation.
+
+const crypto = require('crypto');
+
+const NONCE_BYTES = 16;
+
+class CsrfTokens {
+    //   secrets - active session secrets, newest first
+    constructor({ secrets }) {
+        if (!Array.isArray(secrets) || secrets.length === 0) {
+            throw new Error('CsrfTokens needs at least one secret');
+        }
+        this.keys = secrets.map(secret => Buffer.from(crypto.hkdfSync('sha256', secret, 'schoology-ultra', 'csrf-token-v1', 32)));
+    }
+
+    sign(key, nonce, binding) {
+        return crypto.createHmac('sha256', key).update(`${nonce}.${binding}`).digest();
+    }
+
+    create(binding) {
+        const nonce = crypto.randomBytes(NONCE_BYTES).toString('base64url');
+        return `${nonce}.${this.sign(this.keys[0], nonce, binding).toString('base64url')}`;
+    }
+
+    verify(token, binding) {
+        if (typeof token !== 'string') return false;
+        const parts = token.split('.');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) return false;
+        const [nonce, mac] = parts;
+        const given = Buffer.from(mac, 'base64url');
+        return this.keys.some(key => {
+            const expected = this.sign(key, nonce, binding);
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+    }
+}
+
+module.exports = { CsrfTokens };
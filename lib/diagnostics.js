@@ -0,0 +1,120 @@
+// ============================================================
+// Diagnostics
+// ============================================================
+// Keeps secrets out of logs and error pages. Every failure shown to a user gets
+// a short correlation ID; the details (stack, request, context) are logged on
+// the server under that ID and kept in a small ring buffer for the admin-only
+// /debug page, while the page itself only shows the ID.
+//
+// redact() scrubs anything that is about to be logged or displayed:
+//   - values under sensitive keys (token, secret, signature, cookie, ...)
+//   - OAuth parameters inside strings (oauth_token=..., "oauth_token_secret": "...")
+//   - Schoology session cookies (SESS<hash>=...)
+//   - any value registered with addSecret() (consumer secret, session secrets)
+
+const crypto = require('crypto');
+
+const REDACTED = '[REDACTED]';
+const DEFAULT_MAX_ERRORS = 50;
+const MAX_DEPTH = 6;
+
+const SENSITIVE_KEY = /secret|password|token|signature|authorization|cookie|nonce|^sess/i;
+const STRING_PATTERNS = [
+    // key=value pairs in query strings, form bodies and OAuth headers
+    [/\b(oauth_token(?:_secret)?|oauth_signature|oauth_nonce|oauth_verifier)=("?)[^&"\s,]+/g, `$1=$2${REDACTED}`],
+    // the same keys in JSON
+    [/("(?:oauth_token(?:_secret)?|oauth_signature|accessTokenSecret|accessToken)"\s*:\s*)"[^"]*"/g, `$1"${REDACTED}"`],
+    // Schoology web session cookies
+    [/\b(SESS[0-9a-f]{32})=[^;\s"]+/g, `$1=${REDACTED}`]
+];
+
+class Diagnostics {
+    //   log        - (category, message) logger; must not itself call back into redact
+    //   maxErrors  - how many recent errors the /debug page can show
+    constructor({ log = () => {}, maxErrors = DEFAULT_MAX_ERRORS, now = Date.now } = {}) {
+        this.log = log;
+        this.maxErrors = maxErrors;
+        this.now = now;
+        this.secrets = new Set();
+        this.errors = [];
+    }
+
+    // Redact this exact value wherever it shows up. Short values are ignored so
+    // common words are never blanked out.
+    addSecret(value) {
+        if (typeof value === 'string' && value.length >= 6) this.secrets.add(value);
+    }
+
+    redactString(text) {
+        let out = text;
+        for (const secret of this.secrets) {
+            if (out.includes(secret)) out = out.split(secret).join(REDACTED);
+        }
+        for (const [pattern, replacement] of STRING_PATTERNS) {
+            out = out.replace(pattern, replacement);
+        }
+        return out;
+    }
+
+    // Deep copy of `value` with secrets replaced
+    redact(value, depth = 0) {
+        if (typeof value === 'string') return this.redactString(value);
+        if (value === null || typeof value !== 'object') return value;
+        if (depth >= MAX_DEPTH) return '[Object]';
+        if (value instanceof Error) {
+            return { name: value.name, message: this.redactString(value.message), statusCode: value.statusCode };
+        }
+        if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+
+        const out = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (SENSITIVE_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean' && typeof item !== 'number') {
+                out[key] = REDACTED;
+            } else {
+                out[key] = this.redact(item, depth + 1);
+            }
+        }
+        return out;
+    }
+
+    newId() {
+        return crypto.randomBytes(5).toString('hex');
+    }
+
+    // Log an error with everything useful for tracking it down, remember it for
+    // /debug, and return the ID to show the user
+    captureError(error, { category = 'ERROR', req = null, context = null } = {}) {
+        const id = this.newId();
+        const err = error instanceof Error ? error : new Error(String(error));
+        const entry = {
+            id,
+            at: new Date(this.now()).toISOString(),
+            category,
+            message: this.redactString(err.message || ''),
+            statusCode: err.statusCode || null,
+            method: req ? req.method : null,
+            path: req ? req.path : null,
+            userId: req && req.session ? req.session.userId || null : null,
+            context: context ? this.redact(context) : null,
+            stack: err.stack ? this.redactString(err.stack) : null
+        };
+
+        this.errors.unshift(entry);
+        if (this.errors.length > this.maxErrors) this.errors.length = this.maxErrors;
+
+        const where = entry.method ? ` ${entry.method} ${entry.path}` : '';
+        this.log(category, `✗ [${id}]${where}: ${entry.message}`);
+        if (entry.context) this.log(category, `  [${id}] context: ${JSON.stringify(entry.context)}`);
+        if (entry.stack) this.log(category, `  [${id}] ${entry.stack}`);
+        return id;
+    }
+
+    getRecentErrors() {
+        return this.errors.slice();
+    }
+}
+
+module.exports = {
+    Diagnostics,
+    REDACTED
+};
@@ -0,0 +1,230 @@
+// ============================================================
+// GPA
+// ============================================================
+// Credit-weighted GPA across courses, unweighted and weighted by course level,
+// for the current term and cumulatively with past terms. Shared by the grades
+// page (served as /js/gpa.js, exposed as window.Gpa) and the settings page,
+// like lib/grade-engine.js; needs lib/grading-scales.js loaded first.
+//
+// A course counts as { points, credits, level }:
+//   points  - GPA points of its letter on the course's grading scale. Capped at
+//             4.0 for the unweighted GPA, so 5-point scales don't count twice.
+//   credits - how much it counts (0 leaves it out)
+//   level   - a LEVELS key; weighted GPA adds the level's bonus to any passing
+//             letter (an F stays 0)
+//
+// The student's choices are one user-state object ('gpa'):
+//
+//   {
+//       courses: { [sectionId]: { credits, level } },
+//       terms: [{ id, name, archivedAt, courses: [{ sectionId, name, letter, points, credits, level }] }]
+//   }
+//
+// Courses without a saved level get suggestLevel() from their title.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./grading-scales'));
+    } else {
+        root.Gpa = factory(root.GradingScales);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GradingScales) {
+    const LEVELS = {
+        regular: { id: 'regular', title: 'Regular', bonus: 0 },
+        honors: { id: 'honors', title: 'Honors', bonus: 0.5 },
+        ap: { id: 'ap', title: 'AP / IB', bonus: 1.0 }
+    };
+
+    const DEFAULT_LEVEL = 'regular';
+    const DEFAULT_CREDITS = 1;
+    const MAX_CREDITS = 10;
+    const UNWEIGHTED_MAX = 4.0;
+
+    const MAX_TERMS = 40;
+    const MAX_TERM_COURSES = 30;
+    const MAX_NAME_LENGTH = 100;
+    const MAX_LETTER_LENGTH = 12;
+
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // Level from a course title: "AP Biology", "IB Math" -> ap,
+    // "Chemistry Honors", "English 10 (H)" -> honors
+    function suggestLevel(title) {
+        const text = String(title || '');
+        if (/\b(AP|IB)\b|Advanced Placement|International Baccalaureate/.test(text)) return 'ap';
+        if (/\bhonou?rs\b|\(H\)/i.test(text)) return 'honors';
+        return DEFAULT_LEVEL;
+    }
+
+    function normalizeLevel(level) {
+        return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : null;
+    }
+
+    function normalizeCredits(value) {
+        const n = toNumber(value);
+        return n !== null && n >= 0 && n <= MAX_CREDITS ? n : null;
+    }
+
+    // Credits and level for a course: the saved choice, else the defaults.
+    // `suggested` is true when the level came from the title.
+    function courseSettings(saved, title) {
+        const level = saved ? normalizeLevel(saved.level) : null;
+        const credits = saved ? normalizeCredits(saved.credits) : null;
+        return {
+            credits: credits !== null ? credits : DEFAULT_CREDITS,
+            level: level || suggestLevel(title),
+            suggested: !level
+        };
+    }
+
+    // Unweighted and weighted points for a course, or null without points
+    function coursePoints(points, level) {
+        const n = toNumber(points);
+        if (n === null) return null;
+        const unweighted = Math.max(0, Math.min(n, UNWEIGHTED_MAX));
+        const bonus = (LEVELS[level] || LEVELS[DEFAULT_LEVEL]).bonus;
+        return { unweighted, weighted: unweighted > 0 ? unweighted + bonus : 0 };
+    }
+
+    // Credit-weighted GPA over courses with points and credits:
+    //   { unweighted, weighted, credits, count }, GPAs null when nothing counts
+    function calculateGpa(courses) {
+        let credits = 0;
+        let unweighted = 0;
+        let weighted = 0;
+        let count = 0;
+        for (const course of courses || []) {
+            if (!course) continue;
+            const pts = coursePoints(course.points, course.level);
+            const courseCredits = normalizeCredits(course.credits);
+            if (!pts || !courseCredits) continue;
+            credits += courseCredits;
+            unweighted += pts.unweighted * courseCredits;
+            weighted += pts.weighted * courseCredits;
+            count++;
+        }
+        return {
+            unweighted: credits > 0 ? unweighted / credits : null,
+            weighted: credits > 0 ? weighted / credits : null,
+            credits,
+            count
+        };
+    }
+
+    // GPA over past terms plus the current courses. A past course saved from a
+    // section that is still current is left out, so saving a term before it
+    // ends doesn't count it twice.
+    function cumulativeGpa(terms, currentCourses = []) {
+        const current = new Set(currentCourses.map(course => course && course.sectionId).filter(Boolean).map(String));
+        const past = [];
+        for (const term of terms || []) {
+            for (const course of (term && term.courses) || []) {
+                if (course.sectionId && current.has(String(course.sectionId))) continue;
+                past.push(course);
+            }
+        }
+        return calculateGpa(past.concat(currentCourses));
+    }
+
+    function normalizeTermCourse(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const name = String(raw.name || '').trim().slice(0, MAX_NAME_LENGTH);
+        const points = toNumber(raw.points);
+        if (!name || points === null || points < 0) return null;
+        const credits = normalizeCredits(raw.credits);
+        const course = {
+            name,
+            letter: String(raw.letter || '').trim().slice(0, MAX_LETTER_LENGTH),
+            points,
+            credits: credits !== null ? credits : DEFAULT_CREDITS,
+            level: normalizeLevel(raw.level) || suggestLevel(name)
+        };
+        if (raw.sectionId !== undefined && raw.sectionId !== null && raw.sectionId !== '') course.sectionId = String(raw.sectionId);
+        return course;
+    }
+
+    // A clean copy of a past term, or null if it has no usable courses
+    function normalizeTerm(raw) {
+        if (!raw || typeof raw !== 'object' || !Array.isArray(raw.courses)) return null;
+        const courses = raw.courses.slice(0, MAX_TERM_COURSES).map(normalizeTermCourse).filter(Boolean);
+        if (courses.length === 0) return null;
+        const name = String(raw.name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Past term';
+        return {
+            id: String(raw.id || name),
+            name,
+            archivedAt: raw.archivedAt ? String(raw.archivedAt) : null,
+            courses
+        };
+    }
+
+    // The saved 'gpa' state with anything unusable dropped
+    function normalizeState(raw) {
+        const state = { courses: {}, terms: [] };
+        if (!raw || typeof raw !== 'object') return state;
+        if (raw.courses && typeof raw.courses === 'object' && !Array.isArray(raw.courses)) {
+            for (const [sectionId, saved] of Object.entries(raw.courses)) {
+                if (!saved || typeof saved !== 'object') continue;
+                const entry = {};
+                const credits = normalizeCredits(saved.credits);
+                const level = normalizeLevel(saved.level);
+                if (credits !== null) entry.credits = credits;
+                if (level) entry.level = level;
+                if (Object.keys(entry).length > 0) state.courses[sectionId] = entry;
+            }
+        }
+        if (Array.isArray(raw.terms)) {
+            state.terms = raw.terms.slice(0, MAX_TERMS).map(normalizeTerm).filter(Boolean);
+        }
+        return state;
+    }
+
+    // "Course, letter, credits, level" per line (credits and level optional),
+    // as typed into the past term box on /settings. Returns { courses, errors }.
+    function parseTermText(text) {
+        const courses = [];
+        const errors = [];
+        String(text || '').split(/\r?\n/).forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            const parts = trimmed.split(',').map(part => part.trim());
+            const [name, letter, creditsText, levelText] = parts;
+            const key = String(letter || '').toUpperCase();
+            const hasPoints = Object.prototype.hasOwnProperty.call(GradingScales.LETTER_POINTS, key);
+            const credits = creditsText === undefined || creditsText === '' ? DEFAULT_CREDITS : normalizeCredits(creditsText);
+            const level = levelText === undefined || levelText === '' ? suggestLevel(name) : normalizeLevel(levelText.toLowerCase());
+            if (parts.length > 4 || !name || !hasPoints || credits === null || !level) {
+                errors.push(`Line ${i + 1}: expected "course, letter, credits, regular|honors|ap", got "${trimmed}"`);
+                return;
+            }
+            courses.push({ name, letter: key, points: GradingScales.LETTER_POINTS[key], credits, level });
+        });
+        return { courses, errors };
+    }
+
+    function formatTermText(term) {
+        return ((term && term.courses) || [])
+            .map(course => [course.name, course.letter, course.credits, course.level].join(', '))
+            .join('\n');
+    }
+
+    return {
+        LEVELS,
+        DEFAULT_LEVEL,
+        DEFAULT_CREDITS,
+        MAX_CREDITS,
+        UNWEIGHTED_MAX,
+        suggestLevel,
+        courseSettings,
+        coursePoints,
+        calculateGpa,
+        cumulativeGpa,
+        normalizeTerm,
+        normalizeState,
+        parseTermText,
+        formatTermText
+    };
+});
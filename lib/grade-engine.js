@@ -0,0 +1,288 @@
+// ============================================================
+// Grade Engine
+// ============================================================
+// Computes a section grade the way Schoology does, from grading categories and
+// assignment scores. Shared by the server (lib code, required normally) and the
+// grades page (served as /js/grade-engine.js, exposed as window.GradeEngine), so
+// what-if edits and the server-side discrepancy check use the same rules:
+//
+//   - weighted categories: each category's percentage counts for its weight;
+//     categories with nothing graded yet are left out and the remaining weights
+//     are scaled back up to 100
+//   - total points: with no category weights, earned / possible over everything
+//   - drop lowest: a category's `dropLowest` lowest scores (by percentage) are
+//     ignored, keeping at least one
+//   - extra credit: a score on a 0-point assignment adds to earned points only
+//   - exceptions: excused and incomplete assignments don't count, missing ones
+//     count as 0
+//
+//   const result = GradeEngine.calculateGrade({
+//       categories: [{ id: 1, title: 'Tests', weight: 60, dropLowest: 1 }, ...],
+//       items: [{ id: 'a1', categoryId: 1, grade: 86, max: 100, exception: 0 }, ...]
+//   });
+//   result.percentage  // null when nothing is graded
+//
+// solveForTarget() runs the same calculation backwards: the lowest score on
+// one or more placeholder assignments that still reaches a target grade.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GradeEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const EXCEPTION = {
+        NONE: 0,
+        EXCUSED: 1,
+        MISSING: 2,
+        INCOMPLETE: 3
+    };
+
+    const METHOD = {
+        WEIGHTED: 'weighted',
+        POINTS: 'points'
+    };
+
+    // Differences smaller than this (in percentage points) are rounding, not a
+    // different calculation
+    const DISCREPANCY_TOLERANCE = 0.1;
+
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // The score an item counts with, or null if it doesn't count at all
+    function countedScore(item) {
+        if (item.dropped) return null;
+        const exception = toNumber(item.exception) || EXCEPTION.NONE;
+        if (exception === EXCEPTION.EXCUSED || exception === EXCEPTION.INCOMPLETE) return null;
+        const max = toNumber(item.max);
+        if (max === null || max < 0) return null;
+        let grade = toNumber(item.grade);
+        if (exception === EXCEPTION.MISSING && grade === null) grade = 0;
+        if (grade === null) return null;
+        return { grade, max };
+    }
+
+    // Pick the `count` lowest percentage scores to drop. Extra credit is never
+    // dropped and at least one regular score is always kept.
+    function selectDrops(scored, count) {
+        if (!(count > 0)) return new Set();
+        const regular = scored.filter(entry => entry.max > 0);
+        const droppable = Math.min(count, regular.length - 1);
+        if (droppable <= 0) return new Set();
+        const byPercentage = regular.slice().sort((a, b) => (a.grade / a.max) - (b.grade / b.max));
+        return new Set(byPercentage.slice(0, droppable).map(entry => entry.item));
+    }
+
+    function calculateCategory(category, items) {
+        const scored = [];
+        for (const item of items) {
+            const score = countedScore(item);
+            if (score) scored.push({ item, ...score });
+        }
+        const drops = selectDrops(scored, toNumber(category.dropLowest) || 0);
+
+        let earned = 0;
+        let max = 0;
+        let counted = 0;
+        for (const entry of scored) {
+            if (drops.has(entry.item)) continue;
+            earned += entry.grade;
+            max += entry.max;
+            counted++;
+        }
+
+        return {
+            id: category.id,
+            title: category.title || '',
+            weight: toNumber(category.weight) || 0,
+            effectiveWeight: 0,
+            earned,
+            max,
+            counted,
+            percentage: max > 0 ? (earned / max) * 100 : null,
+            contribution: 0,
+            droppedIds: Array.from(drops).map(item => item.id)
+        };
+    }
+
+    // options:
+    //   categories  - [{ id, title, weight, dropLowest }]
+    //   items       - [{ id, categoryId, grade, max, exception, dropped }]
+    //   method      - METHOD.WEIGHTED or METHOD.POINTS; by default weighted when
+    //                 any category has a weight
+    function calculateGrade({ categories = [], items = [], method = null } = {}) {
+        const weighted = method ? method === METHOD.WEIGHTED : categories.some(c => (toNumber(c.weight) || 0) > 0);
+
+        const itemsByCategory = new Map(categories.map(c => [String(c.id), []]));
+        const uncategorized = [];
+        for (const item of items) {
+            const bucket = itemsByCategory.get(String(item.categoryId));
+            if (bucket) bucket.push(item);
+            else uncategorized.push(item);
+        }
+
+        const results = categories.map(c => calculateCategory(c, itemsByCategory.get(String(c.id))));
+
+        let earned = 0;
+        let max = 0;
+        for (const result of results) {
+            earned += result.earned;
+            max += result.max;
+        }
+
+        let percentage = null;
+        if (weighted) {
+            // Uncategorized assignments don't count toward a weighted grade
+            const active = results.filter(r => r.weight > 0 && r.max > 0);
+            const totalWeight = active.reduce((sum, r) => sum + r.weight, 0);
+            if (totalWeight > 0) {
+                percentage = 0;
+                for (const result of active) {
+                    result.effectiveWeight = (result.weight / totalWeight) * 100;
+                    result.contribution = result.percentage * (result.weight / totalWeight);
+                    percentage += result.contribution;
+                }
+            }
+        } else {
+            const loose = calculateCategory({ id: null }, uncategorized);
+            earned += loose.earned;
+            max += loose.max;
+            if (max > 0) {
+                percentage = (earned / max) * 100;
+                for (const result of results) {
+                    result.effectiveWeight = (result.max / max) * 100;
+                    result.contribution = (result.earned / max) * 100;
+                }
+            }
+        }
+
+        return {
+            method: weighted ? METHOD.WEIGHTED : METHOD.POINTS,
+            percentage,
+            earned,
+            max,
+            categories: results,
+            droppedIds: results.reduce((ids, r) => ids.concat(r.droppedIds), [])
+        };
+    }
+
+    // Weighted average of term grades, e.g. a semester from Q1, Q2 and the final
+    // exam: parts = [{ label, grade, weight }]. Parts without a grade are left
+    // out and the remaining weights scaled back up, like empty categories.
+    function combineWeightedGrades(parts = []) {
+        let total = 0;
+        let totalWeight = 0;
+        let missingWeight = 0;
+        for (const part of parts) {
+            const weight = toNumber(part.weight) || 0;
+            if (weight <= 0) continue;
+            const grade = toNumber(part.grade);
+            if (grade === null) {
+                missingWeight += weight;
+                continue;
+            }
+            total += grade * weight;
+            totalWeight += weight;
+        }
+        return {
+            grade: totalWeight > 0 ? total / totalWeight : null,
+            countedWeight: totalWeight,
+            missingWeight
+        };
+    }
+
+    // Lowest score on the placeholder assignments that gets the grade to `target`
+    // percent. Every placeholder gets the same percentage of its points, e.g. a
+    // 200-point final and a 10-point homework both at 87.5%.
+    //
+    //   input        - calculateGrade() options; items with a placeholder's id
+    //                  are replaced by the placeholder
+    //   placeholders - [{ id, title, categoryId, max }]
+    //
+    // Returns null without a target or a placeholder worth points, otherwise
+    // { status, target, percentage, scores: [{ id, title, max, needed }], floor, ceiling }
+    // where status is 'achieved' (reached even with zeros), 'possible' or
+    // 'impossible' (not reached even with full marks; percentage is null), and
+    // floor/ceiling are the grades with zeros and with full marks.
+    function solveForTarget(input = {}, target, placeholders = []) {
+        const goal = toNumber(target);
+        const slots = placeholders.filter(p => (toNumber(p.max) || 0) > 0);
+        if (goal === null || slots.length === 0) return null;
+
+        const replaced = new Set(slots.map(p => String(p.id)));
+        const others = (input.items || []).filter(item => !replaced.has(String(item.id)));
+        const gradeAt = fraction => calculateGrade({
+            categories: input.categories,
+            method: input.method,
+            items: others.concat(slots.map(p => ({
+                id: p.id,
+                categoryId: p.categoryId,
+                grade: toNumber(p.max) * fraction,
+                max: toNumber(p.max),
+                exception: EXCEPTION.NONE
+            })))
+        }).percentage;
+
+        const floor = gradeAt(0);
+        const ceiling = gradeAt(1);
+        let status;
+        let fraction = null;
+        if (floor !== null && floor >= goal) {
+            status = 'achieved';
+            fraction = 0;
+        } else if (ceiling === null || ceiling < goal) {
+            status = 'impossible';
+        } else {
+            // The grade never goes down as the placeholder score goes up, so
+            // bisect; 40 rounds is far below a hundredth of a point
+            let low = 0;
+            let high = 1;
+            for (let i = 0; i < 40; i++) {
+                const mid = (low + high) / 2;
+                if (gradeAt(mid) >= goal) high = mid;
+                else low = mid;
+            }
+            status = 'possible';
+            fraction = high;
+        }
+
+        return {
+            status,
+            target: goal,
+            percentage: fraction === null ? null : fraction * 100,
+            scores: slots.map(p => ({
+                id: p.id,
+                title: p.title || '',
+                max: toNumber(p.max),
+                needed: fraction === null ? null : toNumber(p.max) * fraction
+            })),
+            floor,
+            ceiling
+        };
+    }
+
+    // Compare a calculated percentage with the official one from Schoology.
+    // Returns null when either side is missing.
+    function compareWithOfficial(calculated, official, tolerance = DISCREPANCY_TOLERANCE) {
+        const calc = toNumber(calculated);
+        const off = toNumber(official);
+        if (calc === null || off === null) return null;
+        const difference = calc - off;
+        return { calculated: calc, official: off, difference, matches: Math.abs(difference) <= tolerance };
+    }
+
+    return {
+        calculateGrade,
+        combineWeightedGrades,
+        solveForTarget,
+        compareWithOfficial,
+        EXCEPTION,
+        METHOD,
+        DISCREPANCY_TOLERANCE
+    };
+});
@@ -0,0 +1,208 @@
+// ============================================================
+// Final Grade Resolution
+// ============================================================
+// Schoology exposes a course's final grade in several places and none of them
+// is reliable on its own: the user-level /users/{id}/grades response, a
+// "Final Grade" period inside it, the per-section /sections/{id}/grades
+// endpoint (often 403 for students), enrollments, and linked sections whose
+// assignments are graded under a sibling section id.
+//
+// resolveSectionGrades() checks those sources in one fixed order and returns a
+// single result per section, so every page shows the same number for the same
+// course. Each result records which source supplied the grade (`source`).
+// Fetching is left to the caller (see resolveGradesForRequest in server.js).
+
+const GRADE_SOURCES = {
+    USER_GRADES: 'user-grades',       // final_grade in /users/{id}/grades
+    FINAL_PERIOD: 'final-period',     // "Final Grade"/"Overall" period row in /users/{id}/grades
+    ENROLLMENT: 'enrollment',         // grade on the user's enrollment
+    SECTION_GRADES: 'section-grades', // /sections/{id}/grades (or its assignment fallback)
+    LINKED_SECTION: 'linked-section', // final grade of the section the assignments are graded under
+    NONE: 'none'
+};
+
+const SOURCE_LABELS = {
+    [GRADE_SOURCES.USER_GRADES]: 'Official grade from Schoology',
+    [GRADE_SOURCES.FINAL_PERIOD]: 'Final grade period from Schoology',
+    [GRADE_SOURCES.ENROLLMENT]: 'Grade from your Schoology enrollment',
+    [GRADE_SOURCES.SECTION_GRADES]: 'Grade from the Schoology section gradebook',
+    [GRADE_SOURCES.LINKED_SECTION]: 'Grade from a linked Schoology section'
+};
+
+// Numeric grade from a number, numeric string, { grade } object or array of those
+function parseGradeValue(value) {
+    if (value === undefined || value === null) return null;
+    if (Array.isArray(value)) {
+        for (const entry of value) {
+            const parsed = parseGradeValue(entry);
+            if (parsed !== null) return parsed;
+        }
+        return null;
+    }
+    if (typeof value === 'object') {
+        return value.grade !== undefined ? parseGradeValue(value.grade) : null;
+    }
+    if (typeof value === 'string' && value.trim() === '') return null;
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function isFinalPeriod(period) {
+    return period.period_id === 'final' || period.period_title === 'Final Grade' || period.period_title === 'Overall';
+}
+
+// Section-level grade rows from any grades response shape:
+// { section: [...] }, { section: {...} }, { grades: ... } (assignment fallback) or a bare section object
+function normalizeGradeSections(data) {
+    if (!data) return [];
+    if (Array.isArray(data)) return data;
+    if (data.section) return Array.isArray(data.section) ? data.section : [data.section];
+    if (data.grades) return Array.isArray(data.grades) ? data.grades : [data.grades];
+    if (data.section_id || data.final_grade !== undefined || data.period) return [data];
+    return [];
+}
+
+// { grade, source } from one section grade row, checking final_grade, then a
+// final period row, then a bare `grade` property
+function extractFinalGrade(sec, source) {
+    const fromFinal = parseGradeValue(sec.final_grade);
+    if (fromFinal !== null) return { grade: fromFinal, source };
+
+    for (const period of sec.period || []) {
+        if (!isFinalPeriod(period)) continue;
+        const rows = period.assignment || [];
+        const fromPeriod = rows.length > 0 ? parseGradeValue(rows[0].grade) : null;
+        if (fromPeriod !== null) {
+            return { grade: fromPeriod, source: source === GRADE_SOURCES.USER_GRADES ? GRADE_SOURCES.FINAL_PERIOD : source };
+        }
+    }
+
+    const fromGrade = parseGradeValue(sec.grade);
+    if (fromGrade !== null) return { grade: fromGrade, source };
+    return null;
+}
+
+function hasAssignmentRows(sec) {
+    return (sec.period || []).some(period => (period.assignment || []).length > 0);
+}
+
+function getSectionId(section) {
+    const id = section.id || section.section_id || section.sectionId;
+    return id !== undefined && id !== null ? String(id) : null;
+}
+
+// Resolve the final grade of every section.
+//   sections              - sections from /users/{id}/sections
+//   userGrades            - /users/{id}/grades response (may be null)
+//   sectionGrades         - { [sectionId]: /sections/{id}/grades response } for sections fetched individually
+//   enrollments           - /users/{id}/enrollments rows
+//   forbidden             - { [sectionId]: true } for sections whose gradebook returned 403
+//   assignmentsBySection  - { [sectionId]: assignments } used to detect linked sections
+// Returns { [sectionId]: { sectionId, grade, source, hasGrades, unavailable } }
+function resolveSectionGrades({ sections = [], userGrades = null, sectionGrades = {}, enrollments = [], forbidden = {}, assignmentsBySection = {} } = {}) {
+    const userRows = {};
+    const userFinals = {};
+    const assignmentOwner = {};
+    for (const sec of normalizeGradeSections(userGrades)) {
+        const sid = String(sec.section_id);
+        userRows[sid] = sec;
+        const found = extractFinalGrade(sec, GRADE_SOURCES.USER_GRADES);
+        if (found) userFinals[sid] = found;
+        for (const period of sec.period || []) {
+            for (const row of period.assignment || []) {
+                assignmentOwner[String(row.assignment_id)] = sid;
+            }
+        }
+    }
+
+    const enrollmentGrades = {};
+    for (const enrollment of enrollments || []) {
+        if (!enrollment || !enrollment.section_id) continue;
+        const grade = parseGradeValue(enrollment.grade);
+        if (grade !== null) enrollmentGrades[String(enrollment.section_id)] = grade;
+    }
+
+    const results = {};
+    for (const section of sections || []) {
+        const sid = getSectionId(section);
+        if (sid === null) continue;
+
+        const userRow = userRows[sid];
+        const sectionRows = sectionGrades[sid] ? normalizeGradeSections(sectionGrades[sid]) : [];
+        let found = userFinals[sid] || null;
+
+        if (!found && enrollmentGrades[sid] !== undefined) {
+            found = { grade: enrollmentGrades[sid], source: GRADE_SOURCES.ENROLLMENT };
+        }
+        if (!found) {
+            for (const sec of sectionRows) {
+                found = extractFinalGrade(sec, GRADE_SOURCES.SECTION_GRADES);
+                if (found) break;
+            }
+        }
+        if (!found) {
+            // Assignments of this section graded under a sibling section that has a final grade
+            for (const assignment of assignmentsBySection[sid] || []) {
+                const owner = assignmentOwner[String(assignment.id)];
+                if (owner && owner !== sid && userFinals[owner]) {
+                    found = { grade: userFinals[owner].grade, source: GRADE_SOURCES.LINKED_SECTION, linkedSectionId: owner };
+                    break;
+                }
+            }
+        }
+
+        const hasGrades = !!(userRow && hasAssignmentRows(userRow)) || sectionRows.some(hasAssignmentRows);
+        results[sid] = {
+            sectionId: sid,
+            grade: found ? found.grade : null,
+            source: found ? found.source : GRADE_SOURCES.NONE,
+            linkedSectionId: found && found.linkedSectionId ? found.linkedSectionId : null,
+            hasGrades,
+            unavailable: !found && !!forbidden[sid] && sectionRows.length === 0
+        };
+    }
+    return results;
+}
+
+// Sections that still need a per-section fetch after resolveSectionGrades()
+function getUnresolvedSectionIds(resolved) {
+    return Object.values(resolved).filter(r => r.grade === null).map(r => r.sectionId);
+}
+
+// Copy resolved grades onto section objects using the fields the views read
+function applyGradeResolution(sections, resolved) {
+    if (!sections || !Array.isArray(sections)) return sections || [];
+    return sections.map(section => {
+        const id = section.id || section.section_id || section.sectionId || null;
+        const result = id !== null ? resolved[String(id)] : null;
+        if (!result) return { ...section, id };
+        return {
+            ...section,
+            id,
+            final_grade: result.grade,
+            grade_source: result.source,
+            has_grades: result.hasGrades,
+            grade_unavailable: result.unavailable
+        };
+    });
+}
+
+function describeGradeSource(result) {
+    if (!result) return 'No grade available from Schoology';
+    if (result.grade !== null) return SOURCE_LABELS[result.source] || 'Grade from Schoology';
+    if (result.unavailable) return "Schoology does not share this section's gradebook";
+    if (result.hasGrades) return 'Schoology has assignment grades but no final grade';
+    return 'No grade available from Schoology';
+}
+
+module.exports = {
+    GRADE_SOURCES,
+    parseGradeValue,
+    isFinalPeriod,
+    normalizeGradeSections,
+    extractFinalGrade,
+    resolveSectionGrades,
+    getUnresolvedSectionIds,
+    applyGradeResolution,
+    describeGradeSource
+};
@@ -0,0 +1,110 @@
+// ============================================================
+// Grading Periods
+// ============================================================
+// /users/{id}/grades groups each section's assignment grades by grading period
+// (quarters, semesters) and lists a final_grade entry per period, with the
+// period's grade and its weight when the school sets one:
+//
+//   { section_id, final_grade: [{ period_id, grade, weight }],
+//     period: [{ period_id, period_title, assignment: [...] }] }
+//
+// These helpers keep those periods instead of flattening them, so the grades
+// page can show one term at a time and combine terms into a semester grade.
+
+const { parseGradeValue, isFinalPeriod } = require('./grade-resolution');
+
+const ALL_PERIODS = 'all';
+
+function asArray(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+}
+
+// The grading periods of one section grade row, in response order:
+// [{ id, title, grade, weight, assignmentCount }]. The "Final Grade"/"Overall"
+// pseudo-period is left out; its grade is the course's final grade.
+function extractSectionPeriods(sec) {
+    if (!sec) return [];
+    const finals = new Map();
+    for (const entry of asArray(sec.final_grade)) {
+        if (entry && typeof entry === 'object' && entry.period_id !== undefined) finals.set(String(entry.period_id), entry);
+    }
+
+    const periods = [];
+    for (const period of sec.period || []) {
+        if (isFinalPeriod(period) || period.period_id === undefined || period.period_id === null) continue;
+        const id = String(period.period_id);
+        const final = finals.get(id);
+        periods.push({
+            id,
+            title: period.period_title || `Period ${id}`,
+            grade: final ? parseGradeValue(final.grade) : null,
+            weight: final ? parseGradeValue(final.weight) : null,
+            assignmentCount: (period.assignment || []).length
+        });
+    }
+    return periods;
+}
+
+// Every grading period across sections, once each, for the period switcher:
+// [{ id, title, assignmentCount }]
+function collectGradingPeriods(periodLists) {
+    const byId = new Map();
+    for (const periods of periodLists) {
+        for (const period of periods) {
+            const known = byId.get(period.id);
+            if (known) known.assignmentCount += period.assignmentCount;
+            else byId.set(period.id, { id: period.id, title: period.title, assignmentCount: period.assignmentCount });
+        }
+    }
+    return Array.from(byId.values());
+}
+
+// The period to show: the requested one if it exists, otherwise the latest
+// period with graded work (Schoology lists periods oldest first)
+function selectPeriod(periods, requested) {
+    if (requested === ALL_PERIODS) return ALL_PERIODS;
+    if (requested && periods.some(p => p.id === String(requested))) return String(requested);
+    const withGrades = periods.filter(p => p.assignmentCount > 0);
+    if (withGrades.length > 0) return withGrades[withGrades.length - 1].id;
+    return ALL_PERIODS;
+}
+
+// Whether a grade row belongs to the selected period. Rows Schoology didn't
+// place in a period (e.g. ungraded assignments) are shown in every period.
+function isInPeriod(periodId, selected) {
+    if (selected === ALL_PERIODS) return true;
+    if (periodId === null || periodId === undefined || periodId === '') return true;
+    return String(periodId) === selected;
+}
+
+// Default share of a semester for the final exam when Schoology has no period weights
+const DEFAULT_EXAM_WEIGHT = 20;
+
+// Rows for the semester calculator: each period with its Schoology grade and
+// weight, then a final exam row. Without Schoology weights the periods split
+// what the exam leaves evenly. The selected period falls back to `currentGrade`
+// (our calculation) when Schoology has no grade for it yet.
+function buildSemesterParts(periods, selected, currentGrade = null) {
+    const hasWeights = periods.some(p => p.weight !== null && p.weight > 0);
+    const evenShare = periods.length > 0 ? (100 - DEFAULT_EXAM_WEIGHT) / periods.length : 0;
+    const round = value => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+    const parts = periods.map(period => ({
+        key: `period-${period.id}`,
+        label: period.title,
+        grade: round(period.grade !== null ? period.grade : (period.id === selected ? currentGrade : null)),
+        weight: round(hasWeights ? (period.weight || 0) : evenShare)
+    }));
+    parts.push({ key: 'final-exam', label: 'Final exam', grade: null, weight: hasWeights ? 0 : DEFAULT_EXAM_WEIGHT });
+    return parts;
+}
+
+module.exports = {
+    ALL_PERIODS,
+    extractSectionPeriods,
+    collectGradingPeriods,
+    selectPeriod,
+    isInPeriod,
+    buildSemesterParts
+};
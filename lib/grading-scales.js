@@ -0,0 +1,287 @@
+// ============================================================
+// Grading Scales
+// ============================================================
+// Letter grades and GPA points for a percentage, per course. A scale is
+//
+//   { id, title, rounding, levels: [{ letter, cutoff, points }], source }
+//
+// with levels sorted from the highest cutoff down. A percentage gets the first
+// level whose cutoff it reaches, or the lowest level below every cutoff.
+// `rounding` is 'none' (89.99 is still a B+) or 'nearest' (89.5 counts as 90).
+// `points` is the level's GPA value, null when the letter has none. An optional
+// `gpaRounding` overrides `rounding` for GPA points only.
+//
+// Shared by the server (course cards) and the browser (grades page, settings
+// page; served as /js/grading-scales.js, exposed as window.GradingScales), like
+// lib/grade-engine.js. Which scale a course uses is decided by resolveScale():
+// the student's override from /settings, else the section's scale from
+// Schoology, else STANDARD.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GradingScales = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ROUNDING = {
+        NONE: 'none',
+        NEAREST: 'nearest'
+    };
+
+    function levels(rows) {
+        return rows.map(([letter, cutoff, points]) => ({ letter, cutoff, points }));
+    }
+
+    const PRESETS = {
+        standard: {
+            id: 'standard',
+            title: 'Standard (A 93, A- 90, B+ 87 … 4.0)',
+            rounding: ROUNDING.NONE,
+            // GPA points have always come from the rounded percentage (89.6 -> 3.7)
+            gpaRounding: ROUNDING.NEAREST,
+            levels: levels([
+                ['A+', 97, 4.0], ['A', 93, 4.0], ['A-', 90, 3.7],
+                ['B+', 87, 3.3], ['B', 83, 3.0], ['B-', 80, 2.7],
+                ['C+', 77, 2.3], ['C', 73, 2.0], ['C-', 70, 1.7],
+                ['D+', 67, 1.3], ['D', 63, 1.0], ['D-', 60, 0.7],
+                ['F', 0, 0]
+            ])
+        },
+        'ten-point': {
+            id: 'ten-point',
+            title: '10-point (A 90, B 80, C 70, D 60 … 4.0)',
+            rounding: ROUNDING.NONE,
+            levels: levels([['A', 90, 4.0], ['B', 80, 3.0], ['C', 70, 2.0], ['D', 60, 1.0], ['F', 0, 0]])
+        },
+        'five-point': {
+            id: 'five-point',
+            title: '5-point honors/AP (A 93 = 5.0, B 83 = 4.0 …)',
+            rounding: ROUNDING.NONE,
+            levels: levels([
+                ['A+', 97, 5.0], ['A', 93, 5.0], ['A-', 90, 4.7],
+                ['B+', 87, 4.3], ['B', 83, 4.0], ['B-', 80, 3.7],
+                ['C+', 77, 3.3], ['C', 73, 3.0], ['C-', 70, 2.7],
+                ['D+', 67, 2.3], ['D', 63, 2.0], ['D-', 60, 1.7],
+                ['F', 0, 0]
+            ])
+        }
+    };
+
+    const DEFAULT_PRESET = 'standard';
+
+    // GPA points for letters on scales that don't carry any (Schoology's)
+    const LETTER_POINTS = {
+        'A+': 4.0, 'A': 4.0, 'A-': 3.7,
+        'B+': 3.3, 'B': 3.0, 'B-': 2.7,
+        'C+': 2.3, 'C': 2.0, 'C-': 1.7,
+        'D+': 1.3, 'D': 1.0, 'D-': 0.7,
+        'E': 0, 'F': 0
+    };
+
+    const MAX_LEVELS = 30;
+    const MAX_LETTER_LENGTH = 12;
+
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // A clean copy of a scale, or null if it has no usable levels
+    function normalizeScale(raw) {
+        if (!raw || typeof raw !== 'object' || !Array.isArray(raw.levels)) return null;
+        const seen = new Set();
+        const clean = [];
+        for (const level of raw.levels.slice(0, MAX_LEVELS)) {
+            if (!level) continue;
+            const letter = String(level.letter === undefined || level.letter === null ? '' : level.letter).trim().slice(0, MAX_LETTER_LENGTH);
+            const cutoff = toNumber(level.cutoff);
+            if (!letter || cutoff === null || seen.has(letter.toUpperCase())) continue;
+            seen.add(letter.toUpperCase());
+            clean.push({ letter, cutoff, points: toNumber(level.points) });
+        }
+        if (clean.length === 0) return null;
+        clean.sort((a, b) => b.cutoff - a.cutoff);
+        return {
+            id: raw.id !== undefined && raw.id !== null ? String(raw.id) : 'custom',
+            title: raw.title ? String(raw.title) : 'Custom',
+            rounding: raw.rounding === ROUNDING.NEAREST ? ROUNDING.NEAREST : ROUNDING.NONE,
+            levels: clean,
+            source: raw.source || 'custom'
+        };
+    }
+
+    // A scale from Schoology's /sections/{id}/grading_scales:
+    //   { id, title, scale: { level: [{ grade: 'A', cutoff: 90 }, ...] } }
+    function fromSchoology(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const rawLevels = (raw.scale && (raw.scale.level || raw.scale.levels)) || raw.level || raw.levels || [];
+        const list = Array.isArray(rawLevels) ? rawLevels : [rawLevels];
+        return normalizeScale({
+            id: raw.id,
+            title: raw.title || 'Schoology scale',
+            levels: list.map(level => {
+                const letter = level && (level.grade !== undefined ? level.grade : level.letter);
+                const key = String(letter === undefined || letter === null ? '' : letter).trim().toUpperCase();
+                return {
+                    letter,
+                    cutoff: level && level.cutoff,
+                    points: Object.prototype.hasOwnProperty.call(LETTER_POINTS, key) ? LETTER_POINTS[key] : null
+                };
+            }),
+            source: 'schoology'
+        });
+    }
+
+    // The section's scale among its Schoology scales: the one its final grades
+    // name in scale_id, or its only scale
+    function pickSchoologyScale(scales, finalGrades = []) {
+        const list = Array.isArray(scales) ? scales : [];
+        const used = new Set((Array.isArray(finalGrades) ? finalGrades : [])
+            .map(entry => String((entry && entry.scale_id) || ''))
+            .filter(id => id && id !== '0'));
+        const match = list.find(scale => scale && used.has(String(scale.id))) || (list.length === 1 ? list[0] : null);
+        return match ? fromSchoology(match) : null;
+    }
+
+    function presetScale(name, source) {
+        const preset = PRESETS[name] || PRESETS[DEFAULT_PRESET];
+        return { ...preset, levels: preset.levels.map(level => ({ ...level })), source };
+    }
+
+    // The scale a course uses:
+    //   override  - the student's choice from /settings:
+    //               { preset: 'schoology' | <PRESETS key> | 'custom', rounding, levels }
+    //   schoology - the section's scale from fromSchoology(), or null
+    function resolveScale({ override = null, schoology = null } = {}) {
+        let scale = null;
+        const preset = override && override.preset;
+        if (preset === 'custom') {
+            scale = normalizeScale({ ...override, id: 'custom', title: override.title || 'Custom', source: 'custom' });
+        } else if (preset && PRESETS[preset]) {
+            scale = presetScale(preset, 'preset');
+        }
+        if (!scale && schoology) scale = { ...schoology, levels: schoology.levels.map(level => ({ ...level })) };
+        if (!scale) scale = presetScale(DEFAULT_PRESET, 'default');
+        if (override && (override.rounding === ROUNDING.NONE || override.rounding === ROUNDING.NEAREST)) {
+            scale.rounding = override.rounding;
+            delete scale.gpaRounding; // the student's choice applies to GPA points too
+        }
+        return scale;
+    }
+
+    function scaleOrDefault(scale) {
+        return scale && Array.isArray(scale.levels) && scale.levels.length > 0 ? scale : PRESETS[DEFAULT_PRESET];
+    }
+
+    // The level for a percentage, or null without one
+    function levelFor(scale, percentage) {
+        const pct = toNumber(percentage);
+        if (pct === null) return null;
+        const s = scaleOrDefault(scale);
+        const value = s.rounding === ROUNDING.NEAREST ? Math.round(pct) : pct;
+        for (const level of s.levels) {
+            if (value >= level.cutoff) return level;
+        }
+        return s.levels[s.levels.length - 1];
+    }
+
+    function letterFor(scale, percentage) {
+        const level = levelFor(scale, percentage);
+        return level ? level.letter : '';
+    }
+
+    // GPA points for a percentage, or null when its letter has none
+    function pointsFor(scale, percentage) {
+        const s = scaleOrDefault(scale);
+        const level = levelFor(s.gpaRounding ? { ...s, rounding: s.gpaRounding } : s, percentage);
+        return level && level.points !== null && level.points !== undefined ? level.points : null;
+    }
+
+    function maxPoints(scale) {
+        const points = scaleOrDefault(scale).levels.map(level => level.points).filter(p => p !== null && p !== undefined);
+        return points.length ? Math.max(...points) : null;
+    }
+
+    // The level for a letter (case-insensitive), or null if the scale has none
+    function levelForLetter(scale, letter) {
+        const wanted = String(letter || '').trim().toUpperCase();
+        return scaleOrDefault(scale).levels.find(l => l.letter.toUpperCase() === wanted) || null;
+    }
+
+    // Lowest percentage that earns a letter, or null if the scale has no such
+    // letter. With rounding, 89.5 already counts as 90.
+    function cutoffFor(scale, letter) {
+        const level = levelForLetter(scale, letter);
+        if (!level) return null;
+        return scaleOrDefault(scale).rounding === ROUNDING.NEAREST ? Math.max(0, level.cutoff - 0.5) : level.cutoff;
+    }
+
+    // GPA points for a letter, or null when the scale has no such letter or it
+    // has no points
+    function pointsForLetter(scale, letter) {
+        const level = levelForLetter(scale, letter);
+        return level && level.points !== null && level.points !== undefined ? level.points : null;
+    }
+
+    // grade-a … grade-f color class from the letter, or from the percentage
+    // for letters that don't start with A-F
+    function gradeClassFor(scale, percentage) {
+        const pct = toNumber(percentage);
+        const letter = letterFor(scale, pct).charAt(0).toUpperCase();
+        if ('ABCD'.includes(letter) && letter) return 'grade-' + letter.toLowerCase();
+        if (letter === 'E' || letter === 'F') return 'grade-f';
+        if (pct >= 90) return 'grade-a';
+        if (pct >= 80) return 'grade-b';
+        if (pct >= 70) return 'grade-c';
+        if (pct >= 60) return 'grade-d';
+        return 'grade-f';
+    }
+
+    // "A 93 4.0" per line (letter, cutoff, optional GPA points), as typed into
+    // the custom scale box on /settings. Returns { levels, errors }.
+    function parseScaleText(text) {
+        const parsed = [];
+        const errors = [];
+        String(text || '').split(/\r?\n/).forEach((line, i) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            const parts = trimmed.split(/[\s,]+/);
+            const cutoff = toNumber(parts[1]);
+            const points = parts.length > 2 ? toNumber(parts[2]) : null;
+            if (parts.length < 2 || parts.length > 3 || cutoff === null || (parts.length > 2 && points === null)) {
+                errors.push(`Line ${i + 1}: expected "letter cutoff [points]", got "${trimmed}"`);
+                return;
+            }
+            parsed.push({ letter: parts[0], cutoff, points });
+        });
+        return { levels: parsed, errors };
+    }
+
+    function formatScaleText(scale) {
+        return scaleOrDefault(scale).levels
+            .map(level => [level.letter, level.cutoff, level.points].filter(v => v !== null && v !== undefined).join(' '))
+            .join('\n');
+    }
+
+    return {
+        PRESETS,
+        DEFAULT_PRESET,
+        ROUNDING,
+        LETTER_POINTS,
+        normalizeScale,
+        fromSchoology,
+        pickSchoologyScale,
+        resolveScale,
+        levelFor,
+        letterFor,
+        pointsFor,
+        maxPoints,
+        cutoffFor,
+        pointsForLetter,
+        gradeClassFor,
+        parseScaleText,
+        formatScaleText
+    };
+});
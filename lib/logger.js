@@ -0,0 +1,205 @@
+// ============================================================
+// Structured Logger
+// ============================================================
+// Leveled, per-category logging with request IDs. Configured from the
+// environment:
+//
+//   LOG_LEVEL         debug | info | warn | error | silent (default info)
+//   LOG_CATEGORIES    per-category overrides, comma-separated:
+//                       CACHE            everything from CACHE (debug and up)
+//                       OAUTH-*=debug    prefix match
+//                       QUIZ=warn        only warnings and errors from QUIZ
+//                       -NAV             nothing from NAV
+//   LOG_FORMAT        json (one object per line) | pretty (default: json in production)
+//   LOG_SAMPLE_RATE   share of requests whose debug/info lines are kept, 0-1
+//                     (default 1, or 0.1 in production). Warnings and errors
+//                     are always kept.
+//
+// Every line is redacted (see lib/diagnostics.js) and carries the request ID of
+// the request it was logged for; runWithContext() carries that ID through
+// async calls with AsyncLocalStorage. Filtered lines cost almost nothing: the
+// level check runs before anything is redacted or serialized.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const PRODUCTION_SAMPLE_RATE = 0.1;
+
+// Categories that log every request, response or cache lookup. Untagged
+// debugLog() lines from these are debug level.
+const VERBOSE_CATEGORIES = new Set(['OAUTH-REQUEST', 'OAUTH-RESPONSE', 'CACHE', 'NAV', 'FETCH']);
+
+// Level for a debugLog(category, message, data) line, which has none of its own:
+// ✗ and *-ERROR categories are errors, ⚠️ is a warning, verbose categories and
+// data dumps are debug, anything else is info
+function inferLevel(category, message, data) {
+    const text = String(message);
+    if (text.includes('✗') || category.endsWith('-ERROR')) return 'error';
+    if (text.includes('⚠️')) return 'warn';
+    if (VERBOSE_CATEGORIES.has(category) || (data !== null && data !== undefined)) return 'debug';
+    return 'info';
+}
+
+function parseLevel(value, fallback) {
+    const level = String(value || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : fallback;
+}
+
+// "CACHE,OAUTH-*=debug,-NAV" -> [{ name, prefix, level }]
+function parseCategories(value) {
+    const rules = [];
+    for (const part of String(value || '').split(',')) {
+        const item = part.trim();
+        if (!item) continue;
+        let name = item;
+        let level = 'debug';
+        if (item.startsWith('-')) {
+            name = item.slice(1);
+            level = 'silent';
+        } else if (item.includes('=')) {
+            [name, level] = item.split('=');
+            level = parseLevel(level === 'off' ? 'silent' : level, 'debug');
+        }
+        name = name.trim().toUpperCase();
+        const prefix = name.endsWith('*');
+        rules.push({ name: prefix ? name.slice(0, -1) : name, prefix, level });
+    }
+    return rules;
+}
+
+class Logger {
+    //   level        - minimum level for categories without a rule
+    //   categories   - rules from parseCategories()
+    //   format       - 'json' or 'pretty'
+    //   sampleRate   - share of requests whose debug/info lines are kept
+    //   redact       - value => redacted copy (strings and objects)
+    //   write        - line => void (stdout by default)
+    constructor({ level = 'info', categories = [], format = 'pretty', sampleRate = 1, redact = value => value, write = line => process.stdout.write(line + '\n'), now = Date.now, random = Math.random } = {}) {
+        this.level = parseLevel(level, 'info');
+        this.categories = categories;
+        this.format = format === 'json' ? 'json' : 'pretty';
+        this.sampleRate = Math.min(1, Math.max(0, Number.isFinite(sampleRate) ? sampleRate : 1));
+        this.redact = redact;
+        this.write = write;
+        this.now = now;
+        this.random = random;
+        this.context = new AsyncLocalStorage();
+        this.categoryLevels = new Map(); // category -> resolved minimum level
+        this.stats = { written: 0, filtered: 0, sampledOut: 0 };
+    }
+
+    // Minimum level for a category: the last matching rule wins
+    minLevel(category) {
+        let level = this.categoryLevels.get(category);
+        if (level) return level;
+        level = this.level;
+        for (const rule of this.categories) {
+            if (rule.prefix ? category.startsWith(rule.name) : category === rule.name) level = rule.level;
+        }
+        this.categoryLevels.set(category, level);
+        return level;
+    }
+
+    enabled(level, category) {
+        return LEVELS[level] >= LEVELS[this.minLevel(category)] && LEVELS[level] < LEVELS.silent;
+    }
+
+    // Run fn with `fields` (requestId, userId, ...) attached to every line it logs.
+    // The request's sampling decision is made here.
+    runWithContext(fields, fn) {
+        const store = { ...fields, sampled: this.random() < this.sampleRate };
+        return this.context.run(store, fn);
+    }
+
+    // Add fields (e.g. userId once the session is known) to the current context
+    setContext(fields) {
+        const store = this.context.getStore();
+        if (store) Object.assign(store, fields);
+    }
+
+    currentContext() {
+        return this.context.getStore() || null;
+    }
+
+    newRequestId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    log(level, category, message, data = null) {
+        if (!this.enabled(level, category)) {
+            this.stats.filtered++;
+            return;
+        }
+        const ctx = this.currentContext();
+        if (LEVELS[level] < LEVELS.warn) {
+            const sampled = ctx ? ctx.sampled : this.random() < this.sampleRate;
+            if (!sampled) {
+                this.stats.sampledOut++;
+                return;
+            }
+        }
+
+        const entry = {
+            time: new Date(this.now()).toISOString(),
+            level,
+            category,
+            msg: this.redact(String(message))
+        };
+        if (ctx && ctx.requestId) entry.requestId = ctx.requestId;
+        if (ctx && ctx.userId) entry.userId = ctx.userId;
+        if (data !== null && data !== undefined) entry.data = this.redact(data);
+
+        this.stats.written++;
+        this.write(this.format === 'json' ? JSON.stringify(entry) : this.pretty(entry));
+    }
+
+    pretty(entry) {
+        const tag = entry.level === 'info' ? '' : ` ${entry.level.toUpperCase()}`;
+        const request = entry.requestId ? ` (req ${entry.requestId})` : '';
+        let line = `[${entry.time}]${tag} [${entry.category}] ${entry.msg}${request}`;
+        if (entry.data !== undefined) {
+            line += ' ' + (typeof entry.data === 'object' ? JSON.stringify(entry.data) : String(entry.data));
+        }
+        return line;
+    }
+
+    debug(category, message, data) { this.log('debug', category, message, data); }
+    info(category, message, data) { this.log('info', category, message, data); }
+    warn(category, message, data) { this.log('warn', category, message, data); }
+    error(category, message, data) { this.log('error', category, message, data); }
+
+    // One-line summary of the configuration for the startup banner and /debug
+    describe() {
+        const rules = this.categories.map(rule => `${rule.name}${rule.prefix ? '*' : ''}=${rule.level}`);
+        return `level=${this.level} format=${this.format} sample=${this.sampleRate}${rules.length ? ` categories=${rules.join(',')}` : ''}`;
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+function createLogger({ env = process.env, redact, write } = {}) {
+    const production = env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production';
+    const sampleRate = env.LOG_SAMPLE_RATE !== undefined && env.LOG_SAMPLE_RATE !== ''
+        ? parseFloat(env.LOG_SAMPLE_RATE)
+        : (production ? PRODUCTION_SAMPLE_RATE : 1);
+    return new Logger({
+        level: parseLevel(env.LOG_LEVEL, 'info'),
+        categories: parseCategories(env.LOG_CATEGORIES),
+        format: env.LOG_FORMAT || (production ? 'json' : 'pretty'),
+        sampleRate,
+        redact,
+        write
+    });
+}
+
+module.exports = {
+    Logger,
+    createLogger,
+    inferLevel,
+    parseCategories,
+    LEVELS,
+    VERBOSE_CATEGORIES
+};
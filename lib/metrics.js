@@ -0,0 +1,201 @@
+// ============================================================
+// Metrics
+// ============================================================
+// A small Prometheus-compatible registry (counters, gauges, histograms with
+// labels) rendered in the text exposition format for /metrics:
+//
+//   const metrics = new MetricsRegistry();
+//   const latency = metrics.histogram('schoology_request_duration_seconds', 'Schoology call latency', ['family']);
+//   latency.observe({ family: '/sections/:id' }, 0.42);
+//   res.type('text/plain').send(metrics.render());
+//
+// Gauges can be given a collect() function that is called on every scrape, for
+// values that already live elsewhere (queue depth, browser state).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    // Only declared labels are kept, in declaration order, so series line up
+    seriesFor(labels = {}) {
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = labels[name] !== undefined ? String(labels[name]) : '';
+        const key = JSON.stringify(picked);
+        let series = this.series.get(key);
+        if (!series) {
+            series = this.createSeries(picked);
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+
+    get(labels = {}) {
+        return this.seriesFor(labels).value;
+    }
+
+    lines() {
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    //   collect - optional gauge => void, called before each render to set() current values
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    set(labels = {}, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    lines() {
+        if (this.collect) this.collect(this);
+        return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    createSeries(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels);
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) series.counts[i]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    // Start a timer; calling the returned function observes the elapsed seconds
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    lines() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bucket, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bucket) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames = [], collect = null) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        const out = [];
+        for (const metric of this.metrics.values()) {
+            out.push(...metric.header(), ...metric.lines());
+        }
+        return out.join('\n') + '\n';
+    }
+}
+
+// "/v1/sections/123/assignments/456?limit=200" -> "/sections/:id/assignments/:id",
+// so latency can be grouped per endpoint family without one series per id
+function endpointFamily(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (e) {
+        pathname = String(url).split('?')[0];
+    }
+    return pathname
+        .replace(/^\/v1(?=\/)/, '')
+        .split('/')
+        .map(segment => (/^\d+$/.test(segment) || /^[0-9a-f]{16,}$/i.test(segment) ? ':id' : segment))
+        .join('/') || '/';
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    endpointFamily,
+    DEFAULT_BUCKETS
+};
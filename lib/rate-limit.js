@@ -0,0 +1,95 @@
+// ============================================================
+// Inbound Rate Limiting
+// ============================================================
+// Limits how often one client can hit the app itself, so a single tab stuck
+// refreshing can't spend the Schoology request budget every user shares.
+//
+// Requests are sorted into route groups (first match wins). Each group counts
+// requests per session and per IP address in a fixed window:
+//
+//   { name: 'api', match: req => ..., windowMs: 60000, perSession: 300, perIp: 1500 }
+//
+// A limit of 0 means "no limit" for that key. Counters live in memory, so on
+// Vercel each instance enforces the limits on its own traffic.
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+class InboundRateLimiter {
+    //   groups       - route groups, checked in order
+    //   sessionKey   - req => string identifying the login, or null for anonymous requests
+    constructor({ groups, sessionKey = () => null, now = Date.now }) {
+        this.groups = groups.map(group => ({ windowMs: DEFAULT_WINDOW_MS, perSession: 0, perIp: 0, ...group }));
+        this.sessionKey = sessionKey;
+        this.now = now;
+        this.counters = new Map(); // "<group>|<kind>:<key>" -> { count, resetAt }
+        this.lastSweep = now();
+        this.stats = { limited: 0 };
+    }
+
+    groupFor(req) {
+        return this.groups.find(group => group.match(req)) || null;
+    }
+
+    // Count one request against a counter; returns the counter
+    hit(counterKey, windowMs, now) {
+        let counter = this.counters.get(counterKey);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(counterKey, counter);
+        }
+        counter.count++;
+        return counter;
+    }
+
+    // Drop counters whose window has ended
+    sweep(now) {
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+        this.lastSweep = now;
+    }
+
+    // Count the request and decide whether it may proceed:
+    //   { allowed, group, limitedBy: 'session' | 'ip' | null, retryAfterMs }
+    check(req) {
+        const group = this.groupFor(req);
+        if (!group) return { allowed: true, group: null, limitedBy: null, retryAfterMs: 0 };
+
+        const now = this.now();
+        if (now - this.lastSweep > DEFAULT_WINDOW_MS) this.sweep(now);
+
+        const keys = [];
+        const session = this.sessionKey(req);
+        if (group.perSession && session) keys.push(['session', session, group.perSession]);
+        if (group.perIp && req.ip) keys.push(['ip', req.ip, group.perIp]);
+
+        for (const [kind, key, limit] of keys) {
+            const counter = this.hit(`${group.name}|${kind}:${key}`, group.windowMs, now);
+            if (counter.count > limit) {
+                this.stats.limited++;
+                return { allowed: false, group: group.name, limitedBy: kind, retryAfterMs: counter.resetAt - now };
+            }
+        }
+        return { allowed: true, group: group.name, limitedBy: null, retryAfterMs: 0 };
+    }
+
+    getStats() {
+        return { ...this.stats, trackedKeys: this.counters.size };
+    }
+}
+
+// Override a group's limits from "<perSession>:<perIp>" (e.g. RATE_LIMIT_API=300:1500)
+function applyLimitOverride(group, value) {
+    if (!value) return group;
+    const [perSession, perIp] = String(value).split(':').map(part => parseInt(part, 10));
+    return {
+        ...group,
+        perSession: Number.isFinite(perSession) && perSession >= 0 ? perSession : group.perSession,
+        perIp: Number.isFinite(perIp) && perIp >= 0 ? perIp : group.perIp
+    };
+}
+
+module.exports = {
+    InboundRateLimiter,
+    applyLimitOverride
+};
@@ -0,0 +1,208 @@
+// ============================================================
+// Per-User Record Store
+// ============================================================
+// Durable storage for small per-user JSON records (schedules, notifications).
+// Every user gets their own file so one user's write can never clobber another
+// user's data:
+//
+//   <dir>/<sha256(userId)>.json      current record
+//   <dir>/<sha256(userId)>.json.bak  last good copy, used if the current one is corrupt
+//
+// Files hold an envelope { version, userId, updatedAt, data }. Writes go to a
+// temp file that is fsynced and renamed over the record, so a crash mid-write
+// leaves either the old or the new record, never a partial one. Records written
+// by an older schema are upgraded on load through `migrations`.
+//
+// The API is synchronous on purpose: callers mutate the record returned by
+// get() and then save() it, and Node's single thread keeps that sequence
+// atomic within the process. Without a filesystem (Vercel) records live in
+// memory only.
+
+const crypto = require('crypto');
+const path = require('path');
+
+class RecordStore {
+    //   name           - label used in logs ("schedule", "notifications")
+    //   fs             - the fs module, or null for memory only
+    //   dir            - directory holding the record files
+    //   version        - current schema version (>= 1)
+    //   migrations     - { [n]: data => data } upgrades a record from version n - 1 to n;
+    //                    version 0 is a bare, un-enveloped record from the old shared files
+    //   createDefault  - () => data for users without a record
+    //   log            - (category, message) logger
+    constructor({ name, fs = null, dir = null, version = 1, migrations = {}, createDefault = () => ({}), log = () => {} }) {
+        this.name = name;
+        this.fs = fs;
+        this.dir = dir;
+        this.version = version;
+        this.migrations = migrations;
+        this.createDefault = createDefault;
+        this.log = log;
+        this.records = new Map();    // userId -> data
+        this.readOnly = new Set();   // users whose record was written by a newer schema
+        if (this.fs && this.dir) this.fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    get persistent() {
+        return !!(this.fs && this.dir);
+    }
+
+    fileFor(userId) {
+        return path.join(this.dir, crypto.createHash('sha256').update(String(userId)).digest('hex') + '.json');
+    }
+
+    // Upgrade data from `fromVersion` to the current version
+    migrate(data, fromVersion) {
+        let upgraded = data;
+        for (let v = fromVersion + 1; v <= this.version; v++) {
+            if (this.migrations[v]) upgraded = this.migrations[v](upgraded);
+        }
+        return upgraded;
+    }
+
+    // Parse one record file; null if missing, throws if unreadable
+    readFile(file, userId) {
+        let raw;
+        try {
+            raw = this.fs.readFileSync(file, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        const envelope = JSON.parse(raw);
+        if (!envelope || typeof envelope !== 'object' || !Number.isInteger(envelope.version) || !('data' in envelope)) {
+            throw new Error('not a record envelope');
+        }
+        if (String(envelope.userId) !== String(userId)) {
+            throw new Error('record belongs to another user');
+        }
+        return envelope;
+    }
+
+    load(userId) {
+        const file = this.fileFor(userId);
+        let envelope = null;
+        try {
+            envelope = this.readFile(file, userId);
+        } catch (e) {
+            this.log('STORE', `✗ ${this.name} record for user ${userId} is unreadable (${e.message}), trying last good copy`);
+            envelope = this.recover(userId, file);
+        }
+        if (!envelope) return this.createDefault();
+
+        if (envelope.version > this.version) {
+            // Written by a newer version of the app: use it, but never overwrite it
+            this.log('STORE', `⚠️  ${this.name} record for user ${userId} has schema v${envelope.version} (this app knows v${this.version}), not saving changes`);
+            this.readOnly.add(String(userId));
+            return envelope.data;
+        }
+        if (envelope.version < this.version) {
+            const data = this.migrate(envelope.data, envelope.version);
+            this.log('STORE', `⚡ Migrated ${this.name} record for user ${userId} from v${envelope.version} to v${this.version}`);
+            // A failed write is logged and retried on the next save; the upgraded data is still served
+            this.save(userId, data);
+            return data;
+        }
+        return envelope.data;
+    }
+
+    // Restore the .bak copy after the current file turned out to be corrupt.
+    // The corrupt file is kept next to it for inspection.
+    recover(userId, file) {
+        try {
+            this.fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+        } catch (e) {
+            // nothing to keep
+        }
+        try {
+            const envelope = this.readFile(`${file}.bak`, userId);
+            if (envelope) {
+                this.fs.copyFileSync(`${file}.bak`, file);
+                this.log('STORE', `✓ Restored ${this.name} record for user ${userId} from last good copy`);
+                return envelope;
+            }
+        } catch (e) {
+            this.log('STORE', `✗ Last good ${this.name} copy for user ${userId} is unreadable too (${e.message})`);
+        }
+        this.log('STORE', `⚠️  Starting ${this.name} for user ${userId} from scratch`);
+        return null;
+    }
+
+    write(userId, data) {
+        const file = this.fileFor(userId);
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const envelope = { version: this.version, userId: String(userId), updatedAt: new Date().toISOString(), data };
+        const fd = this.fs.openSync(tmp, 'w');
+        try {
+            this.fs.writeSync(fd, JSON.stringify(envelope, null, 2));
+            this.fs.fsyncSync(fd);
+        } finally {
+            this.fs.closeSync(fd);
+        }
+        // The current file was itself written atomically, so it is the last good copy
+        try {
+            this.fs.copyFileSync(file, `${file}.bak`);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        this.fs.renameSync(tmp, file);
+    }
+
+    // The user's record, loaded from disk on first use. Mutate it and call save().
+    get(userId) {
+        const key = String(userId);
+        if (!this.records.has(key)) {
+            this.records.set(key, this.persistent ? this.load(key) : this.createDefault());
+        }
+        return this.records.get(key);
+    }
+
+    has(userId) {
+        const key = String(userId);
+        if (this.records.has(key)) return true;
+        return this.persistent && this.fs.existsSync(this.fileFor(key));
+    }
+
+    // Store `data` as the user's record (defaults to the object from get())
+    save(userId, data = this.get(userId)) {
+        const key = String(userId);
+        this.records.set(key, data);
+        if (!this.persistent) return true;
+        if (this.readOnly.has(key)) return false;
+        try {
+            this.write(key, data);
+            return true;
+        } catch (e) {
+            this.log('STORE', `✗ Could not save ${this.name} for user ${key}: ${e.message}`);
+            return false;
+        }
+    }
+
+    // One-time import of a legacy shared file ({ [userId]: record }). The legacy
+    // file is left untouched; a marker in `dir` stops the import from running twice.
+    importLegacyFile(legacyPath) {
+        if (!this.persistent) return 0;
+        const marker = path.join(this.dir, '.legacy-imported');
+        if (this.fs.existsSync(marker) || !this.fs.existsSync(legacyPath)) return 0;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(this.fs.readFileSync(legacyPath, 'utf8'));
+        } catch (e) {
+            this.log('STORE', `✗ Could not read legacy ${this.name} file ${legacyPath}: ${e.message}`);
+            return 0;
+        }
+
+        let imported = 0;
+        for (const [userId, record] of Object.entries(legacy || {})) {
+            if (!record || typeof record !== 'object' || this.has(userId)) continue;
+            this.save(userId, this.migrate(record, 0));
+            imported++;
+        }
+        this.fs.writeFileSync(marker, JSON.stringify({ from: legacyPath, imported, at: new Date().toISOString() }));
+        this.log('STORE', `✓ Imported ${imported} ${this.name} record(s) from ${path.basename(legacyPath)}`);
+        return imported;
+    }
+}
+
+module.exports = { RecordStore };
@@ -0,0 +1,230 @@
+// ============================================================
+// Schoology Request Scheduler
+// ============================================================
+// Schoology allows about 50 requests per 5 seconds for the whole app. The
+// scheduler hands out those slots (a sliding window) to queued requests:
+//
+//   - every user (budget key) has their own queue, and queues are served
+//     round-robin, so one user loading 15 sections waits behind their own
+//     requests instead of in front of everyone else's
+//   - each request has a priority; page loads (interactive) are always served
+//     before background sync and cache revalidation (background)
+//
+// Priority normally comes from the async context: wrap background work in
+// runWithPriority(PRIORITY.BACKGROUND, fn) and every request it makes is queued
+// as background. getStats() reports queue depth and wait times, and onWait
+// (if given) is called with (priority, waitMs) as each request starts.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Schoology limit observed: 50 requests per 5 seconds
+const RATE_LIMIT_WINDOW_MS = 5 * 1000; // 5 seconds
+const RATE_LIMIT_MAX = 50; // maximum requests per window
+const RATE_LIMIT_MARGIN = 4; // keep a small margin to avoid hard limit
+
+const PRIORITY = {
+    INTERACTIVE: 'interactive',
+    BACKGROUND: 'background'
+};
+const PRIORITY_ORDER = [PRIORITY.INTERACTIVE, PRIORITY.BACKGROUND]; // served first to last
+const WAIT_SAMPLES = 200; // recent waits kept per priority for percentiles
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+class RequestScheduler {
+    constructor({ windowMs = RATE_LIMIT_WINDOW_MS, max = RATE_LIMIT_MAX, margin = RATE_LIMIT_MARGIN, now = Date.now, onWait = null } = {}) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.margin = margin;
+        this.now = now;
+        this.onWait = onWait;
+        this.timestamps = []; // { at, key } of started requests, oldest first
+        this.levels = new Map(PRIORITY_ORDER.map(priority => [priority, { queues: new Map(), order: [] }]));
+        this.timer = null;
+        this.context = new AsyncLocalStorage();
+        this.stats = {};
+        for (const priority of PRIORITY_ORDER) {
+            this.stats[priority] = { served: 0, totalWaitMs: 0, maxWaitMs: 0, waits: [] };
+        }
+    }
+
+    get capacity() {
+        return this.max - this.margin;
+    }
+
+    // Run fn with every Schoology request it makes queued at `priority`
+    runWithPriority(priority, fn) {
+        return this.context.run(priority, fn);
+    }
+
+    currentPriority() {
+        return this.context.getStore() || PRIORITY.INTERACTIVE;
+    }
+
+    pruneOldTimestamps() {
+        const cutoff = this.now() - this.windowMs;
+        while (this.timestamps.length > 0 && this.timestamps[0].at < cutoff) {
+            this.timestamps.shift();
+        }
+    }
+
+    // Requests that can still start in the current window without waiting
+    available() {
+        this.pruneOldTimestamps();
+        return Math.max(0, this.capacity - this.timestamps.length);
+    }
+
+    // Per-user view of the window: { key: slots used }
+    usage() {
+        this.pruneOldTimestamps();
+        const usage = {};
+        for (const entry of this.timestamps) usage[entry.key] = (usage[entry.key] || 0) + 1;
+        return usage;
+    }
+
+    // Resolves when the request may be sent. `ticket`, if given, receives the
+    // queued job so the request can be promote()d while it waits.
+    wait(key = 'anon', priority = this.currentPriority(), ticket = null) {
+        return new Promise((resolve) => {
+            const job = {
+                key,
+                priority: this.levels.has(priority) ? priority : PRIORITY.INTERACTIVE,
+                enqueuedAt: this.now(),
+                served: false,
+                resolve
+            };
+            if (ticket) ticket.job = job;
+            this.enqueue(job);
+            this.pump();
+        });
+    }
+
+    enqueue(job) {
+        const level = this.levels.get(job.priority);
+        let queue = level.queues.get(job.key);
+        if (!queue) {
+            queue = [];
+            level.queues.set(job.key, queue);
+            level.order.push(job.key);
+        }
+        queue.push(job);
+    }
+
+    dequeue(job) {
+        const level = this.levels.get(job.priority);
+        const queue = level.queues.get(job.key);
+        if (!queue) return;
+        const index = queue.indexOf(job);
+        if (index !== -1) queue.splice(index, 1);
+        if (queue.length === 0) {
+            level.queues.delete(job.key);
+            level.order.splice(level.order.indexOf(job.key), 1);
+        }
+    }
+
+    // Next job: highest priority first, users in turn within a priority
+    next() {
+        for (const priority of PRIORITY_ORDER) {
+            const level = this.levels.get(priority);
+            if (level.order.length === 0) continue;
+            const key = level.order.shift();
+            const queue = level.queues.get(key);
+            const job = queue.shift();
+            if (queue.length > 0) level.order.push(key);
+            else level.queues.delete(key);
+            return job;
+        }
+        return null;
+    }
+
+    // Start as many queued requests as the window allows, then sleep until a slot frees up
+    pump() {
+        this.pruneOldTimestamps();
+        while (this.timestamps.length < this.capacity) {
+            const job = this.next();
+            if (!job) break;
+            const now = this.now();
+            this.timestamps.push({ at: now, key: job.key });
+            job.served = true;
+            this.recordWait(job.priority, now - job.enqueuedAt);
+            job.resolve();
+        }
+
+        if (this.queued() > 0 && !this.timer && this.timestamps.length > 0) {
+            const waitMs = Math.max(10, (this.timestamps[0].at + this.windowMs) - this.now());
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.pump();
+            }, waitMs);
+        }
+    }
+
+    // Move a waiting request up to a higher priority (e.g. a page load joined a
+    // background request for the same URL)
+    promote(ticket, priority) {
+        const job = ticket && ticket.job;
+        if (!job || job.served || !this.levels.has(priority)) return false;
+        if (PRIORITY_ORDER.indexOf(priority) >= PRIORITY_ORDER.indexOf(job.priority)) return false;
+        this.dequeue(job);
+        job.priority = priority;
+        this.enqueue(job);
+        return true;
+    }
+
+    recordWait(priority, waitMs) {
+        const stats = this.stats[priority];
+        stats.served++;
+        stats.totalWaitMs += waitMs;
+        stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+        stats.waits.push(waitMs);
+        if (stats.waits.length > WAIT_SAMPLES) stats.waits.shift();
+        if (this.onWait) this.onWait(priority, waitMs);
+    }
+
+    queued(priority = null) {
+        let count = 0;
+        for (const [levelPriority, level] of this.levels) {
+            if (priority && levelPriority !== priority) continue;
+            for (const queue of level.queues.values()) count += queue.length;
+        }
+        return count;
+    }
+
+    getStats() {
+        const queuedUsers = new Set();
+        for (const level of this.levels.values()) {
+            for (const key of level.queues.keys()) queuedUsers.add(key);
+        }
+        const priorities = {};
+        for (const priority of PRIORITY_ORDER) {
+            const stats = this.stats[priority];
+            const sorted = stats.waits.slice().sort((a, b) => a - b);
+            priorities[priority] = {
+                queued: this.queued(priority),
+                served: stats.served,
+                avgWaitMs: stats.served > 0 ? Math.round(stats.totalWaitMs / stats.served) : 0,
+                p95WaitMs: percentile(sorted, 0.95),
+                maxWaitMs: stats.maxWaitMs
+            };
+        }
+        return {
+            capacity: this.capacity,
+            available: this.available(),
+            queued: this.queued(),
+            queuedUsers: queuedUsers.size,
+            activeUsers: Object.keys(this.usage()).length,
+            priorities
+        };
+    }
+}
+
+module.exports = {
+    RequestScheduler,
+    PRIORITY,
+    RATE_LIMIT_WINDOW_MS,
+    RATE_LIMIT_MAX,
+    RATE_LIMIT_MARGIN
+};
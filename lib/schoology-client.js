@@ -0,0 +1,546 @@
+// ============================================================
+// Schoology OAuth API Client
+// ============================================================
+// Standalone client for the Schoology REST API: OAuth 1.0a request signing,
+// a sliding-window rate limiter, in-flight GET coalescing, 429 retries,
+// redirects, pagination and typed helpers for the endpoints the app uses.
+//
+// The client has no Express dependency. The HTTP transport and the cache are
+// injectable so scripts can reuse it and tests can replay recorded fixtures:
+//
+//   const { SchoologyClient } = require('./lib/schoology-client');
+//   const client = new SchoologyClient({ consumerKey, consumerSecret });
+//   const sections = await client.getSections(token, userId);
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { RequestScheduler, PRIORITY, RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX, RATE_LIMIT_MARGIN } = require('./request-scheduler');
+
+const DEFAULT_API_BASE = 'https://api.schoology.com/v1';
+
+// OAuth 1.0a Helper Functions
+function generateNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function generateTimestamp() {
+    return Math.floor(Date.now() / 1000).toString();
+}
+
+function percentEncode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, function (c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+function generateSignatureBaseString(method, url, params) {
+    // Parse URL to get base URL and query parameters
+    const urlObj = new URL(url);
+    const baseUrl = `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+
+    // Include query parameters from the URL in the signature
+    const allParams = { ...params };
+    urlObj.searchParams.forEach((value, key) => {
+        allParams[key] = value;
+    });
+
+    // Sort parameters alphabetically and build param string
+    const sortedKeys = Object.keys(allParams).sort();
+    const paramString = sortedKeys.map(key => `${percentEncode(key)}=${percentEncode(allParams[key])}`).join('&');
+
+    return `${method.toUpperCase()}&${percentEncode(baseUrl)}&${percentEncode(paramString)}`;
+}
+
+function generateSignature(baseString, consumerSecret, tokenSecret = '') {
+    const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret)}`;
+    const hmac = crypto.createHmac('sha1', signingKey);
+    hmac.update(baseString);
+    return hmac.digest('base64');
+}
+
+function buildAuthorizationHeader(params) {
+    const headerParts = Object.keys(params)
+        .filter(key => key.startsWith('oauth_'))
+        .sort()
+        .map(key => `${percentEncode(key)}="${percentEncode(params[key])}"`)
+        .join(', ');
+
+    return `OAuth realm="", ${headerParts}`;
+}
+
+// Requests are throttled by a RequestScheduler (lib/request-scheduler.js); these
+// control what happens when Schoology answers 429 anyway
+const RATE_LIMIT_RETRY_LIMIT = 4; // number of throttled retries when 429s occur
+const RATE_LIMIT_RETRY_BASE_MS = 1500; // base backoff when Retry-After header missing
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(retryAfterHeader) {
+    let retryAfterMs = RATE_LIMIT_RETRY_BASE_MS;
+    if (retryAfterHeader) {
+        const parsedSeconds = Number.parseInt(retryAfterHeader, 10);
+        if (!Number.isNaN(parsedSeconds) && parsedSeconds > 0) {
+            retryAfterMs = parsedSeconds * 1000;
+        } else {
+            const parsedDate = Date.parse(retryAfterHeader);
+            if (!Number.isNaN(parsedDate)) {
+                retryAfterMs = Math.max(parsedDate - Date.now(), RATE_LIMIT_RETRY_BASE_MS);
+            }
+        }
+    }
+    return retryAfterMs;
+}
+
+// Default transport: HTTP(S) with gzip/deflate/br decoding.
+// Resolves with { statusCode, statusMessage, headers, body } for every HTTP status.
+function httpTransport(requestOptions, body) {
+    const lib = requestOptions.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+        const req = lib.request(requestOptions, (res) => {
+            // Handle compressed responses
+            let responseStream = res;
+            const encoding = res.headers['content-encoding'];
+
+            if (encoding === 'gzip') {
+                responseStream = res.pipe(zlib.createGunzip());
+            } else if (encoding === 'deflate') {
+                responseStream = res.pipe(zlib.createInflate());
+            } else if (encoding === 'br') {
+                responseStream = res.pipe(zlib.createBrotliDecompress());
+            }
+
+            const chunks = [];
+            responseStream.on('data', chunk => chunks.push(chunk));
+            responseStream.on('error', reject);
+            responseStream.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    statusMessage: res.statusMessage,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8')
+                });
+            });
+        });
+
+        req.on('error', reject);
+
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+function createHttpError(statusCode, data) {
+    const err = new Error(`HTTP ${statusCode}: ${String(data).substring(0, 200)}`);
+    err.statusCode = statusCode;
+    return err;
+}
+
+class SchoologyClient {
+    // options:
+    //   consumerKey, consumerSecret  - Schoology API credentials
+    //   apiBase                      - defaults to https://api.schoology.com/v1
+    //   transport(requestOptions, body) - HTTP transport (see httpTransport)
+    //   scheduler                    - RequestScheduler that hands out rate limit slots (one is created by default)
+    //   cache                        - optional { read(key, ttl, cacheOptions, refresh), write(key, data) }
+    //   log(category, message, data) - optional debug logger
+    //   metrics                      - optional { observeRequest(method, url, status, seconds), rateLimited(url, gaveUp) }
+    constructor(options = {}) {
+        this.consumerKey = options.consumerKey;
+        this.consumerSecret = options.consumerSecret;
+        this.apiBase = (options.apiBase || DEFAULT_API_BASE).replace(/\/$/, '');
+        this.transport = options.transport || httpTransport;
+        this.scheduler = options.scheduler || new RequestScheduler();
+        this.cache = options.cache || null;
+        this.log = options.log || (() => {});
+        this.metrics = options.metrics || null;
+        this.retryLimit = options.retryLimit !== undefined ? options.retryLimit : RATE_LIMIT_RETRY_LIMIT;
+
+        // In-flight GET registry: identical concurrent requests (same URL and same access
+        // token) share one upstream call, so they only cost one rate limit slot.
+        this.inFlight = new Map();
+        this.coalescingStats = {
+            upstream: 0,   // GETs that went to Schoology
+            coalesced: 0   // GETs served by joining an in-flight request
+        };
+    }
+
+    url(path) {
+        return `${this.apiBase}${path}`;
+    }
+
+    // --------------------------------------------------------
+    // Core request pipeline: cache -> coalescing -> send
+    // --------------------------------------------------------
+    async request(method, url, token = null, body = null, cacheOptions = {}, retryCount = 0) {
+        // Check cache first if enabled (a cache hit doesn't spend a rate limit slot).
+        // With cacheOptions.staleWhileRevalidate an expired entry is returned immediately
+        // and refreshed in the background; cacheOptions.meta receives the data's age.
+        if (this.cache && cacheOptions.cache && cacheOptions.cacheKey) {
+            const cached = await this.cache.read(cacheOptions.cacheKey, cacheOptions.cacheTTL || 5 * 60 * 1000, cacheOptions,
+                () => this.request(method, url, token, body, { ...cacheOptions, staleWhileRevalidate: false, meta: null }));
+            if (cached) return cached;
+        }
+
+        // Merge identical concurrent GETs into a single upstream call
+        if (method.toUpperCase() === 'GET' && !body && retryCount === 0) {
+            return this.coalesce(method, url, token, cacheOptions);
+        }
+
+        return this.send(method, url, token, body, cacheOptions, retryCount);
+    }
+
+    // Requests made with the same access token share one scheduler queue
+    budgetKey(token) {
+        return token && token.oauth_token
+            ? crypto.createHash('sha1').update(token.oauth_token).digest('hex').substring(0, 16)
+            : 'anon';
+    }
+
+    getInFlightKey(url, token) {
+        return `${this.budgetKey(token)} ${url}`;
+    }
+
+    coalesce(method, url, token, cacheOptions) {
+        const flightKey = this.getInFlightKey(url, token);
+        const inFlight = this.inFlight.get(flightKey);
+
+        if (inFlight) {
+            this.coalescingStats.coalesced++;
+            // A page load must not wait at background priority behind the request it joined
+            this.scheduler.promote(inFlight.ticket, this.scheduler.currentPriority());
+            this.log('OAUTH-REQUEST', `⇉ Joined in-flight request: ${url} (${this.coalescingStats.coalesced} saved so far)`);
+            return inFlight.promise.then((data) => {
+                // The leading request cached under its own key; cache under ours too
+                if (this.cache && cacheOptions.cache && cacheOptions.cacheKey && cacheOptions.cacheKey !== inFlight.cacheKey) {
+                    this.cache.write(cacheOptions.cacheKey, data);
+                }
+                return data;
+            });
+        }
+
+        this.coalescingStats.upstream++;
+        const ticket = {};
+        const promise = this.send(method, url, token, null, { ...cacheOptions, ticket }, 0)
+            .finally(() => this.inFlight.delete(flightKey));
+        this.inFlight.set(flightKey, {
+            promise,
+            ticket,
+            cacheKey: cacheOptions.cache ? cacheOptions.cacheKey : null
+        });
+        return promise;
+    }
+
+    getCoalescingStats() {
+        const total = this.coalescingStats.upstream + this.coalescingStats.coalesced;
+        return {
+            ...this.coalescingStats,
+            inFlight: this.inFlight.size,
+            savedRatio: total > 0 ? this.coalescingStats.coalesced / total : 0
+        };
+    }
+
+    // Build the signed request options for a single call
+    signRequest(method, url, token) {
+        const oauthParams = {
+            oauth_consumer_key: this.consumerKey,
+            oauth_nonce: generateNonce(),
+            oauth_signature_method: 'HMAC-SHA1',
+            oauth_timestamp: generateTimestamp(),
+            oauth_version: '1.0'
+        };
+
+        // Only include oauth_token if we have one
+        if (token && token.oauth_token) {
+            oauthParams.oauth_token = token.oauth_token;
+        }
+
+        this.log('OAUTH-REQUEST', 'OAuth parameters:', {
+            oauth_consumer_key: oauthParams.oauth_consumer_key ? oauthParams.oauth_consumer_key.substring(0, 8) + '...' : 'NOT SET',
+            oauth_nonce: oauthParams.oauth_nonce,
+            oauth_timestamp: oauthParams.oauth_timestamp,
+            oauth_token: oauthParams.oauth_token ? oauthParams.oauth_token.substring(0, 8) + '...' : '(not included)',
+            oauth_signature_method: oauthParams.oauth_signature_method
+        });
+
+        // Generate signature
+        const tokenSecret = token ? token.oauth_token_secret : '';
+        const baseString = generateSignatureBaseString(method, url, oauthParams);
+        this.log('OAUTH-REQUEST', 'Signature base string:', baseString.substring(0, 100) + '...');
+
+        oauthParams.oauth_signature = generateSignature(baseString, this.consumerSecret, tokenSecret);
+        this.log('OAUTH-REQUEST', 'Generated signature:', oauthParams.oauth_signature);
+
+        const authHeader = buildAuthorizationHeader(oauthParams);
+        this.log('OAUTH-REQUEST', 'Authorization header:', authHeader.substring(0, 80) + '...');
+
+        const urlObj = new URL(url);
+
+        // Generate a mobile session cookie (mimics Schoology mobile app)
+        const sessionCookie = `s_mobile=${crypto.randomBytes(16).toString('hex')}`;
+
+        return {
+            protocol: urlObj.protocol,
+            hostname: urlObj.hostname,
+            port: urlObj.port || (urlObj.protocol === 'http:' ? 80 : 443),
+            path: urlObj.pathname + urlObj.search,
+            method: method,
+            headers: {
+                'Authorization': authHeader,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'User-Agent': 'Schoology/1 CFNetwork/3860.100.1 Darwin/25.0.0',
+                'Cookie': sessionCookie,
+                'Connection': 'keep-alive',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Accept-Encoding': 'gzip, deflate, br'
+            }
+        };
+    }
+
+    // Sign and send a single request to Schoology (no cache lookup or coalescing)
+    async send(method, url, token = null, body = null, cacheOptions = {}, retryCount = 0) {
+        // Throttle to avoid 429 from Schoology: wait for this user's turn in the scheduler
+        await this.scheduler.wait(this.budgetKey(token), this.scheduler.currentPriority(), cacheOptions.ticket || null);
+
+        this.log('OAUTH-REQUEST', `Starting ${method} request to: ${url}`);
+        const requestOptions = this.signRequest(method, url, token);
+        this.log('OAUTH-REQUEST', 'Request headers:', {
+            'User-Agent': requestOptions.headers['User-Agent'],
+            'Cookie': requestOptions.headers['Cookie']
+        });
+
+        let res;
+        const startedAt = process.hrtime.bigint();
+        try {
+            res = await this.transport(requestOptions, body ? JSON.stringify(body) : null);
+        } catch (err) {
+            this.log('OAUTH-ERROR', `Request error: ${err.message}`);
+            if (this.metrics) this.metrics.observeRequest(method, url, 'error', Number(process.hrtime.bigint() - startedAt) / 1e9);
+            throw err;
+        }
+        if (this.metrics) this.metrics.observeRequest(method, url, res.statusCode, Number(process.hrtime.bigint() - startedAt) / 1e9);
+
+        const data = res.body || '';
+        this.log('OAUTH-RESPONSE', `Response status: ${res.statusCode} ${res.statusMessage || ''}`);
+        this.log('OAUTH-RESPONSE', 'Response headers:', res.headers);
+        this.log('OAUTH-RESPONSE', `Response body (${data.length} bytes):`, data.substring(0, 500));
+
+        const headers = res.headers || {};
+
+        // Handle redirects manually (need new nonce/timestamp for each)
+        if (res.statusCode >= 300 && res.statusCode < 400 && headers.location) {
+            this.log('OAUTH-RESPONSE', `Following redirect to: ${headers.location}`);
+            const redirectUrl = headers.location.startsWith('http')
+                ? headers.location
+                : `${requestOptions.protocol}//${requestOptions.hostname}${headers.location}`;
+            return this.request(method, redirectUrl, token, body, cacheOptions);
+        }
+
+        if (res.statusCode === 429) {
+            if (this.metrics) this.metrics.rateLimited(url, retryCount >= this.retryLimit);
+            if (retryCount >= this.retryLimit) {
+                this.log('OAUTH-RETRY', `Rate limit reached after ${retryCount} retries`);
+                const err = new Error(`HTTP 429: Rate limit exceeded after ${retryCount} retries`);
+                err.statusCode = 429;
+                throw err;
+            }
+
+            const retryAfterMs = parseRetryAfter(headers['retry-after']);
+            this.log('OAUTH-RETRY', `429 received, retrying after ${retryAfterMs}ms (attempt ${retryCount + 1})`);
+            await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+            return this.request(method, url, token, body, cacheOptions, retryCount + 1);
+        }
+
+        if (res.statusCode >= 400) {
+            this.log('OAUTH-ERROR', `HTTP Error ${res.statusCode}: ${data}`);
+            throw createHttpError(res.statusCode, data);
+        }
+
+        // Check if response is HTML (indicates auth failure or wrong endpoint)
+        if (data.trim().startsWith('<!') || data.trim().startsWith('<html') || data.trim().startsWith('<HTML')) {
+            this.log('OAUTH-ERROR', 'Received HTML instead of JSON - likely auth failure');
+            this.log('OAUTH-ERROR', 'HTML content:', data.substring(0, 300));
+            throw new Error('API returned HTML instead of JSON. This usually means authentication failed or the endpoint is incorrect.');
+        }
+
+        // Try to parse as JSON, otherwise return as string
+        let result;
+        try {
+            result = JSON.parse(data);
+            this.log('OAUTH-RESPONSE', '✓ Successfully parsed JSON response');
+        } catch (e) {
+            this.log('OAUTH-RESPONSE', '✓ Returning raw string response');
+            result = data;
+        }
+
+        // Cache the response if caching is enabled
+        if (this.cache && cacheOptions.cache && cacheOptions.cacheKey) {
+            this.cache.write(cacheOptions.cacheKey, result);
+        }
+
+        return result;
+    }
+
+    get(path, token, cacheOptions = {}) {
+        return this.request('GET', this.url(path), token, null, cacheOptions);
+    }
+
+    // Fetch every page of a list endpoint. Follows the `links.next` URL Schoology
+    // sends with each page; without one the next page is asked for with
+    // page/limit (style 'page') or start/limit (style 'start') pagination.
+    // Each page is cached under `${cacheKey}:page:N` or `${cacheKey}:start:N`.
+    async paginate(path, token, listKey, { limit = 200, maxPages = 20, style = 'page', cacheOptions = {} } = {}) {
+        let all = [];
+        let next = null;
+        for (let n = 0; n < maxPages; n++) {
+            const query = style === 'start'
+                ? `start=${n * limit}&limit=${limit}`
+                : `limit=${limit}&page=${n + 1}`;
+            const pageLabel = style === 'start' ? `start:${n * limit}` : `page:${n + 1}`;
+            const separator = path.includes('?') ? '&' : '?';
+
+            const data = await this.request('GET', next || this.url(`${path}${separator}${query}`), token, null, {
+                ...cacheOptions,
+                staleWhileRevalidate: false,
+                cacheKey: cacheOptions.cacheKey ? `${cacheOptions.cacheKey}:${pageLabel}` : null
+            });
+
+            const page = data && Array.isArray(data[listKey]) ? data[listKey] : [];
+            this.log('FETCH', `✓ ${path} ${pageLabel}: ${page.length} items`);
+            if (page.length === 0) break;
+
+            all = all.concat(page);
+            if (data.links) {
+                next = this.nextPageUrl(data.links);
+                if (!next) break; // last page
+            } else if (page.length < limit) {
+                break; // last page
+            }
+        }
+        return all;
+    }
+
+    // The `links.next` URL of a page, if it points back at this API. Anything
+    // else is ignored so the user's token is never signed for another host.
+    nextPageUrl(links) {
+        const next = links && typeof links.next === 'string' ? links.next : null;
+        return next && next.startsWith(`${this.apiBase}/`) ? next : null;
+    }
+
+    // --------------------------------------------------------
+    // OAuth handshake
+    // --------------------------------------------------------
+    async getRequestToken() {
+        const response = await this.request('GET', this.url('/oauth/request_token'));
+        const params = new URLSearchParams(response);
+        return {
+            oauth_token: params.get('oauth_token'),
+            oauth_token_secret: params.get('oauth_token_secret'),
+            raw: response
+        };
+    }
+
+    async getAccessToken(requestToken) {
+        const response = await this.request('GET', this.url('/oauth/access_token'), requestToken);
+        const params = new URLSearchParams(response);
+        return {
+            oauth_token: params.get('oauth_token'),
+            oauth_token_secret: params.get('oauth_token_secret'),
+            raw: response
+        };
+    }
+
+    // --------------------------------------------------------
+    // Typed endpoint helpers
+    // --------------------------------------------------------
+    getAppUserInfo(token, cacheOptions) {
+        return this.get('/app-user-info', token, cacheOptions);
+    }
+
+    getUser(token, userId, cacheOptions) {
+        return this.get(`/users/${userId}`, token, cacheOptions);
+    }
+
+    // All sections the user is enrolled in (paginated, 200 per page)
+    getSections(token, userId, cacheOptions = {}) {
+        return this.paginate(`/users/${userId}/sections`, token, 'section', { cacheOptions });
+    }
+
+    getSection(token, sectionId, cacheOptions) {
+        return this.get(`/sections/${sectionId}`, token, cacheOptions);
+    }
+
+    // All enrollments for a user (start/limit pagination)
+    getEnrollments(token, userId, cacheOptions = {}) {
+        return this.paginate(`/users/${userId}/enrollments`, token, 'enrollment', { style: 'start', maxPages: 26, cacheOptions });
+    }
+
+    // User-level grades for every section, or one section with options.sectionId
+    getGrades(token, userId, options = {}, cacheOptions) {
+        const query = [];
+        if (options.sectionId) query.push(`section_id=${options.sectionId}`);
+        if (options.withCategoryGrades !== false) query.push('with_category_grades=1');
+        return this.get(`/users/${userId}/grades${query.length ? '?' + query.join('&') : ''}`, token, cacheOptions);
+    }
+
+    getSectionGrades(token, sectionId, options = {}, cacheOptions) {
+        const query = options.assignmentId ? `?assignment_id=${options.assignmentId}` : '';
+        return this.get(`/sections/${sectionId}/grades${query}`, token, cacheOptions);
+    }
+
+    async getAssignments(token, sectionId, options = {}, cacheOptions) {
+        const data = await this.get(`/sections/${sectionId}/assignments?limit=${options.limit || 200}`, token, cacheOptions);
+        return data && Array.isArray(data.assignment) ? data.assignment : [];
+    }
+
+    getAssignment(token, sectionId, assignmentId, options = {}, cacheOptions) {
+        const query = options.withAttachments ? '?with_attachments=1' : '';
+        return this.get(`/sections/${sectionId}/assignments/${assignmentId}${query}`, token, cacheOptions);
+    }
+
+    async getGradingCategories(token, sectionId, cacheOptions) {
+        const data = await this.get(`/sections/${sectionId}/grading_categories`, token, cacheOptions);
+        return data && Array.isArray(data.grading_category) ? data.grading_category : [];
+    }
+
+    // Submission revisions for one user on one assignment (empty when nothing was submitted)
+    async getSubmission(token, sectionId, assignmentId, userId, cacheOptions) {
+        const data = await this.get(`/sections/${sectionId}/submissions/${assignmentId}/${userId}`, token, cacheOptions);
+        if (!data || !data.revision) return [];
+        return Array.isArray(data.revision) ? data.revision : [data.revision];
+    }
+
+    async getFolder(token, courseId, folderId = 0, cacheOptions) {
+        const data = await this.get(`/courses/${courseId}/folder/${folderId}`, token, cacheOptions);
+        return data && Array.isArray(data['folder-item']) ? data['folder-item'] : [];
+    }
+
+    postSubmission(token, sectionId, assignmentId, text) {
+        return this.request('POST', this.url(`/sections/${sectionId}/submissions/${assignmentId}`), token, {
+            revision: { body: text }
+        });
+    }
+}
+
+module.exports = {
+    SchoologyClient,
+    RequestScheduler,
+    PRIORITY,
+    httpTransport,
+    parseRetryAfter,
+    generateNonce,
+    generateTimestamp,
+    percentEncode,
+    generateSignatureBaseString,
+    generateSignature,
+    buildAuthorizationHeader,
+    DEFAULT_API_BASE,
+    RATE_LIMIT_WINDOW_MS,
+    RATE_LIMIT_MAX,
+    RATE_LIMIT_MARGIN,
+    RATE_LIMIT_RETRY_LIMIT,
+    RATE_LIMIT_RETRY_BASE_MS
+};
@@ -0,0 +1,176 @@
+// ============================================================
+// Session Registry
+// ============================================================
+// Every login gets a random login id that is sealed into the access_token
+// cookie and kept on the express session. The registry remembers, per user,
+// which login ids exist and where they were last used, so /settings can list
+// the signed-in devices and revoke them:
+//
+//   { logins: { [loginId]: { id, createdAt, lastSeenAt, userAgent, device, ip,
+//                            sessionId, revokedAt } },
+//     revokedBefore }
+//
+// sessionId is the express-session id the login last used, so revoking can
+// destroy it in the session store. Revoked logins are kept until they would
+// have expired anyway, so a copy of the old cookie can never be restored.
+// revokedBefore is when the user last signed out all devices: logins without
+// a registered id (cookies sealed before the registry, or ids this instance
+// never saw) are only accepted if verified after it (see acceptsUnregistered()).
+//
+// Records live in a RecordStore (one file per user). Without a filesystem the
+// registry only knows logins seen by this instance; unknown login ids are then
+// re-registered instead of rejected (see check()).
+
+const crypto = require('crypto');
+
+const DEFAULT_TOUCH_INTERVAL_MS = 60 * 1000;
+const DEFAULT_RETENTION_MS = 365 * 24 * 60 * 60 * 1000; // as long as the login cookie lives
+
+function createEmptyRegistry() {
+    return { logins: {}, revokedBefore: null };
+}
+
+// "Chrome on Windows" from a user-agent header; good enough to tell devices apart
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    if (!ua) return 'Unknown device';
+
+    let browser = 'Unknown browser';
+    if (/Edg(e|A|iOS)?\//.test(ua)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+    else if (/Firefox\/|FxiOS\//.test(ua)) browser = 'Firefox';
+    else if (/Chrome\/|CriOS\//.test(ua)) browser = 'Chrome';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+
+    let os = null;
+    if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/CrOS/.test(ua)) os = 'ChromeOS';
+    else if (/Windows/.test(ua)) os = 'Windows';
+    else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    return os ? `${browser} on ${os}` : browser;
+}
+
+class SessionRegistry {
+    //   store            - RecordStore holding each user's logins
+    //   touchIntervalMs  - last-seen times are saved at most this often per login
+    //   retentionMs      - how long idle and revoked logins are remembered
+    //   log              - (category, message) logger
+    constructor({ store, touchIntervalMs = DEFAULT_TOUCH_INTERVAL_MS, retentionMs = DEFAULT_RETENTION_MS, now = Date.now, log = () => {} }) {
+        this.store = store;
+        this.touchIntervalMs = touchIntervalMs;
+        this.retentionMs = retentionMs;
+        this.now = now;
+        this.log = log;
+    }
+
+    get persistent() {
+        return this.store.persistent;
+    }
+
+    logins(userId) {
+        const record = this.store.get(userId);
+        if (!record.logins || typeof record.logins !== 'object') record.logins = {};
+        return record.logins;
+    }
+
+    // Forget logins that have expired or were revoked long enough ago
+    prune(userId) {
+        const logins = this.logins(userId);
+        const cutoff = this.now() - this.retentionMs;
+        let removed = 0;
+        for (const [id, login] of Object.entries(logins)) {
+            if ((login.revokedAt || login.lastSeenAt || 0) < cutoff) {
+                delete logins[id];
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Record a new login and return its id. `id` re-registers a known id (see check()).
+    //   details - { userAgent, ip, sessionId }
+    register(userId, details = {}, id = crypto.randomBytes(16).toString('hex')) {
+        this.prune(userId);
+        const now = this.now();
+        this.logins(userId)[id] = {
+            id,
+            createdAt: now,
+            lastSeenAt: now,
+            userAgent: String(details.userAgent || '').slice(0, 300),
+            device: describeUserAgent(details.userAgent),
+            ip: details.ip || null,
+            sessionId: details.sessionId || null,
+            revokedAt: null
+        };
+        this.store.save(userId);
+        this.log('SESSIONS', `✓ Registered login ${id.slice(0, 8)} for user ${userId} (${this.logins(userId)[id].device})`);
+        return id;
+    }
+
+    // 'active', 'revoked' or 'unknown'. Unknown ids only happen when the record
+    // was lost (or never shared, without a filesystem).
+    check(userId, id) {
+        const login = this.logins(userId)[id];
+        if (!login) return 'unknown';
+        return login.revokedAt ? 'revoked' : 'active';
+    }
+
+    // Whether a login without a registered id, last verified at `verifiedAt`,
+    // may be registered now: not if the user signed out all devices since
+    acceptsUnregistered(userId, verifiedAt) {
+        const revokedBefore = this.store.get(userId).revokedBefore;
+        return !revokedBefore || (Number(verifiedAt) || 0) >= revokedBefore;
+    }
+
+    // Note that a login was just used. Saves when something changed or the last
+    // save is older than touchIntervalMs.
+    touch(userId, id, details = {}) {
+        const login = this.logins(userId)[id];
+        if (!login || login.revokedAt) return;
+        const now = this.now();
+        const changed = (details.ip && details.ip !== login.ip) || (details.sessionId && details.sessionId !== login.sessionId);
+        if (!changed && now - login.lastSeenAt < this.touchIntervalMs) return;
+        login.lastSeenAt = now;
+        if (details.ip) login.ip = details.ip;
+        if (details.sessionId) login.sessionId = details.sessionId;
+        this.store.save(userId);
+    }
+
+    // Active logins, most recently used first
+    list(userId) {
+        return Object.values(this.logins(userId))
+            .filter(login => !login.revokedAt)
+            .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    }
+
+    // Revoke one login. Returns the revoked entry, or null if it wasn't active.
+    revoke(userId, id) {
+        const login = this.logins(userId)[id];
+        if (!login || login.revokedAt) return null;
+        login.revokedAt = this.now();
+        this.store.save(userId);
+        this.log('SESSIONS', `⚡ Revoked login ${id.slice(0, 8)} for user ${userId}`);
+        return login;
+    }
+
+    // Revoke every active login except `exceptId`, and every unregistered login
+    // verified before now. Returns the revoked entries.
+    revokeAll(userId, { exceptId = null } = {}) {
+        const now = this.now();
+        const revoked = this.list(userId).filter(login => login.id !== exceptId);
+        for (const login of revoked) login.revokedAt = now;
+        this.store.get(userId).revokedBefore = now;
+        this.store.save(userId);
+        this.log('SESSIONS', `⚡ Revoked ${revoked.length} login(s) for user ${userId}`);
+        return revoked;
+    }
+}
+
+module.exports = {
+    SessionRegistry,
+    createEmptyRegistry,
+    describeUserAgent
+};
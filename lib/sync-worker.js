@@ -0,0 +1,151 @@
+// ============================================================
+// Background Sync Worker
+// ============================================================
+// In-process scheduler that periodically re-syncs Schoology data for users who
+// were active recently, so pages render from a warm cache and notifications
+// appear without anyone pressing refresh.
+//
+// The worker only tracks who to sync and when; the actual fetching is done by
+// the injected syncUser(userId, accessToken) (see syncUserData in server.js).
+// Users are synced one at a time, least recently synced first, and a run stops
+// early when canProceed() reports the shared API rate limit is running low so
+// interactive page loads always keep priority.
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;         // 5 minutes between runs
+const DEFAULT_ACTIVE_WINDOW_MS = 30 * 60 * 1000;   // sync users seen in the last 30 minutes
+const DEFAULT_MAX_USERS_PER_RUN = 10;
+
+class SyncWorker {
+    //   syncUser        - async (userId, accessToken) => void, does the fetching
+    //   intervalMs      - time between runs (0 disables the timer, runOnce() still works)
+    //   activeWindowMs  - users not seen for this long are dropped
+    //   maxUsersPerRun  - cap on users synced in one run
+    //   canProceed      - () => boolean, checked before each user (rate limit headroom)
+    //   log             - (category, message) logger
+    constructor(options = {}) {
+        if (typeof options.syncUser !== 'function') {
+            throw new Error('SyncWorker requires a syncUser function');
+        }
+        this.syncUser = options.syncUser;
+        this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : DEFAULT_INTERVAL_MS;
+        this.activeWindowMs = options.activeWindowMs || DEFAULT_ACTIVE_WINDOW_MS;
+        this.maxUsersPerRun = options.maxUsersPerRun || DEFAULT_MAX_USERS_PER_RUN;
+        this.canProceed = options.canProceed || (() => true);
+        this.log = options.log || (() => {});
+        this.now = options.now || Date.now;
+
+        this.users = new Map(); // userId -> { accessToken, lastSeenAt, lastSyncedAt, lastError }
+        this.timer = null;
+        this.running = null;
+        this.stats = { runs: 0, usersSynced: 0, failures: 0, deferred: 0, lastRunAt: null, lastRunMs: null };
+    }
+
+    // Record activity for a user, keeping the most recent access token
+    touch(userId, accessToken) {
+        if (!userId || !accessToken) return;
+        const key = String(userId);
+        const entry = this.users.get(key);
+        if (entry) {
+            entry.accessToken = accessToken;
+            entry.lastSeenAt = this.now();
+        } else {
+            this.users.set(key, { accessToken, lastSeenAt: this.now(), lastSyncedAt: 0, lastError: null });
+        }
+    }
+
+    // Stop syncing a user (e.g. on logout)
+    forget(userId) {
+        this.users.delete(String(userId));
+    }
+
+    start() {
+        if (this.timer || !this.intervalMs) return;
+        this.timer = setInterval(() => {
+            this.runOnce().catch(e => this.log('SYNC', `✗ Sync run failed: ${e.message}`));
+        }, this.intervalMs);
+        if (this.timer.unref) this.timer.unref();
+        this.log('SYNC', `✓ Background sync every ${this.intervalMs}ms`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Users due for a sync, least recently synced first
+    getDueUsers() {
+        const now = this.now();
+        const due = [];
+        for (const [userId, entry] of this.users) {
+            if (now - entry.lastSeenAt > this.activeWindowMs) {
+                this.users.delete(userId);
+                continue;
+            }
+            if (this.intervalMs && now - entry.lastSyncedAt < this.intervalMs) continue;
+            due.push({ userId, entry });
+        }
+        due.sort((a, b) => a.entry.lastSyncedAt - b.entry.lastSyncedAt);
+        return due.slice(0, this.maxUsersPerRun);
+    }
+
+    // Run one sync pass. Overlapping calls share the pass already in progress.
+    runOnce() {
+        if (this.running) return this.running;
+        this.running = this.runPass().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    async runPass() {
+        const startedAt = this.now();
+        const due = this.getDueUsers();
+        let synced = 0;
+
+        for (let i = 0; i < due.length; i++) {
+            const { userId, entry } = due[i];
+            if (!this.canProceed()) {
+                this.stats.deferred += due.length - i;
+                this.log('SYNC', `⚡ Rate limit headroom low, deferring ${due.length - i} user(s) to the next run`);
+                break;
+            }
+            try {
+                await this.syncUser(userId, entry.accessToken);
+                entry.lastError = null;
+                synced++;
+                this.stats.usersSynced++;
+            } catch (e) {
+                entry.lastError = e.message;
+                this.stats.failures++;
+                this.log('SYNC', `✗ Sync failed for user ${userId}: ${e.message}`);
+            }
+            // Failed users wait a full interval too, so a bad token isn't retried in a loop
+            entry.lastSyncedAt = this.now();
+        }
+
+        this.stats.runs++;
+        this.stats.lastRunAt = new Date(startedAt).toISOString();
+        this.stats.lastRunMs = this.now() - startedAt;
+        if (due.length > 0) {
+            this.log('SYNC', `✓ Synced ${synced}/${due.length} user(s) in ${this.stats.lastRunMs}ms`);
+        }
+        return { synced, due: due.length };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: !!this.timer,
+            intervalMs: this.intervalMs,
+            running: !!this.running,
+            trackedUsers: this.users.size
+        };
+    }
+}
+
+module.exports = {
+    SyncWorker,
+    DEFAULT_INTERVAL_MS,
+    DEFAULT_ACTIVE_WINDOW_MS,
+    DEFAULT_MAX_USERS_PER_RUN
+};
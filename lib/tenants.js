@@ -0,0 +1,138 @@
+// ============================================================
+// Schoology Tenants
+// ============================================================
+// Each school district has its own Schoology web domain (fuhsd.schoology.com,
+// app.schoology.com, or a custom host). The API itself is shared, but the
+// authorize page, links to course materials and the browser session cookie all
+// depend on the user's domain, so it is chosen at login and kept in the session.
+//
+// Admins list the domains users may pick in SCHOOLOGY_ALLOWED_DOMAINS
+// (comma-separated); SCHOOLOGY_DOMAIN is the default and is always allowed.
+
+const crypto = require('crypto');
+
+const DEFAULT_DOMAIN = 'app.schoology.com';
+const HOSTNAME_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+function tenantError(message, statusCode = 400) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+// "FUHSD", "fuhsd.schoology.com", "https://fuhsd.schoology.com/home" -> "fuhsd.schoology.com".
+// Returns null for anything that isn't a plain hostname.
+function normalizeDomain(input) {
+    if (typeof input !== 'string') return null;
+    let host = input.trim().toLowerCase();
+    if (!host) return null;
+    host = host.replace(/^[a-z]+:\/\//, '').split(/[/?#]/)[0];
+    if (host.includes('@') || host.includes(':')) return null;
+    host = host.replace(/\.$/, '');
+    if (!host.includes('.')) host = `${host}.schoology.com`;
+    return HOSTNAME_RE.test(host) ? host : null;
+}
+
+class TenantRegistry {
+    //   defaultDomain   - domain used when a user hasn't picked one
+    //   allowedDomains  - other domains users may pick
+    //   authorizeBase   - override for the OAuth authorize host (the mock API)
+    constructor({ defaultDomain = DEFAULT_DOMAIN, allowedDomains = [], authorizeBase = null } = {}) {
+        const normalizedDefault = normalizeDomain(defaultDomain);
+        if (!normalizedDefault) throw tenantError(`Invalid Schoology domain "${defaultDomain}"`, 500);
+        this.defaultDomain = normalizedDefault;
+        this.domains = [normalizedDefault];
+        for (const domain of allowedDomains) {
+            const normalized = normalizeDomain(domain);
+            if (!normalized) throw tenantError(`Invalid Schoology domain "${domain}" in the allow-list`, 500);
+            if (!this.domains.includes(normalized)) this.domains.push(normalized);
+        }
+        this.authorizeOverride = authorizeBase;
+    }
+
+    isAllowed(domain) {
+        return this.domains.includes(domain);
+    }
+
+    // Validated domain for a login request; throws 400 for anything not on the list
+    resolve(input) {
+        if (input === undefined || input === null || input === '') return this.defaultDomain;
+        const domain = normalizeDomain(String(input));
+        if (!domain || !this.isAllowed(domain)) {
+            throw tenantError(`${String(input).slice(0, 100)} is not a school this app is set up for`);
+        }
+        return domain;
+    }
+
+    // Domain stored on a session, falling back to the default if it is no longer allowed
+    forSession(domain) {
+        return domain && this.isAllowed(domain) ? domain : this.defaultDomain;
+    }
+
+    list() {
+        return this.domains.slice();
+    }
+
+    baseUrl(domain) {
+        return `https://${domain}`;
+    }
+
+    authorizeBase(domain) {
+        return this.authorizeOverride || this.baseUrl(domain);
+    }
+
+    // Domain to set browser cookies on: Schoology-hosted tenants share .schoology.com
+    cookieDomain(domain) {
+        return domain.endsWith('.schoology.com') ? '.schoology.com' : domain;
+    }
+
+    // Drupal names the web session cookie SESS + md5(host)
+    sessionCookieName(domain) {
+        return 'SESS' + crypto.createHash('md5').update(domain).digest('hex');
+    }
+
+    // Turn a stored Schoology cookie string ("name=value; ..." or a bare session
+    // value) into cookies for a Playwright browser context
+    browserCookies(raw, domain) {
+        const cookies = [];
+        for (const part of String(raw || '').split(';')) {
+            const c = part.trim();
+            if (!c) continue;
+            if (c.includes('=')) {
+                const [name, ...rest] = c.split('=');
+                const value = rest.join('=').trim();
+                if (name.trim() && value) cookies.push({ name: name.trim(), value, domain: this.cookieDomain(domain), path: '/' });
+            } else {
+                cookies.push({ name: this.sessionCookieName(domain), value: c, domain: this.cookieDomain(domain), path: '/' });
+            }
+        }
+        return cookies;
+    }
+
+    // True for pages on the user's Schoology site (including shared schoology.com hosts)
+    isTenantUrl(url, domain) {
+        let host;
+        try {
+            host = new URL(url).hostname;
+        } catch (e) {
+            return false;
+        }
+        return host === domain || host === 'schoology.com' || host.endsWith('.schoology.com');
+    }
+}
+
+function createTenantRegistry({ env = process.env, authorizeBase = null } = {}) {
+    const allowed = (env.SCHOOLOGY_ALLOWED_DOMAINS || '').split(',').map(d => d.trim()).filter(Boolean);
+    return new TenantRegistry({
+        defaultDomain: env.SCHOOLOGY_DOMAIN || DEFAULT_DOMAIN,
+        allowedDomains: allowed,
+        authorizeBase
+    });
+}
+
+module.exports = {
+    TenantRegistry,
+    createTenantRegistry,
+    normalizeDomain,
+    DEFAULT_DOMAIN
+};
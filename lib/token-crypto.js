@@ -0,0 +1,156 @@
+// ============================================================
+// Token Encryption
+// ============================================================
+// Encrypts the values the app keeps in cookies and query params (OAuth request
+// and access tokens, the Schoology browser session) with AES-256-GCM, so a
+// tampered value fails to decrypt instead of turning into garbage.
+//
+//   v2.<keyId>.<iv>.<ciphertext>.<tag>     (base64url parts)
+//
+// keyId names the secret a token was sealed with. Several secrets can be active
+// at once: the first encrypts, all of them decrypt, so a secret can be rotated
+// by putting the new one first and dropping the old one once its tokens have
+// expired. A token's purpose ("access-token", "schoology-sess", ...) is bound in
+// as associated data, so a value can't be moved from one cookie to another.
+//
+// v1 tokens (hexIv:hexCiphertext, AES-256-CBC without an integrity check) are
+// only read when acceptLegacy is set, to let existing logins survive an upgrade.
+
+const crypto = require('crypto');
+
+const TOKEN_VERSION = 'v2';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Secrets that ship with the app or its docs and must never protect real users
+const DEFAULT_SECRET = 'schoology-pro-max-secret';
+const INSECURE_SECRETS = new Set([DEFAULT_SECRET, 'your_session_secret_here_change_this', 'some_random_secret_string']);
+
+function deriveKey(secret) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, 'schoology-ultra', 'token-encryption-v2', 32));
+}
+
+// Short public id for a secret: lets decrypt pick the right key directly
+function keyIdFor(secret) {
+    return crypto.createHash('sha256').update('key-id:' + secret).digest('base64url').slice(0, 8);
+}
+
+class TokenCipher {
+    //   secrets       - active secrets, newest first; the first one encrypts
+    //   acceptLegacy  - also decrypt v1 (AES-256-CBC) tokens made with any of the secrets
+    //   log           - (category, message) logger
+    constructor({ secrets, acceptLegacy = false, log = () => {} }) {
+        if (!Array.isArray(secrets) || secrets.length === 0) {
+            throw new Error('TokenCipher needs at least one secret');
+        }
+        this.acceptLegacy = acceptLegacy;
+        this.log = log;
+        this.keys = secrets.map(secret => ({
+            id: keyIdFor(secret),
+            key: deriveKey(secret),
+            legacyKey: crypto.createHash('sha256').update(secret).digest()
+        }));
+        this.current = this.keys[0];
+        this.stats = { encrypted: 0, decrypted: 0, rejected: 0, legacy: 0 };
+    }
+
+    aad(keyId, purpose) {
+        return Buffer.from(`${TOKEN_VERSION}.${keyId}.${purpose}`);
+    }
+
+    encrypt(text, purpose = '') {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.current.key, iv, { authTagLength: TAG_LENGTH });
+        cipher.setAAD(this.aad(this.current.id, purpose));
+        const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+        this.stats.encrypted++;
+        return [TOKEN_VERSION, this.current.id, iv.toString('base64url'), ciphertext.toString('base64url'), cipher.getAuthTag().toString('base64url')].join('.');
+    }
+
+    // Plaintext, or null when the token is malformed, tampered with, sealed for
+    // another purpose or made with a secret that is no longer active
+    decrypt(token, purpose = '') {
+        if (typeof token !== 'string' || token === '') return null;
+        if (!token.startsWith(TOKEN_VERSION + '.')) {
+            return this.acceptLegacy ? this.decryptLegacy(token) : this.reject('unsupported token format');
+        }
+
+        const parts = token.split('.');
+        if (parts.length !== 5) return this.reject('malformed token');
+        const [, keyId, ivPart, dataPart, tagPart] = parts;
+        const entry = this.keys.find(k => k.id === keyId);
+        if (!entry) return this.reject(`unknown key ${keyId}`);
+
+        try {
+            const iv = Buffer.from(ivPart, 'base64url');
+            const tag = Buffer.from(tagPart, 'base64url');
+            if (iv.length !== IV_LENGTH || tag.length !== TAG_LENGTH) return this.reject('malformed token');
+            const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, iv, { authTagLength: TAG_LENGTH });
+            decipher.setAAD(this.aad(keyId, purpose));
+            decipher.setAuthTag(tag);
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(dataPart, 'base64url')), decipher.final()]).toString('utf8');
+            this.stats.decrypted++;
+            return plaintext;
+        } catch (e) {
+            return this.reject('authentication failed');
+        }
+    }
+
+    decryptLegacy(token) {
+        const [ivHex, encrypted] = token.split(':');
+        if (!ivHex || !encrypted) return this.reject('malformed legacy token');
+        for (const entry of this.keys) {
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-cbc', entry.legacyKey, Buffer.from(ivHex, 'hex'));
+                const plaintext = decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+                this.stats.legacy++;
+                return plaintext;
+            } catch (e) {
+                // try the next secret
+            }
+        }
+        return this.reject('legacy token did not decrypt');
+    }
+
+    reject(reason) {
+        this.stats.rejected++;
+        this.log('AUTH', `⚠️  Rejected encrypted token: ${reason}`);
+        return null;
+    }
+
+    // True when a valid token should be re-issued with the current key
+    needsReissue(token) {
+        if (typeof token !== 'string') return false;
+        return !token.startsWith(`${TOKEN_VERSION}.${this.current.id}.`);
+    }
+
+    getStats() {
+        return { ...this.stats, keys: this.keys.length, currentKeyId: this.current.id, acceptLegacy: this.acceptLegacy };
+    }
+}
+
+// Active secrets from env: SESSION_SECRET (current) followed by the
+// comma-separated SESSION_SECRET_PREVIOUS. Falls back to the built-in default
+// outside production; in production a missing or known placeholder secret is
+// an error so the app refuses to start.
+function resolveSecrets(env = process.env) {
+    const current = (env.SESSION_SECRET || '').trim();
+    const previous = (env.SESSION_SECRET_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean);
+    const production = env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production';
+    const insecure = !current || INSECURE_SECRETS.has(current);
+
+    if (insecure && production) {
+        throw new Error('SESSION_SECRET is missing or set to a published placeholder. Set it to a long random value (e.g. `openssl rand -hex 32`) before running in production.');
+    }
+
+    const secrets = [current || DEFAULT_SECRET, ...previous.filter(s => s !== current)];
+    return { secrets, insecure, production };
+}
+
+module.exports = {
+    TokenCipher,
+    resolveSecrets,
+    keyIdFor,
+    DEFAULT_SECRET,
+    TOKEN_VERSION
+};
@@ -0,0 +1,260 @@
+// ============================================================
+// Per-User State Store
+// ============================================================
+// Server-side home for the small pieces of state the client used to keep in
+// cookies and localStorage (completed assignments, what-if grade edits,
+// custom assignments, settings), so they follow a student between devices.
+//
+// Each user has one document { userId, values: { [key]: { value, updatedAt } } }.
+// Only the keys in STATE_KEYS are accepted, each with an expected JSON type and
+// a size limit. Backends mirror the API cache (lib/cache-store.js): an on-disk
+// file per user, written atomically, or process memory (Vercel).
+
+const crypto = require('crypto');
+const path = require('path');
+
+// key -> expected JSON type of its value
+const STATE_KEYS = {
+    settings: 'object',                     // settings page (was localStorage schoology_settings)
+    completedAssignments: 'array',          // checked-off assignment ids (was a cookie)
+    gradeEdits: 'object',                   // what-if grade edits on the grades page (was a cookie)
+    customAssignments: 'array',             // what-if assignments on the grades page (was a cookie)
+    assignmentsCustomAssignments: 'array',  // personal tasks on the assignments page (was localStorage)
+    gradingScales: 'object',                // per-course grading scale choices from /settings
+    gpa: 'object'                           // course credits/levels and past terms (lib/gpa.js)
+};
+
+// Cookies capped these values at ~4KB; 64KB leaves room while a single PUT stays
+// under the 100KB express.json body limit
+const MAX_VALUE_BYTES = 64 * 1024;
+
+function stateError(message, statusCode = 400) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Throws a 400 error when a key/value pair can't be stored
+function validateStateValue(key, value) {
+    if (!Object.prototype.hasOwnProperty.call(STATE_KEYS, key)) {
+        throw stateError(`Unknown state key "${key}"`);
+    }
+    if (typeOf(value) !== STATE_KEYS[key]) {
+        throw stateError(`State "${key}" must be a JSON ${STATE_KEYS[key]}`);
+    }
+    if (Buffer.byteLength(JSON.stringify(value)) > MAX_VALUE_BYTES) {
+        throw stateError(`State "${key}" is larger than ${MAX_VALUE_BYTES / 1024}KB`, 413);
+    }
+}
+
+function emptyDocument(userId) {
+    return { userId: String(userId), values: {} };
+}
+
+// ------------------------------------------------------------
+// Backends: load(userId) -> document | null, save(userId, document)
+// ------------------------------------------------------------
+class MemoryStateAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.documents = new Map();
+    }
+
+    async load(userId) {
+        const doc = this.documents.get(String(userId));
+        return doc ? JSON.parse(JSON.stringify(doc)) : null;
+    }
+
+    async save(userId, doc) {
+        this.documents.set(String(userId), JSON.parse(JSON.stringify(doc)));
+    }
+}
+
+class FileStateAdapter {
+    constructor({ fs, dir, log }) {
+        this.name = 'file';
+        this.fs = fs;
+        this.dir = dir;
+        this.log = log;
+        this.fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    // File names are hashed so user ids never end up in paths
+    fileFor(userId) {
+        return path.join(this.dir, crypto.createHash('sha256').update(String(userId)).digest('hex') + '.json');
+    }
+
+    async load(userId) {
+        let raw;
+        try {
+            raw = await this.fs.promises.readFile(this.fileFor(userId), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        try {
+            const doc = JSON.parse(raw);
+            if (doc && String(doc.userId) === String(userId) && doc.values && typeof doc.values === 'object') {
+                return doc;
+            }
+            this.log('STATE', `⚠️  Ignoring state file with unexpected contents for user ${userId}`);
+        } catch (e) {
+            this.log('STATE', `⚠️  Ignoring unreadable state file for user ${userId}: ${e.message}`);
+        }
+        return null;
+    }
+
+    async save(userId, doc) {
+        const file = this.fileFor(userId);
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await this.fs.promises.writeFile(tmp, JSON.stringify(doc));
+        await this.fs.promises.rename(tmp, file);
+    }
+}
+
+// ------------------------------------------------------------
+// Store
+// ------------------------------------------------------------
+class UserStateStore {
+    constructor({ adapter, log = () => {}, now = Date.now } = {}) {
+        this.adapter = adapter || new MemoryStateAdapter();
+        this.log = log;
+        this.now = now;
+        this.queues = new Map(); // userId -> tail of that user's pending updates
+    }
+
+    get backend() {
+        return this.adapter.name;
+    }
+
+    async load(userId) {
+        return (await this.adapter.load(userId)) || emptyDocument(userId);
+    }
+
+    // Run read-modify-write updates for one user one at a time so concurrent
+    // requests from two devices can't overwrite each other's keys
+    update(userId, mutate) {
+        const id = String(userId);
+        const previous = this.queues.get(id) || Promise.resolve();
+        const run = previous.catch(() => {}).then(async () => {
+            const doc = await this.load(id);
+            const result = mutate(doc);
+            await this.adapter.save(id, doc);
+            return result;
+        });
+        const tail = run.finally(() => {
+            if (this.queues.get(id) === tail) this.queues.delete(id);
+        });
+        this.queues.set(id, tail);
+        return run;
+    }
+
+    // { [key]: { value, updatedAt } }
+    async getAll(userId) {
+        return (await this.load(userId)).values;
+    }
+
+    async get(userId, key) {
+        if (!Object.prototype.hasOwnProperty.call(STATE_KEYS, key)) {
+            throw stateError(`Unknown state key "${key}"`);
+        }
+        const values = await this.getAll(userId);
+        return values[key] || null;
+    }
+
+    async set(userId, key, value) {
+        validateStateValue(key, value);
+        return this.update(userId, doc => {
+            doc.values[key] = { value, updatedAt: this.now() };
+            return doc.values[key];
+        });
+    }
+
+    async delete(userId, key) {
+        if (!Object.prototype.hasOwnProperty.call(STATE_KEYS, key)) {
+            throw stateError(`Unknown state key "${key}"`);
+        }
+        return this.update(userId, doc => {
+            const existed = !!doc.values[key];
+            delete doc.values[key];
+            return existed;
+        });
+    }
+
+    // Import values a client kept locally before server-side state existed.
+    // Keys the server already has win, so a second device can't clobber the
+    // first one's data; completed assignment ids are merged instead. Invalid
+    // values (old formats, oversized) are skipped rather than failing the import.
+    async migrate(userId, values) {
+        if (!values || typeOf(values) !== 'object') {
+            throw stateError('Migration payload must be an object of state values');
+        }
+        const incoming = {};
+        const skipped = [];
+        for (const [key, value] of Object.entries(values)) {
+            if (value === undefined || value === null) continue;
+            try {
+                validateStateValue(key, value);
+                incoming[key] = value;
+            } catch (e) {
+                skipped.push(key);
+                this.log('STATE', `⚠️  Not migrating ${key} for user ${userId}: ${e.message}`);
+            }
+        }
+
+        return this.update(userId, doc => {
+            const imported = [];
+            for (const [key, value] of Object.entries(incoming)) {
+                const existing = doc.values[key];
+                if (!existing) {
+                    doc.values[key] = { value, updatedAt: this.now() };
+                    imported.push(key);
+                } else if (key === 'completedAssignments') {
+                    const merged = Array.from(new Set([...existing.value, ...value].map(String)));
+                    if (merged.length !== existing.value.length) {
+                        doc.values[key] = { value: merged, updatedAt: this.now() };
+                        imported.push(key);
+                    }
+                }
+            }
+            return { imported, skipped, values: doc.values };
+        });
+    }
+}
+
+// Build the store from env: USER_STATE_BACKEND=file (default when a filesystem
+// is available) or memory, USER_STATE_DIR (default .user-state under baseDir)
+function createUserStateStore({ env = process.env, fs = null, baseDir = process.cwd(), log = () => {} } = {}) {
+    const backend = (env.USER_STATE_BACKEND || (fs ? 'file' : 'memory')).toLowerCase();
+
+    let adapter = null;
+    try {
+        if (backend === 'file') {
+            if (!fs) throw new Error('filesystem is not available in this environment');
+            adapter = new FileStateAdapter({ fs, dir: path.resolve(baseDir, env.USER_STATE_DIR || '.user-state'), log });
+        } else if (backend !== 'memory') {
+            throw new Error(`unknown USER_STATE_BACKEND "${backend}"`);
+        }
+    } catch (e) {
+        log('STATE', `⚠️  Could not use ${backend} state backend (${e.message}), falling back to memory`);
+        adapter = null;
+    }
+
+    return new UserStateStore({ adapter, log });
+}
+
+module.exports = {
+    createUserStateStore,
+    UserStateStore,
+    MemoryStateAdapter,
+    FileStateAdapter,
+    validateStateValue,
+    STATE_KEYS,
+    MAX_VALUE_BYTES
+};
@@ -0,0 +1,290 @@
+// ============================================================
+// Mock Schoology API
+// ============================================================
+// A local stand-in for api.schoology.com so the app can be developed and
+// tested without consumer keys or a school tenant. It serves the endpoints
+// the app calls from a fixture file (mock/fixtures/default.json) and can
+// inject faults (403s, 429s with Retry-After) per path.
+//
+// Run it standalone with `npm run mock`, or set SCHOOLOGY_MOCK=1 to have
+// server.js start it in-process and point config.apiBase at it.
+//
+// OAuth signatures are not verified: any request carrying an oauth_token is
+// treated as the fixture user.
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+function loadFixtures(file = DEFAULT_FIXTURES) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Schoology returns due dates as "YYYY-MM-DD HH:MM:SS" in local time
+function formatDue(daysFromNow) {
+    const d = new Date();
+    d.setDate(d.getDate() + daysFromNow);
+    d.setHours(23, 59, 0, 0);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:00`;
+}
+
+// Fixture assignments use `due_in_days` so the data always looks current
+function materializeAssignment(sectionId, assignment) {
+    const { due_in_days, ...rest } = assignment;
+    return {
+        section_id: sectionId,
+        due: due_in_days !== undefined ? formatDue(due_in_days) : (rest.due || ''),
+        grading_period: 501,
+        published: 1,
+        available: 1,
+        completed: 0,
+        web_url: '',
+        assignment_type: 'basic',
+        ...rest
+    };
+}
+
+function parseAuthorization(header) {
+    const params = {};
+    if (!header || !header.startsWith('OAuth ')) return params;
+    const re = /(\w+)="([^"]*)"/g;
+    let match;
+    while ((match = re.exec(header)) !== null) {
+        params[match[1]] = decodeURIComponent(match[2]);
+    }
+    return params;
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function sendText(res, status, body, contentType = 'text/plain') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
+function paginate(list, query) {
+    const limit = parseInt(query.get('limit'), 10) || 20;
+    let start = parseInt(query.get('start'), 10);
+    if (Number.isNaN(start)) start = ((parseInt(query.get('page'), 10) || 1) - 1) * limit;
+    return list.slice(start, start + limit);
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+// Returns an http.Server (not yet listening). `fixtures` is deep-copied so
+// submissions posted during a run do not leak into the next server.
+function createMockSchoologyApi({ fixtures = loadFixtures(), log = () => {} } = {}) {
+    const data = JSON.parse(JSON.stringify(fixtures));
+    const user = data.user;
+    const faultHits = new Map();
+
+    function findSection(sectionId) {
+        return (data.sections || []).find(s => String(s.id) === String(sectionId)) || null;
+    }
+
+    function getAssignments(sectionId) {
+        return ((data.assignments || {})[sectionId] || []).map(a => materializeAssignment(Number(sectionId), a));
+    }
+
+    function getGrades(sectionId) {
+        const grades = data.grades || [];
+        return sectionId ? grades.filter(g => String(g.section_id) === String(sectionId)) : grades;
+    }
+
+    // Faults match on method + pathname; `times` limits how often they fire
+    function findFault(method, pathname) {
+        for (const [index, fault] of (data.faults || []).entries()) {
+            if (fault.path !== pathname) continue;
+            if (fault.method && fault.method !== method) continue;
+            const hits = faultHits.get(index) || 0;
+            if (fault.times !== undefined && hits >= fault.times) continue;
+            faultHits.set(index, hits + 1);
+            return fault;
+        }
+        return null;
+    }
+
+    const routes = [
+        ['GET', /^\/oauth\/request_token$/, (req, res) => {
+            const token = crypto.randomBytes(8).toString('hex');
+            const secret = crypto.randomBytes(8).toString('hex');
+            sendText(res, 200, `oauth_token=req-${token}&oauth_token_secret=${secret}`);
+        }],
+        ['GET', /^\/oauth\/authorize$/, (req, res, match, query) => {
+            const token = query.get('oauth_token') || '';
+            sendText(res, 200, `<!DOCTYPE html><html><body><h1>Mock Schoology</h1><p>Request token ${token.replace(/[^\w-]/g, '')} authorized. Return to the app and click Complete Login.</p></body></html>`, 'text/html');
+        }],
+        ['GET', /^\/oauth\/access_token$/, (req, res, match, query, auth) => {
+            if (!auth.oauth_token || !auth.oauth_token.startsWith('req-')) {
+                return sendText(res, 401, 'Invalid request token');
+            }
+            const token = crypto.randomBytes(8).toString('hex');
+            const secret = crypto.randomBytes(8).toString('hex');
+            sendText(res, 200, `oauth_token=acc-${token}&oauth_token_secret=${secret}`);
+        }],
+        ['GET', /^\/app-user-info$/, (req, res) => {
+            sendJson(res, 200, { api_uid: user.id, web_session_timestamp: Math.floor(Date.now() / 1000) });
+        }],
+        ['GET', /^\/users\/(\w+)$/, (req, res, [, userId]) => {
+            if (String(userId) !== String(user.id) && userId !== 'me') return sendJson(res, 404, { message: 'User not found' });
+            sendJson(res, 200, user);
+        }],
+        ['GET', /^\/users\/(\w+)\/sections$/, (req, res, match, query) => {
+            sendJson(res, 200, { section: paginate(data.sections || [], query), total: (data.sections || []).length });
+        }],
+        ['GET', /^\/users\/(\w+)\/enrollments$/, (req, res, match, query) => {
+            const enrollments = (data.sections || []).map(s => ({ id: s.id, section_id: s.id, uid: user.id, admin: 0, status: 1 }));
+            sendJson(res, 200, { enrollment: paginate(enrollments, query), total: enrollments.length });
+        }],
+        ['GET', /^\/users\/(\w+)\/grades$/, (req, res, match, query) => {
+            sendJson(res, 200, { section: getGrades(query.get('section_id')) });
+        }],
+        ['GET', /^\/sections\/(\d+)$/, (req, res, [, sectionId]) => {
+            const section = findSection(sectionId);
+            if (!section) return sendJson(res, 404, { message: 'Section not found' });
+            sendJson(res, 200, section);
+        }],
+        ['GET', /^\/sections\/(\d+)\/grades$/, (req, res, [, sectionId], query) => {
+            const grades = getGrades(sectionId);
+            const assignmentId = query.get('assignment_id');
+            if (!assignmentId) return sendJson(res, 200, { section: grades });
+            const filtered = grades.map(g => ({
+                ...g,
+                period: (g.period || []).map(p => ({
+                    ...p,
+                    assignment: (p.assignment || []).filter(a => String(a.assignment_id) === String(assignmentId))
+                }))
+            }));
+            sendJson(res, 200, { grades: filtered });
+        }],
+        ['GET', /^\/sections\/(\d+)\/assignments$/, (req, res, [, sectionId], query) => {
+            const assignments = getAssignments(sectionId);
+            sendJson(res, 200, { assignment: paginate(assignments, query), total: assignments.length });
+        }],
+        ['GET', /^\/sections\/(\d+)\/assignments\/(\d+)$/, (req, res, [, sectionId, assignmentId]) => {
+            const assignment = getAssignments(sectionId).find(a => String(a.id) === assignmentId);
+            if (!assignment) return sendJson(res, 404, { message: 'Assignment not found' });
+            sendJson(res, 200, assignment);
+        }],
+        ['GET', /^\/sections\/(\d+)\/grading_categories$/, (req, res, [, sectionId]) => {
+            sendJson(res, 200, { grading_category: (data.gradingCategories || {})[sectionId] || [] });
+        }],
+        ['GET', /^\/sections\/(\d+)\/grading_scales$/, (req, res, [, sectionId]) => {
+            sendJson(res, 200, { grading_scale: (data.gradingScales || {})[sectionId] || [] });
+        }],
+        ['GET', /^\/sections\/(\d+)\/submissions\/(\d+)\/(\w+)$/, (req, res, [, sectionId, assignmentId]) => {
+            const revisions = (data.submissions || {})[`${sectionId}/${assignmentId}`];
+            if (!revisions || revisions.length === 0) return sendJson(res, 404, { message: 'No submission' });
+            sendJson(res, 200, { revision: revisions });
+        }],
+        ['POST', /^\/sections\/(\d+)\/submissions\/(\d+)$/, async (req, res, [, sectionId, assignmentId]) => {
+            const body = await readBody(req);
+            if (!body || !body.revision) return sendJson(res, 400, { message: 'Missing revision' });
+            data.submissions = data.submissions || {};
+            const key = `${sectionId}/${assignmentId}`;
+            const revisions = data.submissions[key] = data.submissions[key] || [];
+            const revision = { revision_id: revisions.length + 1, uid: user.id, created: Math.floor(Date.now() / 1000), num_items: 1, late: 0, draft: 0 };
+            revisions.push(revision);
+            sendJson(res, 201, revision);
+        }],
+        ['GET', /^\/courses\/(\d+)\/folder\/(\d+)$/, (req, res, [, courseId, folderId]) => {
+            sendJson(res, 200, { 'folder-item': (data.folders || {})[`${courseId}/${folderId}`] || [] });
+        }]
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        // Accept both /v1/... (like api.schoology.com) and bare paths
+        const pathname = url.pathname.replace(/^\/v1(?=\/)/, '').replace(/\/+$/, '') || '/';
+        const auth = parseAuthorization(req.headers.authorization);
+        log('MOCK-API', `${req.method} ${pathname}${url.search}`);
+        server.requests.push({ method: req.method, path: pathname, query: url.search });
+
+        const fault = findFault(req.method, pathname);
+        if (fault) {
+            log('MOCK-API', `  Injecting fault: HTTP ${fault.status}`);
+            const headers = fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {};
+            return sendJson(res, fault.status, fault.body || { message: `Mock fault ${fault.status}` }, headers);
+        }
+
+        // Everything except the authorize page must be an OAuth-signed request
+        if (pathname !== '/oauth/authorize') {
+            if (!auth.oauth_consumer_key) return sendText(res, 401, 'Missing OAuth consumer key');
+            if (!pathname.startsWith('/oauth/') && !auth.oauth_token) return sendText(res, 401, 'Missing OAuth token');
+        }
+
+        for (const [method, pattern, handler] of routes) {
+            if (method !== req.method) continue;
+            const match = pathname.match(pattern);
+            if (!match) continue;
+            try {
+                return await handler(req, res, match, url.searchParams, auth);
+            } catch (e) {
+                log('MOCK-API', `  ✗ Handler error: ${e.message}`);
+                return sendJson(res, 500, { message: e.message });
+            }
+        }
+
+        sendJson(res, 404, { message: `No mock route for ${req.method} ${pathname}` });
+    });
+
+    // Convenience for tests: every request received, the base URL once listening,
+    // and faults added while running (same shape as fixture faults)
+    server.requests = [];
+    server.getApiBase = () => `http://localhost:${server.address().port}/v1`;
+    server.addFault = (fault) => {
+        data.faults = [...(data.faults || []), fault];
+    };
+    return server;
+}
+
+// Start a mock server; resolves once it is listening
+function startMockSchoologyApi({ port = DEFAULT_PORT, fixturesPath, log } = {}) {
+    const fixtures = loadFixtures(fixturesPath || DEFAULT_FIXTURES);
+    const server = createMockSchoologyApi({ fixtures, log });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.SCHOOLOGY_MOCK_PORT, 10) || DEFAULT_PORT;
+    startMockSchoologyApi({
+        port,
+        fixturesPath: process.env.SCHOOLOGY_MOCK_FIXTURES,
+        log: (category, message) => console.log(`[${new Date().toISOString()}] [${category}] ${message}`)
+    }).then(server => {
+        console.log(`🧪 Mock Schoology API listening on ${server.getApiBase()}`);
+    }).catch(e => {
+        console.error(`✗ Could not start mock Schoology API: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createMockSchoologyApi,
+    startMockSchoologyApi,
+    loadFixtures,
+    DEFAULT_PORT
+};
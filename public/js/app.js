@@ -54,6 +54,76 @@ const ClientCache = {
     }
 };
 
+// ============================================
+// CSRF Protection
+// ============================================
+// The server rejects POST/PUT/DELETE requests to /api without the page's CSRF
+// token (see the meta tag from partials/csrf.ejs). Same-origin fetches that
+// change state get it added as X-CSRF-Token automatically; if the token went
+// stale (e.g. after logging in again in another tab) the request is retried
+// once with a fresh one.
+const Csrf = {
+    token: null,
+
+    current() {
+        if (!this.token) {
+            const meta = document.querySelector('meta[name="csrf-token"]');
+            this.token = meta && meta.content ? meta.content : null;
+        }
+        return this.token;
+    },
+
+    // Take the token from a page fetched by the SPA navigator
+    updateFrom(doc) {
+        const meta = doc && doc.querySelector('meta[name="csrf-token"]');
+        if (meta && meta.content) this.token = meta.content;
+    },
+
+    async refresh(nativeFetch) {
+        try {
+            const res = await nativeFetch('/api/csrf-token', { credentials: 'same-origin' });
+            if (!res.ok) return null;
+            this.token = (await res.json()).token || null;
+        } catch (e) {
+            this.token = null;
+        }
+        return this.token;
+    }
+};
+
+(function installCsrfFetch() {
+    if (window.__csrfFetchInstalled || typeof window.fetch !== 'function') return;
+    window.__csrfFetchInstalled = true;
+    const nativeFetch = window.fetch.bind(window);
+
+    function needsToken(input, init) {
+        const method = (init && init.method) || (input instanceof Request ? input.method : 'GET');
+        if (/^(GET|HEAD|OPTIONS)$/i.test(method)) return false;
+        try {
+            const url = new URL(input instanceof Request ? input.url : String(input), window.location.origin);
+            return url.origin === window.location.origin;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function withToken(init, token) {
+        const headers = new Headers((init && init.headers) || {});
+        if (token) headers.set('X-CSRF-Token', token);
+        return { ...init, headers };
+    }
+
+    window.fetch = async function(input, init = {}) {
+        if (!needsToken(input, init)) return nativeFetch(input, init);
+        let res = await nativeFetch(input, withToken(init, Csrf.current() || await Csrf.refresh(nativeFetch)));
+        if (res.status === 403 && res.headers.get('X-CSRF-Error')) {
+            const fresh = await Csrf.refresh(nativeFetch);
+            if (fresh) res = await nativeFetch(input, withToken(init, fresh));
+        }
+        return res;
+    };
+})();
+
 // Cookie helpers
 function setCookie(name, value, days = 365) {
     const expires = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toUTCString();
@@ -79,6 +149,184 @@ function deleteCookie(name) {
     document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/;`;
 }
 
+// ============================================
+// User State (synced to the server)
+// ============================================
+// Completed assignments, grade edits, custom assignments and settings are
+// stored per user on the server (/api/state) so they follow the student across
+// devices. localStorage keeps a local copy so pages can read state synchronously;
+// load() refreshes that copy and fires `userstate:change` with the keys that changed.
+// The local copy belongs to one user at a time (see claim()).
+const UserState = {
+    // state key -> localStorage key of the local copy
+    STORAGE_KEYS: {
+        settings: 'schoology_settings',
+        completedAssignments: 'userState:completedAssignments',
+        gradeEdits: 'userState:gradeEdits',
+        customAssignments: 'userState:customAssignments',
+        assignmentsCustomAssignments: 'assignmentsCustomAssignments',
+        gradingScales: 'userState:gradingScales',
+        gpa: 'userState:gpa'
+    },
+    // Values that lived in cookies before server-side state; migrated on first load
+    LEGACY_COOKIES: ['completedAssignments', 'gradeEdits', 'customAssignments'],
+    MIGRATED_KEY: 'userState:migrated',
+    OWNER_KEY: 'userState:owner',
+    SAVE_DELAY_MS: 500,
+    pendingSaves: {},
+    loaded: null,
+
+    readLocal(key) {
+        try {
+            const raw = localStorage.getItem(this.STORAGE_KEYS[key]);
+            return raw === null ? undefined : JSON.parse(raw);
+        } catch (e) {
+            return undefined;
+        }
+    },
+
+    writeLocal(key, value) {
+        try {
+            if (value === undefined || value === null) {
+                localStorage.removeItem(this.STORAGE_KEYS[key]);
+            } else {
+                localStorage.setItem(this.STORAGE_KEYS[key], JSON.stringify(value));
+            }
+        } catch (e) {
+            console.warn('UserState: could not store ' + key + ' locally:', e);
+        }
+    },
+
+    get(key, fallback = null) {
+        const local = this.readLocal(key);
+        if (local !== undefined) return local;
+        // Not synced on this browser yet: fall back to the legacy cookie
+        if (this.LEGACY_COOKIES.includes(key)) {
+            const legacy = getCookie(key);
+            if (legacy !== null) return legacy;
+        }
+        return fallback;
+    },
+
+    // Update the local copy now and save to the server shortly after (debounced per key)
+    set(key, value) {
+        this.writeLocal(key, value);
+        clearTimeout(this.pendingSaves[key]);
+        this.pendingSaves[key] = setTimeout(() => {
+            delete this.pendingSaves[key];
+            this.push(key, value);
+        }, this.SAVE_DELAY_MS);
+    },
+
+    async push(key, value, { keepalive = false } = {}) {
+        try {
+            const res = await fetch('/api/state/' + encodeURIComponent(key), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                keepalive,
+                body: JSON.stringify({ value })
+            });
+            if (!res.ok) console.warn('UserState: saving ' + key + ' failed (' + res.status + ')');
+        } catch (e) {
+            console.warn('UserState: saving ' + key + ' failed:', e);
+        }
+    },
+
+    // Send debounced saves right away (the page is being hidden or closed)
+    flush() {
+        Object.keys(this.pendingSaves).forEach(key => {
+            clearTimeout(this.pendingSaves[key]);
+            delete this.pendingSaves[key];
+            this.push(key, this.readLocal(key), { keepalive: true });
+        });
+    },
+
+    // Drop the local copy (and any legacy cookies) if it was left by another user
+    // of this browser, before anything reads it. The page names its user in
+    // <meta name="state-owner"> (partials/csrf.ejs); another user's leftovers are
+    // never migrated into this account.
+    claim() {
+        const meta = document.querySelector('meta[name="state-owner"]');
+        const owner = meta ? meta.content : '';
+        if (!owner) return;
+        try {
+            const previous = localStorage.getItem(this.OWNER_KEY);
+            if (previous === owner) return;
+            if (previous) {
+                Object.keys(this.STORAGE_KEYS).forEach(key => this.writeLocal(key, undefined));
+                this.LEGACY_COOKIES.forEach(name => deleteCookie(name));
+                localStorage.setItem(this.MIGRATED_KEY, '1');
+            }
+            localStorage.setItem(this.OWNER_KEY, owner);
+        } catch (e) {
+            console.warn('UserState: could not check the local copy owner:', e);
+        }
+    },
+
+    // Resolves once the server copy has loaded, or after timeoutMs at the latest
+    ready(timeoutMs = 1500) {
+        return Promise.race([this.load(), new Promise(resolve => setTimeout(resolve, timeoutMs))]);
+    },
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = this.sync().catch(e => console.warn('UserState: sync failed:', e));
+        }
+        return this.loaded;
+    },
+
+    async sync() {
+        let res;
+        const migrated = localStorage.getItem(this.MIGRATED_KEY) === '1';
+        if (!migrated) {
+            const local = {};
+            Object.keys(this.STORAGE_KEYS).forEach(key => {
+                const value = this.get(key);
+                if (value !== null) local[key] = value;
+            });
+            res = await fetch('/api/state/migrate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({ state: local })
+            });
+        } else {
+            res = await fetch('/api/state', { credentials: 'same-origin' });
+        }
+        if (!res.ok) return; // signed out or server unavailable; keep the local copy
+
+        const data = await res.json();
+        if (!migrated) {
+            localStorage.setItem(this.MIGRATED_KEY, '1');
+            this.LEGACY_COOKIES.forEach(name => deleteCookie(name));
+        }
+
+        // The server copy is authoritative, except for keys with a save still pending
+        const state = data.state || {};
+        const changed = [];
+        Object.keys(this.STORAGE_KEYS).forEach(key => {
+            if (this.pendingSaves[key]) return;
+            const value = state[key] ? state[key].value : undefined;
+            if (JSON.stringify(value) !== JSON.stringify(this.readLocal(key))) {
+                this.writeLocal(key, value);
+                changed.push(key);
+            }
+        });
+        if (changed.length > 0) {
+            window.dispatchEvent(new CustomEvent('userstate:change', { detail: { keys: changed } }));
+        }
+    }
+};
+
+window.UserState = UserState;
+UserState.claim();
+UserState.load();
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') UserState.flush();
+});
+window.addEventListener('pagehide', () => UserState.flush());
+
 // ============================================
 // Early Global Functions for Inline Handlers
 // ============================================
@@ -176,6 +424,9 @@ function applyGlobalSettings() {
 
 // Apply settings immediately (before page renders)
 applyGlobalSettings();
+window.addEventListener('userstate:change', (e) => {
+    if (e.detail.keys.includes('settings')) applyGlobalSettings();
+});
 
 // Intentionally no full-page loading overlays.
 // Pages should render immediately; use inline skeletons for data-dependent regions.
@@ -229,8 +480,10 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
-// Letter grade helper
-function getLetterGrade(percentage) {
+// Letter grade helper; on a course's grading scale where the page loads
+// /js/grading-scales.js (grades page), the standard scale otherwise
+function getLetterGrade(percentage, scale) {
+    if (typeof GradingScales !== 'undefined') return GradingScales.letterFor(scale || null, percentage);
     if (percentage >= 93) return 'A';
     if (percentage >= 90) return 'A-';
     if (percentage >= 87) return 'B+';
@@ -496,6 +749,7 @@ function formatDate(dateString) {
     async function applyHtmlToPage(html) {
         const doc = parseHtml(html);
         updateTitle(doc);
+        Csrf.updateFrom(doc);
         replacePageStyles(doc);
         const scripts = replaceBodyContent(doc);
         updateNavActive(window.location.pathname);
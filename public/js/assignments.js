@@ -12,32 +12,42 @@ function initAssignmentsPage() {
     }
 }
 
-// Load completed assignments from cookies
+// Load completed assignments and custom assignments from user state
 document.addEventListener('DOMContentLoaded', initAssignmentsPage);
 window.addEventListener('spa:load', initAssignmentsPage);
 
-// Get completed assignments from cookie
+// Re-apply when the server copy of the user's state differs from the local one
+window.addEventListener('userstate:change', (e) => {
+    if (!document.getElementById('hideCompleted')) return;
+    if (e.detail.keys.includes('completedAssignments')) {
+        loadCompletedAssignments();
+        filterAssignments();
+    }
+    if (e.detail.keys.includes('assignmentsCustomAssignments')) {
+        initCustomAssignmentsUi();
+    }
+});
+
+// Get completed assignments (synced per user, see UserState in app.js)
 function getCompletedAssignments() {
-    return getCookie('completedAssignments') || [];
+    return UserState.get('completedAssignments', []);
 }
 
-// Save completed assignments to cookie
+// Save completed assignments
 function saveCompletedAssignments(completed) {
-    setCookie('completedAssignments', completed);
+    UserState.set('completedAssignments', completed);
 }
 
 // Load and apply completed status to assignments
 function loadCompletedAssignments() {
-    const completed = getCompletedAssignments();
+    const completed = getCompletedAssignments().map(String);
     
-    completed.forEach(id => {
-        const card = document.querySelector(`.assignment-card[data-id="${id}"]`);
-        if (card) {
-            card.classList.add('completed');
-            const checkbox = card.querySelector('.complete-checkbox');
-            if (checkbox) {
-                checkbox.checked = true;
-            }
+    document.querySelectorAll('.assignment-card[data-id]').forEach(card => {
+        const isCompleted = completed.includes(card.dataset.id);
+        card.classList.toggle('completed', isCompleted);
+        const checkbox = card.querySelector('.complete-checkbox');
+        if (checkbox) {
+            checkbox.checked = isCompleted;
         }
     });
 }
@@ -116,9 +126,7 @@ function normalizeCustomAssignmentPayload(payload = {}) {
 function loadCustomAssignmentsFromStorage() {
     assignmentsCustomEntries.length = 0;
     try {
-        const savedRaw = localStorage.getItem(assignmentsCustomStorageKey);
-        if (!savedRaw) return;
-        const saved = JSON.parse(savedRaw);
+        const saved = UserState.get(assignmentsCustomStorageKey);
         if (!Array.isArray(saved)) return;
         saved.forEach(item => {
             assignmentsCustomEntries.push(normalizeCustomAssignmentPayload(item));
@@ -130,7 +138,7 @@ function loadCustomAssignmentsFromStorage() {
 
 function saveCustomAssignmentsToStorage() {
     try {
-        localStorage.setItem(assignmentsCustomStorageKey, JSON.stringify(assignmentsCustomEntries));
+        UserState.set(assignmentsCustomStorageKey, assignmentsCustomEntries.slice());
     } catch (e) {
         console.warn('Failed to save custom assignments to storage:', e);
     }
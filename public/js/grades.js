@@ -10,6 +10,13 @@ let customIdCounter = 1;
 
 let activeEditRow = null;
 
+// "What do I need?" placeholders added by hand, per section (not saved)
+const solverPlaceholders = {};
+let solverIdCounter = 1;
+
+// What-if letters picked in the GPA calculator, per section (not saved)
+const gpaWhatIfLetters = {};
+
 // Stats rendering (overall + per section)
 let overallStatsRaf = null;
 
@@ -18,6 +25,7 @@ function scheduleOverallStatsUpdate() {
     overallStatsRaf = requestAnimationFrame(() => {
         overallStatsRaf = null;
         try { renderOverallGradeStats(); } catch (e) { /* non-fatal */ }
+        try { renderGpaCalculator(); } catch (e) { /* non-fatal */ }
     });
 }
 
@@ -27,6 +35,11 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml() leaves quotes alone; use this for values inside attributes
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function toNumberOrNull(v) {
     const n = Number(v);
     return Number.isFinite(n) ? n : null;
@@ -79,20 +92,25 @@ function formatSignedPct(v, decimals = 2) {
     return sign + v.toFixed(decimals) + '%';
 }
 
-function pctToGpa(pct) {
-    if (pct === null || pct === undefined || !Number.isFinite(pct)) return 0;
-    if (pct >= 93) return 4.0;
-    if (pct >= 90) return 3.7;
-    if (pct >= 87) return 3.3;
-    if (pct >= 83) return 3.0;
-    if (pct >= 80) return 2.7;
-    if (pct >= 77) return 2.3;
-    if (pct >= 73) return 2.0;
-    if (pct >= 70) return 1.7;
-    if (pct >= 67) return 1.3;
-    if (pct >= 63) return 1.0;
-    if (pct >= 60) return 0.7;
-    return 0;
+// GPA points on a course's grading scale; null when the letter has none
+function pctToGpa(pct, scale) {
+    if (pct === null || pct === undefined || !Number.isFinite(pct)) return null;
+    return GradingScales.pointsFor(scale || null, pct);
+}
+
+// The grading scale a course card was rendered with (see lib/grading-scales.js)
+const courseScaleCache = new WeakMap();
+function getCourseScale(courseCardOrSectionId) {
+    const card = typeof courseCardOrSectionId === 'object'
+        ? courseCardOrSectionId
+        : document.querySelector('.course-card[data-section="' + courseCardOrSectionId + '"]');
+    if (!card) return null;
+    if (!courseScaleCache.has(card)) {
+        let scale = null;
+        try { scale = JSON.parse(card.dataset.gradingScale || 'null'); } catch (e) { scale = null; }
+        courseScaleCache.set(card, scale);
+    }
+    return courseScaleCache.get(card);
 }
 
 const MIN_VALID_EPOCH_MS = 946684800000; // 2000-01-01; filters out 0/placeholder timestamps
@@ -230,19 +248,7 @@ function computeSectionGradeEvents(sectionId) {
     const categorySections = Array.from(courseCard.querySelectorAll('.category-section'));
     if (!categorySections.length) return [];
 
-    const categories = categorySections.map((catSection, idx) => {
-        const weight = parseFloat(catSection.dataset.weight) || 0;
-        const rows = Array.from(catSection.querySelectorAll('tr.grade-row'));
-        return {
-            index: idx,
-            weight,
-            rows,
-            earned: 0,
-            max: 0
-        };
-    });
-
-    const weightedMode = categories.some(c => c.weight > 0);
+    const { categories } = buildGradeEngineInput(courseCard, false);
 
     // Build a chronological list of assignment events (every row is a point).
     const events = [];
@@ -251,17 +257,9 @@ function computeSectionGradeEvents(sectionId) {
     let maxTs = null;
     let fallbackIndex = 0;
 
-    categories.forEach((cat, catIdx) => {
-        cat.rows.forEach(row => {
-            if (!row) return;
-            const dropped = row.classList.contains('dropped');
-
-            const n = getRowNumbers(row);
-            const grade = n.grade;
-            const max = n.max;
-
-            // Every row should get a point. Only some rows affect the grade.
-            const affectsGrade = !dropped && grade !== null && max !== null && max >= 0;
+    categorySections.forEach(catSection => {
+        catSection.querySelectorAll('tr.grade-row').forEach(row => {
+            const item = gradeEngineItem(row, catSection.dataset.category, false);
 
             const ts = getRowTimeMs(row);
             if (ts !== null) {
@@ -270,7 +268,7 @@ function computeSectionGradeEvents(sectionId) {
                 maxTs = (maxTs === null) ? ts : Math.max(maxTs, ts);
             }
 
-            events.push({ x: null, ts, fallbackIndex, row, catIdx, grade, max, affectsGrade });
+            events.push({ x: null, ts, fallbackIndex, row, item, grade: item.grade, max: item.max });
             fallbackIndex++;
         });
     });
@@ -293,50 +291,13 @@ function computeSectionGradeEvents(sectionId) {
     events.sort((a, b) => a.x - b.x);
 
     const out = [];
+    const itemsSoFar = [];
     for (const ev of events) {
-        const cat = categories[ev.catIdx];
-        if (!cat) continue;
-
-        if (ev.affectsGrade) {
-            // max === 0 => extra credit: include earned, but not max
-            if (ev.max > 0) {
-                cat.earned += ev.grade;
-                cat.max += ev.max;
-            } else if (ev.max === 0) {
-                cat.earned += ev.grade;
-            }
-        }
-
-        // Compute the current section grade using the same rules as recalculateAllGrades().
-        let sectionPct = 0;
-        let sumNewContrib = 0;
-
-        if (weightedMode) {
-            const totalActiveWeight = categories.reduce((s, c) => s + (c.weight > 0 && c.max > 0 ? c.weight : 0), 0);
-            if (totalActiveWeight > 0) {
-                categories.forEach(c => {
-                    if (!(c.weight > 0 && c.max > 0)) return;
-                    const pct = (c.earned / c.max) * 100;
-                    if (!Number.isFinite(pct)) return;
-                    sumNewContrib += pct * (c.weight / totalActiveWeight);
-                });
-            }
-        }
+        // The section grade after this assignment, by the same rules as recalculateAllGrades()
+        itemsSoFar.push(ev.item);
+        const sectionPct = GradeEngine.calculateGrade({ categories, items: itemsSoFar }).percentage;
 
-        // If not weighted mode, or weighted mode has no active weighted categories, fall back to points-based.
-        if (!weightedMode || sumNewContrib === 0) {
-            const sectionMax = categories.reduce((s, c) => s + (c.max > 0 ? c.max : 0), 0);
-            if (sectionMax > 0) {
-                const sectionEarned = categories.reduce((s, c) => s + (Number.isFinite(c.earned) ? c.earned : 0), 0);
-                sectionPct = (sectionEarned / sectionMax) * 100;
-            } else {
-                sectionPct = 0;
-            }
-        } else {
-            sectionPct = sumNewContrib;
-        }
-
-        if (Number.isFinite(sectionPct)) {
+        if (sectionPct !== null && Number.isFinite(sectionPct)) {
             out.push({
                 x: ev.x,
                 y: sectionPct,
@@ -830,7 +791,7 @@ function renderSectionGradeStats(sectionId) {
         '<div class="grade-stats-header">' +
             '<div class="grade-stats-title">' + escapeHtml(title) + ' • Statistics</div>' +
             '<div class="grade-stats-chip">' +
-                (computedPct !== null ? (formatPct(computedPct) + ' ' + getLetterGrade(computedPct)) : 'N/A') +
+                (computedPct !== null ? (formatPct(computedPct) + ' ' + getLetterGrade(computedPct, getCourseScale(courseCard))) : 'N/A') +
                 (deltaPct !== null ? (' • ' + formatSignedPct(deltaPct)) : '') +
             '</div>' +
         '</div>' +
@@ -872,6 +833,8 @@ function renderOverallGradeStats() {
 
     const courseCards = Array.from(document.querySelectorAll('.course-card[data-section]'));
     const sectionPcts = [];
+    const gpaPoints = [];
+    let gpaMax = null;
     const sectionDeltas = [];
     let totalEarned = 0;
     let totalMax = 0;
@@ -884,6 +847,13 @@ function renderOverallGradeStats() {
         const pct = toNumberOrNull(card.dataset.computedPct);
         if (pct !== null) {
             sectionPcts.push(pct);
+            // Each course counts on its own grading scale
+            const scale = getCourseScale(card);
+            const points = pctToGpa(pct, scale);
+            if (points !== null) {
+                gpaPoints.push(points);
+                gpaMax = Math.max(gpaMax || 0, GradingScales.maxPoints(scale) || 0);
+            }
             highestPct = highestPct === null ? pct : Math.max(highestPct, pct);
             lowestPct = lowestPct === null ? pct : Math.min(lowestPct, pct);
         }
@@ -906,11 +876,10 @@ function renderOverallGradeStats() {
     const sd = stdDev(sectionPcts);
     const deltaMean = mean(sectionDeltas);
 
-    const roundedForGpa = sectionPcts.map(pct => Math.round(pct));
-    const gpa = sectionPcts.length ? (roundedForGpa.reduce((sum, pct) => sum + pctToGpa(pct), 0) / sectionPcts.length) : null;
+    const gpa = gpaPoints.length ? (gpaPoints.reduce((sum, points) => sum + points, 0) / gpaPoints.length) : null;
     const rangePct = (highestPct !== null && lowestPct !== null) ? (highestPct - lowestPct) : null;
 
-    const gpaText = gpa !== null ? gpa.toFixed(2) + ' / 4.0' : 'N/A';
+    const gpaText = gpa !== null ? gpa.toFixed(2) + ' / ' + (gpaMax || 4).toFixed(1) : 'N/A';
     const rangeText = rangePct !== null ? formatPct(rangePct) : 'N/A';
 
     box.innerHTML =
@@ -940,7 +909,7 @@ function renderOverallGradeStats() {
         const totalSections = courseCards.length;
         const excludedSections = totalSections - sectionPcts.length;
         const deltaSample = sectionDeltas.length ? sectionDeltas.slice(-3).map(d => formatSignedPct(d)).join(', ') : 'N/A';
-        const gpaSamples = sectionPcts.length ? sectionPcts.slice(0, Math.min(sectionPcts.length, 5)).map(pct => pctToGpa(pct).toFixed(1)).join(', ') + (sectionPcts.length > 5 ? '…' : '') : 'N/A';
+        const gpaSamples = gpaPoints.length ? gpaPoints.slice(0, 5).map(points => points.toFixed(1)).join(', ') + (gpaPoints.length > 5 ? '…' : '') : 'N/A';
         const rangeDetail = (highestPct !== null && lowestPct !== null) ? (highestPct.toFixed(2) + '% / ' + lowestPct.toFixed(2) + '%') : 'N/A';
         let debugHtml = '';
         debugHtml += '<div class="row"><div><strong>Overall stats debug</strong></div><div></div></div>';
@@ -954,9 +923,169 @@ function renderOverallGradeStats() {
     }
 }
 
+// GPA calculator: this term's GPA from the course cards (with what-if edits),
+// cumulative GPA with past terms, and a projection from what-if letters.
+// Credits, levels and past terms are the 'gpa' user state (see lib/gpa.js).
+function loadGpaState() {
+    return Gpa.normalizeState(UserState.get('gpa'));
+}
+
+function getGpaCourses(state) {
+    return Array.from(document.querySelectorAll('.course-card[data-section]')).map(card => {
+        const sectionId = card.dataset.section;
+        const name = card.dataset.courseName || 'Course';
+        const scale = getCourseScale(card);
+        const pct = card.dataset.sectionHasGrade === '1' ? toNumberOrNull(card.dataset.computedPct) : null;
+        const settings = Gpa.courseSettings(state.courses[sectionId], name);
+        const whatIf = gpaWhatIfLetters[sectionId] || '';
+        return {
+            sectionId,
+            name,
+            scale,
+            letter: pct !== null ? getLetterGrade(pct, scale) : '',
+            points: pctToGpa(pct, scale),
+            whatIf,
+            whatIfPoints: whatIf ? GradingScales.pointsForLetter(scale, whatIf) : null,
+            credits: settings.credits,
+            level: settings.level,
+            suggested: settings.suggested
+        };
+    });
+}
+
+function formatGpa(value) {
+    return value !== null && value !== undefined ? value.toFixed(2) : 'N/A';
+}
+
+function renderGpaCalculator() {
+    const box = document.getElementById('gpa-calculator');
+    if (!box || typeof Gpa === 'undefined') return;
+
+    const state = loadGpaState();
+    const courses = getGpaCourses(state);
+    if (courses.length === 0) {
+        box.innerHTML = '';
+        return;
+    }
+
+    const current = Gpa.calculateGpa(courses);
+    const cumulative = Gpa.cumulativeGpa(state.terms, courses);
+    const hasWhatIf = courses.some(c => c.whatIf);
+    const projectedCourses = courses.map(c => ({ ...c, points: c.whatIf ? c.whatIfPoints : c.points }));
+    const projected = Gpa.calculateGpa(projectedCourses);
+    const projectedCumulative = Gpa.cumulativeGpa(state.terms, projectedCourses);
+
+    const rows = courses.map(c => {
+        const levels = (c.scale || GradingScales.PRESETS[GradingScales.DEFAULT_PRESET]).levels
+            .filter(level => level.points !== null && level.points !== undefined);
+        const level = Gpa.LEVELS[c.level];
+        return '<tr data-section="' + escapeAttr(c.sectionId) + '">' +
+            '<td>' + escapeHtml(c.name) + '</td>' +
+            '<td>' + escapeHtml(c.letter || 'N/A') + '</td>' +
+            '<td>' + c.credits + '</td>' +
+            '<td>' + escapeHtml(level.title) + (c.suggested ? ' <span class="muted" title="From the course title; change it in Settings">(auto)</span>' : '') + '</td>' +
+            '<td><select class="gpa-what-if" data-section="' + escapeAttr(c.sectionId) + '" aria-label="What-if letter for ' + escapeAttr(c.name) + '">' +
+                '<option value="">' + (c.letter ? 'Keep ' + escapeHtml(c.letter) : '—') + '</option>' +
+                levels.map(l => '<option value="' + escapeAttr(l.letter) + '"' + (l.letter === c.whatIf ? ' selected' : '') + '>' + escapeHtml(l.letter) + '</option>').join('') +
+            '</select></td>' +
+        '</tr>';
+    }).join('');
+
+    const termsLabel = state.terms.length === 1 ? '1 past term' : state.terms.length + ' past terms';
+    const projection = hasWhatIf
+        ? 'With these letters: ' + formatGpa(projected.unweighted) + ' unweighted, ' + formatGpa(projected.weighted) + ' weighted this term; ' +
+            formatGpa(projectedCumulative.unweighted) + ' / ' + formatGpa(projectedCumulative.weighted) + ' cumulative.'
+        : 'Pick letters under "What if" to see where your GPA would land.';
+
+    box.innerHTML =
+        '<div class="grade-stats-header">' +
+            '<div class="grade-stats-title">GPA</div>' +
+            '<div class="grade-stats-chip">This term: ' + current.credits + ' credits</div>' +
+        '</div>' +
+        '<div class="grade-stats-grid">' +
+            '<div class="grade-stats-metric"><div class="k">Unweighted</div><div class="v">' + formatGpa(current.unweighted) + '</div></div>' +
+            '<div class="grade-stats-metric"><div class="k">Weighted</div><div class="v">' + formatGpa(current.weighted) + '</div></div>' +
+            '<div class="grade-stats-metric"><div class="k">Cumulative unweighted</div><div class="v">' + formatGpa(cumulative.unweighted) + '</div></div>' +
+            '<div class="grade-stats-metric"><div class="k">Cumulative weighted</div><div class="v">' + formatGpa(cumulative.weighted) + '</div></div>' +
+        '</div>' +
+        '<table class="gpa-table">' +
+            '<thead><tr><th>Course</th><th>Grade</th><th>Credits</th><th>Level</th><th>What if</th></tr></thead>' +
+            '<tbody>' + rows + '</tbody>' +
+        '</table>' +
+        '<div class="gpa-projection muted">' + escapeHtml(projection) + '</div>' +
+        '<div class="gpa-actions">' +
+            '<button type="button" class="btn btn-small gpa-reset-what-if"' + (hasWhatIf ? '' : ' disabled') + '>Reset what-ifs</button>' +
+            '<button type="button" class="btn btn-small gpa-save-term">Save term to history</button>' +
+            '<span class="muted">Cumulative includes ' + escapeHtml(termsLabel) + '. <a href="/settings#gpa">Credits, levels and past terms</a></span>' +
+        '</div>';
+}
+
+// Name offered when saving a term: the grading period shown, else the season
+function defaultGpaTermName() {
+    const select = document.getElementById('grading-period');
+    if (select && select.value !== 'all' && select.selectedIndex >= 0) {
+        return select.options[select.selectedIndex].textContent.trim();
+    }
+    const now = new Date();
+    return (now.getMonth() < 6 ? 'Spring ' : 'Fall ') + now.getFullYear();
+}
+
+// Keep this term's letters as a past term. Saving under an existing name
+// replaces that term, so a term can be saved again as grades change.
+function saveGpaTerm() {
+    const state = loadGpaState();
+    const courses = getGpaCourses(state).filter(c => c.points !== null);
+    if (courses.length === 0) {
+        showToast('No course grades to save yet', 'error');
+        return;
+    }
+    const name = prompt('Save this term as', defaultGpaTermName());
+    if (name === null || !name.trim()) return;
+
+    const term = Gpa.normalizeTerm({
+        id: 'term-' + Date.now(),
+        name,
+        archivedAt: new Date().toISOString(),
+        courses: courses.map(c => ({ sectionId: c.sectionId, name: c.name, letter: c.letter, points: c.points, credits: c.credits, level: c.level }))
+    });
+    if (!term) return;
+    state.terms = state.terms.filter(t => t.name.toLowerCase() !== term.name.toLowerCase()).concat(term);
+    UserState.set('gpa', state);
+    showToast('Saved ' + term.name + ' to your GPA history', 'success');
+    renderGpaCalculator();
+}
+
+function bindGpaCalculatorHandlers() {
+    const box = document.getElementById('gpa-calculator');
+    if (!box || box.dataset.bound === '1') return;
+    box.dataset.bound = '1';
+
+    box.addEventListener('change', (e) => {
+        const select = e.target.closest('.gpa-what-if');
+        if (!select) return;
+        if (select.value) gpaWhatIfLetters[select.dataset.section] = select.value;
+        else delete gpaWhatIfLetters[select.dataset.section];
+        renderGpaCalculator();
+    });
+    box.addEventListener('click', (e) => {
+        if (e.target.closest('.gpa-reset-what-if')) {
+            Object.keys(gpaWhatIfLetters).forEach(k => delete gpaWhatIfLetters[k]);
+            return renderGpaCalculator();
+        }
+        if (e.target.closest('.gpa-save-term')) return saveGpaTerm();
+    });
+}
+
 function initGradesPage() {
+    // Only run if the grades UI exists
+    if (!document.querySelector('.grades-container')) return;
+    // Saved edits are per-user state; wait briefly for the server copy so
+    // changes made on another device are the ones applied
+    UserState.ready().then(setupGradesPage);
+}
+
+function setupGradesPage() {
     try {
-        // Only run if the grades UI exists
         if (!document.querySelector('.grades-container')) return;
         // Cache server-original category header HTML before any JS modifies it
         cacheCategoryServerHtml();
@@ -973,11 +1102,15 @@ function initGradesPage() {
 
         // Wire event handlers (delegated)
         bindGradesUiHandlers();
+        bindGpaCalculatorHandlers();
 
         // Recalculate all sections once
         document.querySelectorAll('.course-card[data-section]').forEach(card => {
             recalculateAllGrades(card.dataset.section);
         });
+        document.querySelectorAll('.semester-calculator[data-section]').forEach(calc => {
+            updateSemesterCalculator(calc.dataset.section);
+        });
 
         // Initial overall stats once sections have computed pcts
         scheduleOverallStatsUpdate();
@@ -1003,10 +1136,14 @@ function cacheCategoryServerHtml() {
 
 document.addEventListener('DOMContentLoaded', initGradesPage);
 window.addEventListener('spa:load', initGradesPage);
+// Credits, levels or past terms changed in settings (maybe on another device)
+window.addEventListener('userstate:change', (e) => {
+    if (e.detail.keys.includes('gpa')) renderGpaCalculator();
+});
 
 function loadGradeEdits() {
     try {
-        const saved = getCookie('gradeEdits');
+        const saved = UserState.get('gradeEdits');
         if (saved && typeof saved === 'object') {
             Object.keys(gradeEdits).forEach(k => delete gradeEdits[k]);
             Object.assign(gradeEdits, saved);
@@ -1018,7 +1155,7 @@ function loadGradeEdits() {
 
 function saveGradeEdits() {
     try {
-        setCookie('gradeEdits', gradeEdits);
+        UserState.set('gradeEdits', JSON.parse(JSON.stringify(gradeEdits)));
     } catch (e) {
         console.warn('saveGradeEdits failed:', e);
     }
@@ -1132,9 +1269,10 @@ function updateRowComputedUI(row) {
     }
 
     const pct = (grade / max) * 100;
-    const pillHtml = '<span class="grade-pill ' + getGradeColorClass(pct) + '">' + pct.toFixed(2) + '%</span>';
+    const scale = getCourseScale(row.closest('.course-card'));
+    const pillHtml = '<span class="grade-pill ' + getGradeColorClass(pct, scale) + '">' + pct.toFixed(2) + '%</span>';
     if (pill) {
-        pill.className = 'grade-pill ' + getGradeColorClass(pct);
+        pill.className = 'grade-pill ' + getGradeColorClass(pct, scale);
         pill.textContent = pct.toFixed(2) + '%';
     } else {
         // insert before actions
@@ -1175,6 +1313,18 @@ function bindGradesUiHandlers() {
             return addCustomAssignment(sectionId, catIndex);
         }
 
+        // Solver placeholders
+        const addPlaceholderBtn = e.target.closest('.solver-add-placeholder');
+        if (addPlaceholderBtn) {
+            e.preventDefault();
+            return addSolverPlaceholder(addPlaceholderBtn.dataset.section);
+        }
+        const removePlaceholderBtn = e.target.closest('.solver-remove');
+        if (removePlaceholderBtn) {
+            e.preventDefault();
+            return removeSolverPlaceholder(removePlaceholderBtn.dataset.section, removePlaceholderBtn.dataset.placeholder);
+        }
+
         // Course header toggle (ignore clicks on buttons inside header)
         const header = e.target.closest('.course-header.course-toggle');
         if (header && container.contains(header)) {
@@ -1185,6 +1335,14 @@ function bindGradesUiHandlers() {
         }
     }, true);
 
+    // Semester calculator and solver inputs
+    container.addEventListener('input', (e) => {
+        const calc = e.target.closest('.semester-calculator');
+        if (calc) updateSemesterCalculator(calc.dataset.section);
+        const solver = e.target.closest('.grade-solver');
+        if (solver && !e.target.closest('.solver-add')) updateGradeSolver(solver.dataset.section);
+    });
+
     // Modal handlers
     const overlay = document.getElementById('grade-edit-overlay');
     const cancelBtn = document.getElementById('grade-edit-cancel');
@@ -1409,12 +1567,8 @@ function toggleCourse(index) {
 }
 
 // Get grade color class based on percentage
-function getGradeColorClass(percentage) {
-    if (percentage >= 90) return 'grade-a';
-    if (percentage >= 80) return 'grade-b';
-    if (percentage >= 70) return 'grade-c';
-    if (percentage >= 60) return 'grade-d';
-    return 'grade-f';
+function getGradeColorClass(percentage, scale) {
+    return GradingScales.gradeClassFor(scale || null, percentage);
 }
 
 // Legacy inline-edit functions removed from UI; kept unused intentionally.
@@ -1497,7 +1651,7 @@ function addCustomAssignmentRow(assignment) {
     row.dataset.gradedTs = String(Date.now());
 
     const pctHtml = (maxVal > 0)
-        ? ('<span class="grade-pill ' + getGradeColorClass(pct) + '">' + pct.toFixed(2) + '%</span>')
+        ? ('<span class="grade-pill ' + getGradeColorClass(pct, getCourseScale(assignment.sectionId)) + '">' + pct.toFixed(2) + '%</span>')
         : '<span class="muted">N/A</span>';
 
     row.innerHTML =
@@ -1516,6 +1670,188 @@ function addCustomAssignmentRow(assignment) {
     tbody.appendChild(row);
 }
 
+// Show another grading period (server-rendered, so totals only include that period)
+function switchGradingPeriod(periodId) {
+    const url = '/grades?period=' + encodeURIComponent(periodId);
+    if (window.__spaNavigate) window.__spaNavigate(url);
+    else window.location.href = url;
+}
+
+// Semester grade from the calculator's period and final exam rows
+function updateSemesterCalculator(sectionId) {
+    const calc = document.querySelector('.semester-calculator[data-section="' + sectionId + '"]');
+    if (!calc) return;
+
+    const parts = Array.from(calc.querySelectorAll('tr[data-part]')).map(row => ({
+        label: row.cells[0]?.textContent || '',
+        grade: row.querySelector('.semester-grade')?.value,
+        weight: row.querySelector('.semester-weight')?.value
+    }));
+    const result = GradeEngine.combineWeightedGrades(parts);
+
+    const resultEl = document.getElementById('semester-result-' + sectionId);
+    if (resultEl) {
+        if (result.grade === null) {
+            resultEl.className = 'grade-pill';
+            resultEl.textContent = '—';
+        } else {
+            const scale = getCourseScale(sectionId);
+            resultEl.className = 'grade-pill ' + getGradeColorClass(result.grade, scale);
+            resultEl.textContent = result.grade.toFixed(2) + '% ' + getLetterGrade(result.grade, scale);
+        }
+    }
+
+    const noteEl = document.getElementById('semester-note-' + sectionId);
+    if (noteEl) {
+        const totalWeight = result.countedWeight + result.missingWeight;
+        const notes = [];
+        if (result.missingWeight > 0) notes.push('Leaves out ' + result.missingWeight + '% of the weight that has no grade yet.');
+        if (totalWeight > 0 && Math.abs(totalWeight - 100) > 0.01) notes.push('Weights add up to ' + totalWeight + '%, not 100%; they are scaled to fit.');
+        noteEl.textContent = notes.join(' ');
+    }
+}
+
+// Target typed into the solver: a percentage ("90") or a letter on the
+// course's grading scale ("A-")
+function parseSolverTarget(raw, scale) {
+    const text = String(raw || '').trim().replace(/%$/, '');
+    if (text === '') return null;
+    const cutoff = GradingScales.cutoffFor(scale || null, text);
+    if (cutoff !== null) return cutoff;
+    const n = Number(text);
+    return (Number.isFinite(n) && n >= 0) ? n : null;
+}
+
+// Assignments the solver can fill in: ungraded rows that count for points,
+// plus placeholders added in the solver form
+function getSolverCandidates(sectionId) {
+    const courseCard = document.querySelector('.course-card[data-section="' + sectionId + '"]');
+    if (!courseCard) return [];
+    const candidates = [];
+    courseCard.querySelectorAll('.category-section').forEach(catSection => {
+        catSection.querySelectorAll('tr.grade-row').forEach(row => {
+            if (row.classList.contains('dropped')) return;
+            const exception = parseInt(row.dataset.exception, 10) || 0;
+            if (exception === GradeEngine.EXCEPTION.EXCUSED || exception === GradeEngine.EXCEPTION.INCOMPLETE) return;
+            const { grade, max } = getRowNumbers(row);
+            if (grade !== null || !(max > 0)) return;
+            candidates.push({
+                id: row.dataset.assignment,
+                title: getAssignmentNameFromRow(row),
+                categoryId: catSection.dataset.category,
+                categoryTitle: getCategoryNameFromRow(row),
+                max,
+                added: false
+            });
+        });
+    });
+    return candidates.concat(solverPlaceholders[sectionId] || []);
+}
+
+// Rebuild the solver's assignment checkboxes, keeping what was ticked
+function renderSolverPlaceholders(sectionId) {
+    const listEl = document.getElementById('solver-placeholders-' + sectionId);
+    if (!listEl) return;
+    const checked = new Set(Array.from(listEl.querySelectorAll('input:checked')).map(input => input.value));
+    const candidates = getSolverCandidates(sectionId);
+    if (candidates.length === 0) {
+        listEl.innerHTML = '<span class="muted">No ungraded assignments left. Add a placeholder below.</span>';
+        return;
+    }
+    listEl.innerHTML = candidates.map(c => {
+        // New placeholders start ticked
+        const isChecked = checked.has(c.id) || c.fresh;
+        c.fresh = false;
+        return '<label>' +
+            '<input type="checkbox" value="' + escapeHtml(c.id) + '"' + (isChecked ? ' checked' : '') + '>' +
+            escapeHtml(c.title) + ' <span class="muted">(' + escapeHtml(c.categoryTitle) + ', ' + c.max + ' pts)</span>' +
+            (c.added ? ' <button type="button" class="btn btn-small solver-remove" data-section="' + escapeHtml(sectionId) + '" data-placeholder="' + escapeHtml(c.id) + '">Remove</button>' : '') +
+            '</label>';
+    }).join('');
+}
+
+function addSolverPlaceholder(sectionId) {
+    const solver = document.querySelector('.grade-solver[data-section="' + sectionId + '"]');
+    if (!solver) return;
+    const nameInput = solver.querySelector('.solver-name');
+    const categorySelect = solver.querySelector('.solver-category');
+    const maxInput = solver.querySelector('.solver-max');
+    const max = parseFloat(maxInput.value);
+    if (isNaN(max) || max <= 0) {
+        showToast('Please enter the points it is worth', 'error');
+        return;
+    }
+
+    if (!solverPlaceholders[sectionId]) solverPlaceholders[sectionId] = [];
+    solverPlaceholders[sectionId].push({
+        id: 'solver-' + (solverIdCounter++),
+        title: nameInput.value.trim() || 'Placeholder',
+        categoryId: categorySelect.value,
+        categoryTitle: categorySelect.options[categorySelect.selectedIndex]?.textContent.trim() || 'Category',
+        max,
+        added: true,
+        fresh: true
+    });
+    nameInput.value = '';
+    maxInput.value = '100';
+
+    renderSolverPlaceholders(sectionId);
+    updateGradeSolver(sectionId);
+}
+
+function removeSolverPlaceholder(sectionId, placeholderId) {
+    solverPlaceholders[sectionId] = (solverPlaceholders[sectionId] || []).filter(p => p.id !== placeholderId);
+    renderSolverPlaceholders(sectionId);
+    updateGradeSolver(sectionId);
+}
+
+// Points shown as needed are rounded up, so scoring them always reaches the target
+function roundUp(value) {
+    return Math.ceil(value * 100 - 1e-9) / 100;
+}
+
+// Solve for the lowest score on the ticked assignments that reaches the target,
+// using the current (edited) grades and the course's category weights
+function updateGradeSolver(sectionId) {
+    const courseCard = document.querySelector('.course-card[data-section="' + sectionId + '"]');
+    const resultEl = document.getElementById('solver-result-' + sectionId);
+    const listEl = document.getElementById('solver-placeholders-' + sectionId);
+    if (!courseCard || !resultEl || !listEl) return;
+
+    resultEl.classList.remove('solver-impossible');
+    const targetRaw = document.getElementById('solver-target-' + sectionId)?.value;
+    const scale = getCourseScale(courseCard);
+    const target = parseSolverTarget(targetRaw, scale);
+    if (target === null) {
+        resultEl.textContent = String(targetRaw || '').trim() === '' ? 'Enter a target grade to see what you need.' : 'Enter a target percentage or letter, like 90 or A-.';
+        return;
+    }
+
+    const ticked = new Set(Array.from(listEl.querySelectorAll('input:checked')).map(input => input.value));
+    const placeholders = getSolverCandidates(sectionId).filter(c => ticked.has(c.id));
+    const result = GradeEngine.solveForTarget(buildGradeEngineInput(courseCard, false), target, placeholders);
+    if (!result) {
+        resultEl.textContent = 'Pick at least one assignment to solve for.';
+        return;
+    }
+
+    const targetText = target.toFixed(2) + '% (' + getLetterGrade(target, scale) + ')';
+    if (result.status === 'impossible') {
+        resultEl.classList.add('solver-impossible');
+        resultEl.textContent = 'Not possible: even full marks only get you to ' +
+            (result.ceiling !== null ? result.ceiling.toFixed(2) + '% (' + getLetterGrade(result.ceiling, scale) + ')' : 'no grade') +
+            ', short of ' + targetText + '.';
+        return;
+    }
+    if (result.status === 'achieved') {
+        resultEl.textContent = 'You reach ' + targetText + ' even with zeros: ' + result.floor.toFixed(2) + '% (' + getLetterGrade(result.floor, scale) + ').';
+        return;
+    }
+
+    const scores = result.scores.map(score => score.title + ' ' + roundUp(score.needed) + '/' + score.max).join(', ');
+    resultEl.textContent = 'You need ' + roundUp(result.percentage).toFixed(2) + '% to reach ' + targetText + ': ' + scores + '.';
+}
+
 // Toggle debug panel visibility for a section
 function toggleDebug(sectionId) {
     const debugKey = 'gradeDebugOpen:' + sectionId;
@@ -1533,63 +1869,77 @@ function toggleDebug(sectionId) {
     recalculateAllGrades(sectionId);
 }
 
+// Grade engine item for a row, with Schoology's values (useOriginal) or the
+// current, edited ones. Custom rows have no original values.
+function gradeEngineItem(row, categoryId, useOriginal) {
+    if (useOriginal && row.dataset.kind === 'custom') return null;
+    const o = getRowOriginalNumbers(row);
+    const n = useOriginal ? o : getRowNumbers(row);
+    // A score typed over an excused or missing assignment replaces the exception
+    const edited = n.grade !== o.grade || n.max !== o.max;
+    return {
+        id: row.dataset.assignment,
+        categoryId,
+        grade: n.grade,
+        max: n.max,
+        exception: edited ? 0 : (parseInt(row.dataset.exception, 10) || 0),
+        dropped: !useOriginal && row.classList.contains('dropped')
+    };
+}
+
+// Categories and items of a course card in grade engine form (see lib/grade-engine.js)
+function buildGradeEngineInput(courseCard, useOriginal) {
+    const categories = [];
+    const items = [];
+    courseCard.querySelectorAll('.category-section').forEach(catSection => {
+        const categoryId = catSection.dataset.category;
+        categories.push({
+            id: categoryId,
+            title: catSection.querySelector('.category-title')?.textContent || ('Category ' + categoryId),
+            weight: parseFloat(catSection.dataset.weight) || 0,
+            dropLowest: parseInt(catSection.dataset.dropLowest, 10) || 0
+        });
+        catSection.querySelectorAll('tr.grade-row').forEach(row => {
+            const item = gradeEngineItem(row, categoryId, useOriginal);
+            if (item) items.push(item);
+        });
+    });
+    return { categories, items };
+}
+
 // Recalculate grades and update UI for a section
 function recalculateAllGrades(sectionId) {
     const courseCard = document.querySelector('.course-card[data-section="' + sectionId + '"]');
     if (!courseCard) return;
+    const scale = getCourseScale(courseCard);
+
+    // Section grade from Schoology's data and with the user's edits, using the
+    // shared grade engine (drops, extra credit, exceptions, weighting)
+    const original = GradeEngine.calculateGrade(buildGradeEngineInput(courseCard, true));
+    const current = GradeEngine.calculateGrade(buildGradeEngineInput(courseCard, false));
 
-    let newSectionEarned = 0;
-    let newSectionMax = 0;
-    let originalSectionEarned = 0;
-    let originalSectionMax = 0;
     let hasChanges = false;
     const debugLines = [];
 
-    courseCard.querySelectorAll('.category-section').forEach(catSection => {
+    courseCard.querySelectorAll('.category-section').forEach((catSection, catPos) => {
         const catIndex = catSection.dataset.category;
         let catHasChanges = false;
         const catGradeDiv = catSection.querySelector('.category-grade');
         const originalCatPctFromServer = (catGradeDiv && catGradeDiv.dataset.originalPct !== '') ? Number(catGradeDiv.dataset.originalPct) : null;
 
-        let newCatEarned = 0;
-        let newCatMax = 0;
-        let originalCatEarned = 0;
-        let originalCatMax = 0;
-        const catWeight = parseFloat(catSection.dataset.weight) || 0;
+        const originalCat = original.categories[catPos];
+        const currentCat = current.categories[catPos];
+        const originalCatEarned = originalCat.earned;
+        const originalCatMax = originalCat.max;
+        const newCatEarned = currentCat.earned;
+        const newCatMax = currentCat.max;
+        const catWeight = currentCat.weight;
 
         catSection.querySelectorAll('tr.grade-row').forEach(row => {
             const isCustom = row.dataset.kind === 'custom';
             const dropped = row.classList.contains('dropped');
             if (dropped) { hasChanges = true; catHasChanges = true; }
 
-            // original values (official rows only)
-            if (!isCustom) {
-                const o = getRowOriginalNumbers(row);
-                if (o.grade !== null && o.max !== null) {
-                    if (o.max > 0) {
-                        originalCatEarned += o.grade;
-                        originalCatMax += o.max;
-                    } else {
-                        // max === 0 => treat as extra credit: include earned points but not in max
-                        originalCatEarned += o.grade;
-                    }
-                }
-            }
-
-            // new/current values (include custom, exclude dropped)
-            if (!dropped) {
-                const n = getRowNumbers(row);
-                if (n.grade !== null && n.max !== null) {
-                    if (n.max > 0) {
-                        newCatEarned += n.grade;
-                        newCatMax += n.max;
-                    } else {
-                        // max === 0 => extra credit: include earned but do not add to max
-                        newCatEarned += n.grade;
-                    }
-                }
-            }
-
             // detect edits on official rows (include previously ungraded entries getting a value)
             if (!isCustom) {
                 const o2 = getRowOriginalNumbers(row);
@@ -1607,13 +1957,8 @@ function recalculateAllGrades(sectionId) {
             }
         });
 
-        newSectionEarned += newCatEarned;
-        newSectionMax += newCatMax;
-        originalSectionEarned += originalCatEarned;
-        originalSectionMax += originalCatMax;
-
-        const newCatPct = newCatMax > 0 ? (newCatEarned / newCatMax * 100) : 0;
-        const originalCatPctVal = originalCatMax > 0 ? (originalCatEarned / originalCatMax * 100) : (originalCatMax === 0 ? null : 0);
+        const newCatPct = currentCat.percentage !== null ? currentCat.percentage : 0;
+        const originalCatPctVal = originalCat.percentage;
 
         // Update category edited UI. If original server value is missing, still show calculated value.
         const catEditedElId = 'cat-edited-' + sectionId + '-' + catIndex;
@@ -1645,17 +1990,17 @@ function recalculateAllGrades(sectionId) {
             }
             if (catEditedEl) {
                 const ev = catEditedEl.querySelector('.edited-val');
-                if (ev) ev.innerHTML = '<span class="grade-pill ' + getGradeColorClass(newCatPct) + '">' + newCatPct.toFixed(2) + '%</span>' +
-                                     '<span class="grade-pill ' + getGradeColorClass(newCatPct) + '">' + getLetterGrade(newCatPct) + '</span>';
+                if (ev) ev.innerHTML = '<span class="grade-pill ' + getGradeColorClass(newCatPct, scale) + '">' + newCatPct.toFixed(2) + '%</span>' +
+                                     '<span class="grade-pill ' + getGradeColorClass(newCatPct, scale) + '">' + getLetterGrade(newCatPct, scale) + '</span>';
                 // Set the primary display to the server-original percentage (computed),
                 // falling back to cached HTML if the numeric value is not available.
                 if (catGradeContainer) {
                     const primary = catGradeContainer.querySelector('.category-original');
                     if (primary) {
                         if (originalCatPctVal !== null) {
-                            primary.innerHTML = '<span class="grade-pill ' + getGradeColorClass(originalCatPctVal) + '">' + originalCatPctVal.toFixed(2) + '%</span>' +
-                                                 '<span class="grade-pill ' + getGradeColorClass(originalCatPctVal) + '">' + getLetterGrade(originalCatPctVal) + '</span>';
-                            primary.className = 'category-original ' + getGradeColorClass(originalCatPctVal);
+                            primary.innerHTML = '<span class="grade-pill ' + getGradeColorClass(originalCatPctVal, scale) + '">' + originalCatPctVal.toFixed(2) + '%</span>' +
+                                                 '<span class="grade-pill ' + getGradeColorClass(originalCatPctVal, scale) + '">' + getLetterGrade(originalCatPctVal, scale) + '</span>';
+                            primary.className = 'category-original ' + getGradeColorClass(originalCatPctVal, scale);
                         } else {
                             const serverHtml = catGradeContainer.dataset.serverOriginalHtml;
                             if (serverHtml !== undefined) primary.innerHTML = serverHtml;
@@ -1689,8 +2034,9 @@ function recalculateAllGrades(sectionId) {
             newCatEarned: newCatEarned,
             newCatMax: newCatMax,
             hasAssignments: hasAssignments,
-            originalContribution: 0,
-            newContribution: 0
+            dropLowest: currentCat.droppedIds.length,
+            originalContribution: originalCat.contribution,
+            newContribution: currentCat.contribution
         });
 
         // Ensure category header reflects calculated value when original server value is missing or differs without user changes.
@@ -1703,11 +2049,11 @@ function recalculateAllGrades(sectionId) {
                 if (originalCatPctFromServer !== null && !catHasChanges && Math.abs(roundedNewPct - roundedOrigPct) > 0) {
                     // update primary to calculated
                     let primary = catGradeContainer.querySelector('.category-original');
-                    const pillHtml = '<span class="grade-pill ' + getGradeColorClass(newCatPct) + '">' + newCatPct.toFixed(2) + '%</span>' +
-                                     '<span class="grade-pill ' + getGradeColorClass(newCatPct) + '">' + getLetterGrade(newCatPct) + '</span>';
+                    const pillHtml = '<span class="grade-pill ' + getGradeColorClass(newCatPct, scale) + '">' + newCatPct.toFixed(2) + '%</span>' +
+                                     '<span class="grade-pill ' + getGradeColorClass(newCatPct, scale) + '">' + getLetterGrade(newCatPct, scale) + '</span>';
                     if (primary) {
                         primary.innerHTML = pillHtml;
-                        primary.className = 'category-original ' + getGradeColorClass(newCatPct);
+                        primary.className = 'category-original ' + getGradeColorClass(newCatPct, scale);
                     }
                     // hide edited element
                     const existingEdited = document.getElementById('cat-edited-' + sectionId + '-' + catIndex);
@@ -1716,8 +2062,8 @@ function recalculateAllGrades(sectionId) {
                 // If server has no original pct, show calculated as primary
                 else if (originalCatPctFromServer === null && newCatMax > 0) {
                     let primary = catGradeContainer.querySelector('.category-original');
-                    const pillHtml = '<span class="grade-pill ' + getGradeColorClass(newCatPct) + '">' + newCatPct.toFixed(2) + '%</span>' +
-                                     '<span class="grade-pill ' + getGradeColorClass(newCatPct) + '">' + getLetterGrade(newCatPct) + '</span>';
+                    const pillHtml = '<span class="grade-pill ' + getGradeColorClass(newCatPct, scale) + '">' + newCatPct.toFixed(2) + '%</span>' +
+                                     '<span class="grade-pill ' + getGradeColorClass(newCatPct, scale) + '">' + getLetterGrade(newCatPct, scale) + '</span>';
                     if (!primary) {
                         primary = document.createElement('span');
                         primary.className = 'category-original';
@@ -1725,7 +2071,7 @@ function recalculateAllGrades(sectionId) {
                         catGradeContainer.insertBefore(primary, catGradeContainer.firstChild);
                     } else {
                         primary.innerHTML = pillHtml;
-                        primary.className = 'category-original ' + getGradeColorClass(newCatPct);
+                        primary.className = 'category-original ' + getGradeColorClass(newCatPct, scale);
                     }
                     // hide edited element
                     const existingEdited = document.getElementById('cat-edited-' + sectionId + '-' + catIndex);
@@ -1737,42 +2083,11 @@ function recalculateAllGrades(sectionId) {
         }
     });
 
-    const weightedMode = debugLines.some(dl => dl.weight > 0);
-    let sumOrigContrib = 0;
-    let sumNewContrib = 0;
-
-    if (weightedMode) {
-        // Redistribute weights among only categories that have assignments
-        const totalActiveWeight = debugLines.reduce((s, dl) => s + (dl.weight > 0 && dl.hasAssignments ? dl.weight : 0), 0);
-        // If no active weights, fallback to point-based (treated below)
-        if (totalActiveWeight > 0) {
-            debugLines.forEach(dl => {
-                const origPct = dl.originalPct !== null ? Number(dl.originalPct) : null;
-                if (origPct !== null) dl.originalContribution = origPct * (dl.weight > 0 ? (dl.weight / totalActiveWeight) : 0);
-                else dl.originalContribution = 0;
-
-                if (dl.newCatMax > 0) dl.newContribution = dl.newPct * (dl.weight > 0 ? (dl.weight / totalActiveWeight) : 0);
-                else dl.newContribution = 0;
-
-                sumOrigContrib += Number(dl.originalContribution) || 0;
-                sumNewContrib += Number(dl.newContribution) || 0;
-            });
-        } else {
-            // No active weighted categories; fall back to point-based below by leaving sums as 0
-        }
-    }
-
-    // If not weighted mode or weighted fallback, compute contributions by points
-    if (!weightedMode || (weightedMode && sumNewContrib === 0)) {
-        debugLines.forEach(dl => {
-            const origContrib = (dl.originalCatMax > 0 && originalSectionMax > 0) ? (dl.originalCatEarned / originalSectionMax * 100) : 0;
-            const newContrib = (dl.newCatMax > 0 && newSectionMax > 0) ? (dl.newCatEarned / newSectionMax * 100) : 0;
-            dl.originalContribution = origContrib;
-            dl.newContribution = newContrib;
-            sumOrigContrib += origContrib;
-            sumNewContrib += newContrib;
-        });
-    }
+    const weightedMode = current.method === GradeEngine.METHOD.WEIGHTED;
+    const sumOrigContrib = original.percentage !== null ? original.percentage : 0;
+    const sumNewContrib = current.percentage !== null ? current.percentage : 0;
+    const newSectionEarned = current.earned;
+    const newSectionMax = current.max;
 
     // Update section totals
     const earnedEl = document.getElementById('earned-' + sectionId);
@@ -1780,7 +2095,7 @@ function recalculateAllGrades(sectionId) {
     if (earnedEl) earnedEl.textContent = newSectionEarned.toFixed(2);
     if (totalEl) totalEl.textContent = newSectionMax.toFixed(2);
 
-    const newSectionPct = weightedMode ? sumNewContrib : (newSectionMax > 0 ? (newSectionEarned / newSectionMax * 100) : 0);
+    const newSectionPct = sumNewContrib;
 
     const editedSectionEl = document.getElementById('edited-section-' + sectionId);
     const originalGradeEl = courseCard.querySelector('.original-grade');
@@ -1794,8 +2109,7 @@ function recalculateAllGrades(sectionId) {
         courseCard.dataset.originalPct = (originalSectionPct !== null && Number.isFinite(originalSectionPct)) ? String(originalSectionPct) : '';
         courseCard.dataset.sectionEarned = String(newSectionEarned);
         courseCard.dataset.sectionMax = String(newSectionMax);
-        const hasGrade = (newSectionMax > 0) || (weightedMode && sumNewContrib > 0);
-        courseCard.dataset.sectionHasGrade = hasGrade ? '1' : '';
+        courseCard.dataset.sectionHasGrade = current.percentage !== null ? '1' : '';
     } catch (e) {
         // non-fatal
     }
@@ -1803,15 +2117,15 @@ function recalculateAllGrades(sectionId) {
     if (editedSectionEl) {
         const shouldShowCalculated = hasChanges && (
             (hasOriginalGrade && Math.abs(newSectionPct - originalSectionPct) > 0.01) ||
-            (!hasOriginalGrade && newSectionMax > 0)
+            (!hasOriginalGrade && current.percentage !== null)
         );
 
         if (shouldShowCalculated) {
             editedSectionEl.style.display = 'flex';
             const pctEl = document.getElementById('edited-pct-' + sectionId);
             const letterEl = document.getElementById('edited-letter-' + sectionId);
-            if (pctEl) { pctEl.className = 'grade-pill ' + getGradeColorClass(newSectionPct); pctEl.textContent = newSectionPct.toFixed(2) + '%'; }
-            if (letterEl) { letterEl.className = 'grade-pill ' + getGradeColorClass(newSectionPct); letterEl.textContent = getLetterGrade(newSectionPct); }
+            if (pctEl) { pctEl.className = 'grade-pill ' + getGradeColorClass(newSectionPct, scale); pctEl.textContent = newSectionPct.toFixed(2) + '%'; }
+            if (letterEl) { letterEl.className = 'grade-pill ' + getGradeColorClass(newSectionPct, scale); letterEl.textContent = getLetterGrade(newSectionPct, scale); }
         } else {
             editedSectionEl.style.display = 'none';
         }
@@ -1839,12 +2153,14 @@ function recalculateAllGrades(sectionId) {
             }
             html += '<div class="row"><div class="muted">Original Section Grade:</div><div>' + (originalSectionPct !== null ? originalSectionPct.toFixed(2) + '%' : 'N/A') + '</div></div>';
             html += '<div class="row"><div class="muted">Calculated Section Grade:</div><div>' + newSectionPct.toFixed(2) + '%</div></div>';
+            html += '<div class="row"><div class="muted">Method:</div><div>' + (weightedMode ? 'Weighted categories' : 'Total points') + '</div></div>';
             html += '<div class="row"><div class="muted">Difference:</div><div>' + (originalSectionPct !== null ? (newSectionPct - originalSectionPct).toFixed(2) + '%' : (newSectionPct.toFixed(2) + '%')) + '</div></div>';
             html += '<hr style="opacity:0.06; border: none; border-top: 1px solid rgba(0,0,0,0.06); margin: var(--space-2) 0;">';
             html += '<div class="muted">Category breakdown:</div>';
             debugLines.forEach(dl => {
                 html += '<div class="row"><div>' + dl.title + (dl.weight > 0 ? ' <span class="muted">(' + dl.weight + '%)</span>' : '') + '</div>';
                 html += '<div class="muted">Orig: ' + dl.originalEarned + ' • New: ' + dl.newEarned + '</div></div>';
+                if (dl.dropLowest > 0) html += '<div class="row"><div class="muted">Lowest scores dropped:</div><div>' + dl.dropLowest + '</div></div>';
                 if (weightedMode) {
                     html += '<div class="row"><div class="muted">Orig Contribution:</div><div>' + dl.originalContribution + '%</div></div>';
                     html += '<div class="row"><div class="muted">New Contribution:</div><div>' + dl.newContribution + '%</div></div>';
@@ -1883,6 +2199,10 @@ function recalculateAllGrades(sectionId) {
         }
     }
 
+    // Ungraded assignments and the grade to solve from may have changed
+    renderSolverPlaceholders(sectionId);
+    updateGradeSolver(sectionId);
+
     // Refresh overall stats box (section stats already rendered before debug)
     scheduleOverallStatsUpdate();
 }
@@ -1924,11 +2244,11 @@ function saveCustomAssignments() {
             });
         });
     });
-    setCookie('customAssignments', flat);
+    UserState.set('customAssignments', flat);
 }
 
 function loadCustomAssignments() {
-    const saved = getCookie('customAssignments');
+    const saved = UserState.get('customAssignments');
     
     if (saved) {
         // Saved may be a flat array; convert to internal mapping
@@ -3,9 +3,23 @@ const express = require('express');
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
-const https = require('https');
-const zlib = require('zlib');
 const path = require('path');
+const { SchoologyClient, RequestScheduler, PRIORITY } = require('./lib/schoology-client');
+const { SyncWorker } = require('./lib/sync-worker');
+const { createUserStateStore } = require('./lib/user-state-store');
+const { RecordStore } = require('./lib/record-store');
+const { TokenCipher, resolveSecrets } = require('./lib/token-crypto');
+const { Diagnostics } = require('./lib/diagnostics');
+const { createLogger, inferLevel } = require('./lib/logger');
+const { CsrfTokens } = require('./lib/csrf');
+const { createTenantRegistry } = require('./lib/tenants');
+const { SessionRegistry, createEmptyRegistry } = require('./lib/session-registry');
+const { InboundRateLimiter, applyLimitOverride } = require('./lib/rate-limit');
+const { MetricsRegistry, endpointFamily } = require('./lib/metrics');
+const { calculateGrade, compareWithOfficial } = require('./lib/grade-engine');
+const { pickSchoologyScale, resolveScale, letterFor, gradeClassFor } = require('./lib/grading-scales');
+const { ALL_PERIODS, extractSectionPeriods, collectGradingPeriods, selectPeriod, isInPeriod, buildSemesterParts } = require('./lib/grading-periods');
+const { resolveSectionGrades, getUnresolvedSectionIds, applyGradeResolution, extractFinalGrade, normalizeGradeSections, describeGradeSource, GRADE_SOURCES } = require('./lib/grade-resolution');
 
 // ============================================================
 // Vercel Deployment Configuration
@@ -44,6 +58,114 @@ if (IS_VERCEL) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Secret redaction for logs and correlation IDs for error pages - see lib/diagnostics.js
+const diagnostics = new Diagnostics({ log: (category, message) => logger.error(category, message) });
+
+// Structured, redacted logging configured by LOG_* variables - see lib/logger.js
+const logger = createLogger({ env: process.env, redact: value => diagnostics.redact(value) });
+
+// Give every request an ID (or keep the one a proxy sent) and log everything it does under it
+const REQUEST_ID_PATTERN = /^[\w.-]{8,64}$/;
+app.use((req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : logger.newRequestId();
+    res.set('X-Request-Id', req.id);
+    logger.runWithContext({ requestId: req.id }, next);
+});
+
+// ============================================================
+// Metrics
+// ============================================================
+// Prometheus-format metrics at /metrics (see lib/metrics.js). The endpoint is
+// off unless METRICS_TOKEN is set, and scrapers must send that token as
+// "Authorization: Bearer <token>" (or ?token=). It is registered ahead of the
+// session and rate limit middleware so scrapes never create sessions.
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const metrics = new MetricsRegistry();
+const WAIT_BUCKETS = [0.001, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const schoologyRequestDuration = metrics.histogram('schoology_request_duration_seconds',
+    'Latency of Schoology API calls by endpoint family', ['method', 'family', 'status']);
+const schoologyRateLimited = metrics.counter('schoology_rate_limited_total',
+    '429 responses from Schoology, by whether the request was retried or gave up', ['family', 'outcome']);
+const schedulerWait = metrics.histogram('schoology_scheduler_wait_seconds',
+    'Time requests waited in the request scheduler for a rate limit slot', ['priority'], WAIT_BUCKETS);
+metrics.gauge('schoology_scheduler_queued', 'Requests waiting in the request scheduler', ['priority'], gauge => {
+    const stats = schoology.scheduler.getStats();
+    for (const [priority, level] of Object.entries(stats.priorities)) gauge.set({ priority }, level.queued);
+});
+metrics.gauge('schoology_scheduler_available', 'Rate limit slots free in the current window', [], gauge => {
+    gauge.set({}, schoology.scheduler.available());
+});
+const cacheRequests = metrics.counter('cache_requests_total',
+    'API cache lookups by CACHE_TTL category and result (hit, stale or miss)', ['category', 'result']);
+const httpRequestDuration = metrics.histogram('http_request_duration_seconds',
+    'Time to serve each route, including page renders', ['method', 'route', 'status']);
+const inboundRateLimited = metrics.counter('http_rate_limited_total',
+    'Requests rejected by the inbound rate limiter', ['group', 'limited_by']);
+metrics.gauge('browser_state', 'Headless browser state (1 = yes)', ['state'], gauge => {
+    gauge.set({ state: 'enabled' }, BROWSER_FEATURES_ENABLED ? 1 : 0);
+    gauge.set({ state: 'launched' }, browserInstance ? 1 : 0);
+    gauge.set({ state: 'context_open' }, browserContext ? 1 : 0);
+    gauge.set({ state: 'logged_in' }, isLoggedIn ? 1 : 0);
+});
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started', [], gauge => {
+    gauge.set({}, Math.round(process.uptime()));
+});
+metrics.gauge('process_memory_bytes', 'Process memory usage', ['type'], gauge => {
+    const usage = process.memoryUsage();
+    gauge.set({ type: 'rss' }, usage.rss);
+    gauge.set({ type: 'heap_used' }, usage.heapUsed);
+});
+
+// Cache keys are "<userId>:<endpoint>:<params>"; endpoints are named after what
+// they hold ("grades", "assignments-<id>", "user-details", ...)
+const CACHE_CATEGORY_BY_PREFIX = {
+    sections: 'sections', section: 'sections', enrollments: 'sections',
+    grades: 'grades', grade: 'grades',
+    assignments: 'assignments', assignment: 'assignments',
+    user: 'user',
+    folder: 'courses',
+    categories: 'categories', scales: 'categories',
+    submission: 'submissions', submissions: 'submissions'
+};
+
+function cacheCategory(key) {
+    const endpoint = String(key).split(':')[1] || '';
+    return CACHE_CATEGORY_BY_PREFIX[endpoint.split('-')[0]] || 'other';
+}
+
+function countCacheLookup(key, result) {
+    cacheRequests.inc({ category: cacheCategory(key), result });
+}
+
+// Time every request under the route pattern that handled it ("/course/:id"),
+// so ids don't create a series each
+app.use((req, res, next) => {
+    const stopTimer = httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : (res.statusCode === 404 ? 'unmatched' : 'middleware');
+        stopTimer({ route, status: res.statusCode });
+    });
+    next();
+});
+
+// Only from the Authorization header: a token in the query string ends up in access logs and browser history
+function hasMetricsToken(req) {
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+    const expected = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+    return crypto.timingSafeEqual(crypto.createHash('sha256').update(provided).digest(), expected);
+}
+
+app.get('/metrics', (req, res, next) => {
+    if (!METRICS_TOKEN) return next('route'); // behave as if the endpoint doesn't exist
+    if (!hasMetricsToken(req)) return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized');
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Enable response compression for 3x faster transfers
 try {
     const compression = require('compression');
@@ -75,33 +197,35 @@ app.use(compression({
 // Cookie Encryption for Serverless OAuth Token Storage
 // ============================================================
 // On Vercel, sessions don't persist between requests, so we store
-// OAuth request tokens in encrypted cookies instead
-
-const ENCRYPTION_KEY = crypto.createHash('sha256')
-    .update(process.env.SESSION_SECRET || 'schoology-pro-max-secret')
-    .digest();
-const IV_LENGTH = 16;
-
-function encryptToken(text) {
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv('aes-256-cbc', ENCRYPTION_KEY, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return iv.toString('hex') + ':' + encrypted;
+// OAuth request tokens in encrypted cookies instead. Tokens are sealed with
+// AES-256-GCM (lib/token-crypto.js) and bound to a purpose, so a tampered or
+// swapped cookie is rejected. SESSION_SECRET_PREVIOUS keeps older secrets
+// valid while they are rotated out.
+
+const tokenSecrets = resolveSecrets(process.env);
+if (tokenSecrets.insecure) {
+    console.log('⚠️  SESSION_SECRET is not set to a private value - fine for local development, refused in production');
 }
+tokenSecrets.secrets.forEach(secret => diagnostics.addSecret(secret));
+const tokenCipher = new TokenCipher({
+    secrets: tokenSecrets.secrets,
+    acceptLegacy: process.env.ACCEPT_LEGACY_TOKENS === 'true',
+    log: (category, message) => debugLog(category, message)
+});
 
-function decryptToken(text) {
-    try {
-        const parts = text.split(':');
-        const iv = Buffer.from(parts[0], 'hex');
-        const encrypted = parts[1];
-        const decipher = crypto.createDecipheriv('aes-256-cbc', ENCRYPTION_KEY, iv);
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted;
-    } catch (e) {
-        return null;
-    }
+// Purposes bound into each token
+const TOKEN_PURPOSES = {
+    requestToken: 'oauth-request',
+    accessToken: 'access-token',
+    browserSession: 'schoology-sess'
+};
+
+function encryptToken(text, purpose) {
+    return tokenCipher.encrypt(text, purpose);
+}
+
+function decryptToken(text, purpose) {
+    return tokenCipher.decrypt(text, purpose);
 }
 
 // Browser session management (only used when browser features enabled)
@@ -109,22 +233,83 @@ let browserContext = null;
 let browserInstance = null;
 let isLoggedIn = false;
 
-// Storage paths (only used locally, not on Vercel)
-const BROWSER_STATE_PATH = path.join(__dirname, '.browser-state');
-const NOTIFICATIONS_PATH = path.join(__dirname, '.notifications.json');
-const SCHEDULE_PATH = path.join(__dirname, '.schedule.json');
+// Storage paths (only used locally, not on Vercel). DATA_DIR moves them out of the project folder.
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const BROWSER_STATE_PATH = path.join(DATA_DIR, '.browser-state');
+// Schedules and notifications are per-user records (see lib/record-store.js).
+// The old shared files are imported once on startup and then left alone.
+const RECORDS_DIR = path.join(DATA_DIR, '.records');
+const LEGACY_NOTIFICATIONS_PATH = path.join(DATA_DIR, '.notifications.json');
+const LEGACY_SCHEDULE_PATH = path.join(DATA_DIR, '.schedule.json');
+
+function createEmptyNotifications() {
+    return { notifications: [], knownAssignments: {}, knownGrades: {} };
+}
+
+// Without a filesystem (Vercel) records are kept in memory and reset between invocations
+const scheduleStore = new RecordStore({
+    name: 'schedule',
+    fs: IS_VERCEL ? null : fs,
+    dir: path.join(RECORDS_DIR, 'schedule'),
+    version: 1,
+    migrations: {
+        // v1: { [day 1-5]: blocks[], adjustedDueTimes: {} } - same shape as the old shared file
+        1: data => (data && typeof data === 'object' && !Array.isArray(data) ? data : {})
+    },
+    createDefault: () => ({}),
+    log: debugLog
+});
+
+const notificationsStore = new RecordStore({
+    name: 'notifications',
+    fs: IS_VERCEL ? null : fs,
+    dir: path.join(RECORDS_DIR, 'notifications'),
+    version: 1,
+    migrations: {
+        // v1: { notifications, knownAssignments, knownGrades }. Old "cleared" entries
+        // were saved as { items: [], lastCheck }, so fill in whatever is missing.
+        1: data => ({
+            notifications: Array.isArray(data && data.notifications) ? data.notifications : [],
+            knownAssignments: (data && data.knownAssignments) || {},
+            knownGrades: (data && data.knownGrades) || {}
+        })
+    },
+    createDefault: createEmptyNotifications,
+    log: debugLog
+});
+
+// Signed-in devices per user (see lib/session-registry.js)
+const sessionRegistry = new SessionRegistry({
+    store: new RecordStore({
+        name: 'sessions',
+        fs: IS_VERCEL ? null : fs,
+        dir: path.join(RECORDS_DIR, 'sessions'),
+        version: 1,
+        migrations: {
+            1: data => (data && data.logins ? data : createEmptyRegistry())
+        },
+        createDefault: createEmptyRegistry,
+        log: debugLog
+    }),
+    log: debugLog
+});
 
-// In-memory caches (works on both local and Vercel)
-// Note: On Vercel, these reset between function invocations
-let notificationsCache = {};
-let scheduleCache = {};
+scheduleStore.importLegacyFile(LEGACY_SCHEDULE_PATH);
+notificationsStore.importLegacyFile(LEGACY_NOTIFICATIONS_PATH);
 
 // ============================================================
 // API Response Cache System for Faster Page Loads
 // ============================================================
 
 // Comprehensive caching system for 3x+ performance boost
-const apiCache = new Map();
+// Backend is chosen by CACHE_BACKEND (memory, file or redis) - see lib/cache-store.js
+const { createCacheStore } = require('./lib/cache-store');
+const apiCache = createCacheStore({ fs, baseDir: DATA_DIR, log: debugLog });
+debugLog('CACHE', `✓ API cache backend: ${apiCache.backend}`);
+
+// Per-user state (completed assignments, grade edits, settings) - see lib/user-state-store.js
+const userState = createUserStateStore({ fs: IS_VERCEL ? null : fs, baseDir: DATA_DIR, log: debugLog });
+debugLog('STATE', `✓ User state backend: ${userState.backend}`);
 const CACHE_TTL = {
     sections: 5 * 60 * 1000,      // 5 minutes
     grades: 2 * 60 * 1000,        // 2 minutes
@@ -140,47 +325,92 @@ function getCacheKey(userId, endpoint, params = {}) {
     return `${userId}:${endpoint}:${paramStr}`;
 }
 
-function getCachedData(key, ttl = 5 * 60 * 1000) {
-    const cached = apiCache.get(key);
+// How long past its TTL an entry may still be served by stale-while-revalidate reads
+const CACHE_STALE_MAX_AGE = 30 * 60 * 1000; // 30 minutes
+
+// Look up a cache entry, reporting whether it is past its TTL.
+// Entries older than TTL + CACHE_STALE_MAX_AGE are dropped.
+async function getCacheEntry(key, ttl = 5 * 60 * 1000) {
+    const cached = await apiCache.get(key);
     if (!cached) return null;
-    
-    const age = Date.now() - cached.timestamp;
-    if (age > ttl) {
+
+    const ageMs = Date.now() - cached.timestamp;
+    if (ageMs > ttl + CACHE_STALE_MAX_AGE) {
         apiCache.delete(key);
         return null;
     }
+    return { data: cached.data, ageMs, stale: ageMs > ttl };
+}
+
+async function getCachedData(key, ttl = 5 * 60 * 1000) {
+    const cached = await getCacheEntry(key, ttl);
+    if (!cached || cached.stale) {
+        countCacheLookup(key, 'miss');
+        return null;
+    }
+    countCacheLookup(key, 'hit');
     
-    debugLog('CACHE', `✓ Cache HIT: ${key} (age: ${Math.round(age / 1000)}s)`);
+    debugLog('CACHE', `✓ Cache HIT: ${key} (age: ${Math.round(cached.ageMs / 1000)}s)`);
+    return cached.data;
+}
+
+// Background refresh for a stale entry, deduplicated per cache key by the store
+function revalidateInBackground(key, refresh) {
+    if (!apiCache.revalidations.has(key)) debugLog('CACHE', `↻ Revalidating stale entry in background: ${key}`);
+    // Queued behind page loads in the request scheduler
+    return apiCache.revalidate(key, () => schoology.scheduler.runWithPriority(PRIORITY.BACKGROUND, refresh));
+}
+
+// Record how old the data behind a response is. `meta` is an accumulator shared
+// by every fetch that feeds one page: ageMs is the oldest entry used, stale is
+// set when any of them was served past its TTL.
+function recordCacheFreshness(meta, ageMs, stale) {
+    if (!meta) return;
+    meta.ageMs = Math.max(meta.ageMs || 0, ageMs);
+    if (stale) {
+        meta.stale = true;
+        meta.revalidating = true;
+    }
+}
+
+// Read a cache entry honoring cacheOptions.staleWhileRevalidate: a stale entry is
+// returned at once and `refresh` is started in the background. Returns null on a miss.
+async function readCacheWithRevalidate(key, ttl, cacheOptions, refresh) {
+    const cached = await getCacheEntry(key, ttl);
+    if (!cached || (cached.stale && !cacheOptions.staleWhileRevalidate)) {
+        countCacheLookup(key, 'miss');
+        return null;
+    }
+    if (cached.stale) {
+        revalidateInBackground(key, refresh);
+        countCacheLookup(key, 'stale');
+        debugLog('CACHE', `✓ Cache STALE: ${key} (age: ${Math.round(cached.ageMs / 1000)}s)`);
+    } else {
+        countCacheLookup(key, 'hit');
+        debugLog('CACHE', `✓ Cache HIT: ${key} (age: ${Math.round(cached.ageMs / 1000)}s)`);
+    }
+    recordCacheFreshness(cacheOptions.meta, cached.ageMs, cached.stale);
     return cached.data;
 }
 
 function setCachedData(key, data) {
-    apiCache.set(key, {
-        data,
-        timestamp: Date.now()
-    });
+    apiCache.set(key, data);
     debugLog('CACHE', `✓ Cache SET: ${key}`);
 }
 
-function invalidateCache(pattern) {
-    let count = 0;
-    for (const key of apiCache.keys()) {
-        if (key.includes(pattern)) {
-            apiCache.delete(key);
-            count++;
-        }
-    }
+async function invalidateCache(pattern) {
+    const count = await apiCache.deleteMatching(pattern);
     if (count > 0) debugLog('CACHE', `✓ Invalidated ${count} cache entries matching: ${pattern}`);
 }
 
 // Clear specific cache for a user
 function clearCache(userId, cacheKey) {
-    invalidateCache(`${userId}:${cacheKey}`);
+    return invalidateCache(`${userId}:${cacheKey}`);
 }
 
 // Clear all cache for a user
 function clearAllCache(userId) {
-    invalidateCache(userId);
+    return invalidateCache(userId);
 }
 
 // ============================================================
@@ -188,40 +418,23 @@ function clearAllCache(userId) {
 // ============================================================
 
 // Fetch all sections with caching
-async function fetchAllSectionsOptimized(userId, accessToken) {
+async function fetchAllSectionsOptimized(userId, accessToken, cacheOptions = {}) {
     const cacheKey = getCacheKey(userId, 'sections');
-    const cached = getCachedData(cacheKey, CACHE_TTL.sections);
+    const cached = await readCacheWithRevalidate(cacheKey, CACHE_TTL.sections, cacheOptions,
+        () => fetchAllSectionsOptimized(userId, accessToken));
     if (cached) {
         if (Array.isArray(cached)) return cached;
         if (cached && typeof cached === 'object' && Array.isArray(cached.section)) return cached.section;
     }
 
-    // Pagination: request pages of sections (200 per page) until no more results.
-    const limit = 200;
-    let page = 1;
-    let allSections = [];
-
+    // Pagination (200 per page) is handled by the client; each page is cached as `${cacheKey}:page:N`
     try {
-        while (true) {
-            const sectionsUrl = `${config.apiBase}/users/${userId}/sections?limit=${limit}&page=${page}`;
-            debugLog('FETCH', `📚 Fetching sections from: ${sectionsUrl}`);
-
-            const sectionsData = await makeOAuthRequest('GET', sectionsUrl, accessToken, null, {
-                cache: true,
-                cacheKey: `${cacheKey}:page:${page}`,
-                cacheTTL: CACHE_TTL.sections
-            });
-
-            const sectionsPage = sectionsData && Array.isArray(sectionsData.section) ? sectionsData.section : [];
-            debugLog('FETCH', `✓ Page ${page}: ${sectionsPage.length} sections`);
-
-            if (sectionsPage.length === 0) break;
-            allSections = allSections.concat(sectionsPage);
-
-            if (sectionsPage.length < limit) break; // last page
-            page++;
-            if (page > 20) break; // safety guard to avoid infinite loops
-        }
+        debugLog('FETCH', `📚 Fetching sections for user ${userId}`);
+        const allSections = await schoology.getSections(accessToken, userId, {
+            cache: true,
+            cacheKey,
+            cacheTTL: CACHE_TTL.sections
+        });
 
         debugLog('FETCH', `✓ Found ${allSections.length} total sections after pagination`);
         try { setCachedData(cacheKey, allSections); } catch (e) { debugLog('CACHE', `Could not set sections cache: ${e.message}`); }
@@ -235,41 +448,21 @@ async function fetchAllSectionsOptimized(userId, accessToken) {
 // Fetch all enrollments with caching (useful for grades when main endpoint fails)
 async function fetchEnrollmentsOptimized(userId, accessToken) {
     const cacheKey = getCacheKey(userId, 'enrollments');
-    const cached = getCachedData(cacheKey, CACHE_TTL.sections); // Reuse section TTL
+    const cached = await getCachedData(cacheKey, CACHE_TTL.sections); // Reuse section TTL
     if (cached) return cached;
 
-    const limit = 200;
-    let start = 0; // Enrollments use start/limit usually, or page? Schoology docs say start/limit.
-    // Actually, let's assume standard pagination.
-    // But wait, /users/{id}/enrollments might not be paginated the same way.
-    // Let's try standard start/limit pattern.
-    
-    let allEnrollments = [];
-    
+    // The enrollments endpoint uses start/limit pagination, handled by the client
     try {
-        while (true) {
-            const url = `${config.apiBase}/users/${userId}/enrollments?start=${start}&limit=${limit}`;
-            debugLog('FETCH', `🎓 Fetching enrollments from: ${url}`);
-            
-            const data = await makeOAuthRequest('GET', url, accessToken, null, {
-                cache: true,
-                cacheKey: `${cacheKey}:start:${start}`,
-                cacheTTL: CACHE_TTL.sections
-            });
-            
-            const page = data && Array.isArray(data.enrollment) ? data.enrollment : [];
-            debugLog('FETCH', `✓ Enrollments page: ${page.length} items`);
-            if (page.length > 0) {
-                debugLog('FETCH', `  Sample enrollment: ${JSON.stringify(page[0]).substring(0, 100)}...`);
-            }
-            if (page.length === 0) break;
-            
-            allEnrollments = allEnrollments.concat(page);
-            if (page.length < limit) break;
-            start += limit;
-            if (start > 5000) break; // Safety
+        debugLog('FETCH', `🎓 Fetching enrollments for user ${userId}`);
+        const allEnrollments = await schoology.getEnrollments(accessToken, userId, {
+            cache: true,
+            cacheKey,
+            cacheTTL: CACHE_TTL.sections
+        });
+        if (allEnrollments.length > 0) {
+            debugLog('FETCH', `  Sample enrollment: ${JSON.stringify(allEnrollments[0]).substring(0, 100)}...`);
         }
-        
+
         try { setCachedData(cacheKey, allEnrollments); } catch (e) {}
         return allEnrollments;
     } catch (e) {
@@ -279,9 +472,10 @@ async function fetchEnrollmentsOptimized(userId, accessToken) {
 }
 
 // Fetch all grades with caching
-async function fetchAllGradesOptimized(userId, accessToken) {
+async function fetchAllGradesOptimized(userId, accessToken, cacheOptions = {}) {
     const cacheKey = getCacheKey(userId, 'grades');
-    const cached = getCachedData(cacheKey, CACHE_TTL.grades);
+    const cached = await readCacheWithRevalidate(cacheKey, CACHE_TTL.grades, cacheOptions,
+        () => fetchAllGradesOptimized(userId, accessToken));
     if (cached) return cached;
 
     const gradesUrl = `${config.apiBase}/users/${userId}/grades?with_category_grades=1`;
@@ -298,7 +492,7 @@ async function fetchAllGradesOptimized(userId, accessToken) {
 }
 
 // Fetch assignments for multiple sections in parallel with caching
-async function fetchAssignmentsForSectionsParallel(sectionIds, accessToken, maxConcurrent = 5, userId = null) {
+async function fetchAssignmentsForSectionsParallel(sectionIds, accessToken, maxConcurrent = 5, userId = null, cacheOptions = {}) {
     const results = {};
 
     // Process in batches to avoid overwhelming the API
@@ -307,7 +501,7 @@ async function fetchAssignmentsForSectionsParallel(sectionIds, accessToken, maxC
 
         const batchPromises = batch.map(async (sectionId) => {
             try {
-                const assignments = await fetchAllAssignments(sectionId, accessToken, userId);
+                const assignments = await fetchAllAssignments(sectionId, accessToken, userId, cacheOptions);
                 return { sectionId, assignments, error: null };
             } catch (e) {
                 return { sectionId, assignments: [], error: e.message };
@@ -327,8 +521,28 @@ async function fetchAssignmentsForSectionsParallel(sectionIds, accessToken, maxC
     return results;
 }
 
+// Fetch a user's submission revisions for one assignment with caching (empty when nothing was submitted)
+async function fetchSubmissionRevisions(userId, accessToken, sectionId, assignmentId, cacheOptions = {}) {
+    const cacheKey = getCacheKey(userId, `submission-${sectionId}-${assignmentId}`);
+    try {
+        return await schoology.getSubmission(accessToken, sectionId, assignmentId, userId, {
+            cache: true,
+            cacheKey,
+            cacheTTL: CACHE_TTL.submissions,
+            staleWhileRevalidate: cacheOptions.staleWhileRevalidate,
+            meta: cacheOptions.meta
+        });
+    } catch (e) {
+        if (e.statusCode === 404) {
+            setCachedData(cacheKey, []);
+            return [];
+        }
+        throw e;
+    }
+}
+
 // Fetch grading categories for multiple sections in parallel
-async function fetchCategoriesForSectionsParallel(sectionIds, accessToken, maxConcurrent = 5, userId = null) {
+async function fetchCategoriesForSectionsParallel(sectionIds, accessToken, maxConcurrent = 5, userId = null, cacheOptions = {}) {
     const results = {};
 
     for (let i = 0; i < sectionIds.length; i += maxConcurrent) {
@@ -340,7 +554,9 @@ async function fetchCategoriesForSectionsParallel(sectionIds, accessToken, maxCo
                 const categoriesData = await makeOAuthRequest('GET', categoriesUrl, accessToken, null, {
                     cache: !!userId,
                     cacheKey: userId ? getCacheKey(userId, `categories-${sectionId}`) : null,
-                    cacheTTL: CACHE_TTL.categories
+                    cacheTTL: CACHE_TTL.categories,
+                    staleWhileRevalidate: cacheOptions.staleWhileRevalidate,
+                    meta: cacheOptions.meta
                 });
                 return { sectionId, categories: categoriesData.grading_category || [], error: null };
             } catch (e) {
@@ -361,6 +577,46 @@ async function fetchCategoriesForSectionsParallel(sectionIds, accessToken, maxCo
     return results;
 }
 
+// Fetch grading scales (letter cutoffs) for multiple sections in parallel.
+// Sections without scales, or whose scales we may not read, get an empty list.
+async function fetchGradingScalesForSectionsParallel(sectionIds, accessToken, maxConcurrent = 5, userId = null, cacheOptions = {}) {
+    const results = {};
+
+    for (let i = 0; i < sectionIds.length; i += maxConcurrent) {
+        const batch = sectionIds.slice(i, i + maxConcurrent);
+
+        const batchResults = await Promise.all(batch.map(async (sectionId) => {
+            const cacheKey = userId ? getCacheKey(userId, `scales-${sectionId}`) : null;
+            try {
+                const scalesUrl = `${config.apiBase}/sections/${sectionId}/grading_scales`;
+                const scalesData = await makeOAuthRequest('GET', scalesUrl, accessToken, null, {
+                    cache: !!userId,
+                    cacheKey,
+                    cacheTTL: CACHE_TTL.categories,
+                    staleWhileRevalidate: cacheOptions.staleWhileRevalidate,
+                    meta: cacheOptions.meta
+                });
+                const scales = scalesData.grading_scale || [];
+                return { sectionId, scales: Array.isArray(scales) ? scales : [scales] };
+            } catch (e) {
+                debugLog('API', `Could not fetch grading scales for section ${sectionId}: ${e.message}`);
+                // Scales we may not read stay empty until the entry expires, rather
+                // than being asked for again on every page load
+                if (cacheKey && (e.statusCode === 403 || e.statusCode === 404)) {
+                    setCachedData(cacheKey, { grading_scale: [] });
+                }
+                return { sectionId, scales: [] };
+            }
+        }));
+
+        for (const result of batchResults) {
+            results[result.sectionId] = result.scales;
+        }
+    }
+
+    return results;
+}
+
 // Fetch grades for a specific section
 async function fetchSectionGrades(sectionId, accessToken) {
     try {
@@ -437,66 +693,120 @@ function getSectionGradeForbiddenCacheKey(userId, sectionId) {
     return `${userId}:section-grade-forbidden:${sectionId}`;
 }
 
+// Max sections to fetch individually per request when resolving final grades
+const MAX_SECTION_GRADE_FETCHES = 50;
+
+// Section-specific grades are fetched at most once per request (nav preload and the page share it)
+function fetchSectionGradesOnce(req, sectionId) {
+    if (!req.sectionGradeFetches) req.sectionGradeFetches = new Map();
+    const key = String(sectionId);
+    if (!req.sectionGradeFetches.has(key)) {
+        req.sectionGradeFetches.set(key, fetchSectionGradesWithFallback(sectionId, req.session.accessToken, req.session.userId));
+    }
+    return req.sectionGradeFetches.get(key);
+}
+
+// Resolve the final grade of every section (see lib/grade-resolution.js). Sections the
+// user-level grades don't cover are checked against enrollments, then fetched individually;
+// a 403 is remembered for SECTION_GRADE_FORBIDDEN_TTL. The result is kept on res.locals so
+// the nav and the page always agree.
+async function resolveGradesForRequest(req, res, sections, userGrades, { assignmentsBySection = null } = {}) {
+    if (res.locals.gradeResolution) return res.locals.gradeResolution;
+
+    const input = { sections, userGrades, sectionGrades: {}, enrollments: [], forbidden: {}, assignmentsBySection: { ...(assignmentsBySection || {}) } };
+    let resolved = resolveSectionGrades(input);
+
+    if (getUnresolvedSectionIds(resolved).length > 0) {
+        input.enrollments = await fetchEnrollmentsOptimized(req.session.userId, req.session.accessToken).catch(() => []);
+        resolved = resolveSectionGrades(input);
+    }
+
+    const unresolved = getUnresolvedSectionIds(resolved).slice(0, MAX_SECTION_GRADE_FETCHES);
+    if (unresolved.length > 0) {
+        await Promise.all(unresolved.map(async (sectionId) => {
+            const blockKey = getSectionGradeForbiddenCacheKey(req.session.userId, sectionId);
+            if (await getCachedData(blockKey, SECTION_GRADE_FORBIDDEN_TTL)) {
+                input.forbidden[sectionId] = true;
+            } else {
+                try {
+                    debugLog('GRADES', `  No final grade from user-level API, fetching section-specific grades for ${sectionId}...`);
+                    const { data, usedAssignmentFallback } = await fetchSectionGradesOnce(req, sectionId);
+                    if (usedAssignmentFallback) debugLog('GRADES', `  Used assignment fallback for section ${sectionId}`);
+                    if (data) input.sectionGrades[sectionId] = data;
+                } catch (e) {
+                    debugLog('GRADES', `  Could not fetch section-specific grades for ${sectionId}: ${e.message}`);
+                    if (e && e.statusCode === 403) {
+                        input.forbidden[sectionId] = true;
+                        try { setCachedData(blockKey, { blocked: true }); } catch (ee) {}
+                    }
+                }
+            }
+
+            // Linked sections can only be detected from the section's own assignments
+            if (!input.assignmentsBySection[sectionId]) {
+                input.assignmentsBySection[sectionId] = await fetchAllAssignments(sectionId, req.session.accessToken, req.session.userId).catch(() => []);
+            }
+        }));
+        resolved = resolveSectionGrades(input);
+    }
+
+    for (const result of Object.values(resolved)) {
+        if (result.source !== GRADE_SOURCES.USER_GRADES) {
+            debugLog('GRADES', `  Section ${result.sectionId}: ${result.grade !== null ? result.grade : 'N/A'} (${result.source})`);
+        }
+    }
+
+    res.locals.gradeResolution = resolved;
+    return resolved;
+}
+
 // Parse grades into a lookup map by assignment_id
 function parseGradesIntoMap(gradesData) {
     const gradesMap = {};
     const sectionGrades = {};
     const sectionGradeData = {};
+    const sectionPeriods = {};
 
     if (gradesData && gradesData.section) {
         for (const sec of gradesData.section) {
             const sectionId = sec.section_id;
-            let finalGrade = null;
-
-            // Extract final_grade
-            if (sec.final_grade !== undefined && sec.final_grade !== null && sec.final_grade !== '') {
-                if (Array.isArray(sec.final_grade) && sec.final_grade.length > 0) {
-                    const fg = sec.final_grade[0];
-                    if (fg.grade !== undefined) {
-                        const parsed = parseFloat(fg.grade);
-                        if (!isNaN(parsed)) finalGrade = parsed;
-                    }
-                } else {
-                    const parsed = parseFloat(sec.final_grade);
-                    if (!isNaN(parsed)) finalGrade = parsed;
-                }
-            }
+            const found = extractFinalGrade(sec, GRADE_SOURCES.USER_GRADES);
 
-            sectionGrades[String(sectionId)] = finalGrade;
+            sectionGrades[String(sectionId)] = found ? found.grade : null;
             sectionGradeData[sectionId] = sec;
 
+            sectionPeriods[sectionId] = extractSectionPeriods(sec);
+
             // Parse individual assignment grades
             const periods = sec.period || [];
             for (const period of periods) {
                 const assignments = period.assignment || [];
                 for (const grade of assignments) {
-                    // Inject section_id into the grade object for reverse lookup
+                    // Inject section_id and period_id into the grade object for reverse lookup
                     grade._section_id = sectionId;
+                    grade._period_id = period.period_id !== undefined ? String(period.period_id) : null;
                     gradesMap[grade.assignment_id] = grade;
                 }
             }
         }
     }
 
-    return { gradesMap, sectionGrades, sectionGradeData };
+    return { gradesMap, sectionGrades, sectionGradeData, sectionPeriods };
 }
 
-// Attach final grades to section objects using parsed grades data
-function enrichSectionsWithFinalGrades(sections, gradesData) {
-    if (!sections || !Array.isArray(sections)) return sections || [];
-    if (!gradesData) return sections;
+// Grading period an assignment is set to count in (0 or missing = none)
+function assignmentPeriodId(assignment) {
+    const id = assignment && assignment.grading_period;
+    return id && String(id) !== '0' ? String(id) : null;
+}
 
-    const { sectionGrades } = parseGradesIntoMap(gradesData);
+// Attach final grades to section objects. Pass the request's resolution (res.locals.gradeResolution)
+// when there is one so the page matches the nav; otherwise only the user-level grades are used.
+function enrichSectionsWithFinalGrades(sections, gradesData, resolved = null) {
+    if (!sections || !Array.isArray(sections)) return sections || [];
+    if (!resolved && !gradesData) return sections;
 
-    return sections.map(s => {
-        const normalizedId = s.id || s.section_id || s.sectionId || null;
-        const key = normalizedId !== null ? String(normalizedId) : null;
-        return {
-            ...s,
-            id: normalizedId,
-            final_grade: key !== null && sectionGrades[key] !== undefined ? sectionGrades[key] : s.final_grade !== undefined ? s.final_grade : null
-        };
-    });
+    return applyGradeResolution(sections, resolved || resolveSectionGrades({ sections, userGrades: gradesData }));
 }
 
 function normalizeGradeCandidate(value) {
@@ -539,47 +849,19 @@ function getDisplayCourseTitle(section) {
     return section.course_title || section.section_title || section.courseName || 'Course materials';
 }
 
-// Load schedule from disk (or just return cache on Vercel)
+// Load a user's schedule ({} when they haven't set one)
 function loadSchedule(userId) {
-    // On Vercel, we can't persist to filesystem, just use in-memory cache
-    if (IS_VERCEL) {
-        return scheduleCache[userId] || {};
-    }
-
-    try {
-        if (fs && fs.existsSync(SCHEDULE_PATH)) {
-            const data = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf8'));
-            scheduleCache = data;
-        }
-    } catch (e) {
-        debugLog('SCHEDULE', `Error loading schedule: ${e.message}`);
-    }
-    return scheduleCache[userId] || {};
+    return scheduleStore.get(userId);
 }
 
-// Save schedule to disk (or just cache on Vercel)
+// Replace a user's schedule
 function saveSchedule(userId, schedule) {
-    // Always update in-memory cache
-    if (!scheduleCache[userId]) {
-        scheduleCache[userId] = {};
-    }
-    scheduleCache[userId] = schedule;
-
-    // On Vercel or if fs is not available, skip filesystem write
-    if (IS_VERCEL || !fs) {
-        return;
-    }
-
-    try {
-        fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(scheduleCache, null, 2));
-    } catch (e) {
-        debugLog('SCHEDULE', `Error saving schedule: ${e.message}`);
-    }
+    scheduleStore.save(userId, schedule);
 }
 
 // Get class start time for a section on a specific day of week (1=Monday, 5=Friday)
 function getClassStartTime(userId, sectionId, dayOfWeek) {
-    const schedule = scheduleCache[userId] || {};
+    const schedule = loadSchedule(userId);
     const dayBlocks = schedule[dayOfWeek] || [];
 
     for (const block of dayBlocks) {
@@ -773,48 +1055,22 @@ function addTimeEstimates(assignments) {
     }));
 }
 
-// Load notifications from disk (or just return cache on Vercel)
+// Load a user's notifications and the assignments/grades already seen
 function loadNotifications(userId) {
-    // On Vercel, we can't persist to filesystem, just use in-memory cache
-    if (IS_VERCEL) {
-        return notificationsCache[userId] || { notifications: [], knownAssignments: {}, knownGrades: {} };
-    }
-
-    try {
-        if (fs && fs.existsSync(NOTIFICATIONS_PATH)) {
-            const data = JSON.parse(fs.readFileSync(NOTIFICATIONS_PATH, 'utf8'));
-            notificationsCache = data;
-        }
-    } catch (e) {
-        debugLog('NOTIFICATIONS', `Error loading notifications: ${e.message}`);
-    }
-    return notificationsCache[userId] || { notifications: [], knownAssignments: {}, knownGrades: {} };
+    return notificationsStore.get(userId);
 }
 
-// Save notifications to disk (or just cache on Vercel)
-function saveNotifications() {
-    // On Vercel, skip filesystem write
-    if (IS_VERCEL) {
-        return;
-    }
-
-    try {
-        if (fs) {
-            fs.writeFileSync(NOTIFICATIONS_PATH, JSON.stringify(notificationsCache, null, 2));
-        }
-    } catch (e) {
-        debugLog('NOTIFICATIONS', `Error saving notifications: ${e.message}`);
-    }
+// Persist a user's notifications (after mutating the object from loadNotifications)
+function saveNotifications(userId) {
+    notificationsStore.save(userId);
 }
 
 // Add a notification
 function addNotification(userId, notification) {
-    if (!notificationsCache[userId]) {
-        notificationsCache[userId] = { notifications: [], knownAssignments: {}, knownGrades: {} };
-    }
+    const userData = loadNotifications(userId);
 
     // Check for duplicates
-    const exists = notificationsCache[userId].notifications.some(
+    const exists = userData.notifications.some(
         n => n.assignmentId === notification.assignmentId && n.type === notification.type
     );
 
@@ -822,14 +1078,14 @@ function addNotification(userId, notification) {
         notification.id = crypto.randomBytes(8).toString('hex');
         notification.read = false;
         notification.timestamp = new Date().toISOString();
-        notificationsCache[userId].notifications.unshift(notification);
+        userData.notifications.unshift(notification);
 
         // Keep only last 100 notifications
-        if (notificationsCache[userId].notifications.length > 100) {
-            notificationsCache[userId].notifications = notificationsCache[userId].notifications.slice(0, 100);
+        if (userData.notifications.length > 100) {
+            userData.notifications = userData.notifications.slice(0, 100);
         }
 
-        saveNotifications();
+        saveNotifications(userId);
         return true;
     }
     return false;
@@ -844,23 +1100,45 @@ function isBrowserReady() {
     return browserInstance !== null && browserContext !== null && isLoggedIn;
 }
 
+// Local mock Schoology API (mock/schoology-api.js) for development without a school account
+const USE_MOCK_API = process.env.SCHOOLOGY_MOCK === '1' || process.env.SCHOOLOGY_MOCK === 'true';
+const MOCK_API_PORT = parseInt(process.env.SCHOOLOGY_MOCK_PORT, 10) || 4010;
+
 // Configuration
 const config = {
-    consumerKey: process.env.SCHOOLOGY_CONSUMER_KEY,
-    consumerSecret: process.env.SCHOOLOGY_CONSUMER_SECRET,
-    domain: process.env.SCHOOLOGY_DOMAIN || 'app.schoology.com',
-    apiBase: 'https://api.schoology.com/v1'
+    consumerKey: process.env.SCHOOLOGY_CONSUMER_KEY || (USE_MOCK_API ? 'mock-consumer-key' : undefined),
+    consumerSecret: process.env.SCHOOLOGY_CONSUMER_SECRET || (USE_MOCK_API ? 'mock-consumer-secret' : undefined),
+    apiBase: process.env.SCHOOLOGY_API_BASE || (USE_MOCK_API ? `http://localhost:${MOCK_API_PORT}/v1` : 'https://api.schoology.com/v1')
 };
 
-// Debug logging helper
+// School domains users can log in with (lib/tenants.js). Users are sent to their
+// school's domain to authorize the app, unless an override points at the mock API.
+const tenants = createTenantRegistry({
+    env: process.env,
+    authorizeBase: process.env.SCHOOLOGY_AUTHORIZE_BASE || (USE_MOCK_API ? `http://localhost:${MOCK_API_PORT}` : null)
+});
+config.domain = tenants.defaultDomain;
+
+// The Schoology domain of the logged-in user's school
+function getSchoologyDomain(req) {
+    return tenants.forSession(req.session && req.session.schoologyDomain);
+}
+
+diagnostics.addSecret(config.consumerSecret);
+
+// Logging helper used throughout the app. The level comes from the message
+// (✗ error, ⚠️ warning, data dumps debug - see inferLevel in lib/logger.js);
+// the logger filters, samples and redacts.
 function debugLog(category, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const prefix = `[${timestamp}] [${category}]`;
-    if (data) {
-        console.log(`${prefix} ${message}`, typeof data === 'object' ? JSON.stringify(data, null, 2) : data);
-    } else {
-        console.log(`${prefix} ${message}`);
-    }
+    logger.log(inferLevel(category, message, data), category, message, data);
+}
+
+// Log an error under a correlation ID and show the user an error page with only that ID
+function renderError(req, res, error, message, { status = 500, category = 'ERROR' } = {}) {
+    if (error && error.reloginRequired) return sendSessionEnded(req, res, error.message);
+    const errorId = diagnostics.captureError(error, { category, req });
+    res.set('X-Error-Id', errorId);
+    res.status(status).render('error', { message, errorId });
 }
 
 // Startup validation
@@ -873,289 +1151,122 @@ if (!config.consumerKey || config.consumerKey === 'your_consumer_key_here') {
 if (!config.consumerSecret || config.consumerSecret === 'your_consumer_secret_here') {
     debugLog('CONFIG', '⚠️  WARNING: SCHOOLOGY_CONSUMER_SECRET is not set or using default value!');
 } else {
-    debugLog('CONFIG', `✓ Consumer Secret: ${config.consumerSecret.substring(0, 8)}...`);
+    debugLog('CONFIG', '✓ Consumer Secret: set');
 }
-debugLog('CONFIG', `✓ Domain: ${config.domain}`);
+debugLog('CONFIG', `✓ Domain: ${config.domain}${tenants.list().length > 1 ? ` (allowed: ${tenants.list().join(', ')})` : ''}`);
 debugLog('CONFIG', `✓ API Base: ${config.apiBase}`);
 
-// OAuth 1.0a Helper Functions
-function generateNonce() {
-    return crypto.randomBytes(16).toString('hex');
-}
-
-function generateTimestamp() {
-    return Math.floor(Date.now() / 1000).toString();
-}
-
-function percentEncode(str) {
-    return encodeURIComponent(str).replace(/[!'()*]/g, function (c) {
-        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+if (USE_MOCK_API) {
+    require('./mock/schoology-api').startMockSchoologyApi({
+        port: MOCK_API_PORT,
+        fixturesPath: process.env.SCHOOLOGY_MOCK_FIXTURES,
+        log: debugLog
+    }).then(() => {
+        debugLog('CONFIG', `🧪 Using mock Schoology API on port ${MOCK_API_PORT}`);
+    }).catch(e => {
+        debugLog('CONFIG', `✗ Could not start mock Schoology API: ${e.message}`);
     });
 }
 
-function generateSignatureBaseString(method, url, params) {
-    // Parse URL to get base URL and query parameters
-    const urlObj = new URL(url);
-    const baseUrl = `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
-
-    // Include query parameters from the URL in the signature
-    const allParams = { ...params };
-    urlObj.searchParams.forEach((value, key) => {
-        allParams[key] = value;
-    });
-
-    // Sort parameters alphabetically and build param string
-    const sortedKeys = Object.keys(allParams).sort();
-    const paramString = sortedKeys.map(key => `${percentEncode(key)}=${percentEncode(allParams[key])}`).join('&');
-
-    return `${method.toUpperCase()}&${percentEncode(baseUrl)}&${percentEncode(paramString)}`;
-}
+// Schoology API client (OAuth signing, rate limiting, coalescing, retries) - see lib/schoology-client.js
+const schoology = new SchoologyClient({
+    consumerKey: config.consumerKey,
+    consumerSecret: config.consumerSecret,
+    apiBase: config.apiBase,
+    scheduler: new RequestScheduler({
+        onWait: (priority, waitMs) => schedulerWait.observe({ priority }, waitMs / 1000)
+    }),
+    cache: {
+        read: readCacheWithRevalidate,
+        write: setCachedData
+    },
+    metrics: {
+        observeRequest: (method, url, status, seconds) => schoologyRequestDuration.observe({ method, family: endpointFamily(url), status }, seconds),
+        rateLimited: (url, gaveUp) => schoologyRateLimited.inc({ family: endpointFamily(url), outcome: gaveUp ? 'gave_up' : 'retried' })
+    },
+    log: debugLog
+});
 
-function generateSignature(baseString, consumerSecret, tokenSecret = '') {
-    const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret)}`;
-    const hmac = crypto.createHmac('sha1', signingKey);
-    hmac.update(baseString);
-    return hmac.digest('base64');
+// Thin wrapper kept for the many call sites that build URLs themselves
+function makeOAuthRequest(method, url, token = null, body = null, cacheOptions = {}) {
+    return schoology.request(method, url, token, body, cacheOptions);
 }
 
-function buildAuthorizationHeader(params) {
-    const headerParts = Object.keys(params)
-        .filter(key => key.startsWith('oauth_'))
-        .sort()
-        .map(key => `${percentEncode(key)}="${percentEncode(params[key])}"`)
-        .join(', ');
-
-    return `OAuth realm="", ${headerParts}`;
+function getRequestCoalescingStats() {
+    return schoology.getCoalescingStats();
 }
 
-// Simple in-memory rate limiter to avoid Schoology API 429s
-// Schoology limit observed: 50 requests per 5 seconds. We use a sliding window
-// guard that waits when the recent request count in the window would exceed the limit.
-const RATE_LIMIT_WINDOW_MS = 5 * 1000; // 5 seconds
-const RATE_LIMIT_MAX = 50; // maximum requests per window
-const RATE_LIMIT_MARGIN = 4; // keep a small margin to avoid hard limit
-const RATE_LIMIT_RETRY_LIMIT = 4; // number of throttled retries when 429s occur
-const RATE_LIMIT_RETRY_BASE_MS = 1500; // base backoff when Retry-After header missing
-const oauthRequestTimestamps = [];
-
-function nowMs() { return Date.now(); }
-
-function pruneOldTimestamps() {
-    const cutoff = nowMs() - RATE_LIMIT_WINDOW_MS;
-    while (oauthRequestTimestamps.length > 0 && oauthRequestTimestamps[0] < cutoff) {
-        oauthRequestTimestamps.shift();
+// ============================================================
+// Background Sync
+// ============================================================
+// Periodically re-fetches sections, grades, assignments and submissions for
+// recently active users so pages render from a warm cache, and turns what it
+// finds into notifications. Disabled on Vercel (no long-lived process) and
+// when SYNC_INTERVAL_MS=0.
+
+const SYNC_INTERVAL_MS = process.env.SYNC_INTERVAL_MS !== undefined
+    ? parseInt(process.env.SYNC_INTERVAL_MS, 10) || 0
+    : 5 * 60 * 1000;
+const SYNC_CONCURRENCY = 2;          // sections fetched at once per user (pages use 5)
+const SYNC_MIN_RATE_HEADROOM = 20;   // leave this many rate limit slots for page loads
+
+async function syncUserData(userId, accessToken) {
+    debugLog('SYNC', `🔄 Syncing user ${userId}`);
+    const sections = await fetchAllSectionsOptimized(userId, accessToken);
+    const sectionIds = sections.map(s => s.id);
+
+    let gradesData = null;
+    try {
+        gradesData = await fetchAllGradesOptimized(userId, accessToken);
+    } catch (e) {
+        debugLog('SYNC', `Could not sync grades for user ${userId}: ${e.message}`);
     }
-}
 
-function waitForRateLimit() {
-    return new Promise((resolve) => {
-        const tryProceed = () => {
-            pruneOldTimestamps();
-            if (oauthRequestTimestamps.length < (RATE_LIMIT_MAX - RATE_LIMIT_MARGIN)) {
-                // record this request and proceed
-                oauthRequestTimestamps.push(nowMs());
-                resolve();
-                return;
-            }
+    const assignmentResults = await fetchAssignmentsForSectionsParallel(sectionIds, accessToken, SYNC_CONCURRENCY, userId);
+    await fetchCategoriesForSectionsParallel(sectionIds, accessToken, SYNC_CONCURRENCY, userId);
 
-            // Otherwise wait until the oldest timestamp falls outside the window
-            const oldest = oauthRequestTimestamps[0];
-            const waitMs = Math.max(50, (oldest + RATE_LIMIT_WINDOW_MS) - nowMs());
-            setTimeout(tryProceed, waitMs);
-        };
-        tryProceed();
-    });
-}
-
-async function makeOAuthRequest(method, url, token = null, body = null, cacheOptions = {}, retryCount = 0) {
-    // Throttle to avoid 429 from Schoology
-    await waitForRateLimit();
+    const assignmentsBySection = {};
+    for (const [sectionId, result] of Object.entries(assignmentResults)) {
+        if (!result.error) assignmentsBySection[sectionId] = result.assignments;
+    }
 
-    return new Promise((resolve, reject) => {
-        // Check cache first if enabled
-        if (cacheOptions.cache && cacheOptions.cacheKey) {
-            const cached = getCachedData(cacheOptions.cacheKey, cacheOptions.cacheTTL || 5 * 60 * 1000);
-            if (cached) {
-                resolve(cached);
-                return;
+    // Warm the submission lookups the assignments page makes for past-due, ungraded dropbox assignments
+    const gradedIds = new Set();
+    for (const sec of normalizeGradeSections(gradesData)) {
+        for (const period of sec.period || []) {
+            for (const row of period.assignment || []) {
+                const hasGrade = row.grade !== null && row.grade !== undefined && row.grade !== '';
+                if (hasGrade || parseInt(row.exception) === 1) gradedIds.add(String(row.assignment_id));
             }
         }
-
-        debugLog('OAUTH-REQUEST', `Starting ${method} request to: ${url}`);
-
-        const oauthParams = {
-            oauth_consumer_key: config.consumerKey,
-            oauth_nonce: generateNonce(),
-            oauth_signature_method: 'HMAC-SHA1',
-            oauth_timestamp: generateTimestamp(),
-            oauth_version: '1.0'
-        };
-
-        // Only include oauth_token if we have one
-        if (token && token.oauth_token) {
-            oauthParams.oauth_token = token.oauth_token;
-        }
-
-        debugLog('OAUTH-REQUEST', 'OAuth parameters:', {
-            oauth_consumer_key: oauthParams.oauth_consumer_key ? oauthParams.oauth_consumer_key.substring(0, 8) + '...' : 'NOT SET',
-            oauth_nonce: oauthParams.oauth_nonce,
-            oauth_timestamp: oauthParams.oauth_timestamp,
-            oauth_token: oauthParams.oauth_token ? oauthParams.oauth_token.substring(0, 8) + '...' : '(not included)',
-            oauth_signature_method: oauthParams.oauth_signature_method
-        });
-
-        // Generate signature
-        const tokenSecret = token ? token.oauth_token_secret : '';
-        const baseString = generateSignatureBaseString(method, url, oauthParams);
-        debugLog('OAUTH-REQUEST', 'Signature base string:', baseString.substring(0, 100) + '...');
-
-        oauthParams.oauth_signature = generateSignature(baseString, config.consumerSecret, tokenSecret);
-        debugLog('OAUTH-REQUEST', 'Generated signature:', oauthParams.oauth_signature);
-
-        const authHeader = buildAuthorizationHeader(oauthParams);
-        debugLog('OAUTH-REQUEST', 'Authorization header:', authHeader.substring(0, 80) + '...');
-
-        const urlObj = new URL(url);
-
-        // Generate a mobile session cookie (mimics Schoology mobile app)
-        const sessionCookie = `s_mobile=${crypto.randomBytes(16).toString('hex')}`;
-
-        const requestOptions = {
-            hostname: urlObj.hostname,
-            port: 443,
-            path: urlObj.pathname + urlObj.search,
-            method: method,
-            headers: {
-                'Authorization': authHeader,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'User-Agent': 'Schoology/1 CFNetwork/3860.100.1 Darwin/25.0.0',
-                'Cookie': sessionCookie,
-                'Connection': 'keep-alive',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept-Encoding': 'gzip, deflate, br'
-            }
-        };
-
-        debugLog('OAUTH-REQUEST', 'Request headers:', {
-            'User-Agent': requestOptions.headers['User-Agent'],
-            'Cookie': requestOptions.headers['Cookie']
-        });
-
-        const req = https.request(requestOptions, (res) => {
-            debugLog('OAUTH-RESPONSE', `Response status: ${res.statusCode} ${res.statusMessage}`);
-            debugLog('OAUTH-RESPONSE', 'Response headers:', res.headers);
-
-            // Handle compressed responses
-            let responseStream = res;
-            const encoding = res.headers['content-encoding'];
-
-            if (encoding === 'gzip') {
-                responseStream = res.pipe(zlib.createGunzip());
-            } else if (encoding === 'deflate') {
-                responseStream = res.pipe(zlib.createInflate());
-            } else if (encoding === 'br') {
-                responseStream = res.pipe(zlib.createBrotliDecompress());
+    }
+    const now = new Date();
+    for (const [sectionId, assignments] of Object.entries(assignmentsBySection)) {
+        for (const a of assignments) {
+            const isSubmittable = a.allow_dropbox == 1 || a.allow_dropbox === '1';
+            if (!isSubmittable || !a.due || new Date(a.due) >= now || gradedIds.has(String(a.id))) continue;
+            try {
+                await fetchSubmissionRevisions(userId, accessToken, sectionId, a.id);
+            } catch (e) {
+                debugLog('SYNC', `Could not sync submission ${sectionId}/${a.id}: ${e.message}`);
             }
-
-            let chunks = [];
-            responseStream.on('data', chunk => chunks.push(chunk));
-            responseStream.on('end', () => {
-                const data = Buffer.concat(chunks).toString('utf8');
-                debugLog('OAUTH-RESPONSE', `Response body (${data.length} bytes):`, data.substring(0, 500));
-
-                // Handle redirects manually (need new nonce/timestamp for each)
-                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                    debugLog('OAUTH-RESPONSE', `Following redirect to: ${res.headers.location}`);
-                    const redirectUrl = res.headers.location.startsWith('http')
-                        ? res.headers.location
-                        : `https://${urlObj.hostname}${res.headers.location}`;
-                    makeOAuthRequest(method, redirectUrl, token, body, cacheOptions)
-                        .then(resolve)
-                        .catch(reject);
-                    return;
-                }
-
-                if (res.statusCode === 429) {
-                    if (retryCount >= RATE_LIMIT_RETRY_LIMIT) {
-                        debugLog('OAUTH-RETRY', `Rate limit reached after ${retryCount} retries`);
-                        reject(new Error(`HTTP 429: Rate limit exceeded after ${retryCount} retries`));
-                        return;
-                    }
-
-                    let retryAfterMs = RATE_LIMIT_RETRY_BASE_MS;
-                    const retryAfterHeader = res.headers['retry-after'];
-                    if (retryAfterHeader) {
-                        const parsedSeconds = Number.parseInt(retryAfterHeader, 10);
-                        if (!Number.isNaN(parsedSeconds) && parsedSeconds > 0) {
-                            retryAfterMs = parsedSeconds * 1000;
-                        } else {
-                            const parsedDate = Date.parse(retryAfterHeader);
-                            if (!Number.isNaN(parsedDate)) {
-                                retryAfterMs = Math.max(parsedDate - Date.now(), RATE_LIMIT_RETRY_BASE_MS);
-                            }
-                        }
-                    }
-
-                    debugLog('OAUTH-RETRY', `429 received, retrying after ${retryAfterMs}ms (attempt ${retryCount + 1})`);
-                    setTimeout(() => {
-                        makeOAuthRequest(method, url, token, body, cacheOptions, retryCount + 1)
-                            .then(resolve)
-                            .catch(reject);
-                    }, retryAfterMs);
-                    return;
-                }
-
-                if (res.statusCode >= 400) {
-                    debugLog('OAUTH-ERROR', `HTTP Error ${res.statusCode}: ${data}`);
-                    reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
-                    return;
-                }
-
-                // Check if response is HTML (indicates auth failure or wrong endpoint)
-                if (data.trim().startsWith('<!') || data.trim().startsWith('<html') || data.trim().startsWith('<HTML')) {
-                    debugLog('OAUTH-ERROR', 'Received HTML instead of JSON - likely auth failure');
-                    debugLog('OAUTH-ERROR', 'HTML content:', data.substring(0, 300));
-                    reject(new Error('API returned HTML instead of JSON. This usually means authentication failed or the endpoint is incorrect.'));
-                    return;
-                }
-
-                // Try to parse as JSON, otherwise return as string
-                try {
-                    const parsed = JSON.parse(data);
-                    debugLog('OAUTH-RESPONSE', '✓ Successfully parsed JSON response');
-                    
-                    // Cache the response if caching is enabled
-                    if (cacheOptions.cache && cacheOptions.cacheKey) {
-                        setCachedData(cacheOptions.cacheKey, parsed);
-                    }
-                    
-                    resolve(parsed);
-                } catch (e) {
-                    debugLog('OAUTH-RESPONSE', '✓ Returning raw string response');
-                    
-                    // Cache raw response too if caching is enabled
-                    if (cacheOptions.cache && cacheOptions.cacheKey) {
-                        setCachedData(cacheOptions.cacheKey, data);
-                    }
-                    
-                    resolve(data);
-                }
-            });
-        });
-
-        req.on('error', (err) => {
-            debugLog('OAUTH-ERROR', `Request error: ${err.message}`);
-            reject(err);
-        });
-
-        if (body) {
-            req.write(JSON.stringify(body));
         }
-        req.end();
-    });
+    }
+
+    const { newCount } = await refreshNotificationsForUser(userId, accessToken, { sections, assignmentsBySection, gradesData });
+    debugLog('SYNC', `✓ User ${userId} synced (${sections.length} sections, ${newCount} new notifications)`);
 }
 
+const syncWorker = new SyncWorker({
+    // Background priority: page loads are always sent to Schoology first
+    syncUser: (userId, accessToken) => schoology.scheduler.runWithPriority(PRIORITY.BACKGROUND, () => syncUserData(userId, accessToken)),
+    intervalMs: IS_VERCEL ? 0 : SYNC_INTERVAL_MS,
+    activeWindowMs: parseInt(process.env.SYNC_ACTIVE_WINDOW_MS, 10) || undefined,
+    maxUsersPerRun: parseInt(process.env.SYNC_MAX_USERS_PER_RUN, 10) || undefined,
+    canProceed: () => schoology.scheduler.available() >= SYNC_MIN_RATE_HEADROOM,
+    log: debugLog
+});
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -1164,8 +1275,11 @@ app.use(cookieParser());
 // Session configuration - optimized for both local and Vercel
 // Note: On Vercel serverless, sessions are stored in-memory which doesn't persist
 // For production, consider using a Redis-based session store
+// Kept in a variable so revoking a device can destroy its session
+const sessionStore = new session.MemoryStore();
 app.use(session({
-    secret: process.env.SESSION_SECRET || 'schoology-pro-max-secret',
+    store: sessionStore,
+    secret: tokenSecrets.secrets, // first secret signs, all of them verify
     name: 'schoology.sid', // Unique session name to avoid conflicts
     resave: false,
     saveUninitialized: false,
@@ -1190,23 +1304,168 @@ if (IS_VERCEL) {
     app.set('trust proxy', 1);
 }
 
+// ============================================================
+// Session Identity
+// ============================================================
+// The user a session acts as is whoever Schoology says owns its access token
+// (/app-user-info). That id is sealed into the encrypted access_token cookie
+// together with the token, so restoring a session never trusts a cookie the
+// browser can edit. The binding is re-checked every SESSION_VERIFY_INTERVAL_MS
+// (0 disables); a session whose token was revoked or now answers for another
+// user is ended with a re-login page.
+
+const SESSION_VERIFY_INTERVAL_MS = process.env.SESSION_VERIFY_INTERVAL_MS !== undefined
+    ? parseInt(process.env.SESSION_VERIFY_INTERVAL_MS, 10) || 0
+    : 15 * 60 * 1000;
+const SESSION_VERIFY_RETRY_MS = 60 * 1000; // wait this long after Schoology couldn't be reached
+
+// Seal the token, the identity it was verified for and the login id (see
+// Signed-in Devices below) into the access_token cookie
+function setAccessTokenCookie(res, accessToken, { userId = null, verifiedAt = null, domain = null, loginId = null } = {}) {
+    const payload = {
+        oauth_token: accessToken.oauth_token,
+        oauth_token_secret: accessToken.oauth_token_secret,
+        userId: userId !== null ? String(userId) : null,
+        verifiedAt,
+        domain,
+        loginId
+    };
+    res.cookie('access_token', encryptToken(JSON.stringify(payload), TOKEN_PURPOSES.accessToken), {
+        httpOnly: true,
+        secure: IS_VERCEL,
+        sameSite: IS_VERCEL ? 'none' : 'lax',
+        maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
+        path: '/' // Explicit path
+    });
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie('access_token', { path: '/' });
+    res.clearCookie('user_id', { path: '/' }); // no longer set, cleared for older logins
+    res.clearCookie('oauth_request_token', { path: '/' });
+    res.clearCookie('schoology.sid', { path: '/' }); // Clear session ID cookie
+}
+
+// The Schoology user id an access token belongs to. Never cached: this is the identity check.
+async function fetchTokenUserId(accessToken) {
+    const info = await makeOAuthRequest('GET', `${config.apiBase}/app-user-info`, accessToken);
+    if (!info || !info.api_uid) {
+        throw new Error('No user ID returned from app-user-info. Response: ' + JSON.stringify(info));
+    }
+    return String(info.api_uid);
+}
+
+// Re-seal the access_token cookie from what the session currently knows
+function resealAccessTokenCookie(req, res) {
+    setAccessTokenCookie(res, req.session.accessToken, {
+        userId: req.session.userId || null,
+        verifiedAt: req.session.identityVerifiedAt || null,
+        domain: req.session.schoologyDomain || null,
+        loginId: req.session.loginId || null
+    });
+}
+
+// Where a request comes from, as recorded for the signed-in devices list
+function loginDetails(req) {
+    return { userAgent: req.get('user-agent'), ip: req.ip, sessionId: req.sessionID };
+}
+
+// Record a freshly verified identity on the session and re-seal the cookie
+function bindSessionIdentity(req, res, userId) {
+    if (req.session.userId && String(req.session.userId) !== String(userId)) {
+        delete req.session.userName; // belonged to the previous user
+        delete req.session.loginId;
+    }
+    // A restored cookie from before the registry is refused after "sign out all devices"
+    // (usually caught earlier, unless Schoology couldn't be asked whose it was then)
+    if (!req.session.loginId && req.session.unregisteredVerifiedAt !== undefined &&
+        !sessionRegistry.acceptsUnregistered(String(userId), req.session.unregisteredVerifiedAt)) {
+        endSession(req, res, 'restored cookie predates signing out all devices');
+        const err = new Error(SESSION_REVOKED_MESSAGE);
+        err.statusCode = 401;
+        err.reloginRequired = true; // answered with sendSessionEnded() by renderError and requireStateUser
+        throw err;
+    }
+    delete req.session.unregisteredVerifiedAt;
+    req.session.userId = String(userId);
+    req.session.identityVerifiedAt = Date.now();
+    req.session.userHash = crypto.createHash('sha256').update(String(userId)).digest('hex');
+    if (!req.session.loginId) {
+        req.session.loginId = sessionRegistry.register(req.session.userId, loginDetails(req));
+    }
+    resealAccessTokenCookie(req, res);
+}
+
+// Session user id, asking Schoology when the session doesn't know it yet
+async function resolveSessionUserId(req, res) {
+    if (req.session.userId) return req.session.userId;
+    const userId = await fetchTokenUserId(req.session.accessToken);
+    bindSessionIdentity(req, res, userId);
+    debugLog('AUTH', `✓ Session bound to user ${userId}`);
+    return userId;
+}
+
+const SESSION_ENDED_MESSAGE = 'Your Schoology login changed or expired, so you have been signed out to keep your data safe. Please log in again.';
+
+// Sign a session out: its login in the registry, its cookies and the express session
+function endSession(req, res, reason) {
+    const userId = req.session.userId;
+    debugLog('AUTH', `✗ Ending session for user ${userId}: ${reason}`);
+    if (userId) {
+        syncWorker.forget(userId);
+        if (req.session.loginId) sessionRegistry.revoke(userId, req.session.loginId);
+    }
+    clearAuthCookies(res);
+    req.session.destroy((err) => {
+        if (err) debugLog('AUTH', '✗ Error destroying session:', err.message);
+    });
+}
+
+// Ask the user to log in again after endSession()
+function sendSessionEnded(req, res, message = SESSION_ENDED_MESSAGE) {
+    if (req.path.startsWith('/api/') || req.xhr || (req.get('accept') || '').includes('application/json')) {
+        return res.status(401).json({ error: message, reloginRequired: true });
+    }
+    res.status(401).render('session-ended', { message });
+}
+
+// End a session that no longer matches its token (or was revoked) and ask the user to log in again
+function endMismatchedSession(req, res, reason, message = SESSION_ENDED_MESSAGE) {
+    endSession(req, res, reason);
+    sendSessionEnded(req, res, message);
+}
+
 // Middleware to restore access token from cookie on Vercel
 // This ensures authentication persists across serverless function invocations
 app.use((req, res, next) => {
     if (!req.session.accessToken && req.cookies.access_token) {
-        const decrypted = decryptToken(req.cookies.access_token);
+        const decrypted = decryptToken(req.cookies.access_token, TOKEN_PURPOSES.accessToken);
         if (decrypted) {
             try {
-                const tokenData = JSON.parse(decrypted);
-                const cookieUserId = req.cookies.user_id;
-                
-                // Restore session from cookies
-                if (cookieUserId) {
-                    req.session.accessToken = tokenData;
-                    req.session.userId = cookieUserId;
-                    // Store user ID hash to validate session consistency
-                    req.session.userHash = crypto.createHash('sha256').update(cookieUserId).digest('hex');
-                    debugLog('AUTH', `✓ Access token restored for user ${cookieUserId}`);
+                const { oauth_token, oauth_token_secret, userId, verifiedAt, domain, loginId } = JSON.parse(decrypted);
+                req.session.accessToken = { oauth_token, oauth_token_secret };
+                if (domain) req.session.schoologyDomain = domain;
+                // Checked against the registry before the session is used (Signed-in Devices).
+                // Cookies without a login id only get one if sealed after the user
+                // last signed out all devices, so remember when this one was verified.
+                if (loginId) req.session.loginId = loginId;
+                else req.session.unregisteredVerifiedAt = verifiedAt || 0;
+
+                // Cookies sealed before the identity was known (or by older versions)
+                // leave userId unset; the next page resolves it from Schoology
+                if (userId) {
+                    req.session.userId = userId;
+                    req.session.identityVerifiedAt = verifiedAt || 0;
+                    req.session.userHash = crypto.createHash('sha256').update(userId).digest('hex');
+                    debugLog('AUTH', `✓ Access token restored for user ${userId}`);
+                } else {
+                    debugLog('AUTH', '✓ Access token restored, user will be resolved from Schoology');
+                }
+
+                // Re-seal cookies made with a rotated-out secret (or the legacy format)
+                if (tokenCipher.needsReissue(req.cookies.access_token)) {
+                    resealAccessTokenCookie(req, res);
+                    debugLog('AUTH', '⚡ Re-issued access token cookie with the current key');
                 }
             } catch (e) {
                 debugLog('AUTH', '✗ Failed to parse access token from cookie');
@@ -1217,6 +1476,15 @@ app.use((req, res, next) => {
     next();
 });
 
+// Tag log lines with the user and keep recently active users on the background sync list
+app.use((req, res, next) => {
+    if (req.session.userId) logger.setContext({ userId: req.session.userId });
+    if (req.session.accessToken && req.session.userId) {
+        syncWorker.touch(req.session.userId, req.session.accessToken);
+    }
+    next();
+});
+
 // Serve static files with aggressive caching for performance
 app.use(express.static(path.join(__dirname, 'public'), {
     maxAge: '1d',
@@ -1230,299 +1498,227 @@ app.use(express.static(path.join(__dirname, 'public'), {
         }
     }
 }));
+// The grade engine, grading scales and GPA calculator are shared with the
+// grades and settings pages, which load them from here
+app.get('/js/grade-engine.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'grade-engine.js'), { maxAge: '1d' });
+});
+app.get('/js/grading-scales.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'grading-scales.js'), { maxAge: '1d' });
+});
+app.get('/js/gpa.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'gpa.js'), { maxAge: '1d' });
+});
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Routes
+// ============================================================
+// Inbound Rate Limiting
+// ============================================================
+// Per-session and per-IP limits for the app's own routes (see lib/rate-limit.js).
+// Per-IP limits are generous because a whole school can share one address.
+// Override a group with RATE_LIMIT_<GROUP>=<perSession>:<perIp> per minute
+// (0 = unlimited) or turn limiting off with RATE_LIMITS_ENABLED=false.
+
+const RATE_LIMITS_ENABLED = process.env.RATE_LIMITS_ENABLED !== 'false';
+const FULL_RENDER = req => req.query.full === '1' || req.get('x-full-render') === '1';
+// Routes that start a Schoology sweep, a headless browser or an AI call
+const EXPENSIVE_ROUTES = new Set(['/api/notifications/refresh', '/api/quiz/start', '/api/quiz/ask-ai', '/api/browser/login']);
+
+const inboundLimiter = new InboundRateLimiter({
+    groups: [
+        { name: 'auth', match: req => req.path.startsWith('/auth/'), perSession: 0, perIp: 120 },
+        { name: 'expensive', match: req => EXPENSIVE_ROUTES.has(req.path), perSession: 10, perIp: 100 },
+        { name: 'full-render', match: req => req.method === 'GET' && FULL_RENDER(req), perSession: 60, perIp: 600 },
+        { name: 'api', match: req => req.path.startsWith('/api/'), perSession: 300, perIp: 3000 },
+        { name: 'pages', match: () => true, perSession: 120, perIp: 1200 }
+    ].map(group => applyLimitOverride(group, process.env[`RATE_LIMIT_${group.name.toUpperCase().replace('-', '_')}`])),
+    // The login id survives serverless invocations; fall back to the user for older sessions
+    sessionKey: req => req.session.loginId || (req.session.userId ? `user:${req.session.userId}` : null)
+});
 
-// Preload sections+grades for nav to keep dropdown consistent across pages
+app.use((req, res, next) => {
+    if (!RATE_LIMITS_ENABLED) return next();
+    const result = inboundLimiter.check(req);
+    if (result.allowed) return next();
+
+    inboundRateLimited.inc({ group: result.group, limited_by: result.limitedBy });
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    debugLog('RATE-LIMIT', `⚠️  ${req.method} ${req.path} limited (${result.group}, per ${result.limitedBy}) for ${retryAfter}s: ${req.session.userId ? `user ${req.session.userId}` : req.ip}`);
+    res.set('Retry-After', String(retryAfter));
+    const message = `Too many requests. Please wait ${retryAfter} second${retryAfter === 1 ? '' : 's'} and try again.`;
+    if (req.path.startsWith('/api/') || req.xhr || (req.get('accept') || '').includes('application/json')) {
+        return res.status(429).json({ error: message, retryAfter });
+    }
+    res.status(429).render('error', { message });
+});
+
+// ============================================================
+// Signed-in Devices
+// ============================================================
+// Each login has an id in the session registry (lib/session-registry.js) that
+// is also sealed into the access_token cookie. Every request checks it, so a
+// device revoked from /settings is signed out on its next request whether it
+// still has its express session or comes back with only the cookie.
+
+const SESSION_REVOKED_MESSAGE = 'This device was signed out from your account settings. Please log in again.';
+
+// Cookies sealed before both the identity and the registry carry neither a user
+// id nor a login id; ask Schoology whose they are before the check below
 app.use(async (req, res, next) => {
-    if (!req.session || !req.session.userId || !req.session.accessToken) return next();
-        try {
-        let [sections, gradesData, enrollments] = await Promise.all([
-            fetchAllSectionsOptimized(req.session.userId, req.session.accessToken).catch(() => []),
-            fetchAllGradesOptimized(req.session.userId, req.session.accessToken).catch(() => null),
-            fetchEnrollmentsOptimized(req.session.userId, req.session.accessToken).catch(() => [])
-        ]);
+    if (!req.session.accessToken || req.session.userId || req.session.unregisteredVerifiedAt === undefined) return next();
 
-        // Enrich sections with final_grade using global grades data
-        res.locals.navSections = enrichSectionsWithFinalGrades(sections, gradesData);
+    let tokenUserId;
+    try {
+        tokenUserId = await fetchTokenUserId(req.session.accessToken);
+    } catch (e) {
+        if (e.statusCode === 401) return endMismatchedSession(req, res, 'Schoology rejected the access token');
+        debugLog('AUTH', `⚠️  Could not resolve the owner of a restored cookie: ${e.message}`);
+        return next();
+    }
 
-        // Further enrich with enrollment data (often contains grades when main endpoint fails)
-        if (enrollments && enrollments.length > 0) {
-            const enrollmentMap = {};
-            enrollments.forEach(e => {
-                if (e.section_id) enrollmentMap[String(e.section_id)] = e;
-            });
-            
-            res.locals.navSections.forEach(s => {
-                const sid = String(s.id || s.section_id || '');
-                if (sid && enrollmentMap[sid]) {
-                    const enroll = enrollmentMap[sid];
-                    // If we don't have a final grade yet, try to get it from enrollment
-                    if (s.final_grade === null || s.final_grade === undefined) {
-                        // Enrollment grade might be 'grade' or 'final_grade'
-                        // Usually it's just 'grade' in enrollment object
-                        if (enroll.grade !== undefined && enroll.grade !== null && enroll.grade !== '') {
-                             const parsed = parseFloat(enroll.grade);
-                             if (!isNaN(parsed)) {
-                                 s.final_grade = parsed;
-                                 debugLog('NAV', `  Recovered final grade from enrollment for section ${sid}: ${parsed}`);
-                             }
-                        }
-                    }
-                }
-            });
-        }
+    if (!sessionRegistry.acceptsUnregistered(tokenUserId, req.session.unregisteredVerifiedAt)) {
+        req.session.userId = tokenUserId;
+        return endMismatchedSession(req, res, 'login without an id predates signing out all devices', SESSION_REVOKED_MESSAGE);
+    }
+    bindSessionIdentity(req, res, tokenUserId);
+    next();
+});
 
-        // If the global grades response contains assignment-grade rows but no final grade,
-        // mark the section as having grades so UI can show "Has grades" instead of "N/A".
-        try {
-            if (gradesData && gradesData.section && Array.isArray(gradesData.section)) {
-                const hasAnyAssignmentBySection = {};
-                for (const sec of gradesData.section) {
-                    const periods = sec.period || [];
-                    let hasAny = false;
-                    for (const period of periods) {
-                        const assignments = period.assignment || [];
-                        if (assignments.length > 0) {
-                            hasAny = true;
-                            break;
-                        }
-                    }
-                    if (hasAny) hasAnyAssignmentBySection[String(sec.section_id)] = true;
-                }
+app.use((req, res, next) => {
+    if (!req.session.accessToken || !req.session.userId) return next();
+    const userId = req.session.userId;
 
-                for (const s of res.locals.navSections) {
-                    const sid = String(s.id || s.section_id || '');
-                    if (sid && hasAnyAssignmentBySection[sid]) {
-                        s.has_grades = true;
-                    }
-                }
-            }
-        } catch (e) {
-            debugLog('NAV', `Could not mark has_grades from global grades: ${e.message}`);
+    // Logins from before the registry (or whose cookie predates it) get an id now,
+    // unless they were verified before the user last signed out all devices
+    if (!req.session.loginId) {
+        const verifiedAt = req.session.unregisteredVerifiedAt !== undefined ? req.session.unregisteredVerifiedAt : req.session.identityVerifiedAt;
+        if (!sessionRegistry.acceptsUnregistered(userId, verifiedAt)) {
+            return endMismatchedSession(req, res, 'login without an id predates signing out all devices', SESSION_REVOKED_MESSAGE);
         }
+        delete req.session.unregisteredVerifiedAt;
+        req.session.loginId = sessionRegistry.register(userId, loginDetails(req));
+        resealAccessTokenCookie(req, res);
+        return next();
+    }
 
-        // If some sections still lack final_grade (or explicitly show 'N/A'), try fetching them individually
-        const isGradeNA = (g) => (g === null || g === undefined || (typeof g === 'string' && String(g).trim().toLowerCase() === 'n/a'));
-        let missing = res.locals.navSections.filter(s => isGradeNA(s.final_grade));
-        const MAX_PER_SECTION_FETCH = 50;
-
-        // If any sections are missing a final grade, explicitly re-fetch the global /grades endpoint
-        // (some environments or caches may have produced a stale/null gradesData earlier)
-        if (missing.length > 0) {
-            try {
-                const refreshedAllGrades = await fetchAllGradesOptimized(req.session.userId, req.session.accessToken).catch(() => null);
-                if (refreshedAllGrades) {
-                    // Re-enrich sections with any newly available final grades
-                    res.locals.navSections = enrichSectionsWithFinalGrades(res.locals.navSections, refreshedAllGrades);
-                    gradesData = refreshedAllGrades;
-                    // Recompute missing list after enrichment
-                    missing = res.locals.navSections.filter(s => (s.final_grade === null || s.final_grade === undefined));
-                }
-            } catch (refE) {
-                debugLog('NAV', `Could not refresh global grades for nav: ${refE.message}`);
-            }
+    const status = sessionRegistry.check(userId, req.session.loginId);
+    if (status === 'revoked') {
+        return endMismatchedSession(req, res, `login ${req.session.loginId.slice(0, 8)} was revoked`, SESSION_REVOKED_MESSAGE);
+    }
+    if (status === 'unknown') {
+        // With durable records an unknown id was forgotten on purpose (expired);
+        // without them this instance simply hasn't seen the login yet
+        if (sessionRegistry.persistent || !sessionRegistry.acceptsUnregistered(userId, req.session.identityVerifiedAt)) {
+            return endMismatchedSession(req, res, `login ${req.session.loginId.slice(0, 8)} is not registered`, SESSION_REVOKED_MESSAGE);
         }
+        sessionRegistry.register(userId, loginDetails(req), req.session.loginId);
+    }
+    sessionRegistry.touch(userId, req.session.loginId, loginDetails(req));
+    next();
+});
 
-        // Create quick section->finalGrade map for reference (from latest gradesData)
-        const _navSectionGradeMap = gradesData ? parseGradesIntoMap(gradesData).sectionGrades : {};
-        const toFetch = missing.slice(0, MAX_PER_SECTION_FETCH);
-        await Promise.all(toFetch.map(async (s) => {
-            try {
-                // Avoid retrying if we recently hit a 403 for this user+section
-                const blockKey = getSectionGradeForbiddenCacheKey(req.session.userId, s.id || s.section_id);
-                const blocked = getCachedData(blockKey, SECTION_GRADE_FORBIDDEN_TTL);
-                if (blocked) {
-                    const quickF = _navSectionGradeMap && _navSectionGradeMap[String(s.id || s.section_id)];
-                    if (quickF !== undefined && quickF !== null) {
-                        s.final_grade = quickF;
-                        return;
-                    }
-                    s.grade_unavailable = true;
-                    return;
-                }
+// Destroy the express sessions of revoked logins so they can't be used even briefly
+function destroyRevokedSessions(logins) {
+    for (const login of logins) {
+        if (!login.sessionId) continue;
+        sessionStore.destroy(login.sessionId, (err) => {
+            if (err) debugLog('SESSIONS', `✗ Could not destroy session for login ${login.id.slice(0, 8)}: ${err.message}`);
+        });
+    }
+}
 
-                // Check authoritative global map first
-                let finalGrade = _navSectionGradeMap && _navSectionGradeMap[String(s.id || s.section_id)];
-                if (finalGrade === undefined || finalGrade === null) {
-                    try {
-                        debugLog('NAV', `  No final grade in global map, fetching section-specific grades for ${s.id}...`);
-                        const { data: sectionSpecificGrades, usedAssignmentFallback } = await fetchSectionGradesWithFallback(s.id || s.section_id, req.session.accessToken, req.session.userId);
-                        if (usedAssignmentFallback) debugLog('NAV', `  Used assignment fallback for nav section ${s.id}`);
-                        if (sectionSpecificGrades) {
-                            const secs = sectionSpecificGrades.section
-                                ? (Array.isArray(sectionSpecificGrades.section) ? sectionSpecificGrades.section : [sectionSpecificGrades.section])
-                                : (sectionSpecificGrades.period ? [sectionSpecificGrades] : []);
-                            for (const sec of secs) {
-                                if (sec.final_grade !== undefined && sec.final_grade !== null && sec.final_grade !== '') {
-                                    if (Array.isArray(sec.final_grade) && sec.final_grade.length > 0 && sec.final_grade[0].grade !== undefined) {
-                                        const parsed = parseFloat(sec.final_grade[0].grade);
-                                        if (!isNaN(parsed)) {
-                                            finalGrade = parsed;
-                                            break;
-                                        }
-                                    } else {
-                                        const parsed = parseFloat(sec.final_grade);
-                                        if (!isNaN(parsed)) {
-                                            finalGrade = parsed;
-                                            break;
-                                        }
-                                    }
-                                }
-                                // Fallback: check for 'grade' property directly
-                                if (finalGrade === null && sec.grade !== undefined && sec.grade !== null && sec.grade !== '') {
-                                    const parsed = parseFloat(sec.grade);
-                                    if (!isNaN(parsed)) {
-                                        finalGrade = parsed;
-                                        break;
-                                    }
-                                }
-                            }
-                            // If no final grade found, detect presence of assignment-level grades
-                            if (finalGrade === null || finalGrade === undefined) {
-                                let hasGrades = false;
-                                for (const sec of secs) {
-                                    const periods = sec.period || [];
-                                    for (const period of periods) {
-                                        const assignments = period.assignment || [];
-                                        if (assignments.length > 0) {
-                                            hasGrades = true;
-                                            break;
-                                        }
-                                    }
-                                    if (hasGrades) break;
-                                }
-                                if (hasGrades) s.has_grades = true;
-                            }
-                        }
-                    } catch (e) {
-                        debugLog('NAV', `  Could not fetch section-specific grades for nav (${s.id}): ${e.message}`);
-                        if (e && e.statusCode === 403) {
-                            // Cache 403 decision
-                            try { setCachedData(getSectionGradeForbiddenCacheKey(req.session.userId, s.id || s.section_id), { blocked: true }); } catch (ee) {}
-                            // Check if global user-level grades mapped to this section later in the request set
-                            const altFinal = _navSectionGradeMap && _navSectionGradeMap[String(s.id || s.section_id)];
-                            if (altFinal === undefined || altFinal === null) {
-                                // Try re-fetching global grades once to be safe
-                                try {
-                                    const refreshedGrades = await fetchAllGradesOptimized(req.session.userId, req.session.accessToken).catch(() => null);
-                                    const refreshedMap = refreshedGrades ? parseGradesIntoMap(refreshedGrades).sectionGrades : {};
-                                    const recheck = refreshedMap && refreshedMap[String(s.id || s.section_id)];
-                                    if (recheck !== undefined && recheck !== null) {
-                                        finalGrade = recheck;
-                                    } else {
-                                        s.grade_unavailable = true;
-                                    }
-                                } catch (re) {
-                                    s.grade_unavailable = true;
-                                }
-                            } else {
-                                s.final_grade = altFinal;
-                            }
-                        }
-                    }
-                }
+// Shape of a login for the settings page and /api/sessions
+function describeLogin(login, currentLoginId) {
+    return {
+        id: login.id,
+        device: login.device,
+        userAgent: login.userAgent,
+        ip: login.ip,
+        createdAt: new Date(login.createdAt).toISOString(),
+        lastSeenAt: new Date(login.lastSeenAt).toISOString(),
+        current: login.id === currentLoginId
+    };
+}
 
-                // If we recovered a final grade, set it and update the quick map to avoid future fetches
-                if (finalGrade !== undefined && finalGrade !== null) {
-                    s.final_grade = finalGrade;
-                    try { _navSectionGradeMap[String(s.id || s.section_id)] = finalGrade; } catch (ee) {}
-                }
-            } catch (err) {
-                debugLog('NAV', `Could not fetch per-section grades for nav (${s.id}): ${err.message}`);
-            }
-        }));
+// Periodically confirm the session's token still belongs to the session's user
+app.use(async (req, res, next) => {
+    if (!SESSION_VERIFY_INTERVAL_MS || !req.session.accessToken || !req.session.userId) return next();
+    if (Date.now() - (req.session.identityVerifiedAt || 0) < SESSION_VERIFY_INTERVAL_MS) return next();
 
-        // SECOND PASS: for sections that still display as 'N/A' (and don't already indicate assignment-level grades),
-        // force a section-specific fetch even if we previously recorded a 403 for it. This aims to recover cases
-        // where the global grades endpoint or earlier attempts produced 'N/A' but section-level/assignment-level data exists.
-        try {
-            // We filter for any section missing a final grade, even if it has 'has_grades' set.
-            // This ensures we try to get the actual number if possible.
-            const naCandidates = res.locals.navSections.filter(s => isGradeNA(s.final_grade));
-            const toForce = naCandidates.slice(0, MAX_PER_SECTION_FETCH);
-            await Promise.all(toForce.map(async (s) => {
-                try {
-                    debugLog('NAV', `  Forcing section-specific fetch for N/A section ${s.id}...`);
-                    const { data: sectionSpecificGrades, usedAssignmentFallback } = await fetchSectionGradesWithFallback(s.id || s.section_id, req.session.accessToken, req.session.userId);
-                    if (usedAssignmentFallback) debugLog('NAV', `  Used assignment fallback for forced nav section ${s.id}`);
-                    
-                    if (sectionSpecificGrades) {
-                        const secs = sectionSpecificGrades.section
-                            ? (Array.isArray(sectionSpecificGrades.section) ? sectionSpecificGrades.section : [sectionSpecificGrades.section])
-                            : (sectionSpecificGrades.period ? [sectionSpecificGrades] : []);
-                        
-                        for (const sec of secs) {
-                            // Debug log for structure inspection if needed
-                            if (usedAssignmentFallback && !sec.final_grade && !sec.grade) {
-                                debugLog('NAV', `  Fallback response structure for ${s.id}: ${JSON.stringify(sec).substring(0, 200)}...`);
-                            }
+    let tokenUserId;
+    try {
+        tokenUserId = await fetchTokenUserId(req.session.accessToken);
+    } catch (e) {
+        if (e.statusCode === 401) return endMismatchedSession(req, res, 'Schoology rejected the access token');
+        debugLog('AUTH', `⚠️  Could not verify session for user ${req.session.userId}: ${e.message}`);
+        req.session.identityVerifiedAt = Date.now() - SESSION_VERIFY_INTERVAL_MS + SESSION_VERIFY_RETRY_MS;
+        return next();
+    }
 
-                            if (sec.final_grade !== undefined && sec.final_grade !== null && sec.final_grade !== '') {
-                                if (Array.isArray(sec.final_grade) && sec.final_grade.length > 0 && sec.final_grade[0].grade !== undefined) {
-                                    const parsed = parseFloat(sec.final_grade[0].grade);
-                                    if (!isNaN(parsed)) {
-                                        s.final_grade = parsed;
-                                        break;
-                                    }
-                                } else {
-                                    const parsed = parseFloat(sec.final_grade);
-                                    if (!isNaN(parsed)) {
-                                        s.final_grade = parsed;
-                                        break;
-                                    }
-                                }
-                            }
-                            // Fallback: check for 'grade' property directly
-                            if ((s.final_grade === null || s.final_grade === undefined) && sec.grade !== undefined && sec.grade !== null && sec.grade !== '') {
-                                const parsed = parseFloat(sec.grade);
-                                if (!isNaN(parsed)) {
-                                    s.final_grade = parsed;
-                                    break;
-                                }
-                            }
-                        }
+    if (tokenUserId !== String(req.session.userId)) {
+        return endMismatchedSession(req, res, `access token belongs to user ${tokenUserId}`);
+    }
+    bindSessionIdentity(req, res, tokenUserId);
+    next();
+});
 
-                        // If we still don't have a final grade, but we have data, mark as has_grades
-                        if ((s.final_grade === null || s.final_grade === undefined) && secs.length > 0) {
-                             s.has_grades = true;
-                             s.grade_unavailable = false; // Clear unavailable flag if we found data
-                        }
+// ============================================================
+// CSRF Protection
+// ============================================================
+// Every POST/PUT/PATCH/DELETE under /api needs an X-CSRF-Token header (or a
+// _csrf body field) issued for the current login. Pages get the token through
+// res.locals.csrfToken (partials/csrf.ejs); public/js/app.js adds it to
+// same-origin fetches automatically.
+
+const csrfTokens = new CsrfTokens({ secrets: tokenSecrets.secrets });
+const CSRF_SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Tokens are bound to the login, which survives serverless invocations via the access token cookie
+function csrfBinding(req) {
+    const token = req.session.accessToken;
+    if (!token || !token.oauth_token) return 'anonymous';
+    return 'login:' + crypto.createHash('sha256').update(token.oauth_token).digest('hex');
+}
 
-                        if (s.final_grade === null || s.final_grade === undefined) {
-                            // detect assignment-level grades
-                            let hasGrades = false;
-                            for (const sec of secs) {
-                                const periods = sec.period || [];
-                                for (const period of periods) {
-                                    const assignments = period.assignment || [];
-                                    if (assignments.length > 0) {
-                                        hasGrades = true;
-                                        break;
-                                    }
-                                }
-                                if (hasGrades) break;
-                            }
-                            if (hasGrades) {
-                                s.has_grades = true;
-                                s.grade_unavailable = false; // Clear unavailable flag
-                            }
-                        }
-                    }
-                    
-                    // If we successfully fetched data (even if no final grade), clear unavailable
-                    if (sectionSpecificGrades) {
-                        s.grade_unavailable = false;
-                    }
-                } catch (e) {
-                    debugLog('NAV', `  Forced fetch failed for nav (${s.id}): ${e.message}`);
-                }
-            }));
-        } catch (e) {
-            debugLog('NAV', `Error during forced N/A section fetch pass: ${e.message}`);
-        }
+app.use((req, res, next) => {
+    res.locals.csrfToken = csrfTokens.create(csrfBinding(req));
+    res.locals.schoologyDomain = getSchoologyDomain(req);
+    res.locals.schoologyBaseUrl = tenants.baseUrl(res.locals.schoologyDomain);
+    // Whose local copies of the user state the page may use (UserState.claim in public/js/app.js)
+    res.locals.stateOwner = req.session.userHash || '';
+    if (CSRF_SAFE_METHODS.has(req.method) || !req.path.startsWith('/api/')) return next();
+
+    const token = req.get('x-csrf-token') || (req.body && typeof req.body === 'object' ? req.body._csrf : null);
+    if (csrfTokens.verify(token, csrfBinding(req))) return next();
+
+    debugLog('CSRF', `✗ Rejected ${req.method} ${req.path}: ${token ? 'invalid' : 'missing'} CSRF token (origin: ${req.get('origin') || 'none'})`);
+    res.set('X-CSRF-Error', token ? 'invalid' : 'missing');
+    res.status(403).json({ error: 'Missing or invalid CSRF token. Reload the page and try again.', csrfRequired: true });
+});
+
+// Fresh token for scripts whose page token went stale (e.g. after logging in again in another tab)
+app.get('/api/csrf-token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ token: res.locals.csrfToken });
+});
+
+// Routes
+
+// Preload sections+grades for nav to keep dropdown consistent across pages
+app.use(async (req, res, next) => {
+    if (!req.session || !req.session.userId || !req.session.accessToken) return next();
+    try {
+        // Stale data is fine for the nav; it is refreshed in the background
+        const navCacheOptions = { staleWhileRevalidate: true };
+        const [sections, gradesData] = await Promise.all([
+            fetchAllSectionsOptimized(req.session.userId, req.session.accessToken, navCacheOptions).catch(() => []),
+            fetchAllGradesOptimized(req.session.userId, req.session.accessToken, navCacheOptions).catch(() => null)
+        ]);
+
+        // One canonical final grade per section; routes reuse res.locals.gradeResolution
+        const resolved = await resolveGradesForRequest(req, res, sections, gradesData);
+        res.locals.navSections = applyGradeResolution(sections, resolved);
 
         // Back-compat: some views historically use `sections` without a dedicated nav variable
         // (route-level `sections` may override this, but views can now opt into `navSections`).
@@ -1545,22 +1741,112 @@ app.get('/api/features', (req, res) => {
     });
 });
 
+// ============================================================
+// Admin Diagnostics
+// ============================================================
+// The /debug pages are off unless ENABLE_DEBUG_PAGE=true, and then only open to
+// the Schoology user ids in ADMIN_USER_IDS. Everything shown goes through
+// diagnostics.redact, so tokens and secrets never reach the page.
+
+const DEBUG_PAGE_ENABLED = process.env.ENABLE_DEBUG_PAGE === 'true';
+const ADMIN_USER_IDS = new Set((process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+
+function isAdminUser(req) {
+    return !!(req.session.userId && ADMIN_USER_IDS.has(String(req.session.userId)));
+}
+
+function requireDebugAdmin(req, res, next) {
+    if (!DEBUG_PAGE_ENABLED) return next('route'); // behave as if the page doesn't exist
+    if (!req.session.accessToken || !req.session.userId) return res.status(401).send('Unauthorized');
+    if (!isAdminUser(req)) return res.status(403).send('Forbidden');
+    next();
+}
+
+app.get('/debug', requireDebugAdmin, async (req, res) => {
+    const userId = req.session.userId;
+    const token = req.session.accessToken;
+
+    // Same checks /debug/enrollments supports: which sections the user is enrolled
+    // in and where each final grade comes from
+    let gradeChecks = [];
+    let gradeCheckError = null;
+    try {
+        const [sections, enrollments, gradesData] = await Promise.all([
+            fetchAllSectionsOptimized(userId, token),
+            fetchEnrollmentsOptimized(userId, token),
+            fetchAllGradesOptimized(userId, token).catch(() => null)
+        ]);
+        const resolution = await resolveGradesForRequest(req, res, sections, gradesData);
+        const enrollmentBySection = new Map(enrollments.map(e => [String(e.section_id || e.id), e]));
+        gradeChecks = sections.map(section => {
+            const enrollment = enrollmentBySection.get(String(section.id));
+            const result = resolution[section.id] || resolution[String(section.id)];
+            return {
+                sectionId: section.id,
+                title: section.course_title || section.section_title || '',
+                enrollmentStatus: enrollment ? enrollment.status : null,
+                grade: result && result.grade !== null ? result.grade : null,
+                source: describeGradeSource(result)
+            };
+        });
+    } catch (e) {
+        gradeCheckError = `Grade check failed (reference ${diagnostics.captureError(e, { category: 'DEBUG', req })})`;
+    }
+
+    res.render('debug', diagnostics.redact({
+        login: {
+            userId,
+            userName: req.session.userName || null,
+            schoologyDomain: getSchoologyDomain(req),
+            identityVerifiedAt: req.session.identityVerifiedAt ? new Date(req.session.identityVerifiedAt).toISOString() : null,
+            hasAccessToken: !!token
+        },
+        environment: {
+            apiBase: config.apiBase,
+            defaultDomain: config.domain,
+            allowedDomains: tenants.list(),
+            mockApi: USE_MOCK_API,
+            vercel: IS_VERCEL,
+            browserFeatures: BROWSER_FEATURES_ENABLED,
+            cacheBackend: apiCache.backend,
+            userStateBackend: userState.backend,
+            sessionVerifyIntervalMs: SESSION_VERIFY_INTERVAL_MS,
+            logging: logger.describe()
+        },
+        encryption: tokenCipher.getStats(),
+        requests: {
+            ...getRequestCoalescingStats(),
+            inboundLimited: inboundLimiter.getStats().limited
+        },
+        scheduler: schoology.scheduler.getStats(),
+        sync: syncWorker.getStats(),
+        gradeChecks,
+        gradeCheckError,
+        errors: diagnostics.getRecentErrors()
+    }));
+});
+
 // DEBUG: Inspect enrollments to find missing grades
-app.get('/debug/enrollments', async (req, res) => {
-    if (!req.session.accessToken) return res.status(401).send('Unauthorized');
+app.get('/debug/enrollments', requireDebugAdmin, async (req, res) => {
     try {
         const enrollments = await fetchEnrollmentsOptimized(req.session.userId, req.session.accessToken);
-        res.json(enrollments);
+        res.json(diagnostics.redact(enrollments));
     } catch (e) {
-        res.status(500).send(e.message);
+        const errorId = diagnostics.captureError(e, { category: 'DEBUG', req });
+        res.status(500).json({ error: 'Could not fetch enrollments', errorId });
     }
 });
 
+// DEBUG: Request coalescing savings and background sync status
+app.get('/debug/requests', requireDebugAdmin, (req, res) => {
+    res.json({ coalescing: getRequestCoalescingStats(), scheduler: schoology.scheduler.getStats(), sync: syncWorker.getStats() });
+});
+
 app.get('/', (req, res) => {
     if (req.session.accessToken) {
         res.redirect('/dashboard');
     } else {
-        res.render('index', { authenticated: false });
+        res.render('index', { authenticated: false, schools: tenants.list(), defaultSchool: tenants.defaultDomain });
     }
 });
 
@@ -1569,6 +1855,14 @@ app.get('/auth/schoology', async (req, res) => {
     debugLog('OAUTH-STEP1', '========== STEP 1: Starting OAuth Flow ==========');
     debugLog('OAUTH-STEP1', 'User initiated OAuth authentication');
 
+    let domain;
+    try {
+        domain = tenants.resolve(req.query.domain);
+    } catch (e) {
+        return res.status(e.statusCode || 400).render('error', { message: e.message });
+    }
+    debugLog('OAUTH-STEP1', `School domain: ${domain}`);
+
     try {
         const requestTokenUrl = `${config.apiBase}/oauth/request_token`;
         debugLog('OAUTH-STEP1', `Requesting token from: ${requestTokenUrl}`);
@@ -1595,8 +1889,8 @@ app.get('/auth/schoology', async (req, res) => {
         debugLog('OAUTH-STEP1', '✓ Successfully obtained request token');
 
         // Store request token in encrypted cookie (works on serverless/Vercel)
-        const tokenData = JSON.stringify({ oauth_token, oauth_token_secret });
-        const encryptedToken = encryptToken(tokenData);
+        const tokenData = JSON.stringify({ oauth_token, oauth_token_secret, domain });
+        const encryptedToken = encryptToken(tokenData, TOKEN_PURPOSES.requestToken);
 
         // Use 'lax' sameSite - we're on the same domain, just different routes
         res.cookie('oauth_request_token', encryptedToken, {
@@ -1610,14 +1904,15 @@ app.get('/auth/schoology', async (req, res) => {
         // Also store in session as backup for local development
         req.session.requestToken = {
             oauth_token,
-            oauth_token_secret
+            oauth_token_secret,
+            domain
         };
 
         debugLog('OAUTH-STEP1', '✓ Request token stored in cookie and session');
 
         // Schoology doesn't like localhost callbacks - they get blocked by CloudFront
         // Instead, we'll show user the authorize page with the Schoology URL to open
-        const authUrl = `https://${config.domain}/oauth/authorize?oauth_token=${encodeURIComponent(oauth_token)}`;
+        const authUrl = `${tenants.authorizeBase(domain)}/oauth/authorize?oauth_token=${encodeURIComponent(oauth_token)}`;
 
         debugLog('OAUTH-STEP2', '========== STEP 2: Showing Authorization Page ==========');
         debugLog('OAUTH-STEP2', `Authorization URL: ${authUrl}`);
@@ -1631,9 +1926,7 @@ app.get('/auth/schoology', async (req, res) => {
         res.render('authorize', { authUrl, stateToken });
     } catch (error) {
         debugLog('OAUTH-ERROR', '✗ OAuth Step 1/2 FAILED');
-        debugLog('OAUTH-ERROR', `Error: ${error.message}`);
-        debugLog('OAUTH-ERROR', 'Stack trace:', error.stack);
-        res.render('error', { message: 'Failed to initiate OAuth. Please check your API credentials. Error: ' + error.message });
+        renderError(req, res, error, 'Failed to initiate OAuth. Please check your API credentials.', { category: 'OAUTH-ERROR' });
     }
 });
 
@@ -1650,7 +1943,7 @@ app.get('/auth/complete', async (req, res) => {
 
         // 1. First try the state query parameter (most reliable for serverless)
         if (req.query.state) {
-            const decrypted = decryptToken(decodeURIComponent(req.query.state));
+            const decrypted = decryptToken(decodeURIComponent(req.query.state), TOKEN_PURPOSES.requestToken);
             if (decrypted) {
                 requestToken = JSON.parse(decrypted);
                 debugLog('OAUTH-STEP3', '✓ Request token retrieved from state parameter');
@@ -1663,7 +1956,7 @@ app.get('/auth/complete', async (req, res) => {
             debugLog('OAUTH-STEP3', 'Encrypted token from cookie:', encryptedToken ? 'present (' + encryptedToken.length + ' chars)' : 'NOT FOUND');
 
             if (encryptedToken) {
-                const decrypted = decryptToken(encryptedToken);
+                const decrypted = decryptToken(encryptedToken, TOKEN_PURPOSES.requestToken);
                 debugLog('OAUTH-STEP3', 'Decryption result:', decrypted ? 'success' : 'FAILED');
                 if (decrypted) {
                     requestToken = JSON.parse(decrypted);
@@ -1685,7 +1978,7 @@ app.get('/auth/complete', async (req, res) => {
             return res.render('error', { message: 'No request token found. Please try logging in again.' });
         }
 
-        debugLog('OAUTH-STEP3', 'Using stored request token:', requestToken.oauth_token ? requestToken.oauth_token.substring(0, 12) + '...' : 'NULL');
+        debugLog('OAUTH-STEP3', 'Using stored request token:', requestToken.oauth_token ? 'present' : 'NULL');
 
         // Exchange request token for access token
         debugLog('OAUTH-STEP4', '========== STEP 4: Exchanging for Access Token ==========');
@@ -1720,18 +2013,15 @@ app.get('/auth/complete', async (req, res) => {
             oauth_token: access_token,
             oauth_token_secret: access_token_secret
         };
+        delete req.session.unregisteredVerifiedAt; // a fresh login, not a restored cookie
+        // School picked when the login started
+        req.session.schoologyDomain = tenants.forSession(requestToken.domain);
 
-        // Also store in encrypted cookie for Vercel serverless persistence
-        const accessTokenData = JSON.stringify({ oauth_token: access_token, oauth_token_secret: access_token_secret });
-        res.cookie('access_token', encryptToken(accessTokenData), {
-            httpOnly: true,
-            secure: IS_VERCEL,
-            sameSite: IS_VERCEL ? 'none' : 'lax',
-            maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-            path: '/' // Explicit path
-        });
+        // Bind the session to the token's owner and seal both into a cookie for Vercel serverless persistence
+        const userId = await fetchTokenUserId(req.session.accessToken);
+        bindSessionIdentity(req, res, userId);
 
-        debugLog('OAUTH-STEP4', '✓ Access token stored in session and cookie');
+        debugLog('OAUTH-STEP4', `✓ Access token for user ${userId} stored in session and cookie`);
 
         // Clear request token and awaiting flag
         delete req.session.requestToken;
@@ -1745,9 +2035,7 @@ app.get('/auth/complete', async (req, res) => {
         res.redirect('/dashboard');
     } catch (error) {
         debugLog('OAUTH-ERROR', '✗ OAuth Step 3/4 FAILED');
-        debugLog('OAUTH-ERROR', `Error: ${error.message}`);
-        debugLog('OAUTH-ERROR', 'Stack trace:', error.stack);
-        res.render('error', { message: 'Failed to complete OAuth authorization. Make sure you clicked "Allow" on Schoology. Error: ' + error.message });
+        renderError(req, res, error, 'Failed to complete OAuth authorization. Make sure you clicked "Allow" on Schoology.', { category: 'OAUTH-ERROR' });
     }
 });
 
@@ -1760,7 +2048,7 @@ app.get('/auth/callback', async (req, res) => {
         const { oauth_token } = req.query;
         const requestToken = req.session.requestToken;
 
-        debugLog('OAUTH-STEP3', 'Received oauth_token:', oauth_token ? oauth_token.substring(0, 12) + '...' : 'NULL');
+        debugLog('OAUTH-STEP3', 'Received oauth_token:', oauth_token ? 'present' : 'NULL');
         debugLog('OAUTH-STEP3', 'Session requestToken exists:', !!requestToken);
 
         if (!requestToken) {
@@ -1768,13 +2056,12 @@ app.get('/auth/callback', async (req, res) => {
             return res.render('error', { message: 'No request token found. Please try logging in again.' });
         }
 
-        debugLog('OAUTH-STEP3', 'Stored request token:', requestToken.oauth_token ? requestToken.oauth_token.substring(0, 12) + '...' : 'NULL');
+        debugLog('OAUTH-STEP3', 'Stored request token:', requestToken.oauth_token ? 'present' : 'NULL');
 
         // If oauth_token provided, verify it matches
         if (oauth_token && requestToken.oauth_token !== oauth_token) {
             debugLog('OAUTH-STEP3', '✗ FAILED: Token mismatch');
-            debugLog('OAUTH-STEP3', `Expected: ${requestToken.oauth_token}`);
-            debugLog('OAUTH-STEP3', `Received: ${oauth_token}`);
+            debugLog('OAUTH-STEP3', 'Received token does not match the stored request token');
             return res.render('error', { message: 'Invalid OAuth token received.' });
         }
 
@@ -1810,7 +2097,12 @@ app.get('/auth/callback', async (req, res) => {
             oauth_token: access_token,
             oauth_token_secret: access_token_secret
         };
-        debugLog('OAUTH-STEP4', '✓ Access token stored in session');
+        delete req.session.unregisteredVerifiedAt; // a fresh login, not a restored cookie
+        // School picked when the login started
+        req.session.schoologyDomain = tenants.forSession(requestToken.domain);
+        const userId = await fetchTokenUserId(req.session.accessToken);
+        bindSessionIdentity(req, res, userId);
+        debugLog('OAUTH-STEP4', `✓ Access token for user ${userId} stored in session`);
 
         // Clear request token
         delete req.session.requestToken;
@@ -1821,9 +2113,7 @@ app.get('/auth/callback', async (req, res) => {
         res.redirect('/dashboard');
     } catch (error) {
         debugLog('OAUTH-ERROR', '✗ OAuth Step 3/4 FAILED');
-        debugLog('OAUTH-ERROR', `Error: ${error.message}`);
-        debugLog('OAUTH-ERROR', 'Stack trace:', error.stack);
-        res.render('error', { message: 'Failed to complete OAuth authorization. Error: ' + error.message });
+        renderError(req, res, error, 'Failed to complete OAuth authorization.', { category: 'OAUTH-ERROR' });
     }
 });
 
@@ -1849,27 +2139,13 @@ app.get('/dashboard', async (req, res) => {
             userName: req.session.userName,
             user: null,
             sections: [],
-            currentClass: null
-        });
-    }
-
-    try {
-        // Step 1: Get user ID from app-user-info endpoint
-        const appUserInfoUrl = `${config.apiBase}/app-user-info`;
-        debugLog('DASHBOARD', `Fetching app-user-info from: ${appUserInfoUrl}`);
-
-        const appUserInfo = await makeOAuthRequest('GET', appUserInfoUrl, req.session.accessToken, null, {
-            cache: true,
-            cacheKey: getCacheKey(req.session.userId || 'temp', 'app-user-info'),
-            cacheTTL: CACHE_TTL.user
+            currentClass: null
         });
-        debugLog('DASHBOARD', '✓ app-user-info response:', appUserInfo);
-
-        const userId = appUserInfo.api_uid;
-        if (!userId) {
-            throw new Error('No user ID returned from app-user-info. Response: ' + JSON.stringify(appUserInfo));
-        }
+    }
 
+    try {
+        // Step 1: User ID the access token belongs to (sealed in the session)
+        const userId = await resolveSessionUserId(req, res);
         debugLog('DASHBOARD', `✓ Got user ID: ${userId}`);
 
         // Step 2: Get full user details using the user ID
@@ -1887,19 +2163,7 @@ app.get('/dashboard', async (req, res) => {
             email: user.primary_email
         });
 
-        req.session.userId = user.id;
         req.session.userName = `${user.name_first} ${user.name_last}`;
-        // Store user ID hash for session validation
-        req.session.userHash = crypto.createHash('sha256').update(user.id.toString()).digest('hex');
-
-        // Store user ID in cookie for Vercel serverless persistence
-        res.cookie('user_id', user.id, {
-            httpOnly: true,
-            secure: IS_VERCEL,
-            sameSite: IS_VERCEL ? 'none' : 'lax',
-            maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-            path: '/' // Explicit path
-        });
 
         // Step 3: PARALLEL FETCH - Get sections and grades simultaneously
         debugLog('DASHBOARD', '⚡ Starting parallel fetch for sections and grades...');
@@ -1929,33 +2193,10 @@ app.get('/dashboard', async (req, res) => {
             debugLog('DASHBOARD', `⚡ Parallel fetch completed in ${Date.now() - startTime}ms`);
             debugLog('DASHBOARD', `✓ Found ${sections.length} sections`);
 
-            // Parse and attach final grades to sections
-            if (allGradesData) {
-                const { sectionGrades } = parseGradesIntoMap(allGradesData);
-
-                // Also check periods for final grade
-                if (allGradesData.section) {
-                    for (const sec of allGradesData.section) {
-                        if (sectionGrades[String(sec.section_id)] === null) {
-                            const periods = sec.period || [];
-                            for (const period of periods) {
-                                if (period.period_id === 'final' || period.period_title === 'Final Grade' || period.period_title === 'Overall') {
-                                    const assignments = period.assignment || [];
-                                    if (assignments.length > 0 && assignments[0].grade !== null && assignments[0].grade !== undefined && assignments[0].grade !== '') {
-                                        const parsed = parseFloat(assignments[0].grade);
-                                        if (!isNaN(parsed)) sectionGrades[String(sec.section_id)] = parsed;
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-
-                // Attach grades to sections (normalize section id to handle different API shapes)
-                sections = enrichSectionsWithFinalGrades(sections, allGradesData);
-
-                debugLog('DASHBOARD', `✓ Attached grades to ${Object.keys(sectionGrades).length} sections`);
-            }
+            // Attach the canonical final grades (shared with the nav, see resolveGradesForRequest)
+            const resolved = await resolveGradesForRequest(req, res, sectionsResult, allGradesData);
+            sections = applyGradeResolution(sections, resolved);
+            debugLog('DASHBOARD', `✓ Attached grades to ${Object.keys(resolved).length} sections`);
         } catch (e) {
             debugLog('DASHBOARD', `Error in parallel fetch: ${e.message}`);
         }
@@ -1999,26 +2240,7 @@ app.get('/dashboard', async (req, res) => {
             authenticated: true
         });
     } catch (error) {
-        debugLog('DASHBOARD', `✗ Error fetching user: ${error.message}`);
-        debugLog('DASHBOARD', 'Showing error with token info for debugging');
-
-        // Show error with token details for debugging instead of redirecting
-        const tokenInfo = req.session.accessToken ? {
-            oauth_token: req.session.accessToken.oauth_token,
-            oauth_token_secret: req.session.accessToken.oauth_token_secret
-        } : null;
-
-        res.render('error', {
-            message: `Failed to fetch user data: ${error.message}`,
-            debugInfo: {
-                error: error.message,
-                stack: error.stack,
-                accessToken: tokenInfo ? tokenInfo.oauth_token : 'No token',
-                accessTokenSecret: tokenInfo ? tokenInfo.oauth_token_secret : 'No secret',
-                apiBase: config.apiBase,
-                domain: config.domain
-            }
-        });
+        renderError(req, res, error, 'Failed to fetch user data from Schoology.', { category: 'DASHBOARD' });
     }
 });
 
@@ -2037,18 +2259,8 @@ async function ensureUserSession(req, res) {
         };
     }
 
-    // Step 1: Get user ID from app-user-info
-    const appUserInfoUrl = `${config.apiBase}/app-user-info`;
-    const appUserInfo = await makeOAuthRequest('GET', appUserInfoUrl, req.session.accessToken, null, {
-        cache: true,
-        cacheKey: getCacheKey(req.session.userId || 'temp', 'app-user-info'),
-        cacheTTL: CACHE_TTL.user
-    });
-
-    const userId = appUserInfo.api_uid;
-    if (!userId) {
-        throw new Error('No user ID returned from app-user-info');
-    }
+    // Step 1: User ID the access token belongs to (sealed in the session)
+    const userId = await resolveSessionUserId(req, res);
 
     // Step 2: Fetch full user details
     const userUrl = `${config.apiBase}/users/${userId}`;
@@ -2058,28 +2270,18 @@ async function ensureUserSession(req, res) {
         cacheTTL: CACHE_TTL.user
     });
 
-    req.session.userId = user.id;
     req.session.userName = `${user.name_first} ${user.name_last}`;
-    req.session.userHash = crypto.createHash('sha256').update(user.id.toString()).digest('hex');
-
-    // Persist user ID for Vercel serverless session recovery
-    res.cookie('user_id', user.id, {
-        httpOnly: true,
-        secure: IS_VERCEL,
-        sameSite: IS_VERCEL ? 'none' : 'lax',
-        maxAge: 365 * 24 * 60 * 60 * 1000,
-        path: '/'
-    });
 
     return user;
 }
 
 // Helper function to fetch all pages of assignments with caching
-async function fetchAllAssignments(sectionId, accessToken, userId = null) {
+async function fetchAllAssignments(sectionId, accessToken, userId = null, cacheOptions = {}) {
     // Use cache if userId provided
     if (userId) {
         const cacheKey = getCacheKey(userId, `assignments-${sectionId}`);
-        const cached = getCachedData(cacheKey, CACHE_TTL.assignments);
+        const cached = await readCacheWithRevalidate(cacheKey, CACHE_TTL.assignments, cacheOptions,
+            () => fetchAllAssignments(sectionId, accessToken, userId));
         if (cached) {
             // Normalize cached shapes: either array or raw API response
             if (Array.isArray(cached)) return cached;
@@ -2134,19 +2336,22 @@ app.get('/assignments', async (req, res) => {
         await ensureUserSession(req, res);
         const startTime = Date.now();
 
+        // Serve expired cache entries immediately and refresh them in the background
+        const cacheOptions = { staleWhileRevalidate: true, meta: { ageMs: 0, stale: false } };
+
         // ⚡ PARALLEL FETCH: Get sections and grades simultaneously with caching
         debugLog('ASSIGNMENTS', '⚡ Starting parallel fetch for sections and grades...');
 
         const [sections, gradesData] = await Promise.all([
-            fetchAllSectionsOptimized(req.session.userId, req.session.accessToken),
-            fetchAllGradesOptimized(req.session.userId, req.session.accessToken).catch(e => {
+            fetchAllSectionsOptimized(req.session.userId, req.session.accessToken, cacheOptions),
+            fetchAllGradesOptimized(req.session.userId, req.session.accessToken, cacheOptions).catch(e => {
                 debugLog('ASSIGNMENTS', `Could not fetch grades: ${e.message}`);
                 return null;
             })
         ]);
 
         // Enrich sections with final grade if grades were fetched
-        const enrichedSections = enrichSectionsWithFinalGrades(sections, gradesData);
+        const enrichedSections = enrichSectionsWithFinalGrades(sections, gradesData, res.locals.gradeResolution);
         debugLog('ASSIGNMENTS', `✓ Found ${enrichedSections.length} sections`);
 
         // Parse grades into lookup map
@@ -2160,7 +2365,9 @@ app.get('/assignments', async (req, res) => {
         const assignmentsResults = await fetchAssignmentsForSectionsParallel(
             sectionsToFetch.map(s => s.id),
             req.session.accessToken,
-            5 // Max 5 concurrent requests
+            5, // Max 5 concurrent requests
+            req.session.userId,
+            cacheOptions
         );
 
         // Combine all assignments
@@ -2225,13 +2432,9 @@ app.get('/assignments', async (req, res) => {
                 }
 
                 // For regular assignments, check the submissions endpoint
-                const submissionUrl = `${config.apiBase}/sections/${sectionId}/submissions/${assignmentId}/${req.session.userId}`;
-                const submissionData = await makeOAuthRequest('GET', submissionUrl, req.session.accessToken);
-                if (submissionData && submissionData.revision) {
-                    const revisions = Array.isArray(submissionData.revision) ? submissionData.revision : [submissionData.revision];
-                    if (revisions.length > 0) {
-                        return true;
-                    }
+                const revisions = await fetchSubmissionRevisions(req.session.userId, req.session.accessToken, sectionId, assignmentId);
+                if (revisions.length > 0) {
+                    return true;
                 }
 
                 // Check for LTI submission
@@ -2327,8 +2530,7 @@ app.get('/assignments', async (req, res) => {
 
         // Apply adjusted due times from schedule
         // Load schedule from disk first to ensure we have the latest
-        loadSchedule(req.session.userId);
-        const userSchedule = scheduleCache[req.session.userId] || {};
+        const userSchedule = loadSchedule(req.session.userId);
         const adjustedDueTimes = userSchedule.adjustedDueTimes || {};
 
         const applyAdjustedDueTime = (assignment) => {
@@ -2368,12 +2570,12 @@ app.get('/assignments', async (req, res) => {
             upcomingAssignments: upcomingWithTime,
             overdueAssignments: overdueWithTime,
             sections: enrichedSections,
+            dataFreshness: cacheOptions.meta,
             authenticated: true,
             userName: req.session.userName
         });
     } catch (error) {
-        debugLog('ASSIGNMENTS', `✗ Error fetching assignments: ${error.message}`);
-        res.render('error', { message: 'Failed to fetch assignments: ' + error.message });
+        renderError(req, res, error, 'Failed to fetch assignments.', { category: 'ASSIGNMENTS' });
     }
 });
 
@@ -2402,12 +2604,15 @@ app.get('/grades', async (req, res) => {
         await ensureUserSession(req, res);
         const startTime = Date.now();
 
+        // Serve expired cache entries immediately and refresh them in the background
+        const cacheOptions = { staleWhileRevalidate: true, meta: { ageMs: 0, stale: false } };
+
         // ⚡ PARALLEL FETCH: Get sections and grades simultaneously with caching
         debugLog('GRADES', '⚡ Starting parallel fetch for sections and grades...');
 
         const [allSections, allGradesData] = await Promise.all([
-            fetchAllSectionsOptimized(req.session.userId, req.session.accessToken),
-            fetchAllGradesOptimized(req.session.userId, req.session.accessToken).catch(e => {
+            fetchAllSectionsOptimized(req.session.userId, req.session.accessToken, cacheOptions),
+            fetchAllGradesOptimized(req.session.userId, req.session.accessToken, cacheOptions).catch(e => {
                 debugLog('GRADES', `! Could not fetch all grades: ${e.message}`);
                 return null;
             })
@@ -2417,11 +2622,13 @@ app.get('/grades', async (req, res) => {
         debugLog('GRADES', `✓ Found ${allSections.length} total sections`);
 
         // Parse final grades from the all-grades response
-        const { sectionGrades: sectionFinalGrades, sectionGradeData, gradesMap: globalGradesMap } = allGradesData
+        const { sectionGradeData, gradesMap: globalGradesMap, sectionPeriods } = allGradesData
             ? parseGradesIntoMap(allGradesData)
-            : { sectionGrades: {}, sectionGradeData: {}, gradesMap: {} };
+            : { sectionGradeData: {}, gradesMap: {}, sectionPeriods: {} };
 
-        debugLog('GRADES', `✓ Parsed final grades for ${Object.keys(sectionFinalGrades).length} sections`);
+        // One grading period at a time (?period=<id> or "all"), the latest one by default
+        const gradingPeriods = collectGradingPeriods(Object.values(sectionPeriods));
+        const selectedPeriod = selectPeriod(gradingPeriods, req.query.period);
 
         // ⚡ PARALLEL FETCH: Get assignments and categories for all sections
         debugLog('GRADES', '⚡ Fetching assignments and categories in parallel...');
@@ -2429,15 +2636,28 @@ app.get('/grades', async (req, res) => {
 
         const sectionIds = allSections.map(s => s.id);
 
-        const [assignmentsResults, categoriesResults] = await Promise.all([
-            fetchAssignmentsForSectionsParallel(sectionIds, req.session.accessToken, 5, req.session.userId),
-            fetchCategoriesForSectionsParallel(sectionIds, req.session.accessToken, 5, req.session.userId)
+        const [assignmentsResults, categoriesResults, scalesResults, scaleOverrides] = await Promise.all([
+            fetchAssignmentsForSectionsParallel(sectionIds, req.session.accessToken, 5, req.session.userId, cacheOptions),
+            fetchCategoriesForSectionsParallel(sectionIds, req.session.accessToken, 5, req.session.userId, cacheOptions),
+            fetchGradingScalesForSectionsParallel(sectionIds, req.session.accessToken, 5, req.session.userId, cacheOptions),
+            // Per-course grading scale choices from /settings
+            userState.get(req.session.userId, 'gradingScales')
+                .then(entry => (entry && entry.value) || {})
+                .catch(e => {
+                    debugLog('GRADES', `⚠️  Could not read grading scale settings: ${e.message}`);
+                    return {};
+                })
         ]);
 
         debugLog('GRADES', `⚡ Assignments and categories fetched in ${Date.now() - parallelStartTime}ms`);
 
-        // Enrich sections with final grades
-        const enrichedAllSections = enrichSectionsWithFinalGrades(allSections, allGradesData);
+        // Canonical final grades, shared with the nav (see resolveGradesForRequest)
+        const assignmentsBySection = {};
+        for (const sectionId of sectionIds) {
+            if (assignmentsResults[sectionId]) assignmentsBySection[String(sectionId)] = assignmentsResults[sectionId].assignments;
+        }
+        const resolvedGrades = await resolveGradesForRequest(req, res, allSections, allGradesData, { assignmentsBySection });
+        const enrichedAllSections = applyGradeResolution(allSections, resolvedGrades);
 
         // Process grades for each section
         let gradesData = [];
@@ -2446,71 +2666,8 @@ app.get('/grades', async (req, res) => {
             try {
                 debugLog('GRADES', `Processing section ${section.id}: ${section.course_title || section.section_title}`);
 
-                // Get the final grade from our pre-fetched data
-                let finalGrade = sectionFinalGrades[String(section.id)];
-                if (finalGrade === undefined || finalGrade === null || isNaN(finalGrade)) {
-                    finalGrade = null;
-                }
-
-                // If we still have no final grade, try fetching section-specific grades
-                if (finalGrade === null) {
-                    try {
-                        debugLog('GRADES', `  No final grade from user-level API, fetching section-specific grades for ${section.id}...`);
-                        const { data: sectionSpecificGrades, usedAssignmentFallback } = await fetchSectionGradesWithFallback(section.id, req.session.accessToken, req.session.userId);
-                        if (usedAssignmentFallback) debugLog('GRADES', `  Used assignment fallback for section ${section.id}`);
-                            if (sectionSpecificGrades) {
-                            // Support both wrapped and unwrapped responses
-                            const secs = sectionSpecificGrades.section
-                                ? (Array.isArray(sectionSpecificGrades.section) ? sectionSpecificGrades.section : [sectionSpecificGrades.section])
-                                : (sectionSpecificGrades.period ? [sectionSpecificGrades] : []);
-                            for (const sec of secs) {
-                                if (sec.final_grade !== undefined && sec.final_grade !== null && sec.final_grade !== '') {
-                                    if (Array.isArray(sec.final_grade) && sec.final_grade.length > 0 && sec.final_grade[0].grade !== undefined) {
-                                        const parsed = parseFloat(sec.final_grade[0].grade);
-                                        if (!isNaN(parsed)) {
-                                            finalGrade = parsed;
-                                            break;
-                                        }
-                                    } else {
-                                        const parsed = parseFloat(sec.final_grade);
-                                        if (!isNaN(parsed)) {
-                                            finalGrade = parsed;
-                                            break;
-                                        }
-                                    }
-                                }
-                                // Fallback: check for 'grade' property directly
-                                if (finalGrade === null && sec.grade !== undefined && sec.grade !== null && sec.grade !== '') {
-                                    const parsed = parseFloat(sec.grade);
-                                    if (!isNaN(parsed)) {
-                                        finalGrade = parsed;
-                                        break;
-                                    }
-                                }
-                            }
-                        }
-                    } catch (e) {
-                        debugLog('GRADES', `  Could not fetch section-specific grades for ${section.id}: ${e.message}`);
-                        if (e && e.statusCode === 403) {
-                            const blockKey = getSectionGradeForbiddenCacheKey(req.session.userId, section.id);
-                            try { setCachedData(blockKey, { blocked: true }); } catch (ee) {}
-                            // Check if global user-level grades mapped to this section later in the request set
-                            const altFinal = sectionFinalGrades[String(section.id)] || (allGradesData && parseGradesIntoMap(allGradesData).sectionGrades[String(section.id)]);
-                            if (altFinal === undefined || altFinal === null) {
-                                section.grade_unavailable = true;
-                            } else {
-                                // If global logic produced a final grade, use it and do not mark unavailable
-                                section.final_grade = altFinal;
-                            }
-                        }
-                    }
-
-                    // Cache recovered final grade in the parsed map so later lookups avoid extra fetches
-                    if (finalGrade !== null) {
-                        sectionFinalGrades[String(section.id)] = finalGrade;
-                    }
-                }
-
+                const resolution = resolvedGrades[String(section.id)];
+                const finalGrade = resolution ? resolution.grade : null;
                 debugLog('GRADES', `  Final grade: ${finalGrade !== null ? finalGrade : 'N/A'}`);
 
                 // Use pre-fetched grade data
@@ -2546,62 +2703,25 @@ app.get('/grades', async (req, res) => {
                         const periods = sec.period || [];
                         for (const period of periods) {
                             const periodAssignments = period.assignment || [];
-                            gradesList = gradesList.concat(periodAssignments);
+                            gradesList = gradesList.concat(periodAssignments.map(row => ({ ...row, _period_id: period.period_id !== undefined ? String(period.period_id) : null })));
                         }
                     }
                 }
 
-                // If no grades found from user-level API and we have assignments, 
-                // try fetching section-specific grades
-                if (gradesList.length === 0 && assignments.length > 0 && !sectionGradeData[section.id]) {
+                // If no grades found from user-level API and we have assignments,
+                // use the section-specific grades (shared with grade resolution, fetched at most once)
+                if (gradesList.length === 0 && assignments.length > 0 && !sectionGradeData[section.id] && !section.grade_unavailable) {
                     try {
                         debugLog('GRADES', `  No user-level grades, trying section-specific grades...`);
-                        const sectionSpecificGrades = await fetchSectionGrades(section.id, req.session.accessToken);
-
-                        if (sectionSpecificGrades) {
-                        // Handle both wrapped {section: [...]} and unwrapped response formats
-                        let sections = [];
-                        if (sectionSpecificGrades.section) {
-                            sections = Array.isArray(sectionSpecificGrades.section)
-                                ? sectionSpecificGrades.section
-                                : [sectionSpecificGrades.section];
-                        } else if (sectionSpecificGrades.period) {
-                            // Handle case where response IS the section object directly
-                            sections = [sectionSpecificGrades];
-                        }
-
-                        for (const sec of sections) {
-                            // Try to extract final grade if we don't have it yet
-                            if (finalGrade === null) {
-                                if (sec.final_grade !== undefined && sec.final_grade !== null && sec.final_grade !== '') {
-                                    if (Array.isArray(sec.final_grade) && sec.final_grade.length > 0) {
-                                        const fg = sec.final_grade[0];
-                                        if (fg.grade !== undefined) {
-                                            const parsed = parseFloat(fg.grade);
-                                            if (!isNaN(parsed)) finalGrade = parsed;
-                                        }
-                                    } else {
-                                        const parsed = parseFloat(sec.final_grade);
-                                        if (!isNaN(parsed)) finalGrade = parsed;
-                                    }
-                                }
-                            }
-
-                            const periods = sec.period || [];
-                            for (const period of periods) {
-                                const periodAssignments = period.assignment || [];
-                                gradesList = gradesList.concat(periodAssignments);
+                        const { data: sectionSpecificGrades } = await fetchSectionGradesOnce(req, section.id);
+                        for (const sec of normalizeGradeSections(sectionSpecificGrades)) {
+                            for (const period of sec.period || []) {
+                                gradesList = gradesList.concat((period.assignment || []).map(row => ({ ...row, _period_id: period.period_id !== undefined ? String(period.period_id) : null })));
                             }
                         }
                         debugLog('GRADES', `  Found ${gradesList.length} grades from section-specific API`);
-                        }
                     } catch (e) {
                         debugLog('GRADES', `  Could not fetch section-specific grades for ${section.id}: ${e.message}`);
-                        if (e && e.statusCode === 403) {
-                            const blockKey = getSectionGradeForbiddenCacheKey(req.session.userId, section.id);
-                            try { setCachedData(blockKey, { blocked: true }); } catch (ee) {}
-                            section.grade_unavailable = true;
-                        }
                     }
                 }
 
@@ -2616,8 +2736,6 @@ app.get('/grades', async (req, res) => {
                 debugLog('GRADES', `  Grades mapped: ${Object.keys(gradesMap).length}`);
 
                 let grades = [];
-                let totalPoints = 0;
-                let earnedPoints = 0;
 
                 // Process all assignments, merging with grade data when available
                 if (assignments.length > 0) {
@@ -2628,27 +2746,14 @@ app.get('/grades', async (req, res) => {
                         const maxPoints = parseFloat((grade?.max_points) || assignment.max_points || 100);
 
                         if (grade) {
-                            // If we found the grade via global map (linked section), try to recover final grade
-                            if (finalGrade === null && grade._section_id && grade._section_id != section.id) {
-                                const linkedFinalGrade = sectionFinalGrades[String(grade._section_id)];
-                                if (linkedFinalGrade !== undefined && linkedFinalGrade !== null) {
-                                    finalGrade = linkedFinalGrade;
-                                    debugLog('GRADES', `  Recovered final grade ${finalGrade} from linked section ${grade._section_id}`);
-                                }
-                            }
-
                             // Assignment has grade data from API
-                            if (grade.grade !== null && grade.grade !== undefined && grade.grade !== '' && grade.exception === 0) {
-                                earnedPoints += parseFloat(grade.grade);
-                                totalPoints += maxPoints;
-                            }
-
                             grades.push({
                                 ...grade,
                                 title: assignment.title || 'Unknown Assignment',
                                 max_points: maxPoints,
                                 category: assignment.grading_category || 0,
-                                due: assignment.due
+                                due: assignment.due,
+                                _period_id: grade._period_id || assignmentPeriodId(assignment)
                             });
                         } else {
                             // Assignment exists but no grade data - show without grade
@@ -2659,7 +2764,8 @@ app.get('/grades', async (req, res) => {
                                 title: assignment.title || 'Unknown Assignment',
                                 max_points: maxPoints,
                                 category: assignment.grading_category || 0,
-                                due: assignment.due
+                                due: assignment.due,
+                                _period_id: assignmentPeriodId(assignment)
                             });
                         }
                     }
@@ -2669,11 +2775,6 @@ app.get('/grades', async (req, res) => {
                         const assignment = assignmentLookup[grade.assignment_id] || {};
                         const maxPoints = parseFloat(grade.max_points || assignment.max_points || 100);
 
-                        if (grade.grade !== null && grade.grade !== undefined && grade.grade !== '' && grade.exception === 0) {
-                            earnedPoints += parseFloat(grade.grade);
-                            totalPoints += maxPoints;
-                        }
-
                         grades.push({
                             ...grade,
                             title: assignment.title || 'Unknown Assignment',
@@ -2684,7 +2785,33 @@ app.get('/grades', async (req, res) => {
                     }
                 }
 
+                // Only the selected grading period, so totals and what-ifs don't blend terms
+                grades = grades.filter(grade => isInPeriod(grade._period_id, selectedPeriod));
+                let totalPoints = 0;
+                let earnedPoints = 0;
+                for (const grade of grades) {
+                    if (grade.grade !== null && grade.grade !== undefined && grade.grade !== '' && grade.exception === 0) {
+                        earnedPoints += parseFloat(grade.grade);
+                        totalPoints += grade.max_points;
+                    }
+                }
+
+                // A course split into several periods shows the selected period's own grade
+                const periods = sectionPeriods[section.id] || [];
                 let percentage = finalGrade;
+                let gradeSourceLabel = describeGradeSource(resolution);
+                if (selectedPeriod !== ALL_PERIODS && periods.length > 1) {
+                    const period = periods.find(p => p.id === selectedPeriod);
+                    percentage = period ? period.grade : null;
+                    gradeSourceLabel = percentage !== null ? `${period.title} grade from Schoology` : 'No grade from Schoology for this grading period';
+                }
+
+                // Letters and GPA points: the student's choice in /settings, else Schoology's scale
+                const sectionGrade = sectionGradeData[section.id];
+                const gradingScale = resolveScale({
+                    override: scaleOverrides[String(section.id)] || null,
+                    schoology: pickSchoologyScale(scalesResults[section.id], sectionGrade ? sectionGrade.final_grade : [])
+                });
 
                 // Group grades by category
                 const categoryLookup = {};
@@ -2707,6 +2834,18 @@ app.get('/grades', async (req, res) => {
 
                 const categoriesWithGrades = Object.values(categoryLookup).filter(cat => cat.grades.length > 0);
 
+                // Our own calculation (lib/grade-engine.js), flagged when it disagrees with Schoology's
+                const calculation = calculateGrade({
+                    categories: categories.map(cat => ({ id: cat.id, title: cat.title, weight: cat.weight, dropLowest: cat.drop_lowest })),
+                    items: grades.map(g => ({ id: String(g.assignment_id), categoryId: g.category, grade: g.grade, max: g.max_points, exception: g.exception }))
+                });
+                // All periods at once mixes terms Schoology grades separately, so there's nothing to compare
+                const blendsPeriods = selectedPeriod === ALL_PERIODS && periods.length > 1;
+                const gradeCheck = blendsPeriods ? null : compareWithOfficial(calculation.percentage, percentage);
+                if (gradeCheck && !gradeCheck.matches) {
+                    debugLog('GRADES', `  ⚠️  Calculated ${gradeCheck.calculated.toFixed(2)}% (${calculation.method}) differs from Schoology's ${gradeCheck.official.toFixed(2)}%`);
+                }
+
                 gradesData.push({
                     section_id: section.id,
                     course_name: section.course_title || section.section_title,
@@ -2714,7 +2853,14 @@ app.get('/grades', async (req, res) => {
                     categories: categoriesWithGrades,
                     totalPoints,
                     earnedPoints,
-                    percentage
+                    percentage,
+                    calculation,
+                    gradeCheck,
+                    periods,
+                    semesterParts: buildSemesterParts(periods, selectedPeriod, percentage !== null ? percentage : calculation.percentage),
+                    gradingScale,
+                    gradeSource: resolution ? resolution.source : GRADE_SOURCES.NONE,
+                    gradeSourceLabel
                 });
             } catch (e) {
                 debugLog('GRADES', `  ✗ Error for section ${section.id}: ${e.message}`);
@@ -2726,6 +2872,11 @@ app.get('/grades', async (req, res) => {
                     totalPoints: 0,
                     earnedPoints: 0,
                     percentage: null,
+                    periods: [],
+                    semesterParts: [],
+                    gradingScale: resolveScale({ override: scaleOverrides[String(section.id)] || null }),
+                    gradeSource: GRADE_SOURCES.NONE,
+                    gradeSourceLabel: describeGradeSource(null),
                     error: e.message
                 });
             }
@@ -2746,13 +2897,17 @@ app.get('/grades', async (req, res) => {
         res.render('grades', {
             isShell: false,
             gradesData: sortedGradesData,
+            gradingPeriods,
+            selectedPeriod,
+            letterFor,
+            gradeClassFor,
             sections: enrichedAllSections,
+            dataFreshness: cacheOptions.meta,
             authenticated: true,
             userName: req.session.userName
         });
     } catch (error) {
-        debugLog('GRADES', `✗ Error fetching grades: ${error.message}`);
-        res.render('error', { message: 'Failed to fetch grades: ' + error.message });
+        renderError(req, res, error, 'Failed to fetch grades.', { category: 'GRADES' });
     }
 });
 
@@ -2763,7 +2918,7 @@ async function fetchFolderContents(sectionId, folderId, accessToken, depth = 0,
     // Use cache if userId provided
     if (userId) {
         const cacheKey = getCacheKey(userId, `folder-${sectionId}-${folderId}`);
-        const cached = getCachedData(cacheKey, CACHE_TTL.courses);
+        const cached = await getCachedData(cacheKey, CACHE_TTL.courses);
         if (cached) {
             if (Array.isArray(cached)) return cached;
             if (cached && typeof cached === 'object' && Array.isArray(cached['folder-item'])) {
@@ -2783,17 +2938,15 @@ async function fetchFolderContents(sectionId, folderId, accessToken, depth = 0,
     }
 
     try {
-        const url = `${config.apiBase}/courses/${sectionId}/folder/${folderId}`;
-        debugLog('COURSES', `  ${'  '.repeat(depth)}Fetching folder ${folderId}: ${url}`);
-        const data = await makeOAuthRequest('GET', url, accessToken, null, {
+        debugLog('COURSES', `  ${'  '.repeat(depth)}Fetching folder ${folderId} of course ${sectionId}`);
+        // API returns 'folder-item' array, not 'content'
+        const contents = await schoology.getFolder(accessToken, sectionId, folderId, {
             cache: !!userId,
             cacheKey: userId ? getCacheKey(userId, `folder-${sectionId}-${folderId}`) : null,
             cacheTTL: CACHE_TTL.courses
         });
 
         const items = [];
-        // API returns 'folder-item' array, not 'content'
-        const contents = data['folder-item'] || [];
         debugLog('COURSES', `  ${'  '.repeat(depth)}Found ${contents.length} items in folder ${folderId}`);
 
         for (const item of contents) {
@@ -2901,7 +3054,7 @@ app.get('/courses', async (req, res) => {
             const assignments = assignmentsResult;
 
             // Enrich sections with final grades using the fetched grades result
-            enrichedAllSections = enrichSectionsWithFinalGrades(allSections, gradesResult);
+            enrichedAllSections = enrichSectionsWithFinalGrades(allSections, gradesResult, res.locals.gradeResolution);
 
             // Parse grades into map
             let gradesMap = {};
@@ -2972,8 +3125,7 @@ app.get('/courses', async (req, res) => {
             userName: req.session.userName
         });
     } catch (error) {
-        debugLog('COURSES', `✗ Error fetching courses: ${error.message}`);
-        res.render('error', { message: 'Failed to fetch courses: ' + error.message });
+        renderError(req, res, error, 'Failed to fetch courses.', { category: 'COURSES' });
     }
 });
 
@@ -3095,19 +3247,14 @@ app.get('/assignment', async (req, res) => {
         if (isSubmittable) {
             try {
                 // Try to get user's submission from dropbox
-                const submissionUrl = `${config.apiBase}/sections/${sectionId}/submissions/${assignmentId}/${req.session.userId}`;
-                debugLog('ASSIGNMENT', `Fetching submission from: ${submissionUrl}`);
-                const submissionData = await makeOAuthRequest('GET', submissionUrl, req.session.accessToken);
-                debugLog('ASSIGNMENT', `  Submission response: ${JSON.stringify(submissionData).substring(0, 500)}`);
+                debugLog('ASSIGNMENT', `Fetching submission for section ${sectionId}, assignment ${assignmentId}`);
+                const revisions = await schoology.getSubmission(req.session.accessToken, sectionId, assignmentId, req.session.userId);
 
                 // Check if there's a revision (actual submission)
-                if (submissionData && submissionData.revision) {
-                    const revisions = Array.isArray(submissionData.revision) ? submissionData.revision : [submissionData.revision];
-                    if (revisions.length > 0) {
-                        // Get the most recent revision
-                        userSubmission = revisions[revisions.length - 1];
-                        debugLog('ASSIGNMENT', `  Found submission with ${revisions.length} revision(s)`);
-                    }
+                if (revisions.length > 0) {
+                    // Get the most recent revision
+                    userSubmission = revisions[revisions.length - 1];
+                    debugLog('ASSIGNMENT', `  Found submission with ${revisions.length} revision(s)`);
                 }
             } catch (e) {
                 debugLog('ASSIGNMENT', `Could not fetch submission: ${e.message}`);
@@ -3118,8 +3265,7 @@ app.get('/assignment', async (req, res) => {
         debugLog('ASSIGNMENT', '✓ Rendering assignment page');
 
         // Apply adjusted due time from schedule if available
-        loadSchedule(req.session.userId);
-        const userSchedule = scheduleCache[req.session.userId] || {};
+        const userSchedule = loadSchedule(req.session.userId);
         const adjustedDueTimes = userSchedule.adjustedDueTimes || {};
         const adjusted = adjustedDueTimes[assignment.id];
         if (adjusted) {
@@ -3133,7 +3279,7 @@ app.get('/assignment', async (req, res) => {
         // Also provide enriched sections for nav (use cached fetches)
         const allSectionsForNav = await fetchAllSectionsOptimized(req.session.userId, req.session.accessToken).catch(() => []);
         const allGradesForNav = await fetchAllGradesOptimized(req.session.userId, req.session.accessToken).catch(() => null);
-        const enrichedSectionsForNav = enrichSectionsWithFinalGrades(allSectionsForNav, allGradesForNav);
+        const enrichedSectionsForNav = enrichSectionsWithFinalGrades(allSectionsForNav, allGradesForNav, res.locals.gradeResolution);
         res.render('assignment', {
             isShell: false,
             assignment,
@@ -3148,8 +3294,7 @@ app.get('/assignment', async (req, res) => {
             userName: req.session.userName
         });
     } catch (error) {
-        debugLog('ASSIGNMENT', `✗ Error fetching assignment: ${error.message}`);
-        res.render('error', { message: 'Failed to fetch assignment: ' + error.message });
+        renderError(req, res, error, 'Failed to fetch assignment.', { category: 'ASSIGNMENT' });
     }
 });
 
@@ -3196,7 +3341,7 @@ function requireBrowserFeatures(req, res, next) {
 async function ensureBrowser(req) {
     if (browserContext && isLoggedIn) return true;
 
-    const storedCookie = req.cookies.schoology_sess ? decryptToken(req.cookies.schoology_sess) : null;
+    const storedCookie = req.cookies.schoology_sess ? decryptToken(req.cookies.schoology_sess, TOKEN_PURPOSES.browserSession) : null;
     if (!storedCookie) return false;
 
     debugLog('BROWSER', 'Restoring browser session from cookie...');
@@ -3225,27 +3370,7 @@ async function ensureBrowser(req) {
 
         browserContext = await browserInstance.newContext(contextOptions);
 
-        const cookies = [];
-        const rawCookies = storedCookie.split(';');
-
-        for (const c of rawCookies) {
-            if (!c || !c.trim()) continue;
-
-            if (c.includes('=')) {
-                const parts = c.trim().split('=');
-                const name = parts[0].trim();
-                const value = parts.slice(1).join('=').trim();
-                if (name && value) {
-                    cookies.push({ name, value, domain: '.schoology.com', path: '/' });
-                }
-            } else {
-                const domain = 'fuhsd.schoology.com';
-                const hash = crypto.createHash('md5').update(domain).digest('hex');
-                const name = 'SESS' + hash;
-                cookies.push({ name, value: c.trim(), domain: '.schoology.com', path: '/' });
-            }
-        }
-
+        const cookies = tenants.browserCookies(storedCookie, getSchoologyDomain(req));
         if (cookies.length > 0) {
             await browserContext.addCookies(cookies);
         }
@@ -3311,7 +3436,7 @@ app.get('/api/browser/status', (req, res) => {
     }
 
     // Check if we have a stored cookie (for Vercel persistence)
-    const storedCookie = req.cookies.schoology_sess ? decryptToken(req.cookies.schoology_sess) : null;
+    const storedCookie = req.cookies.schoology_sess ? decryptToken(req.cookies.schoology_sess, TOKEN_PURPOSES.browserSession) : null;
 
     res.json({
         browserOpen: browserInstance !== null,
@@ -3393,44 +3518,8 @@ app.post('/api/browser/login', requireBrowserFeatures, express.json(), async (re
         if (schoologyCookie) {
             debugLog('BROWSER', 'Injecting provided Schoology cookie...');
 
-            const cookies = [];
-            // Handle multiple cookies separated by semicolon
-            const rawCookies = schoologyCookie.split(';');
-
-            for (const c of rawCookies) {
-                if (!c || !c.trim()) continue;
-
-                if (c.includes('=')) {
-                    // Format: name=value
-                    const parts = c.trim().split('=');
-                    const name = parts[0].trim();
-                    const value = parts.slice(1).join('=').trim();
-
-                    if (name && value) {
-                        cookies.push({
-                            name: name,
-                            value: value,
-                            domain: '.schoology.com', // Wildcard for subdomains
-                            path: '/'
-                        });
-                    }
-                } else {
-                    // Format: just value (assume it's the SESS cookie)
-                    // Calculate name: SESS + md5(domain)
-                    // We use fuhsd.schoology.com for login, so calculate hash for that
-                    const domain = 'fuhsd.schoology.com';
-                    const hash = crypto.createHash('md5').update(domain).digest('hex');
-                    const name = 'SESS' + hash;
-
-                    cookies.push({
-                        name: name,
-                        value: c.trim(),
-                        domain: '.schoology.com',
-                        path: '/'
-                    });
-                }
-            }
-
+            // "name=value; ..." pairs, or a bare value for the school's SESS cookie
+            const cookies = tenants.browserCookies(schoologyCookie, getSchoologyDomain(req));
             if (cookies.length > 0) {
                 debugLog('BROWSER', `Injecting ${cookies.length} cookies: ${cookies.map(c => c.name).join(', ')}`);
                 await browserContext.addCookies(cookies);
@@ -3463,12 +3552,13 @@ app.post('/api/browser/login', requireBrowserFeatures, express.json(), async (re
         });
 
         // Navigate to Schoology
-        debugLog('BROWSER', 'Navigating to fuhsd.schoology.com...');
-        await page.goto('https://fuhsd.schoology.com', { waitUntil: 'networkidle' });
+        const schoologyBaseUrl = tenants.baseUrl(getSchoologyDomain(req));
+        debugLog('BROWSER', `Navigating to ${schoologyBaseUrl}...`);
+        await page.goto(schoologyBaseUrl, { waitUntil: 'networkidle' });
 
         // Check if already logged in from restored state or injected cookie
         const currentUrl = page.url();
-        if (currentUrl.includes('schoology.com') &&
+        if (tenants.isTenantUrl(currentUrl, getSchoologyDomain(req)) &&
             !currentUrl.includes('login') &&
             !currentUrl.includes('google.com') &&
             !currentUrl.includes('accounts.')) {
@@ -3477,7 +3567,7 @@ app.post('/api/browser/login', requireBrowserFeatures, express.json(), async (re
 
             // Save the cookie for future serverless invocations
             if (schoologyCookie) {
-                res.cookie('schoology_sess', encryptToken(schoologyCookie), {
+                res.cookie('schoology_sess', encryptToken(schoologyCookie, TOKEN_PURPOSES.browserSession), {
                     httpOnly: true,
                     secure: IS_VERCEL,
                     sameSite: 'lax',
@@ -3525,7 +3615,7 @@ app.post('/api/browser/check-login', requireBrowserFeatures, async (req, res) =>
         debugLog('BROWSER', `Current URL: ${currentUrl}`);
 
         // Check if we're on Schoology (not on login page)
-        if (currentUrl.includes('schoology.com') &&
+        if (tenants.isTenantUrl(currentUrl, getSchoologyDomain(req)) &&
             !currentUrl.includes('login') &&
             !currentUrl.includes('google.com') &&
             !currentUrl.includes('accounts.')) {
@@ -3593,7 +3683,7 @@ app.post('/api/quiz/start', requireBrowserFeatures, express.json(), async (req,
     debugLog('QUIZ-START', `=== Starting quiz for course: ${courseId}, assignment: ${assignmentId} ===`);
 
     // Check for stored cookie if not logged in
-    const storedCookie = req.cookies.schoology_sess ? decryptToken(req.cookies.schoology_sess) : null;
+    const storedCookie = req.cookies.schoology_sess ? decryptToken(req.cookies.schoology_sess, TOKEN_PURPOSES.browserSession) : null;
 
     if ((!browserContext || !isLoggedIn) && !storedCookie) {
         debugLog('QUIZ-START', '✗ Browser not logged in and no stored cookie');
@@ -3634,27 +3724,7 @@ app.post('/api/quiz/start', requireBrowserFeatures, express.json(), async (req,
 
             // Inject cookie
             debugLog('QUIZ-START', 'Injecting stored Schoology cookie...');
-            const cookies = [];
-            const rawCookies = storedCookie.split(';');
-
-            for (const c of rawCookies) {
-                if (!c || !c.trim()) continue;
-
-                if (c.includes('=')) {
-                    const parts = c.trim().split('=');
-                    const name = parts[0].trim();
-                    const value = parts.slice(1).join('=').trim();
-                    if (name && value) {
-                        cookies.push({ name, value, domain: '.schoology.com', path: '/' });
-                    }
-                } else {
-                    const domain = 'fuhsd.schoology.com';
-                    const hash = crypto.createHash('md5').update(domain).digest('hex');
-                    const name = 'SESS' + hash;
-                    cookies.push({ name, value: c.trim(), domain: '.schoology.com', path: '/' });
-                }
-            }
-
+            const cookies = tenants.browserCookies(storedCookie, getSchoologyDomain(req));
             if (cookies.length > 0) {
                 await browserContext.addCookies(cookies);
                 debugLog('QUIZ-START', `✓ Injected ${cookies.length} cookies`);
@@ -3680,7 +3750,7 @@ app.post('/api/quiz/start', requireBrowserFeatures, express.json(), async (req,
         debugLog('QUIZ-START', '✓ Viewport set to 1280x800');
 
         // Navigate to the assessment page
-        const assessmentUrl = `https://fuhsd.schoology.com/course/${courseId}/assessments/${assignmentId}`;
+        const assessmentUrl = `${tenants.baseUrl(getSchoologyDomain(req))}/course/${courseId}/assessments/${assignmentId}`;
 
         // Save URL for session restoration on Vercel
         res.cookie('current_assessment_url', assessmentUrl, {
@@ -4215,9 +4285,17 @@ const withTimeout = (promise, ms, fallback) => {
 
 // Helper: Ensure Browser is Active (Vercel Rehydration)
 const rehydrateQuizPage = async (reqUrl, reqCookie) => {
+    // The quiz URL is on the user's school domain (checked against the allow-list)
+    let domain = tenants.defaultDomain;
+    try {
+        domain = tenants.forSession(new URL(reqUrl).hostname);
+    } catch (e) {
+        // keep the default
+    }
+
     // 1. Check if existing session is valid
     if (quizPage && !quizPage.isClosed()) {
-        if (quizPage.url().includes('schoology.com')) {
+        if (tenants.isTenantUrl(quizPage.url(), domain)) {
             return true;
         }
     }
@@ -4239,12 +4317,12 @@ const rehydrateQuizPage = async (reqUrl, reqCookie) => {
 
         // 3. Inject Cookie
         if (reqCookie) {
-            const decrypted = decryptToken(reqCookie);
+            const decrypted = decryptToken(reqCookie, TOKEN_PURPOSES.browserSession);
             if (decrypted) {
                 const cookies = [{
-                    name: 'SESS' + crypto.createHash('md5').update('fuhsd.schoology.com').digest('hex'),
+                    name: tenants.sessionCookieName(domain),
                     value: decrypted,
-                    domain: '.schoology.com',
+                    domain: tenants.cookieDomain(domain),
                     path: '/'
                 }];
                 await browserContext.addCookies(cookies);
@@ -5919,8 +5997,7 @@ app.get('/quiz', async (req, res) => {
             userName: req.session.userName
         });
     } catch (error) {
-        debugLog('QUIZ', `✗ Error fetching quiz data: ${error.message}`);
-        res.render('error', { message: 'Failed to load quiz: ' + error.message });
+        renderError(req, res, error, 'Failed to load quiz.', { category: 'QUIZ' });
     }
 });
 
@@ -6024,8 +6101,7 @@ app.get('/focus', async (req, res) => {
         }
 
         // Apply adjusted due times from schedule
-        loadSchedule(req.session.userId);
-        const userSchedule = scheduleCache[req.session.userId] || {};
+        const userSchedule = loadSchedule(req.session.userId);
         const adjustedDueTimes = userSchedule.adjustedDueTimes || {};
 
         allAssignments.forEach(assignment => {
@@ -6054,8 +6130,7 @@ app.get('/focus', async (req, res) => {
             active: 'focus'
         });
     } catch (error) {
-        debugLog('FOCUS', `Error: ${error.message}`);
-        res.render('error', { message: 'Failed to load focus mode: ' + error.message });
+        renderError(req, res, error, 'Failed to load focus mode.', { category: 'FOCUS' });
     }
 });
 
@@ -6094,8 +6169,7 @@ app.get('/schedule', async (req, res) => {
             courses
         });
     } catch (error) {
-        debugLog('SCHEDULE', `Error: ${error.message}`);
-        res.render('error', { message: 'Failed to load schedule: ' + error.message });
+        renderError(req, res, error, 'Failed to load schedule.', { category: 'SCHEDULE' });
     }
 });
 
@@ -6109,6 +6183,94 @@ app.get('/api/schedule', (req, res) => {
     res.json({ schedule });
 });
 
+// ============================================================
+// User State API
+// ============================================================
+// Small per-user values the client used to keep in cookies/localStorage.
+// Values are { value, updatedAt }; see STATE_KEYS in lib/user-state-store.js.
+
+async function requireStateUser(req, res) {
+    if (!req.session.accessToken) {
+        res.status(401).json({ error: 'Not authenticated' });
+        return null;
+    }
+    try {
+        const user = await ensureUserSession(req, res);
+        return String(user.id);
+    } catch (e) {
+        if (e.reloginRequired) {
+            sendSessionEnded(req, res, e.message);
+            return null;
+        }
+        debugLog('STATE', `✗ Could not resolve user: ${e.message}`);
+        res.status(502).json({ error: 'Could not load your Schoology account' });
+        return null;
+    }
+}
+
+function sendStateError(res, e) {
+    debugLog('STATE', `✗ ${e.message}`);
+    res.status(e.statusCode || 500).json({ error: e.statusCode ? e.message : 'Could not access saved data' });
+}
+
+// All state for the current user
+app.get('/api/state', async (req, res) => {
+    const userId = await requireStateUser(req, res);
+    if (!userId) return;
+    try {
+        res.json({ state: await userState.getAll(userId) });
+    } catch (e) {
+        sendStateError(res, e);
+    }
+});
+
+// Import values from cookies/localStorage the first time a browser syncs
+app.post('/api/state/migrate', async (req, res) => {
+    const userId = await requireStateUser(req, res);
+    if (!userId) return;
+    try {
+        const { imported, skipped, values } = await userState.migrate(userId, req.body && req.body.state);
+        debugLog('STATE', `✓ Migrated ${imported.length} value(s) for user ${userId}: ${imported.join(', ') || 'none'}`);
+        res.json({ success: true, imported, skipped, state: values });
+    } catch (e) {
+        sendStateError(res, e);
+    }
+});
+
+app.get('/api/state/:key', async (req, res) => {
+    const userId = await requireStateUser(req, res);
+    if (!userId) return;
+    try {
+        const entry = await userState.get(userId, req.params.key);
+        if (!entry) return res.status(404).json({ error: 'Not found' });
+        res.json({ key: req.params.key, ...entry });
+    } catch (e) {
+        sendStateError(res, e);
+    }
+});
+
+app.put('/api/state/:key', async (req, res) => {
+    const userId = await requireStateUser(req, res);
+    if (!userId) return;
+    try {
+        const entry = await userState.set(userId, req.params.key, req.body ? req.body.value : undefined);
+        res.json({ success: true, key: req.params.key, updatedAt: entry.updatedAt });
+    } catch (e) {
+        sendStateError(res, e);
+    }
+});
+
+app.delete('/api/state/:key', async (req, res) => {
+    const userId = await requireStateUser(req, res);
+    if (!userId) return;
+    try {
+        const deleted = await userState.delete(userId, req.params.key);
+        res.json({ success: true, deleted });
+    } catch (e) {
+        sendStateError(res, e);
+    }
+});
+
 // Submit assignment endpoint
 app.post('/api/assignment/submit', express.json(), async (req, res) => {
     debugLog('SUBMIT', 'Assignment submission requested');
@@ -6126,22 +6288,16 @@ app.post('/api/assignment/submit', express.json(), async (req, res) => {
     try {
         // Submit to Schoology using dropbox submissions API
         // POST /sections/{section_id}/submissions/{assignment_id}
-        const submissionUrl = `${config.apiBase}/sections/${sectionId}/submissions/${assignmentId}`;
-        debugLog('SUBMIT', `Submitting to: ${submissionUrl}`);
-
-        const submissionData = {
-            revision: {
-                body: text
-            }
-        };
+        debugLog('SUBMIT', `Submitting to section ${sectionId}, assignment ${assignmentId}`);
 
-        const result = await makeOAuthRequest('POST', submissionUrl, req.session.accessToken, submissionData);
+        const result = await schoology.postSubmission(req.session.accessToken, sectionId, assignmentId, text);
         
         debugLog('SUBMIT', '✓ Submission successful');
         
         // Invalidate cache for this assignment's submission and grade
-        invalidateCache(`${req.session.userId}:grade-${sectionId}-${assignmentId}`);
-        invalidateCache(`${req.session.userId}:assignment-${sectionId}-${assignmentId}`);
+        await invalidateCache(`${req.session.userId}:grade-${sectionId}-${assignmentId}`);
+        await invalidateCache(`${req.session.userId}:assignment-${sectionId}-${assignmentId}`);
+        await invalidateCache(`${req.session.userId}:submission-${sectionId}-${assignmentId}`);
         
         res.json({ success: true, submission: result });
     } catch (error) {
@@ -6158,8 +6314,12 @@ app.post('/api/schedule/save', express.json(), async (req, res) => {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
+    const { schedule } = req.body || {};
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return res.status(400).json({ error: 'Schedule must be an object' });
+    }
+
     try {
-        const { schedule } = req.body;
         const userId = req.session.userId;
 
         // Save the schedule
@@ -6170,7 +6330,8 @@ app.post('/api/schedule/save', express.json(), async (req, res) => {
 
         // Build a map of sectionId -> day -> start time
         const scheduleMap = {};
-        Object.keys(schedule).forEach(day => {
+        // Day keys hold class blocks; adjustedDueTimes (sent back by the schedule page) is skipped
+        Object.keys(schedule).filter(day => Array.isArray(schedule[day])).forEach(day => {
             schedule[day].forEach(block => {
                 if (!scheduleMap[block.sectionId]) {
                     scheduleMap[block.sectionId] = {};
@@ -6231,15 +6392,15 @@ app.post('/api/schedule/save', express.json(), async (req, res) => {
                     // Store the adjusted time in our local cache
                     // Note: We don't actually update Schoology's due date (API doesn't allow it for most users)
                     // Instead, we'll store adjusted times locally and use them when displaying
-                    if (!scheduleCache[userId].adjustedDueTimes) {
-                        scheduleCache[userId].adjustedDueTimes = {};
+                    if (!schedule.adjustedDueTimes) {
+                        schedule.adjustedDueTimes = {};
                     }
 
                     const originalTime = dueDate.toISOString();
                     const newTime = newDueDate.toISOString();
 
                     if (originalTime !== newTime) {
-                        scheduleCache[userId].adjustedDueTimes[assignment.id] = {
+                        schedule.adjustedDueTimes[assignment.id] = {
                             originalDue: originalTime,
                             adjustedDue: newTime,
                             sectionId: sectionId,
@@ -6255,14 +6416,8 @@ app.post('/api/schedule/save', express.json(), async (req, res) => {
             }
         }
 
-        // Save the updated cache with adjusted times
-        if (!IS_VERCEL && fs) {
-            try {
-                fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(scheduleCache, null, 2));
-            } catch (e) {
-                debugLog('SCHEDULE', `Error persisting schedule cache: ${e.message}`);
-            }
-        }
+        // Save again with the adjusted times
+        saveSchedule(userId, schedule);
 
         debugLog('SCHEDULE', `Schedule saved. ${assignmentsUpdated} assignments adjusted.`);
         res.json({ success: true, assignmentsUpdated });
@@ -6278,7 +6433,7 @@ app.get('/api/schedule/adjusted-due/:assignmentId', (req, res) => {
         return res.json({ adjusted: false });
     }
 
-    const schedule = scheduleCache[req.session.userId] || {};
+    const schedule = loadSchedule(req.session.userId);
     const adjustedTimes = schedule.adjustedDueTimes || {};
     const adjusted = adjustedTimes[req.params.assignmentId];
 
@@ -6322,7 +6477,7 @@ app.post('/api/notifications/read', express.json(), (req, res) => {
     const notification = userData.notifications.find(n => n.id === notificationId);
     if (notification) {
         notification.read = true;
-        saveNotifications();
+        saveNotifications(req.session.userId);
     }
 
     res.json({ success: true });
@@ -6336,65 +6491,88 @@ app.post('/api/notifications/read-all', (req, res) => {
 
     const userData = loadNotifications(req.session.userId);
     userData.notifications.forEach(n => n.read = true);
-    saveNotifications();
+    saveNotifications(req.session.userId);
 
     res.json({ success: true });
 });
 
-// Refresh notifications (check for new assignments and grades)
-app.post('/api/notifications/refresh', async (req, res) => {
-    debugLog('NOTIFICATIONS', 'Refreshing notifications');
+// Check a user's sections for new/updated assignments and new grades, adding notifications.
+// `prefetched` may carry { sections, assignmentsBySection, gradesData } the caller already has
+// (the sync worker does) so nothing is fetched twice.
+async function refreshNotificationsForUser(userId, accessToken, prefetched = {}) {
+    const userData = loadNotifications(userId);
+    let newCount = 0;
 
-    if (!req.session.accessToken || !req.session.userId) {
-        return res.status(401).json({ error: 'Not authenticated' });
+    // Fetch user's sections (unless the caller already has them)
+    let sections = prefetched.sections;
+    if (!sections) {
+        const sectionsUrl = `${config.apiBase}/users/${userId}/sections?limit=50`;
+        const sectionsData = await makeOAuthRequest('GET', sectionsUrl, accessToken);
+        sections = sectionsData.section || [];
     }
 
-    try {
-        const userId = req.session.userId;
-        const userData = loadNotifications(userId);
-        let newCount = 0;
+    debugLog('NOTIFICATIONS', `Checking ${sections.length} sections for new content`);
 
-        // Fetch user's sections
-        const sectionsUrl = `${config.apiBase}/users/${userId}/sections?limit=50`;
-        const sectionsData = await makeOAuthRequest('GET', sectionsUrl, req.session.accessToken);
-        const sections = sectionsData.section || [];
+    // Create section lookup
+    const sectionLookup = {};
+    sections.forEach(s => {
+        sectionLookup[s.id] = s;
+    });
 
-        debugLog('NOTIFICATIONS', `Checking ${sections.length} sections for new content`);
+    // Check each section for new assignments
+    for (const section of sections.slice(0, 10)) { // Limit to first 10 sections for performance
+        try {
+            // Fetch assignments for this section
+            let assignments = prefetched.assignmentsBySection && prefetched.assignmentsBySection[section.id];
+            if (!assignments) {
+                const assignmentsUrl = `${config.apiBase}/sections/${section.id}/assignments?limit=20`;
+                const assignmentsData = await makeOAuthRequest('GET', assignmentsUrl, accessToken);
+                assignments = assignmentsData.assignment || [];
+            }
 
-        // Create section lookup
-        const sectionLookup = {};
-        sections.forEach(s => {
-            sectionLookup[s.id] = s;
-        });
+            for (const assignment of assignments) {
+                const assignmentKey = `${section.id}_${assignment.id}`;
+                const lastUpdated = assignment.last_updated ? assignment.last_updated : 0;
+
+                // Check if this is a new assignment we haven't seen before
+                if (!userData.knownAssignments[assignmentKey]) {
+                    userData.knownAssignments[assignmentKey] = {
+                        firstSeen: new Date().toISOString(),
+                        hasGrade: false,
+                        lastUpdated: lastUpdated
+                    };
 
-        // Check each section for new assignments
-        for (const section of sections.slice(0, 10)) { // Limit to first 10 sections for performance
-            try {
-                // Fetch assignments for this section
-                const assignmentsUrl = `${config.apiBase}/sections/${section.id}/assignments?limit=20`;
-                const assignmentsData = await makeOAuthRequest('GET', assignmentsUrl, req.session.accessToken);
-                const assignments = assignmentsData.assignment || [];
+                    // Only notify if assignment was created in last 7 days
+                    const createdDate = assignment.created ? new Date(assignment.created * 1000) : new Date();
+                    const weekAgo = new Date();
+                    weekAgo.setDate(weekAgo.getDate() - 7);
 
-                for (const assignment of assignments) {
-                    const assignmentKey = `${section.id}_${assignment.id}`;
-                    const lastUpdated = assignment.last_updated ? assignment.last_updated : 0;
-
-                    // Check if this is a new assignment we haven't seen before
-                    if (!userData.knownAssignments[assignmentKey]) {
-                        userData.knownAssignments[assignmentKey] = {
-                            firstSeen: new Date().toISOString(),
-                            hasGrade: false,
-                            lastUpdated: lastUpdated
-                        };
+                    if (createdDate > weekAgo) {
+                        const added = addNotification(userId, {
+                            type: 'new_assignment',
+                            title: assignment.title,
+                            courseName: section.course_title || section.section_title || 'Unknown Course',
+                            courseId: section.course_id || section.id,
+                            sectionId: section.id,
+                            assignmentId: assignment.id,
+                            dueDate: assignment.due ? new Date(assignment.due).toISOString() : null
+                        });
+                        if (added) newCount++;
+                    }
+                } else {
+                    // Check if assignment was updated since we last saw it
+                    const storedLastUpdated = userData.knownAssignments[assignmentKey].lastUpdated || 0;
+                    if (lastUpdated > storedLastUpdated) {
+                        userData.knownAssignments[assignmentKey].lastUpdated = lastUpdated;
 
-                        // Only notify if assignment was created in last 7 days
-                        const createdDate = assignment.created ? new Date(assignment.created * 1000) : new Date();
-                        const weekAgo = new Date();
-                        weekAgo.setDate(weekAgo.getDate() - 7);
+                        // Only notify if update was recent (within last 3 days)
+                        const updateDate = new Date(lastUpdated * 1000);
+                        const threeDaysAgo = new Date();
+                        threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
 
-                        if (createdDate > weekAgo) {
+                        if (updateDate > threeDaysAgo) {
                             const added = addNotification(userId, {
-                                type: 'new_assignment',
+                                type: 'updated',
                                 title: assignment.title,
                                 courseName: section.course_title || section.section_title || 'Unknown Course',
                                 courseId: section.course_id || section.id,
@@ -6404,97 +6582,76 @@ app.post('/api/notifications/refresh', async (req, res) => {
                             });
                             if (added) newCount++;
                         }
-                    } else {
-                        // Check if assignment was updated since we last saw it
-                        const storedLastUpdated = userData.knownAssignments[assignmentKey].lastUpdated || 0;
-                        if (lastUpdated > storedLastUpdated) {
-                            userData.knownAssignments[assignmentKey].lastUpdated = lastUpdated;
-
-                            // Only notify if update was recent (within last 3 days)
-                            const updateDate = new Date(lastUpdated * 1000);
-                            const threeDaysAgo = new Date();
-                            threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
-
-                            if (updateDate > threeDaysAgo) {
-                                const added = addNotification(userId, {
-                                    type: 'updated',
-                                    title: assignment.title,
-                                    courseName: section.course_title || section.section_title || 'Unknown Course',
-                                    courseId: section.course_id || section.id,
-                                    sectionId: section.id,
-                                    assignmentId: assignment.id,
-                                    dueDate: assignment.due ? new Date(assignment.due).toISOString() : null
-                                });
-                                if (added) newCount++;
-                            }
-                        }
                     }
+                }
 
-                    // Check for new grade
-                    if (assignment.grade !== undefined && assignment.grade !== null && assignment.grade !== '') {
-                        const gradeKey = `grade_${assignmentKey}`;
-                        const hasExistingGrade = userData.knownAssignments[assignmentKey]?.hasGrade;
+                // Check for new grade
+                if (assignment.grade !== undefined && assignment.grade !== null && assignment.grade !== '') {
+                    const gradeKey = `grade_${assignmentKey}`;
+                    const hasExistingGrade = userData.knownAssignments[assignmentKey]?.hasGrade;
 
-                        if (!hasExistingGrade) {
-                            userData.knownAssignments[assignmentKey].hasGrade = true;
+                    if (!hasExistingGrade) {
+                        userData.knownAssignments[assignmentKey].hasGrade = true;
 
-                            const added = addNotification(userId, {
-                                type: 'graded',
-                                title: assignment.title,
-                                courseName: section.course_title || section.section_title || 'Unknown Course',
-                                courseId: section.course_id || section.id,
-                                sectionId: section.id,
-                                assignmentId: assignment.id,
-                                grade: assignment.grade,
-                                maxPoints: assignment.max_points
-                            });
-                            if (added) newCount++;
-                        }
+                        const added = addNotification(userId, {
+                            type: 'graded',
+                            title: assignment.title,
+                            courseName: section.course_title || section.section_title || 'Unknown Course',
+                            courseId: section.course_id || section.id,
+                            sectionId: section.id,
+                            assignmentId: assignment.id,
+                            grade: assignment.grade,
+                            maxPoints: assignment.max_points
+                        });
+                        if (added) newCount++;
                     }
                 }
-            } catch (e) {
-                debugLog('NOTIFICATIONS', `Error checking section ${section.id}: ${e.message}`);
             }
+        } catch (e) {
+            debugLog('NOTIFICATIONS', `Error checking section ${section.id}: ${e.message}`);
         }
+    }
 
-        // Also check grades endpoint for grade updates
-        try {
+    // Also check grades endpoint for grade updates
+    try {
+        let gradesData = prefetched.gradesData;
+        if (!gradesData) {
             const gradesUrl = `${config.apiBase}/users/${userId}/grades`;
-            const gradesData = await makeOAuthRequest('GET', gradesUrl, req.session.accessToken);
-
-            if (gradesData.section) {
-                for (const sec of gradesData.section) {
-                    if (sec.period && Array.isArray(sec.period)) {
-                        for (const period of sec.period) {
-                            if (period.assignment && Array.isArray(period.assignment)) {
-                                for (const assignment of period.assignment) {
-                                    if (assignment.grade !== undefined && assignment.grade !== null && assignment.grade !== '') {
-                                        const assignmentKey = `${sec.section_id}_${assignment.assignment_id}`;
-
-                                        if (!userData.knownAssignments[assignmentKey]) {
-                                            userData.knownAssignments[assignmentKey] = {
-                                                firstSeen: new Date().toISOString(),
-                                                hasGrade: true
-                                            };
-                                        }
-
-                                        const hasExistingGrade = userData.knownAssignments[assignmentKey]?.hasGrade;
-                                        if (!hasExistingGrade) {
-                                            userData.knownAssignments[assignmentKey].hasGrade = true;
-
-                                            const sectionInfo = sectionLookup[sec.section_id] || {};
-                                            const added = addNotification(userId, {
-                                                type: 'graded',
-                                                title: assignment.assignment_title || 'Assignment',
-                                                courseName: sectionInfo.course_title || sectionInfo.section_title || 'Unknown Course',
-                                                courseId: sectionInfo.course_id || sec.section_id,
-                                                sectionId: sec.section_id,
-                                                assignmentId: assignment.assignment_id,
-                                                grade: assignment.grade,
-                                                maxPoints: assignment.max_points
-                                            });
-                                            if (added) newCount++;
-                                        }
+            gradesData = await makeOAuthRequest('GET', gradesUrl, accessToken);
+        }
+
+        if (gradesData.section) {
+            for (const sec of gradesData.section) {
+                if (sec.period && Array.isArray(sec.period)) {
+                    for (const period of sec.period) {
+                        if (period.assignment && Array.isArray(period.assignment)) {
+                            for (const assignment of period.assignment) {
+                                if (assignment.grade !== undefined && assignment.grade !== null && assignment.grade !== '') {
+                                    const assignmentKey = `${sec.section_id}_${assignment.assignment_id}`;
+
+                                    if (!userData.knownAssignments[assignmentKey]) {
+                                        userData.knownAssignments[assignmentKey] = {
+                                            firstSeen: new Date().toISOString(),
+                                            hasGrade: true
+                                        };
+                                    }
+
+                                    const hasExistingGrade = userData.knownAssignments[assignmentKey]?.hasGrade;
+                                    if (!hasExistingGrade) {
+                                        userData.knownAssignments[assignmentKey].hasGrade = true;
+
+                                        const sectionInfo = sectionLookup[sec.section_id] || {};
+                                        const added = addNotification(userId, {
+                                            type: 'graded',
+                                            title: assignment.assignment_title || 'Assignment',
+                                            courseName: sectionInfo.course_title || sectionInfo.section_title || 'Unknown Course',
+                                            courseId: sectionInfo.course_id || sec.section_id,
+                                            sectionId: sec.section_id,
+                                            assignmentId: assignment.assignment_id,
+                                            grade: assignment.grade,
+                                            maxPoints: assignment.max_points
+                                        });
+                                        if (added) newCount++;
                                     }
                                 }
                             }
@@ -6502,20 +6659,35 @@ app.post('/api/notifications/refresh', async (req, res) => {
                     }
                 }
             }
-        } catch (e) {
-            debugLog('NOTIFICATIONS', `Error checking grades: ${e.message}`);
         }
+    } catch (e) {
+        debugLog('NOTIFICATIONS', `Error checking grades: ${e.message}`);
+    }
+
+    saveNotifications(userId);
+
+    const unreadCount = userData.notifications.filter(n => !n.read).length;
+    debugLog('NOTIFICATIONS', `Refresh complete: ${newCount} new notifications, ${unreadCount} unread total`);
+
+    return { newCount, unreadCount, notifications: userData.notifications };
+}
+
+// Refresh notifications (check for new assignments and grades)
+app.post('/api/notifications/refresh', async (req, res) => {
+    debugLog('NOTIFICATIONS', 'Refreshing notifications');
 
-        saveNotifications();
+    if (!req.session.accessToken || !req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
 
-        const unreadCount = userData.notifications.filter(n => !n.read).length;
-        debugLog('NOTIFICATIONS', `Refresh complete: ${newCount} new notifications, ${unreadCount} unread total`);
+    try {
+        const { newCount, unreadCount, notifications } = await refreshNotificationsForUser(req.session.userId, req.session.accessToken);
 
         res.json({
             success: true,
             newCount,
             unreadCount,
-            notifications: userData.notifications
+            notifications
         });
     } catch (error) {
         debugLog('NOTIFICATIONS', `Error refreshing notifications: ${error.message}`);
@@ -6525,10 +6697,16 @@ app.post('/api/notifications/refresh', async (req, res) => {
 
 // Clear all notifications
 app.post('/api/notifications/clear', (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
     try {
-        const userId = req.session.userId || 'default';
-        notificationsCache[userId] = { items: [], lastCheck: new Date().toISOString() };
-        saveNotifications();
+        // Known assignments/grades are kept so a refresh doesn't bring the cleared notifications back
+        const userId = req.session.userId;
+        const userData = loadNotifications(userId);
+        userData.notifications = [];
+        saveNotifications(userId);
         debugLog('NOTIFICATIONS', 'All notifications cleared');
         res.json({ success: true });
     } catch (error) {
@@ -6537,6 +6715,45 @@ app.post('/api/notifications/clear', (req, res) => {
     }
 });
 
+// Signed-in devices for the current user (empty until the user is known)
+function listDevices(req) {
+    if (!req.session.userId) return [];
+    return sessionRegistry.list(req.session.userId).map(login => describeLogin(login, req.session.loginId));
+}
+
+app.get('/api/sessions', (req, res) => {
+    if (!req.session.accessToken || !req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    res.json({ devices: listDevices(req) });
+});
+
+// Sign out one device. Revoking the current one is the same as logging out.
+app.post('/api/sessions/:loginId/revoke', (req, res) => {
+    if (!req.session.accessToken || !req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const revoked = sessionRegistry.revoke(req.session.userId, req.params.loginId);
+    if (!revoked) {
+        return res.status(404).json({ error: 'That device is not signed in' });
+    }
+    destroyRevokedSessions([revoked]);
+    debugLog('SESSIONS', `✓ User ${req.session.userId} signed out ${revoked.device}`);
+    res.json({ success: true, signedOut: revoked.id === req.session.loginId, devices: listDevices(req) });
+});
+
+// Sign out every other device, or every device with { includeCurrent: true }
+app.post('/api/sessions/revoke-all', (req, res) => {
+    if (!req.session.accessToken || !req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const includeCurrent = !!(req.body && req.body.includeCurrent);
+    const revoked = sessionRegistry.revokeAll(req.session.userId, { exceptId: includeCurrent ? null : req.session.loginId });
+    destroyRevokedSessions(revoked);
+    debugLog('SESSIONS', `✓ User ${req.session.userId} signed out ${revoked.length} device(s)`);
+    res.json({ success: true, revoked: revoked.length, signedOut: includeCurrent, devices: listDevices(req) });
+});
+
 // Settings page
 app.get('/settings', async (req, res) => {
     debugLog('SETTINGS', 'Settings page requested');
@@ -6573,15 +6790,18 @@ app.get('/settings', async (req, res) => {
             isShell: false,
             authenticated: true,
             userName: req.session.userName,
-            courses: courses
+            courses: courses,
+            devices: listDevices(req)
         });
     } catch (error) {
+        if (error.reloginRequired) return sendSessionEnded(req, res, error.message);
         debugLog('SETTINGS', `Error fetching courses: ${error.message}`);
         res.render('settings', {
             isShell: false,
             authenticated: true,
             userName: req.session.userName,
-            courses: []
+            courses: [],
+            devices: listDevices(req)
         });
     }
 });
@@ -6590,6 +6810,8 @@ app.get('/settings', async (req, res) => {
 app.get('/logout', (req, res) => {
     debugLog('LOGOUT', 'User logging out');
     const userId = req.session.userId;
+    // A copy of the access_token cookie must not bring this login back
+    if (userId && req.session.loginId) sessionRegistry.revoke(userId, req.session.loginId);
     
     // Clear all session data
     req.session.destroy((err) => {
@@ -6601,13 +6823,13 @@ app.get('/logout', (req, res) => {
     });
     
     // Clear all authentication cookies
-    res.clearCookie('access_token', { path: '/' });
-    res.clearCookie('user_id', { path: '/' });
-    res.clearCookie('oauth_request_token', { path: '/' });
-    res.clearCookie('schoology.sid', { path: '/' }); // Clear session ID cookie
+    clearAuthCookies(res);
+    // State kept in cookies before /api/state; the next user of this browser must not inherit it
+    for (const name of ['completedAssignments', 'gradeEdits', 'customAssignments']) res.clearCookie(name, { path: '/' });
     
     // Clear user-specific cache
     if (userId) {
+        syncWorker.forget(userId);
         clearAllCache(userId);
         debugLog('LOGOUT', `✓ Cleared cache for user ${userId}`);
     }
@@ -6617,9 +6839,7 @@ app.get('/logout', (req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-    debugLog('ERROR', `Unhandled error: ${err.message}`);
-    debugLog('ERROR', 'Stack trace:', err.stack);
-    res.status(500).render('error', { message: 'Something went wrong!' });
+    renderError(req, res, err, 'Something went wrong!');
 });
 
 app.listen(PORT, () => {
@@ -6645,8 +6865,8 @@ app.listen(PORT, () => {
         }
     }
     console.log('');
-    console.log('📋 OAuth Debug Logging is ENABLED');
-    console.log('   Watch this terminal for detailed OAuth flow information');
+    console.log(`📋 Logging: ${logger.describe()}`);
+    console.log('   Set LOG_LEVEL=debug or LOG_CATEGORIES=OAUTH-*,CACHE for detailed output');
     console.log('');
     if (!config.consumerKey || config.consumerKey === 'your_consumer_key_here') {
         console.log('⚠️  SETUP REQUIRED:');
@@ -6660,6 +6880,8 @@ app.listen(PORT, () => {
     }
     console.log('='.repeat(60));
     console.log('');
+
+    syncWorker.start();
 });
 
 // Export the Express app for Vercel serverless
@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { CacheStore, MemoryLRU, FileCacheAdapter, RedisCacheAdapter } = require('../lib/cache-store');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'spm-cache-test-'));
+}
+
+function countFiles(dir) {
+    return fs.readdirSync(dir, { recursive: true }).filter(name => name.endsWith('.json')).length;
+}
+
+// A TCP server that accepts connections and never answers
+async function startSilentServer() {
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        close: () => {
+            for (const socket of sockets) socket.destroy();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+describe('MemoryLRU', () => {
+    it('evicts the least recently used entry of a user over the per-user limit', () => {
+        const evicted = [];
+        const lru = new MemoryLRU({ maxEntries: 10, maxEntriesPerUser: 2, onEvict: (key, reason) => evicted.push(`${key} ${reason}`) });
+        lru.set('1:a', { data: 'a' });
+        lru.set('1:b', { data: 'b' });
+        lru.set('2:a', { data: 'other user' });
+        lru.get('1:a');
+        lru.set('1:c', { data: 'c' });
+
+        assert.deepEqual(evicted, ['1:b user-limit']);
+        assert.deepEqual(lru.keys().sort(), ['1:a', '1:c', '2:a']);
+    });
+
+    it('evicts the least recently used entry overall past the global limit', () => {
+        const evicted = [];
+        const lru = new MemoryLRU({ maxEntries: 3, maxEntriesPerUser: 0, onEvict: (key, reason) => evicted.push(`${key} ${reason}`) });
+        lru.set('1:a', {});
+        lru.set('2:a', {});
+        lru.set('3:a', {});
+        lru.get('1:a');
+        lru.set('4:a', {});
+
+        assert.deepEqual(evicted, ['2:a global-limit']);
+        assert.equal(lru.size, 3);
+        lru.delete('4:a');
+        assert.equal(lru.userKeys.has('4'), false);
+    });
+});
+
+describe('CacheStore', () => {
+    it('runs one background refresh per stale key at a time', async () => {
+        const logged = [];
+        const store = new CacheStore({ log: (cat, msg) => logged.push(msg) });
+        let refreshes = 0;
+        let finish;
+        const refresh = () => {
+            refreshes++;
+            return new Promise(resolve => { finish = resolve; });
+        };
+
+        const first = store.revalidate('100001:sections', refresh);
+        assert.equal(store.revalidate('100001:sections', refresh), first);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(refreshes, 1);
+
+        await Promise.all([store.revalidate('100001:grades', async () => { refreshes++; }), Promise.resolve(finish())]);
+        await first;
+        assert.equal(refreshes, 2, 'other keys refresh separately');
+        assert.equal(store.revalidations.size, 0);
+
+        await store.revalidate('100001:sections', async () => { throw new Error('Schoology is down'); });
+        assert.ok(logged.some(msg => /Background revalidation failed for 100001:sections: Schoology is down/.test(msg)));
+        await store.revalidate('100001:sections', async () => { refreshes++; });
+        assert.equal(refreshes, 3, 'a finished refresh can run again');
+    });
+});
+
+describe('FileCacheAdapter', () => {
+    it('stores entries per user and expires them after persistTTL', async () => {
+        const dir = tempDir();
+        const now = { value: 1000 };
+        const adapter = new FileCacheAdapter({ fs, dir, log: () => {}, persistTTL: 500, pruneIntervalMs: 0, now: () => now.value });
+        await adapter.pruned;
+
+        await adapter.set('100001:sections', { data: [1, 2], timestamp: 1000 });
+        assert.deepEqual(await adapter.get('100001:sections'), { data: [1, 2], timestamp: 1000 });
+        assert.equal(await adapter.get('100002:sections'), null);
+
+        now.value = 1500;
+        assert.equal(await adapter.get('100001:sections'), null);
+        assert.equal(countFiles(dir), 0, 'the expired file is removed on read');
+    });
+
+    it('only reads the invalidated user\'s files', async () => {
+        const dir = tempDir();
+        const adapter = new FileCacheAdapter({ fs, dir, log: () => {}, pruneIntervalMs: 0 });
+        await adapter.pruned;
+        await adapter.set('100001:grades', { data: 1, timestamp: Date.now() });
+        await adapter.set('100001:sections', { data: 2, timestamp: Date.now() });
+        await adapter.set('100002:grades', { data: 3, timestamp: Date.now() });
+
+        const read = [];
+        const tracked = { ...fs, promises: { ...fs.promises, readFile: (file, ...args) => { read.push(file); return fs.promises.readFile(file, ...args); } } };
+        const restarted = new FileCacheAdapter({ fs: tracked, dir, log: () => {}, pruneIntervalMs: 0 });
+        await restarted.pruned;
+
+        assert.equal(await restarted.deleteMatching('100001:grades'), 1);
+        assert.equal(read.length, 2);
+        assert.ok(read.every(file => path.dirname(file) === restarted.userDir('100001')));
+
+        assert.equal(await restarted.deleteMatching('100001'), 1);
+        assert.equal(read.length, 2, 'the index is reused');
+        assert.deepEqual(await restarted.get('100002:grades'), { data: 3, timestamp: (await adapter.get('100002:grades')).timestamp });
+    });
+
+    it('prunes files older than persistTTL on startup', async () => {
+        const dir = tempDir();
+        const adapter = new FileCacheAdapter({ fs, dir, log: () => {}, pruneIntervalMs: 0 });
+        await adapter.pruned;
+        await adapter.set('100001:old', { data: 1, timestamp: Date.now() });
+        await adapter.set('100001:new', { data: 2, timestamp: Date.now() });
+        fs.writeFileSync(path.join(dir, 'flat-layout.json'), '{}');
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(adapter.fileFor('100001:old'), old, old);
+        fs.utimesSync(path.join(dir, 'flat-layout.json'), old, old);
+
+        const restarted = new FileCacheAdapter({ fs, dir, log: () => {}, persistTTL: 60 * 60 * 1000, pruneIntervalMs: 0 });
+        await restarted.pruned;
+        assert.equal(countFiles(dir), 1);
+        assert.equal((await restarted.get('100001:new')).data, 2);
+    });
+});
+
+describe('RedisCacheAdapter', () => {
+    let server;
+
+    before(async () => {
+        server = await startSilentServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('times out a command that gets no answer, and the store falls back to a miss', async () => {
+        const logged = [];
+        const adapter = new RedisCacheAdapter({ url: `redis://127.0.0.1:${server.port}`, commandTimeoutMs: 100, log: (cat, msg) => logged.push(msg) });
+        const store = new CacheStore({ adapter, log: (cat, msg) => logged.push(msg) });
+
+        const startedAt = Date.now();
+        assert.equal(await store.get('100001:sections'), null);
+        assert.ok(Date.now() - startedAt < 2000);
+        assert.ok(logged.some(msg => /GET timed out after 100ms/.test(msg)));
+        assert.equal(adapter.socket, null, 'the connection is dropped');
+        assert.equal(adapter.pending.length, 0);
+    });
+
+    it('times out a connection that never completes', async () => {
+        // A plain TCP server never finishes a TLS handshake
+        const adapter = new RedisCacheAdapter({ url: `rediss://127.0.0.1:${server.port}`, connectTimeoutMs: 100, log: () => {} });
+        await assert.rejects(adapter.get('100001:sections'), /connection timed out after 100ms/);
+        assert.equal(adapter.connecting, null);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CsrfTokens } = require('../lib/csrf');
+
+describe('CsrfTokens', () => {
+    it('verifies tokens for the binding they were created for', () => {
+        const tokens = new CsrfTokens({ secrets: ['secret-a'] });
+        const token = tokens.create('login:1');
+        assert.equal(tokens.verify(token, 'login:1'), true);
+        assert.equal(tokens.verify(token, 'login:2'), false);
+        assert.equal(tokens.verify(token, 'anonymous'), false);
+    });
+
+    it('rejects malformed and forged tokens', () => {
+        const tokens = new CsrfTokens({ secrets: ['secret-a'] });
+        const [nonce] = tokens.create('login:1').split('.');
+        for (const token of [undefined, '', 'abc', `${nonce}.`, `${nonce}.AAAA`, `${nonce}.${'A'.repeat(43)}`]) {
+            assert.equal(tokens.verify(token, 'login:1'), false, String(token));
+        }
+        const other = new CsrfTokens({ secrets: ['secret-b'] });
+        assert.equal(tokens.verify(other.create('login:1'), 'login:1'), false);
+    });
+
+    it('keeps accepting tokens signed with a previous secret', () => {
+        const old = new CsrfTokens({ secrets: ['secret-a'] });
+        const rotated = new CsrfTokens({ secrets: ['secret-b', 'secret-a'] });
+        assert.equal(rotated.verify(old.create('login:1'), 'login:1'), true);
+        assert.equal(old.verify(rotated.create('login:1'), 'login:1'), false);
+    });
+});
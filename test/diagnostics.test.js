@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Diagnostics, REDACTED } = require('../lib/diagnostics');
+const { startApp, CookieJar } = require('./helpers/app-harness');
+
+describe('Diagnostics.redact', () => {
+    it('redacts values under sensitive keys at any depth', () => {
+        const diagnostics = new Diagnostics();
+        const out = diagnostics.redact({
+            user: 'alex',
+            accessToken: { oauth_token: 'abc', oauth_token_secret: 'def' },
+            nested: [{ Authorization: 'OAuth oauth_consumer_key="k"', count: 3 }],
+            hasToken: true
+        });
+        assert.deepEqual(out, {
+            user: 'alex',
+            accessToken: REDACTED,
+            nested: [{ Authorization: REDACTED, count: 3 }],
+            hasToken: true
+        });
+    });
+
+    it('redacts OAuth parameters and session cookies inside strings', () => {
+        const diagnostics = new Diagnostics();
+        assert.equal(
+            diagnostics.redact('oauth_token=abc123&oauth_token_secret=s3cret'),
+            `oauth_token=${REDACTED}&oauth_token_secret=${REDACTED}`
+        );
+        assert.equal(
+            diagnostics.redact('OAuth oauth_nonce="n1", oauth_signature="sig%3D"'),
+            `OAuth oauth_nonce="${REDACTED}", oauth_signature="${REDACTED}"`
+        );
+        assert.equal(
+            diagnostics.redact('{"oauth_token_secret":"xyz","ok":1}'),
+            `{"oauth_token_secret":"${REDACTED}","ok":1}`
+        );
+        assert.equal(
+            diagnostics.redact('SESS0123456789abcdef0123456789abcdef=value; path=/'),
+            `SESS0123456789abcdef0123456789abcdef=${REDACTED}; path=/`
+        );
+    });
+
+    it('redacts registered secret values wherever they appear', () => {
+        const diagnostics = new Diagnostics();
+        diagnostics.addSecret('consumer-secret-value');
+        diagnostics.addSecret('abc'); // too short to redact safely
+        assert.equal(diagnostics.redact('signing with consumer-secret-value'), `signing with ${REDACTED}`);
+        assert.equal(diagnostics.redact('abc'), 'abc');
+    });
+});
+
+describe('Diagnostics.captureError', () => {
+    it('logs redacted details under a correlation id and keeps recent errors', () => {
+        const lines = [];
+        const diagnostics = new Diagnostics({ log: (category, message) => lines.push(message), maxErrors: 2 });
+        const err = new Error('HTTP 401: oauth_token=abc123');
+        err.statusCode = 401;
+        const req = { method: 'GET', path: '/dashboard', session: { userId: '100001' } };
+
+        const id = diagnostics.captureError(err, { category: 'DASHBOARD', req });
+        assert.match(id, /^[0-9a-f]{10}$/);
+        assert.ok(lines[0].includes(`[${id}] GET /dashboard`));
+        assert.ok(lines.every(line => !line.includes('abc123')));
+
+        const [entry] = diagnostics.getRecentErrors();
+        assert.equal(entry.id, id);
+        assert.equal(entry.statusCode, 401);
+        assert.equal(entry.userId, '100001');
+
+        diagnostics.captureError(new Error('two'));
+        diagnostics.captureError(new Error('three'));
+        assert.deepEqual(diagnostics.getRecentErrors().map(e => e.message), ['three', 'two']);
+    });
+});
+
+describe('diagnostics in the app', () => {
+    let app;
+
+    before(async () => {
+        // Log everything so the redaction checks below see every line
+        app = await startApp({ env: { ENABLE_DEBUG_PAGE: 'true', ADMIN_USER_IDS: '100001', LOG_LEVEL: 'debug' } });
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('shows a reference instead of error details on the error page', async () => {
+        app.mock.addFault({ path: '/oauth/request_token', status: 500, body: { message: 'oauth_token_secret=leaked-value' }, times: 1 });
+        const res = await app.request('/auth/schoology', { jar: new CookieJar() });
+        assert.equal(res.status, 500);
+        const errorId = res.headers.get('x-error-id');
+        assert.match(errorId, /^[0-9a-f]{10}$/);
+        assert.ok(res.text.includes(errorId));
+        assert.ok(!res.text.includes('leaked-value'));
+        assert.ok(app.logs().includes(`[${errorId}]`));
+        assert.ok(!app.logs().includes('leaked-value'));
+    });
+
+    it('never logs access tokens or the consumer secret', async () => {
+        await app.login();
+        await app.request('/dashboard?full=1');
+        assert.doesNotMatch(app.logs(), /acc-[0-9a-f]{16}/);
+        assert.ok(!app.logs().includes('test-consumer-secret'));
+    });
+
+    it('shows the debug page to admins only', async () => {
+        const anonymous = await app.request('/debug', { jar: new CookieJar() });
+        assert.equal(anonymous.status, 401);
+
+        const res = await app.request('/debug');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Algebra II/);
+        assert.match(res.text, /Recent errors/);
+        assert.doesNotMatch(res.text, /acc-[0-9a-f]{16}/);
+    });
+});
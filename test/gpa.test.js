@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    suggestLevel, courseSettings, coursePoints, calculateGpa, cumulativeGpa,
+    normalizeState, parseTermText, formatTermText
+} = require('../lib/gpa');
+
+describe('gpa', () => {
+    it('suggests a level from the course title and keeps saved choices', () => {
+        assert.equal(suggestLevel('AP Biology'), 'ap');
+        assert.equal(suggestLevel('IB Math HL'), 'ap');
+        assert.equal(suggestLevel('Chemistry Honors'), 'honors');
+        assert.equal(suggestLevel('English 10 (H)'), 'honors');
+        assert.equal(suggestLevel('Mapping and Geography'), 'regular', 'only "AP" as a word');
+
+        assert.deepEqual(courseSettings(undefined, 'AP Biology'), { credits: 1, level: 'ap', suggested: true });
+        assert.deepEqual(courseSettings({ credits: 0.5, level: 'regular' }, 'AP Biology'), { credits: 0.5, level: 'regular', suggested: false });
+        assert.deepEqual(courseSettings({ credits: 99, level: 'gifted' }, 'Art'), { credits: 1, level: 'regular', suggested: true });
+    });
+
+    it('weights by credits and adds the level bonus to passing letters', () => {
+        assert.deepEqual(coursePoints(3.7, 'honors'), { unweighted: 3.7, weighted: 4.2 });
+        assert.deepEqual(coursePoints(0, 'ap'), { unweighted: 0, weighted: 0 }, 'an F stays 0');
+        assert.deepEqual(coursePoints(5.0, 'ap'), { unweighted: 4.0, weighted: 5.0 }, '5-point scales are capped');
+        assert.equal(coursePoints(null, 'ap'), null);
+
+        const gpa = calculateGpa([
+            { points: 4.0, credits: 1, level: 'ap' },
+            { points: 3.0, credits: 0.5, level: 'regular' },
+            { points: 2.0, credits: 0, level: 'regular' },
+            { points: null, credits: 1, level: 'regular' }
+        ]);
+        assert.equal(gpa.credits, 1.5);
+        assert.equal(gpa.count, 2);
+        assert.equal(gpa.unweighted.toFixed(3), '3.667');
+        assert.equal(gpa.weighted.toFixed(3), '4.333');
+        assert.deepEqual(calculateGpa([]), { unweighted: null, weighted: null, credits: 0, count: 0 });
+    });
+
+    it('combines past terms with the current one without counting a section twice', () => {
+        const terms = [{
+            name: 'Fall 2025',
+            courses: [
+                { name: 'Algebra I', letter: 'B', points: 3.0, credits: 1, level: 'regular' },
+                { sectionId: '2001', name: 'Algebra II', letter: 'C', points: 2.0, credits: 1, level: 'regular' }
+            ]
+        }];
+        const current = [{ sectionId: '2001', points: 4.0, credits: 1, level: 'regular' }];
+        assert.equal(cumulativeGpa(terms, current).unweighted, 3.5);
+        assert.equal(cumulativeGpa(terms, []).unweighted, 2.5);
+    });
+
+    it('parses past terms typed in settings and drops unusable saved state', () => {
+        const parsed = parseTermText('Chemistry Honors, B+\nAP US History, a-, 1, ap\nArt, A, 0.5, regular\nGym, P\n');
+        assert.equal(parsed.courses.length, 3);
+        assert.deepEqual(parsed.courses[0], { name: 'Chemistry Honors', letter: 'B+', points: 3.3, credits: 1, level: 'honors' });
+        assert.equal(parsed.courses[1].letter, 'A-');
+        assert.equal(parsed.errors.length, 1);
+        assert.match(parsed.errors[0], /^Line 4:/);
+        assert.equal(formatTermText({ courses: parsed.courses }).split('\n')[2], 'Art, A, 0.5, regular');
+
+        const state = normalizeState({
+            courses: { 2001: { credits: '0.5', level: 'honors' }, 2002: { level: 'gifted' } },
+            terms: [{ id: 't1', name: 'Fall', courses: parsed.courses }, { name: 'Empty', courses: [] }, null]
+        });
+        assert.deepEqual(state.courses, { 2001: { credits: 0.5, level: 'honors' } });
+        assert.equal(state.terms.length, 1);
+        assert.equal(state.terms[0].courses.length, 3);
+        assert.deepEqual(normalizeState(null), { courses: {}, terms: [] });
+    });
+});
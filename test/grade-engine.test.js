@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateGrade, solveForTarget, compareWithOfficial, EXCEPTION, METHOD } = require('../lib/grade-engine');
+
+const CATEGORIES = [
+    { id: 1, title: 'Tests', weight: 60 },
+    { id: 2, title: 'Homework', weight: 40 }
+];
+
+function item(id, categoryId, grade, max, extra = {}) {
+    return { id, categoryId, grade, max, exception: EXCEPTION.NONE, ...extra };
+}
+
+describe('calculateGrade', () => {
+    it('weights category percentages instead of summing raw points', () => {
+        const result = calculateGrade({
+            categories: CATEGORIES,
+            items: [item('t1', 1, 86, 100), item('h1', 2, 10, 10)]
+        });
+        assert.equal(result.method, METHOD.WEIGHTED);
+        assert.equal(result.percentage.toFixed(2), '91.60'); // points alone would give 87.27
+        assert.equal(result.categories[0].contribution.toFixed(2), '51.60');
+        assert.equal(result.earned, 96);
+        assert.equal(result.max, 110);
+    });
+
+    it('scales weights up when a category has nothing graded yet', () => {
+        const result = calculateGrade({
+            categories: CATEGORIES,
+            items: [item('t1', 1, 80, 100), item('h1', 2, null, 10)]
+        });
+        assert.equal(result.percentage, 80);
+        assert.equal(result.categories[0].effectiveWeight, 100);
+        assert.equal(result.categories[1].percentage, null);
+    });
+
+    it('uses total points when no category is weighted, including uncategorized work', () => {
+        const result = calculateGrade({
+            categories: [{ id: 1, title: 'Tests' }, { id: 2, title: 'Homework' }],
+            items: [item('t1', 1, 86, 100), item('h1', 2, 10, 10), item('x', 99, 4, 10)]
+        });
+        assert.equal(result.method, METHOD.POINTS);
+        assert.equal(result.percentage, 100 / 120 * 100);
+        assert.equal(calculateGrade({ categories: CATEGORIES, items: [item('x', 99, 4, 10)] }).percentage, null);
+    });
+
+    it('drops the lowest percentage scores but keeps at least one', () => {
+        const categories = [{ id: 1, title: 'Quizzes', weight: 100, dropLowest: 2 }];
+        const result = calculateGrade({
+            categories,
+            items: [item('q1', 1, 5, 10), item('q2', 1, 18, 20), item('q3', 1, 2, 10)]
+        });
+        assert.deepEqual(result.droppedIds, ['q3', 'q1']);
+        assert.equal(result.percentage, 90);
+
+        const single = calculateGrade({ categories, items: [item('q1', 1, 5, 10)] });
+        assert.deepEqual(single.droppedIds, []);
+        assert.equal(single.percentage, 50);
+    });
+
+    it('adds extra credit to earned points only and never drops it', () => {
+        const result = calculateGrade({
+            categories: [{ id: 1, title: 'Tests', weight: 100, dropLowest: 1 }],
+            items: [item('t1', 1, 80, 100), item('t2', 1, 90, 100), item('bonus', 1, 5, 0)]
+        });
+        assert.deepEqual(result.droppedIds, ['t1']);
+        assert.equal(result.percentage, 95);
+    });
+
+    it('skips excused, incomplete and user-dropped work and counts missing work as zero', () => {
+        const result = calculateGrade({
+            categories: CATEGORIES,
+            items: [
+                item('t1', 1, 90, 100),
+                item('t2', 1, null, 100, { exception: EXCEPTION.EXCUSED }),
+                item('t3', 1, 40, 100, { exception: EXCEPTION.INCOMPLETE }),
+                item('t4', 1, 10, 100, { dropped: true }),
+                item('h1', 2, 10, 10),
+                item('h2', 2, null, 10, { exception: EXCEPTION.MISSING })
+            ]
+        });
+        assert.equal(result.categories[0].percentage, 90);
+        assert.equal(result.categories[1].percentage, 50);
+        assert.equal(result.percentage, 90 * 0.6 + 50 * 0.4);
+    });
+});
+
+describe('solveForTarget', () => {
+    const input = { categories: CATEGORIES, items: [item('t1', 1, 80, 100), item('h1', 2, 10, 10), item('final', 1, null, 200)] };
+    const final = { id: 'final', title: 'Final', categoryId: 1, max: 200 };
+
+    it('finds the lowest score that reaches the target through category weights', () => {
+        const result = solveForTarget(input, 90, [final]);
+        assert.equal(result.status, 'possible');
+        assert.equal(result.percentage.toFixed(2), '85.00');
+        assert.equal(result.scores[0].needed.toFixed(2), '170.00');
+        const check = calculateGrade({ categories: CATEGORIES, items: [item('t1', 1, 80, 100), item('h1', 2, 10, 10), item('f', 1, result.scores[0].needed, 200)] });
+        assert.ok(check.percentage >= 90 - 1e-9);
+    });
+
+    it('reports targets already reached or out of reach', () => {
+        const reached = solveForTarget(input, 50, [final]);
+        assert.equal(reached.status, 'achieved');
+        assert.equal(reached.percentage, 0);
+        assert.equal(reached.floor.toFixed(2), '56.00');
+
+        const impossible = solveForTarget(input, 99, [final]);
+        assert.equal(impossible.status, 'impossible');
+        assert.equal(impossible.percentage, null);
+        assert.equal(impossible.ceiling.toFixed(2), '96.00');
+
+        assert.equal(solveForTarget(input, 90, []), null);
+        assert.equal(solveForTarget(input, '', [final]), null);
+    });
+
+    it('gives several placeholders the same percentage', () => {
+        const result = solveForTarget(input, 90, [final, { id: 'h2', categoryId: 2, max: 10 }]);
+        assert.equal(result.status, 'possible');
+        assert.equal(result.scores[1].needed.toFixed(2), (result.percentage / 10).toFixed(2));
+    });
+});
+
+describe('compareWithOfficial', () => {
+    it('ignores rounding and reports real differences', () => {
+        assert.equal(compareWithOfficial(88.64, 88.6).matches, true);
+        const check = compareWithOfficial(91.6, 88.6);
+        assert.equal(check.matches, false);
+        assert.equal(check.difference.toFixed(2), '3.00');
+        assert.equal(compareWithOfficial(null, 88.6), null);
+    });
+});
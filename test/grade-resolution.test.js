@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GRADE_SOURCES,
+    parseGradeValue,
+    resolveSectionGrades,
+    getUnresolvedSectionIds,
+    applyGradeResolution,
+    describeGradeSource
+} = require('../lib/grade-resolution');
+
+const sections = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+function userRow(sectionId, finalGrade, assignments = []) {
+    return {
+        section_id: sectionId,
+        final_grade: finalGrade,
+        period: [{ period_id: 501, period_title: 'Semester 1', assignment: assignments }]
+    };
+}
+
+describe('parseGradeValue', () => {
+    it('accepts numbers, numeric strings and grade objects', () => {
+        assert.equal(parseGradeValue(91.5), 91.5);
+        assert.equal(parseGradeValue('88'), 88);
+        assert.equal(parseGradeValue([{ grade: '' }, { grade: '77.1' }]), 77.1);
+        assert.equal(parseGradeValue({ grade: 90 }), 90);
+    });
+
+    it('returns null for empty values', () => {
+        assert.equal(parseGradeValue(null), null);
+        assert.equal(parseGradeValue(''), null);
+        assert.equal(parseGradeValue([]), null);
+        assert.equal(parseGradeValue('N/A'), null);
+    });
+});
+
+describe('resolveSectionGrades', () => {
+    it('prefers the user-level final grade', () => {
+        const resolved = resolveSectionGrades({
+            sections,
+            userGrades: { section: [userRow(1, [{ period_id: 501, grade: 93 }])] },
+            enrollments: [{ section_id: 1, grade: 50 }]
+        });
+        assert.equal(resolved['1'].grade, 93);
+        assert.equal(resolved['1'].source, GRADE_SOURCES.USER_GRADES);
+    });
+
+    it('uses a "Final Grade" period row when final_grade is empty', () => {
+        const row = userRow(1, []);
+        row.period.push({ period_id: 'final', period_title: 'Final Grade', assignment: [{ grade: '84.2' }] });
+        const resolved = resolveSectionGrades({ sections, userGrades: { section: [row] } });
+        assert.equal(resolved['1'].grade, 84.2);
+        assert.equal(resolved['1'].source, GRADE_SOURCES.FINAL_PERIOD);
+    });
+
+    it('falls back to enrollments, then section grades', () => {
+        const resolved = resolveSectionGrades({
+            sections,
+            userGrades: { section: [userRow(1, []), userRow(2, [])] },
+            enrollments: [{ section_id: 1, grade: '81' }],
+            sectionGrades: {
+                1: { section: [userRow(1, [{ grade: 10 }])] },
+                2: { grades: userRow(2, [{ grade: 72 }]) }
+            }
+        });
+        assert.deepEqual([resolved['1'].grade, resolved['1'].source], [81, GRADE_SOURCES.ENROLLMENT]);
+        assert.deepEqual([resolved['2'].grade, resolved['2'].source], [72, GRADE_SOURCES.SECTION_GRADES]);
+    });
+
+    it('borrows the final grade of a linked section', () => {
+        const resolved = resolveSectionGrades({
+            sections,
+            userGrades: { section: [userRow(3, [{ grade: 95 }], [{ assignment_id: 900, grade: 9 }])] },
+            assignmentsBySection: { 2: [{ id: 900 }] }
+        });
+        assert.equal(resolved['2'].grade, 95);
+        assert.equal(resolved['2'].source, GRADE_SOURCES.LINKED_SECTION);
+        assert.equal(resolved['2'].linkedSectionId, '3');
+    });
+
+    it('flags sections with assignment grades but no final grade', () => {
+        const resolved = resolveSectionGrades({
+            sections,
+            userGrades: { section: [userRow(1, [], [{ assignment_id: 5, grade: 8 }])] }
+        });
+        assert.equal(resolved['1'].grade, null);
+        assert.equal(resolved['1'].source, GRADE_SOURCES.NONE);
+        assert.equal(resolved['1'].hasGrades, true);
+        assert.equal(resolved['1'].unavailable, false);
+        assert.deepEqual(getUnresolvedSectionIds(resolved), ['1', '2', '3']);
+    });
+
+    it('marks forbidden sections without data as unavailable', () => {
+        const resolved = resolveSectionGrades({ sections, forbidden: { 2: true } });
+        assert.equal(resolved['2'].unavailable, true);
+        assert.equal(describeGradeSource(resolved['2']), "Schoology does not share this section's gradebook");
+    });
+});
+
+describe('applyGradeResolution', () => {
+    it('sets the fields the views read and keeps the section id type', () => {
+        const resolved = resolveSectionGrades({ sections, userGrades: { section: [userRow(1, [{ grade: 90 }])] } });
+        const [first, second] = applyGradeResolution([{ id: 1, course_title: 'Math' }, { section_id: 2 }], resolved);
+        assert.deepEqual(first, {
+            id: 1,
+            course_title: 'Math',
+            final_grade: 90,
+            grade_source: GRADE_SOURCES.USER_GRADES,
+            has_grades: false,
+            grade_unavailable: false
+        });
+        assert.equal(second.id, 2);
+        assert.equal(second.final_grade, null);
+    });
+});
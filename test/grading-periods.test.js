@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSectionPeriods, collectGradingPeriods, selectPeriod, isInPeriod, buildSemesterParts, ALL_PERIODS } = require('../lib/grading-periods');
+const { combineWeightedGrades } = require('../lib/grade-engine');
+const { loadFixtures } = require('../mock/schoology-api');
+const { startApp } = require('./helpers/app-harness');
+
+const QUARTERS = {
+    section_id: 2001,
+    final_grade: [
+        { period_id: 601, grade: 90, weight: 40 },
+        { period_id: 602, grade: 85, weight: 40 }
+    ],
+    period: [
+        { period_id: 601, period_title: 'Q1', assignment: [{ assignment_id: 30011, grade: 86, max_points: 100, exception: 0 }] },
+        { period_id: 602, period_title: 'Q2', assignment: [{ assignment_id: 30012, grade: 10, max_points: 10, exception: 0 }] },
+        { period_id: 'final', period_title: 'Final Grade', assignment: [{ grade: 88 }] }
+    ]
+};
+
+describe('grading periods', () => {
+    it('keeps each period with its Schoology grade and weight', () => {
+        assert.deepEqual(extractSectionPeriods(QUARTERS), [
+            { id: '601', title: 'Q1', grade: 90, weight: 40, assignmentCount: 1 },
+            { id: '602', title: 'Q2', grade: 85, weight: 40, assignmentCount: 1 }
+        ]);
+    });
+
+    it('lists periods once and picks the latest one with grades', () => {
+        const periods = collectGradingPeriods([
+            extractSectionPeriods(QUARTERS),
+            [{ id: '601', title: 'Q1', assignmentCount: 2 }, { id: '603', title: 'Q3', assignmentCount: 0 }]
+        ]);
+        assert.deepEqual(periods.map(p => `${p.id}:${p.assignmentCount}`), ['601:3', '602:1', '603:0']);
+        assert.equal(selectPeriod(periods), '602');
+        assert.equal(selectPeriod(periods, '601'), '601');
+        assert.equal(selectPeriod(periods, 'nope'), '602');
+        assert.equal(selectPeriod(periods, ALL_PERIODS), ALL_PERIODS);
+        assert.equal(selectPeriod([]), ALL_PERIODS);
+    });
+
+    it('shows rows without a period in every period', () => {
+        assert.equal(isInPeriod('601', '601'), true);
+        assert.equal(isInPeriod('602', '601'), false);
+        assert.equal(isInPeriod(null, '601'), true);
+        assert.equal(isInPeriod('602', ALL_PERIODS), true);
+    });
+
+    it('builds semester calculator rows from period weights', () => {
+        const parts = buildSemesterParts(extractSectionPeriods(QUARTERS), '602');
+        assert.deepEqual(parts.map(p => [p.label, p.grade, p.weight]), [['Q1', 90, 40], ['Q2', 85, 40], ['Final exam', null, 0]]);
+
+        const unweighted = [{ id: '1', title: 'Q1', grade: null, weight: null }, { id: '2', title: 'Q2', grade: null, weight: null }];
+        const defaults = buildSemesterParts(unweighted, '2', 91.234);
+        assert.deepEqual(defaults.map(p => [p.label, p.grade, p.weight]), [['Q1', null, 40], ['Q2', 91.23, 40], ['Final exam', null, 20]]);
+    });
+
+    it('combines period grades by weight, leaving out parts without a grade', () => {
+        const semester = combineWeightedGrades([
+            { label: 'Q1', grade: 90, weight: 40 },
+            { label: 'Q2', grade: 85, weight: 40 },
+            { label: 'Final exam', grade: 70, weight: 20 }
+        ]);
+        assert.equal(semester.grade, 84);
+        const partial = combineWeightedGrades([{ grade: 90, weight: 40 }, { grade: '', weight: 40 }, { grade: 70, weight: 0 }]);
+        assert.deepEqual(partial, { grade: 90, countedWeight: 40, missingWeight: 40 });
+    });
+});
+
+describe('grades page with grading periods', () => {
+    let app;
+
+    before(async () => {
+        const fixtures = loadFixtures();
+        fixtures.grades = fixtures.grades.map(sec => (sec.section_id === 2001 ? QUARTERS : sec));
+        app = await startApp({ fixtures });
+        await app.login();
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('shows one period at a time with its own grade', async () => {
+        const html = (await app.request('/grades?full=1&period=602')).text;
+        assert.match(html, /<option value="602" selected>Q2<\/option>/);
+        assert.match(html, /<option value="501" >Semester 1<\/option>/);
+        assert.match(html, /id="grade-2001">85\.00%</);
+        assert.match(html, /title="Q2 grade from Schoology"/);
+        assert.ok(html.includes('data-assignment="30012"'));
+        assert.ok(!html.includes('data-assignment="30011"'), 'Q1 grades should not be mixed into Q2');
+        assert.match(html, /id="earned-2001">10\.00</);
+    });
+
+    it('shows every period on request without comparing against one term', async () => {
+        const html = (await app.request('/grades?full=1&period=all')).text;
+        assert.ok(html.includes('data-assignment="30011"') && html.includes('data-assignment="30012"'));
+        const start = html.indexOf('class="course-card" data-section="2001"');
+        const card = html.slice(start, html.indexOf('class="course-card"', start + 1));
+        assert.ok(card.length > 0);
+        assert.ok(!card.includes('class="grade-mismatch"'), 'a blend of periods should not be checked against one period grade');
+    });
+
+    it('prefills the semester calculator with period grades and weights', async () => {
+        const html = (await app.request('/grades?full=1&period=602')).text;
+        const calc = html.slice(html.indexOf('class="semester-calculator" data-section="2001"'));
+        assert.match(calc, /data-part="period-601">\s*<td>Q1<\/td>\s*<td><input[^>]*value="90"[\s\S]*?value="40"/);
+        assert.match(calc, /data-part="final-exam">\s*<td>Final exam<\/td>\s*<td><input[^>]*value=""[\s\S]*?value="0"/);
+    });
+});
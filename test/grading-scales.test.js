@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PRESETS, fromSchoology, pickSchoologyScale, resolveScale, letterFor, pointsFor, maxPoints,
+    cutoffFor, pointsForLetter, gradeClassFor, normalizeScale, parseScaleText, formatScaleText
+} = require('../lib/grading-scales');
+
+const SCHOOLOGY_SCALES = [
+    { id: 8001, title: 'English Department', scale: { level: [{ grade: 'A', cutoff: '90' }, { grade: 'B', cutoff: '80' }, { grade: 'F', cutoff: '0' }] } },
+    { id: 8002, title: 'Pass/Fail', scale: { level: [{ grade: 'Pass', cutoff: 65 }, { grade: 'Fail', cutoff: 0 }] } }
+];
+
+describe('grading scales', () => {
+    it('uses the standard 93/90/87 scale by default', () => {
+        assert.equal(letterFor(null, 93), 'A');
+        assert.equal(letterFor(null, 92.99), 'A-');
+        assert.equal(letterFor(null, 59), 'F');
+        assert.equal(letterFor(null, null), '');
+        assert.equal(pointsFor(null, 88), 3.3);
+        assert.equal(pointsFor(null, 89.6), 3.7, 'GPA points round to the nearest percent');
+        assert.equal(pointsFor(resolveScale({}), 89.6), 3.7);
+        assert.equal(letterFor(null, 89.6), 'B+');
+        assert.equal(gradeClassFor(null, 88), 'grade-b');
+    });
+
+    it('applies a course\'s rounding choice to GPA points as well as letters', () => {
+        const exact = resolveScale({ override: { rounding: 'none' } });
+        assert.equal(letterFor(exact, 89.6), 'B+');
+        assert.equal(pointsFor(exact, 89.6), 3.3);
+
+        const nearest = resolveScale({ override: { preset: 'standard', rounding: 'nearest' } });
+        assert.equal(letterFor(nearest, 89.6), 'A-');
+        assert.equal(pointsFor(nearest, 89.6), 3.7);
+    });
+
+    it('reads the scale a section uses from Schoology', () => {
+        const scale = pickSchoologyScale(SCHOOLOGY_SCALES, [{ period_id: 501, grade: 91.5, scale_id: 8001 }]);
+        assert.equal(scale.title, 'English Department');
+        assert.equal(scale.source, 'schoology');
+        assert.equal(letterFor(scale, 91.5), 'A');
+        assert.equal(pointsFor(scale, 85), 3.0);
+        assert.equal(pickSchoologyScale(SCHOOLOGY_SCALES, [{ scale_id: 0 }]), null, 'several scales and none named');
+        assert.equal(pickSchoologyScale([SCHOOLOGY_SCALES[1]], []).title, 'Pass/Fail');
+
+        const passFail = fromSchoology(SCHOOLOGY_SCALES[1]);
+        assert.equal(pointsFor(passFail, 90), null, 'no GPA points for letters outside A-F');
+        assert.equal(gradeClassFor(passFail, 90), 'grade-a');
+    });
+
+    it('prefers the student override, then Schoology, then the standard scale', () => {
+        const schoology = fromSchoology(SCHOOLOGY_SCALES[0]);
+        assert.equal(resolveScale({ schoology }).title, 'English Department');
+        assert.equal(resolveScale({}).source, 'default');
+        assert.equal(resolveScale({ override: { preset: 'ten-point' }, schoology }).id, 'ten-point');
+        assert.equal(resolveScale({ override: { preset: 'schoology', rounding: 'nearest' }, schoology }).rounding, 'nearest');
+
+        const fivePoint = resolveScale({ override: { preset: 'five-point' } });
+        assert.equal(pointsFor(fivePoint, 95), 5.0);
+        assert.equal(maxPoints(fivePoint), 5.0);
+        assert.equal(PRESETS['five-point'].levels[0].points, 5.0, 'presets are copied, not shared');
+
+        const custom = resolveScale({ override: { preset: 'custom', levels: [{ letter: 'A', cutoff: 95, points: 4 }, { letter: 'B', cutoff: 85, points: 3 }, { letter: 'F', cutoff: 0, points: 0 }] } });
+        assert.equal(letterFor(custom, 94), 'B');
+        assert.equal(resolveScale({ override: { preset: 'custom', levels: [] } }).source, 'default');
+    });
+
+    it('rounds to the nearest percent when the scale says so', () => {
+        const rounded = resolveScale({ override: { rounding: 'nearest' } });
+        assert.equal(letterFor(rounded, 89.5), 'A-');
+        assert.equal(letterFor(null, 89.5), 'B+');
+        assert.equal(cutoffFor(rounded, 'a-'), 89.5);
+        assert.equal(cutoffFor(null, 'A-'), 90);
+        assert.equal(cutoffFor(null, 'Z'), null);
+        assert.equal(pointsForLetter(null, 'b+'), 3.3);
+        assert.equal(pointsForLetter(null, 'Z'), null);
+    });
+
+    it('parses and formats the custom scale text from settings', () => {
+        const parsed = parseScaleText('A 93 4.0\nB, 83\n\nC 73 2 extra');
+        assert.deepEqual(parsed.levels, [{ letter: 'A', cutoff: 93, points: 4 }, { letter: 'B', cutoff: 83, points: null }]);
+        assert.equal(parsed.errors.length, 1);
+        assert.match(parsed.errors[0], /^Line 4/);
+
+        const scale = normalizeScale({ levels: [{ letter: 'B', cutoff: 80 }, { letter: 'A', cutoff: 90, points: 4 }, { letter: 'a', cutoff: 99 }] });
+        assert.equal(formatScaleText(scale), 'A 90 4\nB 80');
+    });
+});
@@ -0,0 +1,170 @@
+// ============================================================
+// Integration test harness
+// ============================================================
+// Starts the mock Schoology API in-process and server.js as a child process
+// pointed at it, then logs in through the real OAuth routes. Requests share a
+// small cookie jar so the session behaves like a browser's.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createMockSchoologyApi, loadFixtures } = require('../../mock/schoology-api');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT_MS = 20000;
+const MAX_LOG_CHARS = 200000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer();
+        srv.unref();
+        srv.on('error', reject);
+        srv.listen(0, () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+class CookieJar {
+    constructor() {
+        this.cookies = new Map();
+    }
+
+    store(response) {
+        for (const header of response.headers.getSetCookie()) {
+            const [pair] = header.split(';');
+            const idx = pair.indexOf('=');
+            const name = pair.substring(0, idx).trim();
+            const value = pair.substring(idx + 1).trim();
+            if (value === '' || /expires=Thu, 01 Jan 1970/i.test(header)) {
+                this.cookies.delete(name);
+            } else {
+                this.cookies.set(name, value);
+            }
+        }
+    }
+
+    header() {
+        return Array.from(this.cookies, ([name, value]) => `${name}=${value}`).join('; ');
+    }
+}
+
+async function startApp({ fixtures = loadFixtures(), env = {} } = {}) {
+    const mock = createMockSchoologyApi({ fixtures });
+    await new Promise(resolve => mock.listen(0, resolve));
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spm-test-'));
+    const port = await getFreePort();
+    const baseUrl = `http://localhost:${port}`;
+    let logs = '';
+
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            ENABLE_BROWSER: 'false',
+            CACHE_BACKEND: 'memory',
+            SYNC_INTERVAL_MS: '0',
+            SCHOOLOGY_MOCK: '',
+            SCHOOLOGY_API_BASE: mock.getApiBase(),
+            SCHOOLOGY_AUTHORIZE_BASE: `http://localhost:${mock.address().port}`,
+            SCHOOLOGY_CONSUMER_KEY: 'test-consumer-key',
+            SCHOOLOGY_CONSUMER_SECRET: 'test-consumer-secret',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const capture = chunk => {
+        logs += chunk;
+        if (logs.length > MAX_LOG_CHARS) logs = logs.slice(-MAX_LOG_CHARS);
+    };
+    child.stdout.on('data', capture);
+    child.stderr.on('data', capture);
+
+    const app = {
+        baseUrl,
+        mock,
+        jar: new CookieJar(),
+        logs: () => logs,
+
+        // State-changing requests carry a CSRF token for the jar's login like the
+        // browser client does; pass csrf: false to send one without it
+        async request(pathname, { method = 'GET', headers = {}, body, jar = app.jar, csrf = true } = {}) {
+            const init = { method, headers: { ...headers }, redirect: 'manual' };
+            if (csrf && !/^(GET|HEAD)$/i.test(method) && !init.headers['x-csrf-token']) {
+                init.headers['x-csrf-token'] = await app.csrfToken(jar);
+            }
+            if (jar) init.headers.cookie = jar.header();
+            if (body !== undefined) {
+                init.headers['content-type'] = 'application/json';
+                init.body = JSON.stringify(body);
+            }
+            const response = await fetch(baseUrl + pathname, init);
+            if (jar) jar.store(response);
+            const text = await response.text();
+            let json = null;
+            if ((response.headers.get('content-type') || '').includes('application/json')) {
+                json = JSON.parse(text);
+            }
+            return { status: response.status, headers: response.headers, text, json };
+        },
+
+        async csrfToken(jar = app.jar) {
+            const res = await app.request('/api/csrf-token', { jar });
+            return res.json.token;
+        },
+
+        // Walks /auth/schoology -> mock authorize -> /auth/complete like a user would
+        async login(jar = app.jar) {
+            const start = await app.request('/auth/schoology', { jar });
+            const match = start.text.match(/\/auth\/complete\?state=([^"]+)"/);
+            if (!match) throw new Error('authorize page did not include a state token');
+            const complete = await app.request(`/auth/complete?state=${match[1]}`, { jar });
+            if (complete.status !== 302 || complete.headers.get('location') !== '/dashboard') {
+                throw new Error(`login did not complete (HTTP ${complete.status})`);
+            }
+            return jar;
+        },
+
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            await new Promise(resolve => mock.close(resolve));
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+
+    // Wait until the server answers
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (true) {
+        if (child.exitCode !== null) {
+            await app.stop();
+            throw new Error(`server exited during startup:\n${logs.slice(-2000)}`);
+        }
+        try {
+            await fetch(baseUrl + '/', { redirect: 'manual' });
+            break;
+        } catch (e) {
+            if (Date.now() > deadline) {
+                await app.stop();
+                throw new Error(`server did not start within ${STARTUP_TIMEOUT_MS}ms:\n${logs.slice(-2000)}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    return app;
+}
+
+module.exports = {
+    startApp,
+    CookieJar
+};
@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, createLogger, inferLevel, parseCategories } = require('../lib/logger');
+const { Diagnostics, REDACTED } = require('../lib/diagnostics');
+const { startApp } = require('./helpers/app-harness');
+
+function capture(options = {}) {
+    const lines = [];
+    const logger = new Logger({ format: 'json', write: line => lines.push(JSON.parse(line)), ...options });
+    return { logger, lines };
+}
+
+describe('inferLevel', () => {
+    it('derives a level from debugLog-style messages', () => {
+        assert.equal(inferLevel('AUTH', '✗ Token rejected'), 'error');
+        assert.equal(inferLevel('OAUTH-ERROR', 'HTTP Error 500'), 'error');
+        assert.equal(inferLevel('SYNC', '⚠️  Skipped a user'), 'warn');
+        assert.equal(inferLevel('CACHE', '✓ Cache HIT: x'), 'debug');
+        assert.equal(inferLevel('OAUTH-STEP1', 'Parsed tokens:', { a: 1 }), 'debug');
+        assert.equal(inferLevel('AUTH', '✓ Session bound to user 1'), 'info');
+    });
+});
+
+describe('Logger', () => {
+    it('filters by level and per-category rules', () => {
+        const { logger, lines } = capture({ level: 'info', categories: parseCategories('CACHE, OAUTH-*=warn, -NAV') });
+        logger.debug('CACHE', 'hit');
+        logger.debug('AUTH', 'hidden');
+        logger.info('AUTH', 'shown');
+        logger.info('OAUTH-REQUEST', 'hidden');
+        logger.warn('OAUTH-RESPONSE', 'shown');
+        logger.error('NAV', 'hidden');
+        assert.deepEqual(lines.map(l => `${l.category}:${l.msg}`), ['CACHE:hit', 'AUTH:shown', 'OAUTH-RESPONSE:shown']);
+        assert.equal(logger.getStats().filtered, 3);
+    });
+
+    it('carries request IDs through async calls and redacts every line', async () => {
+        const diagnostics = new Diagnostics();
+        const { logger, lines } = capture({ redact: value => diagnostics.redact(value) });
+        await logger.runWithContext({ requestId: 'req-0001' }, async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            logger.setContext({ userId: '100001' });
+            logger.info('OAUTH-STEP3', 'oauth_token=abc123', { accessToken: { oauth_token: 'abc123' } });
+        });
+        logger.info('SERVER', 'outside');
+
+        assert.equal(lines[0].requestId, 'req-0001');
+        assert.equal(lines[0].userId, '100001');
+        assert.equal(lines[0].msg, `oauth_token=${REDACTED}`);
+        assert.deepEqual(lines[0].data, { accessToken: REDACTED });
+        assert.equal(lines[1].requestId, undefined);
+    });
+
+    it('samples whole requests but always keeps warnings and errors', () => {
+        const { logger, lines } = capture({ sampleRate: 0.5, random: () => 0.9 });
+        logger.runWithContext({ requestId: 'dropped' }, () => {
+            logger.info('AUTH', 'sampled out');
+            logger.warn('AUTH', 'kept');
+            logger.error('AUTH', 'kept too');
+        });
+        assert.deepEqual(lines.map(l => l.msg), ['kept', 'kept too']);
+        assert.equal(logger.getStats().sampledOut, 1);
+    });
+
+    it('is configured from the environment', () => {
+        const production = createLogger({ env: { NODE_ENV: 'production' } });
+        assert.equal(production.format, 'json');
+        assert.equal(production.sampleRate, 0.1);
+
+        const custom = createLogger({ env: { LOG_LEVEL: 'warn', LOG_FORMAT: 'pretty', LOG_SAMPLE_RATE: '1', LOG_CATEGORIES: 'BROWSER' } });
+        assert.equal(custom.describe(), 'level=warn format=pretty sample=1 categories=BROWSER=debug');
+        assert.ok(custom.enabled('debug', 'BROWSER'));
+        assert.ok(!custom.enabled('info', 'AUTH'));
+    });
+});
+
+describe('request logging in the app', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ env: { LOG_FORMAT: 'json', LOG_LEVEL: 'info' } });
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('tags log lines with the request ID it returns', async () => {
+        await app.login();
+        const res = await app.request('/dashboard?full=1', { headers: { 'x-request-id': 'test-request-0001' } });
+        assert.equal(res.headers.get('x-request-id'), 'test-request-0001');
+
+        const entries = app.logs().split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+        const tagged = entries.filter(entry => entry.requestId === 'test-request-0001');
+        assert.ok(tagged.length > 0);
+        assert.ok(tagged.some(entry => entry.userId === '100001'));
+        assert.ok(entries.every(entry => entry.level !== 'debug'));
+    });
+});
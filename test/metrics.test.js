@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry, endpointFamily } = require('../lib/metrics');
+const { startApp } = require('./helpers/app-harness');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+describe('MetricsRegistry', () => {
+    it('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const metrics = new MetricsRegistry();
+        const hits = metrics.counter('cache_requests_total', 'Cache lookups', ['category', 'result']);
+        hits.inc({ category: 'grades', result: 'hit' });
+        hits.inc({ category: 'grades', result: 'hit' }, 2);
+        metrics.gauge('queued', 'Queue depth', ['priority'], gauge => gauge.set({ priority: 'background' }, 4));
+        const latency = metrics.histogram('latency_seconds', 'Latency', ['family'], [0.1, 1]);
+        latency.observe({ family: '/sections/:id' }, 0.05);
+        latency.observe({ family: '/sections/:id' }, 0.5);
+
+        const lines = metrics.render().split('\n');
+        assert.ok(lines.includes('# TYPE cache_requests_total counter'));
+        assert.ok(lines.includes('cache_requests_total{category="grades",result="hit"} 3'));
+        assert.ok(lines.includes('queued{priority="background"} 4'));
+        assert.ok(lines.includes('latency_seconds_bucket{family="/sections/:id",le="0.1"} 1'));
+        assert.ok(lines.includes('latency_seconds_bucket{family="/sections/:id",le="1"} 2'));
+        assert.ok(lines.includes('latency_seconds_bucket{family="/sections/:id",le="+Inf"} 2'));
+        assert.ok(lines.includes('latency_seconds_count{family="/sections/:id"} 2'));
+        assert.throws(() => metrics.counter('queued', 'again'), /already registered/);
+    });
+
+    it('escapes label values and groups URLs by endpoint family', () => {
+        const metrics = new MetricsRegistry();
+        metrics.counter('errors_total', 'Errors', ['message']).inc({ message: 'say "hi"\n' });
+        assert.ok(metrics.render().includes('errors_total{message="say \\"hi\\"\\n"} 1'));
+
+        assert.equal(endpointFamily('https://api.schoology.com/v1/sections/123/assignments?limit=200'), '/sections/:id/assignments');
+        assert.equal(endpointFamily('https://api.schoology.com/v1/users/100001/grades?section_id=5'), '/users/:id/grades');
+        assert.equal(endpointFamily('/v1/users/me'), '/users/me');
+    });
+});
+
+describe('/metrics in the app', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ env: { METRICS_TOKEN } });
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('requires the metrics token', async () => {
+        assert.equal((await app.request('/metrics', { jar: null })).status, 401);
+        assert.equal((await app.request('/metrics', { jar: null, headers: { authorization: 'Bearer wrong' } })).status, 401);
+        assert.equal((await app.request(`/metrics?token=${METRICS_TOKEN}`, { jar: null })).status, 401, 'not from the query string');
+        const res = await app.request('/metrics', { jar: null, headers: { authorization: `Bearer ${METRICS_TOKEN}` } });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain/);
+        assert.ok(!res.headers.getSetCookie().length, 'scrapes should not start sessions');
+    });
+
+    it('reports Schoology latency, cache lookups, 429 retries and route timings', async () => {
+        app.mock.addFault({ path: '/users/100001/sections', status: 429, body: { message: 'slow down' }, times: 1 });
+        await app.login();
+        assert.equal((await app.request('/dashboard?full=1')).status, 200);
+        assert.equal((await app.request('/dashboard?full=1')).status, 200);
+
+        const res = await app.request('/metrics', { jar: null, headers: { authorization: `Bearer ${METRICS_TOKEN}` } });
+        const text = res.text;
+        assert.match(text, /schoology_request_duration_seconds_count\{method="GET",family="\/users\/:id\/sections",status="200"\} \d+/);
+        assert.match(text, /schoology_rate_limited_total\{family="\/users\/:id\/sections",outcome="retried"\} 1/);
+        assert.match(text, /schoology_scheduler_wait_seconds_count\{priority="interactive"\} \d+/);
+        assert.match(text, /cache_requests_total\{category="sections",result="hit"\} [1-9]/);
+        assert.match(text, /http_request_duration_seconds_count\{method="GET",route="\/dashboard",status="200"\} 2/);
+        assert.match(text, /browser_state\{state="logged_in"\} 0/);
+    });
+});
+
+describe('/metrics without a token configured', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('does not exist', async () => {
+        assert.equal((await app.request('/metrics', { jar: null })).status, 404);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { InboundRateLimiter, applyLimitOverride } = require('../lib/rate-limit');
+const { startApp, CookieJar } = require('./helpers/app-harness');
+
+function fakeRequest(path, { ip = '10.0.0.1', session = null } = {}) {
+    return { path, ip, session };
+}
+
+describe('InboundRateLimiter', () => {
+    it('limits each session and IP within a route group', () => {
+        const now = { value: 0 };
+        const limiter = new InboundRateLimiter({
+            groups: [
+                { name: 'refresh', match: req => req.path === '/refresh', windowMs: 1000, perSession: 2, perIp: 3 },
+                { name: 'other', match: () => true, perSession: 0, perIp: 0 }
+            ],
+            sessionKey: req => req.session,
+            now: () => now.value
+        });
+
+        assert.equal(limiter.check(fakeRequest('/refresh', { session: 'a' })).allowed, true);
+        assert.equal(limiter.check(fakeRequest('/refresh', { session: 'a' })).allowed, true);
+        now.value = 400;
+        const limited = limiter.check(fakeRequest('/refresh', { session: 'a' }));
+        assert.deepEqual(limited, { allowed: false, group: 'refresh', limitedBy: 'session', retryAfterMs: 600 });
+
+        // Another session on the same IP uses the IP's remaining request, then hits the IP limit
+        assert.equal(limiter.check(fakeRequest('/refresh', { session: 'b' })).allowed, true);
+        assert.equal(limiter.check(fakeRequest('/refresh', { session: 'b' })).limitedBy, 'ip');
+        assert.equal(limiter.check(fakeRequest('/refresh', { session: 'c', ip: '10.0.0.2' })).allowed, true);
+
+        // Unlimited groups and a new window
+        assert.equal(limiter.check(fakeRequest('/page', { session: 'a' })).allowed, true);
+        now.value = 1000;
+        assert.equal(limiter.check(fakeRequest('/refresh', { session: 'a' })).allowed, true);
+    });
+
+    it('reads overrides as <perSession>:<perIp>', () => {
+        const group = { name: 'api', perSession: 300, perIp: 3000 };
+        assert.deepEqual(applyLimitOverride(group, '5:0'), { name: 'api', perSession: 5, perIp: 0 });
+        assert.deepEqual(applyLimitOverride(group, '5'), { name: 'api', perSession: 5, perIp: 3000 });
+        assert.equal(applyLimitOverride(group, undefined), group);
+    });
+});
+
+describe('inbound limits in the app', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ env: { RATE_LIMIT_EXPENSIVE: '2:0' } });
+        await app.login();
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('answers 429 with Retry-After once a session exceeds its limit', async () => {
+        for (let i = 0; i < 2; i++) {
+            const ok = await app.request('/api/notifications/refresh', { method: 'POST' });
+            assert.equal(ok.status, 200);
+        }
+        const limited = await app.request('/api/notifications/refresh', { method: 'POST' });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+        assert.ok(limited.json.retryAfter >= 1);
+
+        // Other routes and other sessions are unaffected
+        assert.equal((await app.request('/api/notifications/count')).status, 200);
+        const other = await app.login(new CookieJar());
+        const otherRes = await app.request('/api/notifications/refresh', { method: 'POST', jar: other });
+        assert.equal(otherRes.status, 200);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordStore } = require('../lib/record-store');
+
+function createStore(options = {}) {
+    const dir = options.dir || fs.mkdtempSync(path.join(os.tmpdir(), 'spm-records-'));
+    const logs = [];
+    const store = new RecordStore({
+        name: 'test',
+        fs,
+        dir,
+        createDefault: () => ({ items: [] }),
+        log: (category, message) => logs.push(message),
+        ...options
+    });
+    return { store, dir, logs };
+}
+
+function readEnvelope(store, userId) {
+    return JSON.parse(fs.readFileSync(store.fileFor(userId), 'utf8'));
+}
+
+describe('RecordStore', () => {
+    it('keeps each user in their own file', () => {
+        const { store, dir } = createStore();
+        store.get('1').items.push('a');
+        store.save('1');
+        store.save('2', { items: ['b'] });
+
+        const reopened = createStore({ dir }).store;
+        assert.deepEqual(reopened.get('1'), { items: ['a'] });
+        assert.deepEqual(reopened.get('2'), { items: ['b'] });
+        assert.deepEqual(reopened.get('3'), { items: [] });
+        assert.equal(readEnvelope(store, '1').userId, '1');
+        assert.ok(!fs.readdirSync(dir).some(name => name.includes('.tmp')));
+    });
+
+    it('keeps the previous record as the last good copy', () => {
+        const { store } = createStore();
+        store.save('1', { items: ['first'] });
+        store.save('1', { items: ['second'] });
+        const backup = JSON.parse(fs.readFileSync(store.fileFor('1') + '.bak', 'utf8'));
+        assert.deepEqual(backup.data, { items: ['first'] });
+    });
+
+    it('recovers a corrupt record from the last good copy', () => {
+        const { store, dir } = createStore();
+        store.save('1', { items: ['first'] });
+        store.save('1', { items: ['second'] });
+        fs.writeFileSync(store.fileFor('1'), '{"version": 1, "userId": "1", "da');
+
+        const { store: reopened, logs } = createStore({ dir });
+        assert.deepEqual(reopened.get('1'), { items: ['first'] });
+        assert.ok(fs.readdirSync(dir).some(name => name.includes('.corrupt-')));
+        assert.deepEqual(readEnvelope(reopened, '1').data, { items: ['first'] });
+        assert.ok(logs.some(m => m.includes('unreadable')));
+    });
+
+    it('starts from the default when no good copy exists', () => {
+        const { store, dir } = createStore();
+        fs.writeFileSync(store.fileFor('1'), 'garbage');
+        assert.deepEqual(createStore({ dir }).store.get('1'), { items: [] });
+    });
+
+    it('upgrades records written by an older schema', () => {
+        const { store, dir } = createStore();
+        store.save('1', { list: ['a'] });
+
+        const v2 = createStore({
+            dir,
+            version: 2,
+            migrations: { 2: data => ({ items: data.list }) }
+        }).store;
+        assert.deepEqual(v2.get('1'), { items: ['a'] });
+        assert.equal(readEnvelope(v2, '1').version, 2);
+    });
+
+    it('serves an upgraded record when writing it back fails', () => {
+        const { store, dir } = createStore();
+        store.save('1', { list: ['a'] });
+
+        const failingFs = { ...fs, openSync: () => { const e = new Error('no space left on device'); e.code = 'ENOSPC'; throw e; } };
+        const { store: v2, logs } = createStore({
+            dir,
+            fs: failingFs,
+            version: 2,
+            migrations: { 2: data => ({ items: data.list }) }
+        });
+        assert.deepEqual(v2.get('1'), { items: ['a'] });
+        assert.ok(logs.some(m => m.includes('Could not save') && m.includes('no space left')));
+        assert.equal(readEnvelope(store, '1').version, 1);
+    });
+
+    it('never overwrites a record from a newer schema', () => {
+        const { store, dir } = createStore({ version: 3 });
+        store.save('1', { items: ['future'] });
+
+        const older = createStore({ dir }).store;
+        assert.deepEqual(older.get('1'), { items: ['future'] });
+        assert.equal(older.save('1', { items: [] }), false);
+        assert.equal(readEnvelope(older, '1').version, 3);
+    });
+
+    it('imports a legacy shared file once', () => {
+        const { store, dir } = createStore({ migrations: { 1: data => ({ items: data.items || [] }) } });
+        const legacyPath = path.join(dir, 'legacy.json');
+        fs.writeFileSync(legacyPath, JSON.stringify({ 1: { items: ['old'] }, 2: { other: true } }));
+        store.save('2', { items: ['newer'] });
+
+        assert.equal(store.importLegacyFile(legacyPath), 1);
+        assert.deepEqual(store.get('1'), { items: ['old'] });
+        assert.deepEqual(store.get('2'), { items: ['newer'] });
+        assert.ok(fs.existsSync(legacyPath));
+        assert.equal(store.importLegacyFile(legacyPath), 0);
+    });
+
+    it('keeps records in memory without a filesystem', () => {
+        const store = new RecordStore({ name: 'test', createDefault: () => ({ items: [] }) });
+        store.get('1').items.push('a');
+        assert.equal(store.save('1'), true);
+        assert.deepEqual(store.get('1'), { items: ['a'] });
+    });
+});
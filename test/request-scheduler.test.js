@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, PRIORITY } = require('../lib/request-scheduler');
+
+// A scheduler on a fake clock whose 3-slot window is already full
+function createFullScheduler() {
+    const now = { value: 0 };
+    const scheduler = new RequestScheduler({ windowMs: 1000, max: 3, margin: 0, now: () => now.value });
+    for (let i = 0; i < 3; i++) scheduler.wait('x');
+    return { scheduler, now };
+}
+
+// Open the next window and let queued requests start
+async function nextWindow(scheduler, now) {
+    now.value += 1001;
+    scheduler.pump();
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+function track(scheduler, started, key, priority) {
+    return scheduler.wait(key, priority).then(() => started.push(`${key}:${priority}`));
+}
+
+describe('RequestScheduler', () => {
+    it('serves users round-robin instead of first come, first served', async () => {
+        const { scheduler, now } = createFullScheduler();
+        const started = [];
+        for (let i = 0; i < 3; i++) track(scheduler, started, 'heavy', PRIORITY.INTERACTIVE);
+        track(scheduler, started, 'b', PRIORITY.INTERACTIVE);
+        track(scheduler, started, 'c', PRIORITY.INTERACTIVE);
+        assert.equal(scheduler.getStats().queued, 5);
+        assert.equal(scheduler.getStats().queuedUsers, 3);
+
+        await nextWindow(scheduler, now);
+        assert.deepEqual(started, ['heavy:interactive', 'b:interactive', 'c:interactive']);
+
+        await nextWindow(scheduler, now);
+        assert.equal(started.length, 5);
+        clearTimeout(scheduler.timer);
+    });
+
+    it('serves page loads before background work', async () => {
+        const { scheduler, now } = createFullScheduler();
+        const started = [];
+        for (let i = 0; i < 3; i++) track(scheduler, started, 'sync', PRIORITY.BACKGROUND);
+        track(scheduler, started, 'page', PRIORITY.INTERACTIVE);
+
+        await nextWindow(scheduler, now);
+        assert.deepEqual(started, ['page:interactive', 'sync:background', 'sync:background']);
+        clearTimeout(scheduler.timer);
+    });
+
+    it('takes the priority from the async context and can promote a waiting request', async () => {
+        const { scheduler, now } = createFullScheduler();
+        const started = [];
+        const ticket = {};
+        await scheduler.runWithPriority(PRIORITY.BACKGROUND, async () => {
+            assert.equal(scheduler.currentPriority(), PRIORITY.BACKGROUND);
+            for (const key of ['a', 'b', 'c']) track(scheduler, started, key, scheduler.currentPriority());
+            scheduler.wait('joined', undefined, ticket).then(() => started.push('joined'));
+        });
+        assert.equal(scheduler.currentPriority(), PRIORITY.INTERACTIVE);
+        assert.equal(ticket.job.priority, PRIORITY.BACKGROUND);
+        assert.equal(scheduler.promote(ticket, PRIORITY.INTERACTIVE), true);
+        assert.equal(scheduler.promote(ticket, PRIORITY.BACKGROUND), false);
+
+        await nextWindow(scheduler, now);
+        assert.equal(started[0], 'joined');
+        clearTimeout(scheduler.timer);
+    });
+
+    it('reports queue depth and wait times per priority', async () => {
+        const { scheduler, now } = createFullScheduler();
+        scheduler.wait('a', PRIORITY.BACKGROUND);
+        scheduler.wait('b', PRIORITY.INTERACTIVE);
+        let stats = scheduler.getStats();
+        assert.equal(stats.available, 0);
+        assert.equal(stats.priorities.background.queued, 1);
+        assert.equal(stats.priorities.interactive.queued, 1);
+
+        await nextWindow(scheduler, now);
+        stats = scheduler.getStats();
+        assert.equal(stats.queued, 0);
+        assert.equal(stats.priorities.interactive.served, 4);
+        assert.equal(stats.priorities.interactive.maxWaitMs, 1001);
+        assert.equal(stats.priorities.background.p95WaitMs, 1001);
+        assert.deepEqual(scheduler.usage(), { a: 1, b: 1 });
+    });
+});
@@ -0,0 +1,463 @@
+// Integration tests for the page routes and JSON APIs, run against the mock
+// Schoology API (mock/fixtures/default.json):
+//   2001 Algebra II    - normal section with a final grade
+//   2002 AP Biology    - empty final grade, grading_categories returns 429 once
+//   2003 World History - empty final grade, /sections/2003/grades and
+//                        /sections/2003/grading_scales return 403
+//   2004 English 11    - excused (exception 1) and missing (exception 2) grades,
+//                        its own grading scale (A 90, B 80, ...)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, CookieJar } = require('./helpers/app-harness');
+
+const PAGES = [
+    { name: 'dashboard', path: '/dashboard' },
+    { name: 'assignments', path: '/assignments' },
+    { name: 'grades', path: '/grades' },
+    { name: 'courses', path: '/courses?section=2001' },
+    { name: 'assignment', path: '/assignment?section=2002&id=30021' },
+    { name: 'focus', path: '/focus' },
+    { name: 'schedule', path: '/schedule' },
+    { name: 'settings', path: '/settings' }
+];
+
+function withFull(path) {
+    return path + (path.includes('?') ? '&' : '?') + 'full=1';
+}
+
+// Text of the nav dropdown grade pill for a course
+function navGrade(html, courseTitle) {
+    const re = new RegExp(`nav-course-title">${courseTitle}</span>\\s*<span class="nav-course-grade">\\s*([^<]*?)\\s*</span>`);
+    const match = html.match(re);
+    return match ? match[1] : null;
+}
+
+let app;
+
+before(async () => {
+    app = await startApp();
+    await app.login();
+});
+
+after(async () => {
+    if (app) await app.stop();
+});
+
+describe('authentication', () => {
+    it('redirects anonymous visitors to the home page', async () => {
+        const jar = new CookieJar();
+        for (const page of PAGES) {
+            const res = await app.request(page.path, { jar });
+            assert.equal(res.status, 302, `${page.name} should redirect`);
+            assert.equal(res.headers.get('location'), '/', `${page.name} should redirect home`);
+        }
+    });
+
+    it('sends a logged-in visitor from / to the dashboard', async () => {
+        const res = await app.request('/');
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/dashboard');
+    });
+
+    it('hides the debug pages unless they are enabled', async () => {
+        for (const path of ['/debug', '/debug/enrollments', '/debug/requests']) {
+            const res = await app.request(path);
+            assert.equal(res.status, 404, path);
+        }
+    });
+
+    it('restores a login from the access token cookie and rejects a tampered one', async () => {
+        const jar = await app.login(new CookieJar());
+        const token = jar.cookies.get('access_token');
+        assert.match(token, /^v2\./);
+
+        const cookiesOnly = (accessToken) => {
+            const restored = new CookieJar();
+            restored.cookies.set('access_token', accessToken);
+            return restored;
+        };
+
+        const ok = await app.request('/dashboard', { jar: cookiesOnly(token) });
+        assert.equal(ok.status, 200);
+
+        const parts = token.split('.');
+        parts[3] = (parts[3][0] === 'A' ? 'B' : 'A') + parts[3].slice(1);
+        const tampered = await app.request('/dashboard', { jar: cookiesOnly(parts.join('.')) });
+        assert.equal(tampered.status, 302);
+        assert.equal(tampered.headers.get('location'), '/');
+    });
+});
+
+describe('shell renders', () => {
+    for (const page of PAGES) {
+        it(`renders the ${page.name} shell`, async () => {
+            const res = await app.request(page.path);
+            assert.equal(res.status, 200);
+            assert.match(res.text, /data-shell="1"/);
+        });
+    }
+});
+
+describe('full renders', () => {
+    for (const page of PAGES) {
+        it(`renders the full ${page.name} page`, async () => {
+            const res = await app.request(withFull(page.path));
+            assert.equal(res.status, 200);
+            assert.match(res.text, /data-shell="0"/);
+            assert.doesNotMatch(res.text, /Something went wrong/);
+        });
+
+        it(`renders the full ${page.name} page via the x-full-render header`, async () => {
+            const res = await app.request(page.path, { headers: { 'x-full-render': '1' } });
+            assert.equal(res.status, 200);
+            assert.match(res.text, /data-shell="0"/);
+        });
+    }
+
+    it('shows the user and course grades on the dashboard', async () => {
+        const res = await app.request('/dashboard?full=1');
+        assert.match(res.text, /Alex/);
+        assert.match(res.text, /Algebra II/);
+        assert.match(res.text, /88\.6/);
+    });
+
+    it('lists upcoming assignments', async () => {
+        const res = await app.request('/assignments?full=1');
+        assert.match(res.text, /Homework 4\.1/);
+        assert.match(res.text, /Gatsby Essay/);
+    });
+
+    it('shows course folders', async () => {
+        const res = await app.request('/courses?section=2001&full=1');
+        assert.match(res.text, /Unit 1 Notes/);
+    });
+
+    it('shows an assignment with its submission', async () => {
+        const res = await app.request('/assignment?section=2002&id=30021&full=1');
+        assert.match(res.text, /Enzyme Lab Report/);
+        assert.ok(app.mock.requests.some(r => r.path === '/sections/2002/submissions/30021/100001'));
+    });
+});
+
+describe('grades page', () => {
+    let html;
+
+    before(async () => {
+        html = (await app.request('/grades?full=1')).text;
+    });
+
+    it('shows the official final grade when Schoology has one', () => {
+        assert.equal(navGrade(html, 'Algebra II'), '88.60%');
+        assert.equal(navGrade(html, 'English 11'), '91.50%');
+        assert.match(html, /id="grade-2001">88\.60%</);
+        assert.match(html, /data-grade-source="user-grades" title="Official grade from Schoology"/);
+    });
+
+    it('shows the same course grades in the nav on every page', async () => {
+        for (const page of PAGES) {
+            const pageHtml = (await app.request(withFull(page.path))).text;
+            for (const course of ['Algebra II', 'AP Biology', 'World History', 'English 11']) {
+                assert.equal(navGrade(pageHtml, course), navGrade(html, course), `${course} on ${page.name}`);
+            }
+        }
+    });
+
+    it('shows N/A for a section with no final grade', () => {
+        const card = html.slice(html.indexOf('data-section="2002" data-course-name="AP Biology"'));
+        assert.match(card, /^[\s\S]*?data-grade-source="none" title="Schoology has assignment grades but no final grade">\s*<span class="grade-pill"[^>]*>N\/A</);
+        assert.equal(navGrade(html, 'AP Biology'), 'Has grades');
+        assert.match(html, /id="earned-2002">125\.00</);
+        assert.match(html, /id="total-2002">150\.00</);
+    });
+
+    it('tries the section grades endpoint when the final grade is missing', () => {
+        assert.ok(app.mock.requests.some(r => r.path === '/sections/2002/grades'));
+    });
+
+    it('marks a section whose grades are forbidden as unavailable', () => {
+        assert.ok(app.mock.requests.some(r => r.path === '/sections/2003/grades'));
+        assert.equal(navGrade(html, 'World History'), 'Unavailable');
+    });
+
+    it('flags a course whose weighted calculation differs from the official grade', () => {
+        // Algebra II: Tests 86% (60) and Homework 100% (40) give 91.60%, Schoology says 88.60%
+        const card = html.slice(html.indexOf('data-section="2001" data-course-name="Algebra II"'));
+        assert.match(card, /^[\s\S]*?class="grade-mismatch"[^>]*weighted categories[^>]*>≠ 91\.60% calculated</);
+        assert.match(html, /data-category-id="7001" data-weight="60" data-drop-lowest="0"/);
+        assert.match(html, /data-assignment="30043"\s+data-kind="official"\s+data-exception="2"/);
+    });
+
+    it('serves the grade engine and grading scales to the grades page', async () => {
+        assert.match(html, /<script src="\/js\/grade-engine\.js"><\/script>/);
+        const res = await app.request('/js/grade-engine.js');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /root\.GradeEngine = factory\(\)/);
+        assert.match(html, /<script src="\/js\/grading-scales\.js"><\/script>/);
+        assert.match((await app.request('/js/grading-scales.js')).text, /root\.GradingScales = factory\(\)/);
+    });
+
+    it('offers a "What do I need?" solver for each course with categories', () => {
+        const card = html.slice(html.indexOf('data-section="2001" data-course-name="Algebra II"'));
+        assert.match(card, /^[\s\S]*?class="grade-solver" data-section="2001"[\s\S]*?id="solver-target-2001" list="solver-letters-2001"/);
+        assert.match(card, /^[\s\S]*?class="solver-category"[^>]*>\s*<option value="0">Tests<\/option>\s*<option value="1">Homework<\/option>/);
+        assert.match(card, /^[\s\S]*?<datalist id="solver-letters-2001">\s*<option value="A\+">97%<\/option>/);
+        assert.match(html, /<script src="\/js\/grade-engine\.js"><\/script>[\s\S]*<script src="\/js\/grades\.js/);
+    });
+
+    it('shows letters on the section grading scale from Schoology', () => {
+        assert.ok(app.mock.requests.some(r => r.path === '/sections/2004/grading_scales'));
+        assert.match(html, /id="grade-2004">91\.50%<\/span>\s*<span class="grade-pill grade-a" title="English Department">A</);
+        assert.match(html, /id="grade-2001">88\.60%<\/span>\s*<span class="grade-pill grade-b" title="Standard[^"]*">B\+</);
+        assert.match(html, /<datalist id="solver-letters-2004">\s*<option value="A">90%<\/option>/);
+    });
+
+    it('asks for a grading scale it may not read only once', async () => {
+        await app.request('/grades?full=1');
+        const hits = app.mock.requests.filter(r => r.path === '/sections/2003/grading_scales');
+        assert.equal(hits.length, 1);
+    });
+
+    it('uses the grading scale chosen for a course in settings', async () => {
+        const saved = await app.request('/api/state/gradingScales', { method: 'PUT', body: { value: { 2001: { preset: 'ten-point' }, 2004: { preset: 'schoology', rounding: 'nearest' } } } });
+        assert.equal(saved.status, 200);
+        try {
+            const page = (await app.request('/grades?full=1')).text;
+            assert.match(page, /id="grade-2001">88\.60%<\/span>\s*<span class="grade-pill grade-b" title="10-point[^"]*">B</);
+            assert.match(page, /data-section="2004"[^>]*data-grading-scale="[^"]*&#34;rounding&#34;:&#34;nearest&#34;/);
+        } finally {
+            await app.request('/api/state/gradingScales', { method: 'DELETE' });
+        }
+    });
+
+    it('offers a GPA calculator with credits, levels and past terms kept in settings', async () => {
+        assert.match(html, /id="gpa-calculator"/);
+        assert.match(html, /<script src="\/js\/grading-scales\.js"><\/script>\s*<script src="\/js\/gpa\.js"><\/script>/);
+        assert.match((await app.request('/js/gpa.js')).text, /root\.Gpa = factory\(root\.GradingScales\)/);
+
+        const settingsPage = (await app.request('/settings?full=1')).text;
+        assert.match(settingsPage, /id="gpa-course-list"/);
+        assert.match(settingsPage, /id="gpa-term-list"/);
+        assert.match(settingsPage, /<script src="\/js\/gpa\.js"><\/script>/);
+
+        const value = { courses: { 2002: { credits: 1, level: 'ap' } }, terms: [{ id: 'term-1', name: 'Spring 2026', courses: [{ name: 'Chemistry', letter: 'B+', points: 3.3, credits: 1, level: 'regular' }] }] };
+        assert.equal((await app.request('/api/state/gpa', { method: 'PUT', body: { value } })).status, 200);
+        try {
+            assert.deepEqual((await app.request('/api/state/gpa')).json.value, value);
+        } finally {
+            await app.request('/api/state/gpa', { method: 'DELETE' });
+        }
+    });
+
+    it('renders excused and missing assignments', () => {
+        assert.match(html, /status-excused">Excused</);
+        assert.match(html, /status-missing">Missing</);
+    });
+
+    it('retries rate-limited requests', () => {
+        const hits = app.mock.requests.filter(r => r.path === '/sections/2002/grading_categories');
+        assert.ok(hits.length >= 2, 'grading categories should be requested again after the 429');
+        assert.match(html, /data-section="2002" data-course-name="AP Biology"[\s\S]*?2 categories/);
+    });
+});
+
+describe('CSRF protection', () => {
+    const STATE_CHANGING = [
+        ['POST', '/api/schedule/save'],
+        ['POST', '/api/notifications/clear'],
+        ['POST', '/api/notifications/read-all'],
+        ['POST', '/api/state/migrate'],
+        ['PUT', '/api/state/settings'],
+        ['DELETE', '/api/state/settings'],
+        ['POST', '/api/assignment/submit'],
+        ['POST', '/api/browser/close'],
+        ['POST', '/api/quiz/close']
+    ];
+
+    it('rejects cross-origin form posts that carry only the session cookie', async () => {
+        for (const [method, path] of STATE_CHANGING) {
+            const res = await fetch(app.baseUrl + path, {
+                method,
+                headers: {
+                    cookie: app.jar.header(),
+                    origin: 'https://evil.example',
+                    'content-type': 'application/x-www-form-urlencoded'
+                },
+                body: 'monday=%5B%5D',
+                redirect: 'manual'
+            });
+            assert.equal(res.status, 403, `${method} ${path}`);
+            assert.equal((await res.json()).csrfRequired, true);
+        }
+    });
+
+    it('does not apply a rejected request', async () => {
+        const before = await app.request('/api/schedule');
+        const res = await app.request('/api/schedule/save', { method: 'POST', body: { friday: [{ id: 'csrf' }] }, csrf: false });
+        assert.equal(res.status, 403);
+        const after = await app.request('/api/schedule');
+        assert.deepEqual(after.json, before.json);
+    });
+
+    it('rejects a token issued for another login', async () => {
+        const other = await app.login(new CookieJar());
+        const foreignToken = await app.csrfToken(other);
+        const res = await app.request('/api/notifications/read-all', { method: 'POST', headers: { 'x-csrf-token': foreignToken } });
+        assert.equal(res.status, 403);
+    });
+
+    it('accepts the token as a header or a form field', async () => {
+        const token = await app.csrfToken();
+        const header = await app.request('/api/notifications/read-all', { method: 'POST', headers: { 'x-csrf-token': token } });
+        assert.equal(header.status, 200);
+
+        const form = await fetch(app.baseUrl + '/api/notifications/read-all', {
+            method: 'POST',
+            headers: { cookie: app.jar.header(), 'content-type': 'application/x-www-form-urlencoded' },
+            body: `_csrf=${encodeURIComponent(token)}`
+        });
+        assert.equal(form.status, 200);
+    });
+
+    it('puts the token in every page', async () => {
+        const res = await app.request('/settings');
+        const match = res.text.match(/<meta name="csrf-token" content="([^"]+)">/);
+        assert.ok(match);
+        const ok = await app.request('/api/notifications/read-all', { method: 'POST', headers: { 'x-csrf-token': match[1] } });
+        assert.equal(ok.status, 200);
+    });
+});
+
+describe('/api/schedule', () => {
+    it('returns an empty schedule for anonymous visitors', async () => {
+        const res = await app.request('/api/schedule', { jar: new CookieJar() });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.json, { schedule: {} });
+    });
+
+    it('rejects saves without a session', async () => {
+        const res = await app.request('/api/schedule/save', { method: 'POST', jar: new CookieJar(), body: { schedule: {} } });
+        assert.equal(res.status, 401);
+    });
+
+    it('saves and returns the schedule', async () => {
+        const schedule = {
+            1: [{ sectionId: '2001', courseName: 'Algebra II', startHour: 8, startMinute: 30, duration: 55 }]
+        };
+        const saved = await app.request('/api/schedule/save', { method: 'POST', body: { schedule } });
+        assert.equal(saved.status, 200);
+        assert.equal(saved.json.success, true);
+
+        const res = await app.request('/api/schedule');
+        assert.deepEqual(res.json.schedule, schedule);
+    });
+
+    it('accepts the schedule page posting back its adjusted due times', async () => {
+        const current = (await app.request('/api/schedule')).json.schedule;
+        current.adjustedDueTimes = current.adjustedDueTimes || {};
+        const saved = await app.request('/api/schedule/save', { method: 'POST', body: { schedule: current } });
+        assert.equal(saved.status, 200);
+    });
+
+    it('rejects a schedule that is not an object', async () => {
+        const res = await app.request('/api/schedule/save', { method: 'POST', body: { schedule: [] } });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('/api/notifications', () => {
+    it('requires a session', async () => {
+        const res = await app.request('/api/notifications', { jar: new CookieJar() });
+        assert.equal(res.status, 401);
+        const count = await app.request('/api/notifications/count', { jar: new CookieJar() });
+        assert.deepEqual(count.json, { count: 0 });
+    });
+
+    it('creates notifications on refresh and marks them read', async () => {
+        const refreshed = await app.request('/api/notifications/refresh', { method: 'POST' });
+        assert.equal(refreshed.status, 200);
+        assert.equal(refreshed.json.success, true);
+        assert.ok(refreshed.json.newCount > 0);
+
+        const list = await app.request('/api/notifications');
+        assert.ok(Array.isArray(list.json.notifications));
+        assert.ok(list.json.notifications.some(n => n.title === 'Homework 4.1'));
+
+        const first = list.json.notifications[0];
+        await app.request('/api/notifications/read', { method: 'POST', body: { notificationId: first.id } });
+        const afterOne = await app.request('/api/notifications/count');
+        assert.equal(afterOne.json.count, list.json.notifications.length - 1);
+
+        await app.request('/api/notifications/read-all', { method: 'POST' });
+        const afterAll = await app.request('/api/notifications/count');
+        assert.equal(afterAll.json.count, 0);
+    });
+
+    it('clears notifications without bringing them back on refresh', async () => {
+        const cleared = await app.request('/api/notifications/clear', { method: 'POST' });
+        assert.equal(cleared.json.success, true);
+        assert.deepEqual((await app.request('/api/notifications')).json.notifications, []);
+
+        const refreshed = await app.request('/api/notifications/refresh', { method: 'POST' });
+        assert.equal(refreshed.json.newCount, 0);
+    });
+});
+
+describe('/api/state', () => {
+    it('requires a session', async () => {
+        const res = await app.request('/api/state', { jar: new CookieJar() });
+        assert.equal(res.status, 401);
+        const put = await app.request('/api/state/settings', { method: 'PUT', jar: new CookieJar(), body: { value: {} } });
+        assert.equal(put.status, 401);
+    });
+
+    it('saves and returns values', async () => {
+        const saved = await app.request('/api/state/completedAssignments', { method: 'PUT', body: { value: ['30013'] } });
+        assert.equal(saved.status, 200);
+        assert.equal(typeof saved.json.updatedAt, 'number');
+
+        const one = await app.request('/api/state/completedAssignments');
+        assert.deepEqual(one.json.value, ['30013']);
+        const all = await app.request('/api/state');
+        assert.deepEqual(all.json.state.completedAssignments.value, ['30013']);
+    });
+
+    it('rejects unknown keys and values of the wrong type', async () => {
+        const unknown = await app.request('/api/state/secrets', { method: 'PUT', body: { value: {} } });
+        assert.equal(unknown.status, 400);
+        const wrongType = await app.request('/api/state/gradeEdits', { method: 'PUT', body: { value: [] } });
+        assert.equal(wrongType.status, 400);
+    });
+
+    it('migrates cookie values on first sync without overwriting saved ones', async () => {
+        const res = await app.request('/api/state/migrate', {
+            method: 'POST',
+            body: { state: { completedAssignments: ['30021'], gradeEdits: { 2001: { 30011: { grade: 95 } } } } }
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.json.state.completedAssignments.value, ['30013', '30021']);
+        assert.deepEqual(res.json.state.gradeEdits.value, { 2001: { 30011: { grade: 95 } } });
+    });
+
+    it('names the state owner on pages and drops legacy state cookies on logout', async () => {
+        const jar = await app.login(new CookieJar());
+        const page = await app.request('/settings', { jar });
+        const owner = page.text.match(/<meta name="state-owner" content="([^"]*)">/);
+        assert.ok(owner);
+        assert.match(owner[1], /^[0-9a-f]{64}$/);
+
+        jar.cookies.set('completedAssignments', encodeURIComponent('["30013"]'));
+        const res = await app.request('/logout', { jar });
+        assert.equal(res.status, 302);
+        assert.equal(jar.cookies.has('completedAssignments'), false);
+        assert.ok(res.headers.getSetCookie().some(c => /^gradeEdits=;/.test(c)));
+    });
+
+    it('deletes values', async () => {
+        const res = await app.request('/api/state/gradeEdits', { method: 'DELETE' });
+        assert.deepEqual(res.json, { success: true, deleted: true });
+        const missing = await app.request('/api/state/gradeEdits');
+        assert.equal(missing.status, 404);
+    });
+});
+
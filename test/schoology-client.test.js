@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    SchoologyClient, RequestScheduler, PRIORITY, generateSignatureBaseString, generateSignature, buildAuthorizationHeader
+} = require('../lib/schoology-client');
+
+const API_BASE = 'https://api.schoology.test/v1';
+const TOKEN = { oauth_token: 'access-token', oauth_token_secret: 'access-secret' };
+const OTHER_TOKEN = { oauth_token: 'other-token', oauth_token_secret: 'other-secret' };
+
+// A client whose transport answers from `routes` ({ 'GET /path?query': response })
+// and records every request it was given
+function createClient(routes) {
+    const requests = [];
+    const transport = async (options, body) => {
+        requests.push({ options, body: body ? JSON.parse(body) : null });
+        const key = `${options.method} ${options.path}`;
+        let response = routes[key];
+        if (Array.isArray(response)) response = response.shift();
+        if (!response) return { statusCode: 404, headers: {}, body: `No route for ${key}` };
+        return {
+            statusCode: response.status || 200,
+            headers: response.headers || {},
+            body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body)
+        };
+    };
+    const client = new SchoologyClient({
+        consumerKey: 'consumer-key',
+        consumerSecret: 'consumer-secret',
+        apiBase: API_BASE,
+        transport,
+        scheduler: new RequestScheduler({ max: 1000, margin: 0 })
+    });
+    return { client, requests };
+}
+
+// oauth_* parameters of an Authorization header
+function parseAuthorization(header) {
+    assert.match(header, /^OAuth realm="", /);
+    const params = {};
+    for (const [, key, value] of header.matchAll(/(oauth_\w+)="([^"]*)"/g)) {
+        params[key] = decodeURIComponent(value);
+    }
+    return params;
+}
+
+describe('OAuth signing', () => {
+    it('builds the signature base string from the method, base URL and sorted parameters', () => {
+        const base = generateSignatureBaseString('get', 'https://api.schoology.com/v1/users/1/grades?section_id=2&with_category_grades=1', {
+            oauth_consumer_key: 'key',
+            oauth_nonce: 'abc',
+            oauth_signature_method: 'HMAC-SHA1',
+            oauth_timestamp: '1700000000',
+            oauth_token: 'tok en',
+            oauth_version: '1.0'
+        });
+        assert.equal(base, 'GET&https%3A%2F%2Fapi.schoology.com%2Fv1%2Fusers%2F1%2Fgrades&' +
+            'oauth_consumer_key%3Dkey%26oauth_nonce%3Dabc%26oauth_signature_method%3DHMAC-SHA1%26' +
+            'oauth_timestamp%3D1700000000%26oauth_token%3Dtok%2520en%26oauth_version%3D1.0%26' +
+            'section_id%3D2%26with_category_grades%3D1');
+
+        const expected = crypto.createHmac('sha1', 'consumer-secret&access-secret').update(base).digest('base64');
+        assert.equal(generateSignature(base, 'consumer-secret', 'access-secret'), expected);
+        assert.equal(buildAuthorizationHeader({ oauth_version: '1.0', oauth_nonce: 'a b', other: 'x' }),
+            'OAuth realm="", oauth_nonce="a%20b", oauth_version="1.0"');
+    });
+
+    it('signs each request with the consumer and token secrets', async () => {
+        const { client, requests } = createClient({ 'GET /v1/users/5/grades?with_category_grades=1': { body: { section: [] } } });
+        await client.getGrades(TOKEN, '5');
+
+        const { options } = requests[0];
+        assert.equal(options.hostname, 'api.schoology.test');
+        const auth = parseAuthorization(options.headers.Authorization);
+        assert.equal(auth.oauth_consumer_key, 'consumer-key');
+        assert.equal(auth.oauth_token, 'access-token');
+        assert.equal(auth.oauth_signature_method, 'HMAC-SHA1');
+        assert.equal(auth.oauth_version, '1.0');
+
+        const { oauth_signature: signature, ...signed } = auth;
+        const base = generateSignatureBaseString('GET', `${API_BASE}/users/5/grades?with_category_grades=1`, signed);
+        assert.match(base, /^GET&https%3A%2F%2Fapi\.schoology\.test%2Fv1%2Fusers%2F5%2Fgrades&oauth_consumer_key%3Dconsumer-key%26/);
+        assert.match(base, /%26with_category_grades%3D1$/);
+        assert.equal(signature, generateSignature(base, 'consumer-secret', 'access-secret'));
+    });
+});
+
+describe('SchoologyClient', () => {
+    it('follows links.next until the last page', async () => {
+        const { client, requests } = createClient({
+            'GET /v1/users/5/sections?limit=200&page=1': {
+                body: { section: [{ id: '1' }, { id: '2' }], links: { self: `${API_BASE}/users/5/sections`, next: `${API_BASE}/users/5/sections?start=2&limit=2` } }
+            },
+            'GET /v1/users/5/sections?start=2&limit=2': {
+                body: { section: [{ id: '3' }], links: { self: `${API_BASE}/users/5/sections?start=2&limit=2` } }
+            }
+        });
+        const sections = await client.getSections(TOKEN, '5');
+        assert.deepEqual(sections.map(s => s.id), ['1', '2', '3']);
+        assert.equal(requests.length, 2);
+    });
+
+    it('does not follow links.next to another host', async () => {
+        const { client, requests } = createClient({
+            'GET /v1/users/5/sections?limit=200&page=1': {
+                body: { section: [{ id: '1' }], links: { next: 'https://elsewhere.test/v1/users/5/sections?start=1' } }
+            }
+        });
+        assert.deepEqual((await client.getSections(TOKEN, '5')).map(s => s.id), ['1']);
+        assert.equal(requests.length, 1);
+    });
+
+    it('retries a 429 after Retry-After', async () => {
+        const { client, requests } = createClient({
+            'GET /v1/sections/7/grading_categories': [
+                { status: 429, headers: { 'retry-after': '1' }, body: 'Too Many Requests' },
+                { body: { grading_category: [{ id: '9', title: 'Tests' }] } }
+            ]
+        });
+        const startedAt = Date.now();
+        const categories = await client.getGradingCategories(TOKEN, '7');
+        assert.deepEqual(categories.map(c => c.title), ['Tests']);
+        assert.equal(requests.length, 2);
+        assert.ok(Date.now() - startedAt >= 900, 'waited for Retry-After');
+        assert.notEqual(requests[0].options.headers.Authorization, requests[1].options.headers.Authorization, 're-signed with a new nonce');
+    });
+
+    it('gives up on a 429 after the retry limit', async () => {
+        const { client, requests } = createClient({ 'GET /v1/sections/7': { status: 429, headers: { 'retry-after': '1' }, body: '' } });
+        client.retryLimit = 0;
+        await assert.rejects(client.getSection(TOKEN, '7'), err => err.statusCode === 429);
+        assert.equal(requests.length, 1);
+    });
+
+    it('unwraps grades, submissions and folders and posts submissions', async () => {
+        const { client, requests } = createClient({
+            'GET /v1/users/5/grades?section_id=7&with_category_grades=1': { body: { section: [{ section_id: '7' }] } },
+            'GET /v1/sections/7/submissions/8/5': { body: { revision: { revision_id: 1 } } },
+            'GET /v1/sections/7/submissions/9/5': { body: {} },
+            'GET /v1/courses/3/folder/0': { body: { 'folder-item': [{ id: '11', type: 'assignment' }] } },
+            'POST /v1/sections/7/submissions/8': { status: 201, body: { revision_id: 2 } }
+        });
+
+        assert.deepEqual(await client.getGrades(TOKEN, '5', { sectionId: '7' }), { section: [{ section_id: '7' }] });
+        assert.deepEqual(await client.getSubmission(TOKEN, '7', '8', '5'), [{ revision_id: 1 }]);
+        assert.deepEqual(await client.getSubmission(TOKEN, '7', '9', '5'), []);
+        assert.deepEqual((await client.getFolder(TOKEN, '3')).map(item => item.id), ['11']);
+        assert.deepEqual(await client.postSubmission(TOKEN, '7', '8', 'My answer'), { revision_id: 2 });
+
+        const post = requests[requests.length - 1];
+        assert.equal(post.options.method, 'POST');
+        assert.deepEqual(post.body, { revision: { body: 'My answer' } });
+    });
+
+    it('sends identical concurrent GETs once', async () => {
+        const { client, requests } = createClient({ 'GET /v1/sections/7': { body: { id: '7' } } });
+        const [a, b] = await Promise.all([client.getSection(TOKEN, '7'), client.getSection(TOKEN, '7')]);
+        assert.deepEqual(a, { id: '7' });
+        assert.deepEqual(b, { id: '7' });
+        assert.equal(requests.length, 1);
+        assert.equal(client.getCoalescingStats().coalesced, 1);
+        assert.equal(client.getCoalescingStats().inFlight, 0);
+
+        await client.getSection(TOKEN, '7');
+        assert.equal(requests.length, 2, 'only requests in flight are shared');
+    });
+
+    it('does not share a request between access tokens', async () => {
+        const { client, requests } = createClient({ 'GET /v1/sections/7': [{ body: { id: '7' } }, { body: { id: '7' } }] });
+        await Promise.all([client.getSection(TOKEN, '7'), client.getSection(OTHER_TOKEN, '7')]);
+        assert.deepEqual(requests.map(r => parseAuthorization(r.options.headers.Authorization).oauth_token).sort(), ['access-token', 'other-token']);
+        assert.equal(client.getCoalescingStats().coalesced, 0);
+    });
+
+    it('moves a waiting background request up when a page load joins it', async () => {
+        const { client, requests } = createClient({ 'GET /v1/sections/7': { body: { id: '7' } } });
+        const now = { value: 0 };
+        const scheduler = new RequestScheduler({ windowMs: 1000, max: 1, margin: 0, now: () => now.value });
+        scheduler.wait('x'); // the window is full
+        client.scheduler = scheduler;
+
+        const background = scheduler.runWithPriority(PRIORITY.BACKGROUND, () => client.getSection(TOKEN, '7'));
+        assert.equal(scheduler.queued(PRIORITY.BACKGROUND), 1);
+        const interactive = client.getSection(TOKEN, '7');
+        assert.equal(scheduler.queued(PRIORITY.BACKGROUND), 0);
+        assert.equal(scheduler.queued(PRIORITY.INTERACTIVE), 1);
+
+        now.value += 1001;
+        scheduler.pump();
+        assert.deepEqual(await interactive, { id: '7' });
+        assert.deepEqual(await background, { id: '7' });
+        assert.equal(requests.length, 1);
+        clearTimeout(scheduler.timer);
+    });
+
+    it('raises HTTP errors with their status code', async () => {
+        const { client } = createClient({ 'GET /v1/sections/7': { status: 403, body: 'Forbidden' } });
+        await assert.rejects(client.getSection(TOKEN, '7'), err => err.statusCode === 403 && /HTTP 403/.test(err.message));
+    });
+});
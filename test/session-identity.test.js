@@ -0,0 +1,85 @@
+// The session's user comes from the sealed access token and is re-checked
+// against /app-user-info every SESSION_VERIFY_INTERVAL_MS.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, CookieJar } = require('./helpers/app-harness');
+
+const VERIFY_INTERVAL_MS = 300;
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A jar holding only the access_token cookie, like a browser whose session expired
+function tokenOnly(jar, extra = {}) {
+    const restored = new CookieJar();
+    restored.cookies.set('access_token', jar.cookies.get('access_token'));
+    for (const [name, value] of Object.entries(extra)) restored.cookies.set(name, value);
+    return restored;
+}
+
+let app;
+
+before(async () => {
+    app = await startApp({ env: { SESSION_VERIFY_INTERVAL_MS: String(VERIFY_INTERVAL_MS) } });
+});
+
+after(async () => {
+    if (app) await app.stop();
+});
+
+describe('session identity', () => {
+    it('binds the session to the token owner at login', async () => {
+        const jar = await app.login(new CookieJar());
+        assert.equal(jar.cookies.has('user_id'), false);
+        const res = await app.request('/api/state', { jar });
+        assert.equal(res.status, 200);
+    });
+
+    it('ignores an edited user_id cookie when restoring a session', async () => {
+        const jar = await app.login(new CookieJar());
+        const restored = tokenOnly(jar, { user_id: '999999' });
+        const res = await app.request('/dashboard?full=1', { jar: restored });
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Alex Rivera/);
+        assert.ok(!app.mock.requests.some(r => r.path === '/users/999999'));
+    });
+
+    it('re-checks the token owner once the interval has passed', async () => {
+        const jar = await app.login(new CookieJar());
+        const before = app.mock.requests.filter(r => r.path === '/app-user-info').length;
+        await app.request('/api/state', { jar });
+        assert.equal(app.mock.requests.filter(r => r.path === '/app-user-info').length, before);
+
+        await wait(VERIFY_INTERVAL_MS + 50);
+        const res = await app.request('/api/state', { jar });
+        assert.equal(res.status, 200);
+        assert.equal(app.mock.requests.filter(r => r.path === '/app-user-info').length, before + 1);
+    });
+
+    it('ends a session whose token now belongs to another user', async () => {
+        const jar = await app.login(new CookieJar());
+        await wait(VERIFY_INTERVAL_MS + 50);
+        app.mock.addFault({ path: '/app-user-info', status: 200, body: { api_uid: 999999 }, times: 1 });
+
+        const page = await app.request('/dashboard', { jar });
+        assert.equal(page.status, 401);
+        assert.match(page.text, /log in again/i);
+        assert.equal(jar.cookies.has('access_token'), false);
+
+        const after = await app.request('/dashboard', { jar });
+        assert.equal(after.status, 302);
+        assert.equal(after.headers.get('location'), '/');
+    });
+
+    it('answers API calls from a revoked token with a re-login error', async () => {
+        const jar = await app.login(new CookieJar());
+        await wait(VERIFY_INTERVAL_MS + 50);
+        app.mock.addFault({ path: '/app-user-info', status: 401, times: 1 });
+
+        const res = await app.request('/api/state', { jar });
+        assert.equal(res.status, 401);
+        assert.equal(res.json.reloginRequired, true);
+    });
+});
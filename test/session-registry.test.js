@@ -0,0 +1,215 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionRegistry, createEmptyRegistry, describeUserAgent } = require('../lib/session-registry');
+const { RecordStore } = require('../lib/record-store');
+const { TokenCipher, resolveSecrets } = require('../lib/token-crypto');
+const { startApp, CookieJar } = require('./helpers/app-harness');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+const APP_ENV = { SESSION_SECRET: 'session-registry-test-secret', SESSION_SECRET_PREVIOUS: '' };
+
+function createRegistry(now) {
+    const store = new RecordStore({ name: 'sessions', createDefault: createEmptyRegistry });
+    return new SessionRegistry({ store, touchIntervalMs: 1000, retentionMs: 10000, now: () => now.value });
+}
+
+// A jar holding only the access_token cookie, like a browser whose session expired
+function tokenOnly(jar) {
+    const restored = new CookieJar();
+    restored.cookies.set('access_token', jar.cookies.get('access_token'));
+    return restored;
+}
+
+// A jar holding the access_token cookie as sealed before the registry: no login id,
+// with the given fields overridden
+function legacyCookie(jar, overrides) {
+    const cipher = new TokenCipher({ secrets: resolveSecrets(APP_ENV).secrets });
+    const payload = JSON.parse(cipher.decrypt(decodeURIComponent(jar.cookies.get('access_token')), 'access-token'));
+    delete payload.loginId;
+    const restored = new CookieJar();
+    restored.cookies.set('access_token', encodeURIComponent(cipher.encrypt(JSON.stringify({ ...payload, ...overrides }), 'access-token')));
+    return restored;
+}
+
+describe('describeUserAgent', () => {
+    it('names the browser and operating system', () => {
+        assert.equal(describeUserAgent(CHROME_WINDOWS), 'Chrome on Windows');
+        assert.equal(describeUserAgent(SAFARI_IPHONE), 'Safari on iOS');
+        assert.equal(describeUserAgent(''), 'Unknown device');
+    });
+});
+
+describe('SessionRegistry', () => {
+    it('registers, lists and revokes logins per user', () => {
+        const now = { value: 1000 };
+        const registry = createRegistry(now);
+        const laptop = registry.register('100001', { userAgent: CHROME_WINDOWS, ip: '10.0.0.1', sessionId: 'a' });
+        now.value = 2000;
+        const phone = registry.register('100001', { userAgent: SAFARI_IPHONE, sessionId: 'b' });
+        registry.register('100002', {});
+
+        assert.deepEqual(registry.list('100001').map(l => l.device), ['Safari on iOS', 'Chrome on Windows']);
+        assert.equal(registry.check('100001', laptop), 'active');
+        assert.equal(registry.check('100002', laptop), 'unknown');
+
+        assert.equal(registry.revoke('100001', phone).sessionId, 'b');
+        assert.equal(registry.revoke('100001', phone), null);
+        assert.equal(registry.check('100001', phone), 'revoked');
+        assert.deepEqual(registry.list('100001').map(l => l.id), [laptop]);
+    });
+
+    it('revokes every login but the current one', () => {
+        const now = { value: 1000 };
+        const registry = createRegistry(now);
+        const ids = ['a', 'b', 'c'].map(sessionId => registry.register('100001', { sessionId }));
+        const revoked = registry.revokeAll('100001', { exceptId: ids[0] });
+        assert.deepEqual(revoked.map(l => l.sessionId).sort(), ['b', 'c']);
+        assert.deepEqual(registry.list('100001').map(l => l.id), [ids[0]]);
+    });
+
+    it('only accepts unregistered logins verified after the last revoke-all', () => {
+        const now = { value: 1000 };
+        const registry = createRegistry(now);
+        assert.equal(registry.acceptsUnregistered('100001', 0), true);
+
+        now.value = 5000;
+        registry.revokeAll('100001');
+        assert.equal(registry.store.get('100001').revokedBefore, 5000);
+        assert.equal(registry.acceptsUnregistered('100001', 4000), false);
+        assert.equal(registry.acceptsUnregistered('100001', null), false);
+        assert.equal(registry.acceptsUnregistered('100001', 5000), true);
+        assert.equal(registry.acceptsUnregistered('100002', 0), true, 'per user');
+    });
+
+    it('throttles last-seen updates and forgets old logins', () => {
+        const now = { value: 1000 };
+        const registry = createRegistry(now);
+        const id = registry.register('100001', { ip: '10.0.0.1' });
+
+        now.value = 1500;
+        registry.touch('100001', id, { ip: '10.0.0.1' });
+        assert.equal(registry.list('100001')[0].lastSeenAt, 1000);
+        registry.touch('100001', id, { ip: '10.0.0.2' });
+        assert.equal(registry.list('100001')[0].lastSeenAt, 1500);
+
+        now.value = 20000;
+        registry.register('100001', {});
+        assert.equal(registry.check('100001', id), 'unknown');
+    });
+});
+
+describe('signed-in devices', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ env: APP_ENV });
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('lists each login on the settings page', async () => {
+        const laptop = await app.login(new CookieJar());
+        await app.login(new CookieJar());
+
+        const res = await app.request('/api/sessions', { jar: laptop });
+        assert.equal(res.status, 200);
+        assert.ok(res.json.devices.length >= 2);
+        assert.equal(res.json.devices.filter(d => d.current).length, 1);
+
+        const page = await app.request('/settings?full=1', { jar: laptop });
+        assert.match(page.text, /Signed-in Devices/);
+        assert.match(page.text, /This device/);
+    });
+
+    it('signs out a revoked device, including from a saved access token cookie', async () => {
+        const laptop = await app.login(new CookieJar());
+        const phone = await app.login(new CookieJar());
+        const savedCookie = tokenOnly(phone);
+        const phoneId = (await app.request('/api/sessions', { jar: phone })).json.devices.find(d => d.current).id;
+
+        const revoked = await app.request(`/api/sessions/${phoneId}/revoke`, { method: 'POST', jar: laptop });
+        assert.equal(revoked.status, 200);
+        assert.equal(revoked.json.signedOut, false);
+        assert.ok(!revoked.json.devices.some(d => d.id === phoneId));
+
+        const page = await app.request('/dashboard', { jar: phone });
+        assert.equal(page.status, 401);
+        assert.match(page.text, /signed out from your account settings/);
+        assert.equal(phone.cookies.has('access_token'), false);
+
+        const restored = await app.request('/api/state', { jar: savedCookie });
+        assert.equal(restored.status, 401);
+        assert.equal(restored.json.reloginRequired, true);
+
+        const stillIn = await app.request('/api/state', { jar: laptop });
+        assert.equal(stillIn.status, 200);
+    });
+
+    it('signs out all other devices at once', async () => {
+        const laptop = await app.login(new CookieJar());
+        const others = [await app.login(new CookieJar()), await app.login(new CookieJar())];
+
+        const res = await app.request('/api/sessions/revoke-all', { method: 'POST', jar: laptop, body: {} });
+        assert.equal(res.status, 200);
+        assert.ok(res.json.revoked >= 2);
+        assert.deepEqual(res.json.devices.map(d => d.current), [true]);
+
+        for (const jar of others) {
+            const api = await app.request('/api/state', { jar: tokenOnly(jar) });
+            assert.equal(api.status, 401);
+        }
+        assert.equal((await app.request('/api/state', { jar: laptop })).status, 200);
+    });
+
+    it('refuses cookies from before the registry once all devices are signed out', async () => {
+        const phone = await app.login(new CookieJar());
+        const legacy = legacyCookie(phone, { verifiedAt: Date.now() - 60 * 1000 });
+        const ownerless = legacyCookie(phone, { userId: null, verifiedAt: null });
+        const laptop = await app.login(new CookieJar());
+
+        const res = await app.request('/api/sessions/revoke-all', { method: 'POST', jar: laptop, body: {} });
+        assert.equal(res.status, 200);
+
+        for (const jar of [legacy, ownerless]) {
+            const api = await app.request('/api/state', { jar });
+            assert.equal(api.status, 401);
+            assert.equal(api.json.reloginRequired, true);
+            assert.equal(jar.cookies.has('access_token'), false);
+        }
+
+        const sealedSince = legacyCookie(laptop, { verifiedAt: Date.now() });
+        assert.equal((await app.request('/api/state', { jar: sealedSince })).status, 200);
+    });
+
+    it('signs out an ownerless cookie whose owner is only found by the page itself', async () => {
+        const phone = await app.login(new CookieJar());
+        const forApi = legacyCookie(phone, { userId: null, verifiedAt: null });
+        const forPage = legacyCookie(phone, { userId: null, verifiedAt: null });
+        const laptop = await app.login(new CookieJar());
+        assert.equal((await app.request('/api/sessions/revoke-all', { method: 'POST', jar: laptop, body: {} })).status, 200);
+
+        // Schoology can't be asked before the registry check, but can by the route
+        app.mock.addFault({ path: '/app-user-info', status: 500, times: 1 });
+        const api = await app.request('/api/state', { jar: forApi });
+        assert.equal(api.status, 401);
+        assert.equal(api.json.reloginRequired, true);
+        assert.equal(forApi.cookies.has('access_token'), false);
+
+        app.mock.addFault({ path: '/app-user-info', status: 500, times: 1 });
+        const page = await app.request('/settings?full=1', { jar: forPage });
+        assert.equal(page.status, 401);
+        assert.match(page.text, /signed out from your account settings/);
+    });
+
+    it('does not let a copied cookie back in after logging out', async () => {
+        const jar = await app.login(new CookieJar());
+        const copy = tokenOnly(jar);
+        await app.request('/logout', { jar });
+        const res = await app.request('/api/state', { jar: copy });
+        assert.equal(res.status, 401);
+    });
+});
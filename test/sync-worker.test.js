@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SyncWorker } = require('../lib/sync-worker');
+const { startApp } = require('./helpers/app-harness');
+
+function createWorker(options = {}) {
+    let now = 1000000;
+    const synced = [];
+    const worker = new SyncWorker({
+        intervalMs: 60000,
+        activeWindowMs: 120000,
+        syncUser: async (userId, token) => { synced.push([userId, token]); },
+        now: () => now,
+        ...options
+    });
+    return { worker, synced, advance: ms => { now += ms; } };
+}
+
+describe('SyncWorker', () => {
+    it('syncs touched users with their latest token', async () => {
+        const { worker, synced } = createWorker();
+        worker.touch('1', 'old');
+        worker.touch('1', 'new');
+        worker.touch('2', 'tok');
+        await worker.runOnce();
+        assert.deepEqual(synced, [['1', 'new'], ['2', 'tok']]);
+    });
+
+    it('waits a full interval before syncing a user again', async () => {
+        const { worker, synced, advance } = createWorker();
+        worker.touch('1', 'tok');
+        await worker.runOnce();
+        advance(30000);
+        await worker.runOnce();
+        assert.equal(synced.length, 1);
+        advance(30000);
+        worker.touch('1', 'tok');
+        await worker.runOnce();
+        assert.equal(synced.length, 2);
+    });
+
+    it('drops users who have not been active recently', async () => {
+        const { worker, synced, advance } = createWorker();
+        worker.touch('1', 'tok');
+        advance(150000);
+        await worker.runOnce();
+        assert.equal(synced.length, 0);
+        assert.equal(worker.getStats().trackedUsers, 0);
+    });
+
+    it('syncs the least recently synced users first, up to the per-run cap', async () => {
+        const { worker, synced, advance } = createWorker({ maxUsersPerRun: 2 });
+        worker.touch('1', 'a');
+        worker.touch('2', 'b');
+        worker.touch('3', 'c');
+        await worker.runOnce();
+        advance(60000);
+        for (const id of ['1', '2', '3']) worker.touch(id, 'x');
+        await worker.runOnce();
+        assert.deepEqual(synced.map(([id]) => id), ['1', '2', '3', '1']);
+    });
+
+    it('defers users when the rate limit has no headroom', async () => {
+        let headroom = false;
+        const { worker, synced } = createWorker({ canProceed: () => headroom });
+        worker.touch('1', 'tok');
+        await worker.runOnce();
+        assert.equal(synced.length, 0);
+        assert.equal(worker.getStats().deferred, 1);
+        headroom = true;
+        await worker.runOnce();
+        assert.equal(synced.length, 1);
+    });
+
+    it('records failures and keeps going', async () => {
+        const { worker } = createWorker({
+            syncUser: async (userId) => { if (userId === '1') throw new Error('boom'); }
+        });
+        worker.touch('1', 'a');
+        worker.touch('2', 'b');
+        const result = await worker.runOnce();
+        assert.deepEqual(result, { synced: 1, due: 2 });
+        assert.equal(worker.getStats().failures, 1);
+    });
+
+    it('shares a run that is already in progress', async () => {
+        let release;
+        const { worker } = createWorker({ syncUser: () => new Promise(resolve => { release = resolve; }) });
+        worker.touch('1', 'tok');
+        const first = worker.runOnce();
+        assert.equal(worker.runOnce(), first);
+        release();
+        await first;
+    });
+});
+
+describe('background sync in the app', () => {
+    it('warms the cache and creates notifications without a manual refresh', async () => {
+        const app = await startApp({ env: { SYNC_INTERVAL_MS: '300' } });
+        try {
+            await app.login();
+            await app.request('/dashboard?full=1');
+
+            let count = 0;
+            for (let i = 0; i < 50 && count === 0; i++) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                count = (await app.request('/api/notifications/count')).json.count;
+            }
+            assert.ok(count > 0, 'sync should have created notifications');
+            assert.ok(app.mock.requests.some(r => r.path === '/users/100001/grades'));
+            assert.ok(app.mock.requests.some(r => r.path === '/sections/2004/assignments'));
+            assert.ok(app.mock.requests.some(r => r.path === '/sections/2001/submissions/30015/100001'));
+            assert.ok(!app.mock.requests.some(r => r.path === '/sections/2001/submissions/30012/100001'),
+                'graded assignments should not need a submission lookup');
+        } finally {
+            await app.stop();
+        }
+    });
+});
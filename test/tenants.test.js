@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TenantRegistry, createTenantRegistry, normalizeDomain } = require('../lib/tenants');
+const { startApp, CookieJar } = require('./helpers/app-harness');
+
+describe('normalizeDomain', () => {
+    it('accepts district names, hostnames and URLs', () => {
+        assert.equal(normalizeDomain('FUHSD'), 'fuhsd.schoology.com');
+        assert.equal(normalizeDomain(' fuhsd.schoology.com '), 'fuhsd.schoology.com');
+        assert.equal(normalizeDomain('https://lms.example.org/home?x=1'), 'lms.example.org');
+    });
+
+    it('rejects anything that is not a plain hostname', () => {
+        for (const input of ['', 'evil.com:8080', 'user@evil.com', 'a b.com', '-bad.com', null, 42]) {
+            assert.equal(normalizeDomain(input), null, String(input));
+        }
+    });
+});
+
+describe('TenantRegistry', () => {
+    const tenants = new TenantRegistry({ defaultDomain: 'fuhsd', allowedDomains: ['pausd.schoology.com', 'lms.example.org'] });
+
+    it('only resolves domains on the allow-list', () => {
+        assert.equal(tenants.resolve(undefined), 'fuhsd.schoology.com');
+        assert.equal(tenants.resolve('PAUSD'), 'pausd.schoology.com');
+        assert.throws(() => tenants.resolve('evil.com'), err => err.statusCode === 400);
+        assert.equal(tenants.forSession('evil.com'), 'fuhsd.schoology.com');
+        assert.deepEqual(tenants.list(), ['fuhsd.schoology.com', 'pausd.schoology.com', 'lms.example.org']);
+    });
+
+    it('builds browser cookies for the tenant', () => {
+        const [bare] = tenants.browserCookies('abc123', 'fuhsd.schoology.com');
+        assert.equal(bare.name, tenants.sessionCookieName('fuhsd.schoology.com'));
+        assert.equal(bare.domain, '.schoology.com');
+
+        const cookies = tenants.browserCookies('SESSx=1; has_js=1;', 'lms.example.org');
+        assert.deepEqual(cookies.map(c => [c.name, c.value, c.domain]), [
+            ['SESSx', '1', 'lms.example.org'],
+            ['has_js', '1', 'lms.example.org']
+        ]);
+    });
+
+    it('recognises pages on the tenant site', () => {
+        assert.ok(tenants.isTenantUrl('https://lms.example.org/home', 'lms.example.org'));
+        assert.ok(tenants.isTenantUrl('https://app.schoology.com/home', 'lms.example.org'));
+        assert.ok(!tenants.isTenantUrl('https://schoology.com.evil.net/', 'lms.example.org'));
+        assert.ok(!tenants.isTenantUrl('not a url', 'lms.example.org'));
+    });
+
+    it('refuses an invalid allow-list', () => {
+        assert.throws(() => createTenantRegistry({ env: { SCHOOLOGY_ALLOWED_DOMAINS: 'ok, bad domain' } }), err => err.statusCode === 500);
+    });
+});
+
+describe('choosing a school at login', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ env: { SCHOOLOGY_DOMAIN: 'fuhsd.schoology.com', SCHOOLOGY_ALLOWED_DOMAINS: 'pausd.schoology.com' } });
+    });
+
+    after(async () => {
+        if (app) await app.stop();
+    });
+
+    it('lists the allowed schools on the login page', async () => {
+        const res = await app.request('/', { jar: new CookieJar() });
+        assert.match(res.text, /<select id="school-domain" name="domain">/);
+        assert.match(res.text, /value="pausd.schoology.com"/);
+    });
+
+    it('rejects schools that are not on the allow-list', async () => {
+        const requestTokens = () => app.mock.requests.filter(r => r.path === '/oauth/request_token').length;
+        const startCount = requestTokens();
+        const res = await app.request('/auth/schoology?domain=evil.com', { jar: new CookieJar() });
+        assert.equal(res.status, 400);
+        assert.equal(requestTokens(), startCount);
+    });
+
+    it('uses the chosen school for links, including after the session is restored', async () => {
+        const jar = new CookieJar();
+        const start = await app.request('/auth/schoology?domain=pausd', { jar });
+        const state = start.text.match(/\/auth\/complete\?state=([^"]+)"/)[1];
+        const complete = await app.request(`/auth/complete?state=${state}`, { jar });
+        assert.equal(complete.status, 302);
+
+        const courses = await app.request('/courses?section=2001&full=1', { jar });
+        assert.match(courses.text, /"https:\/\/pausd\.schoology\.com"/);
+        assert.doesNotMatch(courses.text, /fuhsd\.schoology\.com/);
+
+        const restored = new CookieJar();
+        restored.cookies.set('access_token', jar.cookies.get('access_token'));
+        const again = await app.request('/courses?section=2001&full=1', { jar: restored });
+        assert.match(again.text, /"https:\/\/pausd\.schoology\.com"/);
+    });
+});
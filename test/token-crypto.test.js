@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { TokenCipher, resolveSecrets, DEFAULT_SECRET } = require('../lib/token-crypto');
+
+// The pre-v2 format: AES-256-CBC keyed by sha256(secret), hexIv:hexCiphertext
+function legacyEncrypt(text, secret) {
+    const key = crypto.createHash('sha256').update(secret).digest();
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+    return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+}
+
+describe('TokenCipher', () => {
+    it('round-trips a value in the v2 format', () => {
+        const cipher = new TokenCipher({ secrets: ['secret-a'] });
+        const token = cipher.encrypt('{"oauth_token":"abc"}', 'access-token');
+        assert.match(token, /^v2\.[\w-]{8}\.[\w-]+\.[\w-]+\.[\w-]+$/);
+        assert.equal(cipher.decrypt(token, 'access-token'), '{"oauth_token":"abc"}');
+    });
+
+    it('rejects tampered tokens', () => {
+        const cipher = new TokenCipher({ secrets: ['secret-a'] });
+        const parts = cipher.encrypt('hello world', 'x').split('.');
+        for (const index of [2, 3, 4]) {
+            const tampered = [...parts];
+            const bytes = Buffer.from(tampered[index], 'base64url');
+            bytes[0] ^= 1;
+            tampered[index] = bytes.toString('base64url');
+            assert.equal(cipher.decrypt(tampered.join('.'), 'x'), null, `part ${index}`);
+        }
+        assert.equal(cipher.decrypt('v2.garbage', 'x'), null);
+        assert.equal(cipher.getStats().rejected, 4);
+    });
+
+    it('rejects a token used for another purpose', () => {
+        const cipher = new TokenCipher({ secrets: ['secret-a'] });
+        const token = cipher.encrypt('session', 'schoology-sess');
+        assert.equal(cipher.decrypt(token, 'access-token'), null);
+    });
+
+    it('decrypts with previous secrets and encrypts with the current one', () => {
+        const old = new TokenCipher({ secrets: ['secret-a'] });
+        const oldToken = old.encrypt('value', 'p');
+
+        const rotated = new TokenCipher({ secrets: ['secret-b', 'secret-a'] });
+        assert.equal(rotated.decrypt(oldToken, 'p'), 'value');
+        assert.equal(rotated.needsReissue(oldToken), true);
+
+        const newToken = rotated.encrypt('value', 'p');
+        assert.equal(rotated.needsReissue(newToken), false);
+        assert.equal(old.decrypt(newToken, 'p'), null);
+
+        const retired = new TokenCipher({ secrets: ['secret-b'] });
+        assert.equal(retired.decrypt(oldToken, 'p'), null);
+    });
+
+    it('reads legacy CBC tokens only when allowed', () => {
+        const legacy = legacyEncrypt('old value', 'secret-a');
+        assert.equal(new TokenCipher({ secrets: ['secret-a'] }).decrypt(legacy, 'p'), null);
+
+        const cipher = new TokenCipher({ secrets: ['secret-b', 'secret-a'], acceptLegacy: true });
+        assert.equal(cipher.decrypt(legacy, 'p'), 'old value');
+        assert.equal(cipher.needsReissue(legacy), true);
+    });
+});
+
+describe('resolveSecrets', () => {
+    it('puts SESSION_SECRET first followed by previous secrets', () => {
+        const { secrets, insecure } = resolveSecrets({ SESSION_SECRET: 'new', SESSION_SECRET_PREVIOUS: 'old1, old2,new' });
+        assert.deepEqual(secrets, ['new', 'old1', 'old2']);
+        assert.equal(insecure, false);
+    });
+
+    it('falls back to the default secret outside production', () => {
+        const { secrets, insecure } = resolveSecrets({});
+        assert.deepEqual(secrets, [DEFAULT_SECRET]);
+        assert.equal(insecure, true);
+    });
+
+    it('refuses missing or placeholder secrets in production', () => {
+        assert.throws(() => resolveSecrets({ NODE_ENV: 'production' }), /SESSION_SECRET/);
+        assert.throws(() => resolveSecrets({ VERCEL_ENV: 'production', SESSION_SECRET: DEFAULT_SECRET }), /SESSION_SECRET/);
+        assert.doesNotThrow(() => resolveSecrets({ NODE_ENV: 'production', SESSION_SECRET: 'a-long-private-value' }));
+    });
+});
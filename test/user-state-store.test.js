@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserStateStore, UserStateStore, FileStateAdapter } = require('../lib/user-state-store');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'spm-state-'));
+}
+
+describe('UserStateStore', () => {
+    it('stores values per user', async () => {
+        const store = new UserStateStore();
+        await store.set('1', 'completedAssignments', ['30011']);
+        await store.set('2', 'settings', { darkMode: true });
+        assert.deepEqual((await store.get('1', 'completedAssignments')).value, ['30011']);
+        assert.equal(await store.get('2', 'completedAssignments'), null);
+        assert.deepEqual(Object.keys(await store.getAll('2')), ['settings']);
+    });
+
+    it('rejects unknown keys, wrong types and oversized values', async () => {
+        const store = new UserStateStore();
+        await assert.rejects(store.set('1', 'password', 'x'), { statusCode: 400 });
+        await assert.rejects(store.set('1', 'completedAssignments', { a: 1 }), { statusCode: 400 });
+        await assert.rejects(store.set('1', 'settings', { blob: 'x'.repeat(70 * 1024) }), { statusCode: 413 });
+    });
+
+    it('keeps concurrent updates to different keys', async () => {
+        const store = new UserStateStore({ adapter: new FileStateAdapter({ fs, dir: tempDir(), log: () => {} }) });
+        await Promise.all([
+            store.set('1', 'completedAssignments', ['1']),
+            store.set('1', 'gradeEdits', { 2001: {} }),
+            store.set('1', 'settings', { darkMode: false })
+        ]);
+        assert.deepEqual(Object.keys(await store.getAll('1')).sort(), ['completedAssignments', 'gradeEdits', 'settings']);
+    });
+
+    it('migrates local values without overwriting server values', async () => {
+        const store = new UserStateStore();
+        await store.set('1', 'settings', { darkMode: true });
+        await store.set('1', 'completedAssignments', ['1', '2']);
+        const result = await store.migrate('1', {
+            settings: { darkMode: false },
+            completedAssignments: [2, '3'],
+            gradeEdits: { 2001: { 30011: { grade: 90 } } },
+            customAssignments: { legacy: true }
+        });
+        assert.deepEqual(result.imported.sort(), ['completedAssignments', 'gradeEdits']);
+        assert.deepEqual(result.skipped, ['customAssignments']);
+        assert.deepEqual(result.values.settings.value, { darkMode: true });
+        assert.deepEqual(result.values.completedAssignments.value, ['1', '2', '3']);
+    });
+});
+
+describe('FileStateAdapter', () => {
+    it('persists state across store instances without user ids in file names', async () => {
+        const dir = tempDir();
+        const first = createUserStateStore({ env: {}, fs, baseDir: dir });
+        assert.equal(first.backend, 'file');
+        await first.set('100001', 'completedAssignments', ['30013']);
+
+        const files = fs.readdirSync(path.join(dir, '.user-state'));
+        assert.equal(files.length, 1);
+        assert.ok(!files[0].includes('100001'));
+
+        const second = createUserStateStore({ env: {}, fs, baseDir: dir });
+        assert.deepEqual((await second.get('100001', 'completedAssignments')).value, ['30013']);
+    });
+
+    it('treats an unreadable file as empty state', async () => {
+        const dir = tempDir();
+        const adapter = new FileStateAdapter({ fs, dir, log: () => {} });
+        fs.writeFileSync(adapter.fileFor('1'), '{not json');
+        const store = new UserStateStore({ adapter });
+        assert.deepEqual(await store.getAll('1'), {});
+    });
+
+    it('falls back to memory without a filesystem', () => {
+        assert.equal(createUserStateStore({ env: {}, fs: null }).backend, 'memory');
+    });
+});